@@ -0,0 +1,134 @@
+// --- Device History Sampler ---
+// Records every change of a device's state into a compact time series, so the
+// room details modal can show how a camera or PIR behaved over the last days
+// (e.g. a camera flapping between Normal and Fall all night).
+//
+// Stored per room and UTC day, one point per change:
+//   hospital_system/device_history/{ward}/{room}/{YYYY-MM-DD}/{device}/{pushId}
+//     { t, c, s?, d?, m? }
+//   t  epoch ms
+//   c  classified status (online | alarm | unknown | silent | offline, see roomState.js)
+//   s  raw Status string, when the device sends one
+//   d  camera Detection (1 = patient in view), when the device sends it
+//   m  PIR motion (1 = movement), PIR devices only
+// The first sample of each day repeats the current state even if unchanged, so
+// every day bucket can be drawn from its start without reading earlier days.
+// Pure with respect to I/O: persistence, classification and the clock are injected.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    // Re-check every device this often, so heartbeats ageing into "offline" are recorded
+    tickSeconds: 30,
+    // Day buckets older than this are deleted (covers the 7-day view plus a margin)
+    retentionDays: 8,
+    // Safety cap for a device stuck flapping; further changes that day are dropped
+    maxPointsPerDay: 5000,
+};
+
+function loadConfig(overrides = {}) {
+    return { ...DEFAULT_CONFIG, ...overrides };
+}
+
+// UTC so every station and the server agree on bucket boundaries
+function dayKey(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+const isYes = (value) => ["yes", "true", "1"].includes(String(value).trim().toLowerCase());
+
+// Compact point for one device; `classifyDevice` comes from src/lib/roomState.js,
+// `rules` is its device rule table (undefined → DEFAULT_DEVICE_RULES)
+function samplePoint(name, dev, classifyDevice, at, rules) {
+    const c = classifyDevice(name, dev, rules, at);
+    const point = { t: at, c: c.status };
+    if (c.rawStatus) point.s = c.rawStatus;
+    if (c.type === "pir") point.m = Number(dev.val) > 0 || isYes(dev.object_present) ? 1 : 0;
+    else if (dev.Detection !== undefined) point.d = isYes(dev.Detection) ? 1 : 0;
+    return point;
+}
+
+const samePoint = (a, b) => a.c === b.c && a.s === b.s && a.d === b.d && a.m === b.m;
+
+/**
+ * @param {object} deps
+ * @param {object} deps.repo               { appendPoint(wardKey, roomKey, day, device, point), removeDaysBefore(wardKey, roomKey, day) => Promise<number> }
+ * @param {Function} deps.classifyDevice   roomState.js classifyDevice
+ * @param {Array} [deps.deviceRules]       device rule table, replaced later with setDeviceRules()
+ * @param {object} [deps.config]
+ * @param {Function} [deps.now]
+ */
+function createHistoryService({ repo, classifyDevice, deviceRules, config = loadConfig(), now = Date.now }) {
+    let wards = {};
+    let rules = deviceRules;
+    const last = new Map(); // "ward/room/device" → { day, point, count }
+    const capped = new Set(); // "ward/room/device/day" already warned about
+
+    function record(wardKey, roomKey, device, point) {
+        const key = `${wardKey}/${roomKey}/${device}`;
+        const day = dayKey(point.t);
+        const previous = last.get(key);
+        const sameDay = previous?.day === day;
+        if (sameDay && samePoint(previous.point, point)) return;
+
+        const count = sameDay ? previous.count + 1 : 1;
+        if (count > config.maxPointsPerDay) {
+            if (!capped.has(`${key}/${day}`)) {
+                capped.add(`${key}/${day}`);
+                console.warn(`⚠️ ${key} passed ${config.maxPointsPerDay} changes on ${day}, dropping the rest`);
+            }
+            return;
+        }
+        last.set(key, { day, point, count });
+        repo.appendPoint(wardKey, roomKey, day, device, point)
+            .catch((err) => console.error(`❌ History write failed for ${key}:`, err));
+    }
+
+    // Samples every device of the latest snapshot
+    function tick() {
+        const at = now();
+        const seen = new Set();
+        Object.entries(wards).forEach(([wardKey, ward]) => {
+            Object.entries(ward || {}).forEach(([roomKey, room]) => {
+                Object.entries(room?.devices || {}).forEach(([device, dev]) => {
+                    seen.add(`${wardKey}/${roomKey}/${device}`);
+                    record(wardKey, roomKey, device, samplePoint(device, dev || {}, classifyDevice, at, rules));
+                });
+            });
+        });
+        // Devices that were removed or moved: forget them so a return starts a fresh point
+        for (const key of last.keys()) {
+            if (!seen.has(key)) last.delete(key);
+        }
+    }
+
+    function handleWardsSnapshot(wardsData) {
+        wards = wardsData || {};
+        tick();
+    }
+
+    // New heartbeat thresholds (settings/device_heartbeat) apply from the next sample on
+    function setDeviceRules(nextRules) {
+        rules = nextRules;
+        tick();
+    }
+
+    // Deletes day buckets past retention for every room currently in the wards
+    async function sweepRetention() {
+        const oldestKept = dayKey(now() - (config.retentionDays - 1) * DAY_MS);
+        for (const [wardKey, ward] of Object.entries(wards)) {
+            for (const roomKey of Object.keys(ward || {})) {
+                const removed = await repo.removeDaysBefore(wardKey, roomKey, oldestKept);
+                if (removed > 0) console.log(`🧹 Removed ${removed} day(s) of history for ${wardKey}/${roomKey}`);
+            }
+        }
+    }
+
+    function getStatus() {
+        return { devices: last.size, points: [...last.values()].reduce((sum, entry) => sum + entry.count, 0) };
+    }
+
+    return { handleWardsSnapshot, setDeviceRules, tick, sweepRetention, getStatus };
+}
+
+module.exports = { createHistoryService, loadConfig, dayKey, samplePoint, DEFAULT_CONFIG };
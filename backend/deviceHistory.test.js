@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import deviceHistory from './deviceHistory.cjs';
+import { classifyDevice, withHeartbeatThresholds, DEFAULT_DEVICE_RULES } from '../src/lib/roomState.js';
+
+const { createHistoryService, loadConfig } = deviceHistory;
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+const wards = (camera) => ({ ward_3: { room_301: { devices: { ESP32_S3_CAM: camera } } } });
+
+describe('device history service', () => {
+  let points;
+  let service;
+
+  beforeEach(() => {
+    points = [];
+    service = createHistoryService({
+      repo: { appendPoint: async (wardKey, roomKey, day, device, point) => { points.push(point); } },
+      classifyDevice,
+      config: loadConfig(),
+      now: () => NOW,
+    });
+  });
+
+  it('records one point per change', () => {
+    service.handleWardsSnapshot(wards({ Status: 'Normal' }));
+    service.handleWardsSnapshot(wards({ Status: 'Normal' }));
+    service.handleWardsSnapshot(wards({ Status: 'Fall Down' }));
+    expect(points.map(p => p.c)).toEqual(['online', 'alarm']);
+  });
+
+  it('classifies with the heartbeat thresholds from the settings', () => {
+    const camera = { Status: 'Normal', heartbeat: NOW - 300 * 1000 };
+    service.handleWardsSnapshot(wards(camera));
+    expect(points.at(-1).c).toBe('offline');
+
+    service.setDeviceRules(withHeartbeatThresholds(DEFAULT_DEVICE_RULES, { camera: { offlineAfterSeconds: 600 } }));
+    expect(points.at(-1).c).toBe('online');
+  });
+
+  it('marks silent devices offline once their type requires a heartbeat', () => {
+    service.handleWardsSnapshot(wards({ ip: '10.0.0.2' }));
+    expect(points.at(-1).c).toBe('silent');
+
+    service.setDeviceRules(withHeartbeatThresholds(DEFAULT_DEVICE_RULES, { camera: { required: true } }));
+    expect(points.at(-1).c).toBe('offline');
+  });
+});
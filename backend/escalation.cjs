@@ -0,0 +1,178 @@
+// --- Fall Escalation Service ---
+// Tracks rooms whose fall alarm is still unacknowledged and pages the on-call
+// list tier by tier (SMS first, then a voice call) until someone acknowledges.
+// Pure with respect to I/O: Twilio client, log writer and clock are injected so
+// the service can run against a fake Twilio client and the RTDB emulator.
+
+const DEFAULT_CONFIG = {
+    // Seconds between evaluations of open incidents
+    tickSeconds: 5,
+    // Delay between a tier's SMS and its follow-up voice call
+    voiceDelaySeconds: 60,
+    fromNumber: "",
+    // High-risk patients flagged for fast escalation are paged after this
+    // fraction of each tier's delay (mirrors alarm_escalation.highRisk)
+    highRiskFactor: 0.5,
+    // Dashboard base URL; when set, SMS messages link straight to the room
+    appUrl: "",
+    tiers: [
+        { name: "Ward on-call nurse", afterSeconds: 60, contacts: [] },
+        { name: "Charge nurse", afterSeconds: 180, contacts: [] },
+        { name: "Duty physician", afterSeconds: 300, contacts: [] },
+    ],
+};
+
+function loadConfig(overrides = {}) {
+    const config = { ...DEFAULT_CONFIG, ...overrides };
+    config.tiers = [...(config.tiers || [])].sort((a, b) => a.afterSeconds - b.afterSeconds);
+    return config;
+}
+
+// Morse Fall Scale ≥ 45 with fast escalation enabled, as in src/lib/patients.js
+function wantsFastEscalation(patient) {
+    return !!patient?.fast_escalation && Number(patient.morse_score) >= 45;
+}
+
+function roomLabel(wardKey, roomKey) {
+    return `${wardKey.replace("ward_", "Ward ")} / ${roomKey.replace("room_", "Room ")}`;
+}
+
+// Text spoken in a <Say> must be valid XML
+function escapeXml(text) {
+    return String(text).replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+}
+
+// Same deep link as the dashboard router (src/lib/router.js): /ward/3/room/301
+function roomUrl(appUrl, wardKey, roomKey) {
+    if (!appUrl) return "";
+    return `${appUrl.replace(/\/+$/, "")}/ward/${wardKey.replace(/^ward_/, "")}/room/${roomKey.replace(/^room_/, "")}`;
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.twilioClient  object exposing messages.create() and calls.create()
+ * @param {Function} deps.writeLog    (type, message, meta) => Promise
+ * @param {Function} deps.getRoomState room-state engine from src/lib/roomState.js
+ * @param {object} [deps.config]
+ * @param {Function} [deps.now]       clock, defaults to Date.now
+ */
+function createEscalationService({ twilioClient, writeLog, getRoomState, config = loadConfig(), now = Date.now }) {
+    // key "ward/room" → { wardKey, roomKey, since, sent: Set<"tier:channel"> }
+    const incidents = new Map();
+
+    async function page(incident, tierIndex, channel) {
+        const tier = config.tiers[tierIndex];
+        const label = roomLabel(incident.wardKey, incident.roomKey);
+        const minutes = Math.round((now() - incident.since) / 60000);
+        const text = `FALL ALERT: ${label} unacknowledged for ${minutes} min. Please respond.`;
+        const url = roomUrl(config.appUrl, incident.wardKey, incident.roomKey);
+
+        const results = await Promise.allSettled(tier.contacts.map(to => {
+            if (channel === "sms") {
+                return twilioClient.messages.create({ to, from: config.fromNumber, body: url ? `${text} ${url}` : text });
+            }
+            return twilioClient.calls.create({
+                to,
+                from: config.fromNumber,
+                twiml: `<Response><Say loop="3">${escapeXml(text)}</Say></Response>`,
+            });
+        }));
+
+        const failed = results
+            .map((r, i) => (r.status === "rejected" ? { to: tier.contacts[i], error: r.reason?.message || String(r.reason) } : null))
+            .filter(Boolean);
+
+        await writeLog(
+            "ONCALL_NOTIFIED",
+            `${tier.name} paged by ${channel === "sms" ? "SMS" : "voice call"} for ${label}`,
+            {
+                wardKey: incident.wardKey,
+                roomKey: incident.roomKey,
+                tier: tierIndex + 1,
+                tierName: tier.name,
+                channel,
+                contacts: tier.contacts,
+                failed,
+                unackedSeconds: Math.round((now() - incident.since) / 1000),
+            }
+        );
+    }
+
+    // Fires every SMS/voice step whose deadline has passed for one incident
+    async function evaluateIncident(incident) {
+        const elapsed = (now() - incident.since) / 1000;
+        const factor = incident.fast ? config.highRiskFactor : 1;
+        for (let i = 0; i < config.tiers.length; i++) {
+            const tier = config.tiers[i];
+            if (!tier.contacts?.length) continue;
+
+            const steps = [
+                ["sms", tier.afterSeconds * factor],
+                ["voice", tier.afterSeconds * factor + config.voiceDelaySeconds],
+            ];
+            for (const [channel, dueAt] of steps) {
+                const stepKey = `${i}:${channel}`;
+                if (elapsed < dueAt || incident.sent.has(stepKey)) continue;
+                incident.sent.add(stepKey);
+                try {
+                    await page(incident, i, channel);
+                } catch (e) {
+                    console.error("Escalation page failed:", e);
+                }
+            }
+        }
+    }
+
+    // Syncs the open-incident set with a fresh hospital_system/wards snapshot
+    function handleWardsSnapshot(wardsData) {
+        const seen = new Set();
+        Object.entries(wardsData || {}).forEach(([wardKey, ward]) => {
+            Object.entries(ward || {}).forEach(([roomKey, room]) => {
+                const { isFall, isAck } = getRoomState(room);
+                // Device self-tests exercise the stations, not the on-call phones
+                if (!isFall || isAck || room.live_status?.self_test) return;
+                const key = `${wardKey}/${roomKey}`;
+                seen.add(key);
+                if (!incidents.has(key)) {
+                    // Time tiers from when the dashboard opened the incident, so a restart does not start over
+                    const fallAt = room.live_status?.incident_id ? Number(room.live_status.fall_at) || null : null;
+                    incidents.set(key, { wardKey, roomKey, since: fallAt ?? now(), sent: new Set() });
+                }
+                incidents.get(key).fast = wantsFastEscalation(room.patient_info);
+            });
+        });
+
+        // Acknowledged or cleared rooms stop escalating
+        for (const [key, incident] of incidents) {
+            if (seen.has(key)) continue;
+            incidents.delete(key);
+            if (incident.sent.size > 0) {
+                writeLog("ONCALL_NOTIFIED", `Escalation stopped for ${roomLabel(incident.wardKey, incident.roomKey)}`, {
+                    wardKey: incident.wardKey,
+                    roomKey: incident.roomKey,
+                    channel: "stopped",
+                    unackedSeconds: Math.round((now() - incident.since) / 1000),
+                });
+            }
+        }
+    }
+
+    async function tick() {
+        for (const incident of incidents.values()) {
+            await evaluateIncident(incident);
+        }
+    }
+
+    function getOpenIncidents() {
+        return [...incidents.values()].map(i => ({
+            wardKey: i.wardKey,
+            roomKey: i.roomKey,
+            since: i.since,
+            sent: [...i.sent],
+        }));
+    }
+
+    return { handleWardsSnapshot, tick, getOpenIncidents };
+}
+
+module.exports = { createEscalationService, loadConfig, escapeXml, DEFAULT_CONFIG };
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import escalation from './escalation.cjs';
+import fakeTwilio from './fakeTwilio.cjs';
+import { getRoomState } from '../src/lib/roomState.js';
+
+const { createEscalationService, loadConfig, escapeXml } = escalation;
+const { createFakeTwilioClient } = fakeTwilio;
+
+const START = Date.parse('2026-10-19T02:00:00Z');
+
+const config = loadConfig({
+  fromNumber: '+6620000000',
+  voiceDelaySeconds: 60,
+  tiers: [
+    { name: 'Ward on-call nurse', afterSeconds: 60, contacts: ['+66811111111'] },
+    { name: 'Charge nurse', afterSeconds: 180, contacts: ['+66822222222'] },
+  ],
+});
+
+const fallRoom = (extra = {}) => ({
+  devices: { ESP32_S3_CAM: { Status: 'Fall Down', ip: '10.0.0.2' } },
+  live_status: { fall_detected: true, acknowledged: false, ...extra },
+});
+
+describe('escalation service', () => {
+  let clock;
+  let twilio;
+  let logs;
+  let service;
+
+  const advance = async (seconds) => {
+    clock += seconds * 1000;
+    await service.tick();
+  };
+
+  beforeEach(() => {
+    clock = START;
+    twilio = createFakeTwilioClient({ silent: true });
+    logs = [];
+    service = createEscalationService({
+      twilioClient: twilio,
+      writeLog: async (type, message, meta) => { logs.push({ type, message, meta }); },
+      getRoomState,
+      config,
+      now: () => clock,
+    });
+  });
+
+  it('pages the first tier by SMS once its delay has passed', async () => {
+    service.handleWardsSnapshot({ ward_3: { room_301: fallRoom() } });
+    await advance(59);
+    expect(twilio.sent).toHaveLength(0);
+
+    await advance(1);
+    expect(twilio.sent).toHaveLength(1);
+    expect(twilio.sent[0]).toMatchObject({ kind: 'sms', to: '+66811111111', from: '+6620000000' });
+    expect(twilio.sent[0].body).toContain('Ward 3 / Room 301 unacknowledged for 1 min');
+    expect(logs[0]).toMatchObject({ type: 'ONCALL_NOTIFIED', meta: { tier: 1, channel: 'sms' } });
+
+    await advance(5);
+    expect(twilio.sent).toHaveLength(1); // each step fires once
+  });
+
+  it('follows up with a voice call and then the next tier', async () => {
+    service.handleWardsSnapshot({ ward_3: { room_301: fallRoom() } });
+    await advance(120);
+    expect(twilio.sent.map(s => s.kind)).toEqual(['sms', 'call']);
+    expect(twilio.sent[1].twiml).toMatch(/^<Response><Say loop="3">FALL ALERT: .*<\/Say><\/Response>$/);
+
+    await advance(60);
+    expect(twilio.sent.map(s => `${s.kind}:${s.to}`)).toEqual([
+      'sms:+66811111111',
+      'call:+66811111111',
+      'sms:+66822222222',
+    ]);
+  });
+
+  it('escapes room names in the voice TwiML', async () => {
+    service.handleWardsSnapshot({ 'ward_A&B': { 'room_<1>': fallRoom() } });
+    await advance(120);
+    const call = twilio.sent.find(s => s.kind === 'call');
+    expect(call.twiml).toContain('Ward A&amp;B / Room &lt;1&gt;');
+    expect(call.twiml).not.toMatch(/&(?!amp;|lt;|gt;|apos;|quot;)/);
+  });
+
+  it('stops paging once the fall is acknowledged and logs the stop', async () => {
+    service.handleWardsSnapshot({ ward_3: { room_301: fallRoom() } });
+    await advance(60);
+    expect(twilio.sent).toHaveLength(1);
+
+    service.handleWardsSnapshot({ ward_3: { room_301: fallRoom({ acknowledged: true }) } });
+    expect(service.getOpenIncidents()).toHaveLength(0);
+    expect(logs.at(-1)).toMatchObject({ type: 'ONCALL_NOTIFIED', meta: { channel: 'stopped', unackedSeconds: 60 } });
+
+    await advance(600);
+    expect(twilio.sent).toHaveLength(1);
+  });
+
+  it('does not log a stop for an incident that never paged anyone', async () => {
+    service.handleWardsSnapshot({ ward_3: { room_301: fallRoom() } });
+    await advance(10);
+    service.handleWardsSnapshot({ ward_3: { room_301: fallRoom({ acknowledged: 'true' }) } });
+    expect(logs).toHaveLength(0);
+  });
+
+  it('skips device self-tests', async () => {
+    service.handleWardsSnapshot({ ward_3: { room_301: fallRoom({ self_test: true }) } });
+    await advance(600);
+    expect(service.getOpenIncidents()).toHaveLength(0);
+    expect(twilio.sent).toHaveLength(0);
+  });
+
+  it('pages high-risk patients with fast escalation sooner', async () => {
+    const room = { ...fallRoom(), patient_info: { fast_escalation: true, morse_score: 55 } };
+    service.handleWardsSnapshot({ ward_3: { room_301: room } });
+    await advance(30);
+    expect(twilio.sent).toHaveLength(1);
+  });
+
+  it('times tiers from the persisted fall_at after a restart', async () => {
+    service.handleWardsSnapshot({ ward_3: { room_301: fallRoom({ incident_id: 'inc1', fall_at: START - 90 * 1000 }) } });
+    await advance(0);
+    expect(twilio.sent.map(s => s.kind)).toEqual(['sms']);
+    await advance(30);
+    expect(twilio.sent.map(s => s.kind)).toEqual(['sms', 'call']);
+  });
+
+  it('records failed deliveries in the log entry', async () => {
+    twilio.messages.create = () => Promise.reject(new Error('21211 invalid number'));
+    service.handleWardsSnapshot({ ward_3: { room_301: fallRoom() } });
+    await advance(60);
+    expect(logs[0].meta.failed).toEqual([{ to: '+66811111111', error: '21211 invalid number' }]);
+  });
+});
+
+describe('escapeXml', () => {
+  it('escapes the five XML special characters', () => {
+    expect(escapeXml(`<a & 'b' "c">`)).toBe('&lt;a &amp; &apos;b&apos; &quot;c&quot;&gt;');
+  });
+});
@@ -0,0 +1,249 @@
+// --- Fall Evidence Capture Service ---
+// Keeps a short rolling buffer of frames per room camera and, when a camera
+// goes from online to alarm (as classifyDevice in src/lib/roomState.js sees
+// it), saves the buffered frames plus a few more taken after the trigger.
+// The stored evidence is linked to the incident and its FALL_DETECTED log
+// entry so the History tab and resolution modal can show it.
+// Pure with respect to I/O: frame grabbing, storage, persistence and the clock
+// are injected so the service can run against the mock camera and emulators.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    // Rolling pre-trigger buffer: one frame every bufferIntervalSeconds, bufferFrames kept
+    bufferIntervalSeconds: 2,
+    bufferFrames: 3,
+    // Frames taken after the trigger
+    postFrames: 5,
+    postIntervalSeconds: 1,
+    // How long to keep trying to find the incident and its FALL_DETECTED entry
+    linkRetries: 6,
+    linkRetrySeconds: 10,
+    retention: {
+        defaultDays: 30,
+        falseAlarmDays: 7,
+        // Any recorded injury (minor / moderate / severe)
+        injuryDays: 365,
+    },
+};
+
+function loadConfig(overrides = {}) {
+    return {
+        ...DEFAULT_CONFIG,
+        ...overrides,
+        retention: { ...DEFAULT_CONFIG.retention, ...(overrides.retention || {}) },
+    };
+}
+
+// Outcome values as recorded by the resolution modal (src/lib/resolution.js)
+function retentionDays(incident, retention) {
+    const outcome = incident?.outcome;
+    if (outcome?.injury && outcome.injury !== "none") return retention.injuryDays;
+    if (outcome?.type === "false_alarm") return retention.falseAlarmDays;
+    return retention.defaultDays;
+}
+
+// Room cameras are the device nodes that publish a stream
+function listCameras(wardsData) {
+    const cameras = [];
+    Object.entries(wardsData || {}).forEach(([wardKey, ward]) => {
+        Object.entries(ward || {}).forEach(([roomKey, room]) => {
+            Object.entries(room?.devices || {}).forEach(([device, dev]) => {
+                if (!dev?.stream_url) return;
+                cameras.push({
+                    key: `${wardKey}/${roomKey}/${device}`,
+                    wardKey,
+                    roomKey,
+                    device,
+                    status: dev.Status || dev.status || null,
+                    streamUrl: dev.stream_url,
+                    snapshotUrl: dev.snapshot_url || null,
+                    dev,
+                    room,
+                });
+            });
+        });
+    });
+    return cameras;
+}
+
+/**
+ * @param {object} deps
+ * @param {Function} deps.fetchFrame  (camera) => Promise<Buffer> one JPEG
+ * @param {object} deps.store         { save(folder, name, buffer) => Promise<{ path, url }>, remove(paths) => Promise }
+ * @param {object} deps.repo          { saveEvidence, linkEvidence, listEvidence, getIncident, updateRetention, purgeEvidence }
+ *                                    linkEvidence resolves "attached", "kept" or null (retry later)
+ * @param {Function} deps.classifyDevice roomState.js classifyDevice
+ * @param {Array} [deps.deviceRules]  device rule table, replaced later with setDeviceRules()
+ * @param {object} [deps.config]
+ * @param {Function} [deps.now]
+ * @param {Function} [deps.sleep]     (ms) => Promise
+ */
+function createEvidenceService({ fetchFrame, store, repo, classifyDevice, deviceRules, config = loadConfig(), now = Date.now, sleep }) {
+    const wait = sleep || ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    const cameras = new Map(); // key → camera (latest snapshot)
+    const buffers = new Map(); // key → [{ at, data }]
+    const lastStatus = new Map(); // key → classified device status
+    const captures = new Map(); // "ward/room" → { cameraKey, incidentId }
+    let rules = deviceRules;
+
+    async function grab(camera) {
+        const data = await fetchFrame(camera);
+        return { at: now(), data };
+    }
+
+    async function linkIncident(evidenceKey, capture, summary) {
+        for (let attempt = 0; attempt < config.linkRetries; attempt++) {
+            const room = cameras.get(capture.cameraKey)?.room;
+            const incidentId = room?.live_status?.incident_id || capture.incidentId;
+            if (incidentId) {
+                capture.incidentId = incidentId;
+                const linked = await repo.linkEvidence(evidenceKey, incidentId, summary);
+                if (linked === "attached") {
+                    console.log(`📎 Evidence ${evidenceKey} attached to incident ${incidentId}`);
+                    return;
+                }
+                if (linked === "kept") {
+                    console.log(`📎 Evidence ${evidenceKey} kept under incident ${incidentId}, which already shows an earlier capture`);
+                    return;
+                }
+            }
+            await wait(config.linkRetrySeconds * 1000);
+        }
+        console.warn(`⚠️ Evidence ${evidenceKey} kept without a FALL_DETECTED entry to attach to`);
+    }
+
+    async function capture(camera, triggerStatus) {
+        const roomKey = `${camera.wardKey}/${camera.roomKey}`;
+        if (captures.has(roomKey)) return;
+        const triggeredAt = now();
+        const state = { cameraKey: camera.key, incidentId: null };
+        captures.set(roomKey, state);
+        console.log(`📸 ${camera.key} raised an alarm (${triggerStatus}), capturing...`);
+
+        let saved = null; // { evidenceKey, summary } once stored
+        try {
+            const frames = [...(buffers.get(camera.key) || [])];
+            for (let i = 0; i < config.postFrames; i++) {
+                try {
+                    frames.push(await grab(cameras.get(camera.key) || camera));
+                } catch (err) {
+                    console.warn(`⚠️ Frame grab failed for ${camera.key}: ${err.message}`);
+                }
+                await wait(config.postIntervalSeconds * 1000);
+            }
+
+            if (frames.length === 0) {
+                console.warn(`⚠️ No frames captured for ${camera.key}`);
+                return;
+            }
+
+            const evidenceKey = `${camera.wardKey}_${camera.roomKey}_${triggeredAt}`;
+            const stored = [];
+            for (const [i, frame] of frames.entries()) {
+                const offset = frame.at - triggeredAt;
+                const { path, url } = await store.save(evidenceKey, `${String(i).padStart(2, "0")}_${offset >= 0 ? "+" : ""}${offset}ms.jpg`, frame.data);
+                stored.push({ path, url, at: frame.at, offset_ms: offset });
+            }
+
+            const capturedAt = now();
+            const record = {
+                ward_key: camera.wardKey,
+                room_key: camera.roomKey,
+                device: camera.device,
+                trigger_status: triggerStatus,
+                triggered_at: triggeredAt,
+                captured_at: capturedAt,
+                retention_days: config.retention.defaultDays,
+                expires_at: capturedAt + config.retention.defaultDays * DAY_MS,
+                frames: stored,
+                incident_id: null,
+            };
+            await repo.saveEvidence(evidenceKey, record);
+            console.log(`💾 Saved ${stored.length} frame(s) as ${evidenceKey}`);
+
+            saved = { evidenceKey, summary: {
+                key: evidenceKey,
+                device: camera.device,
+                trigger_status: triggerStatus,
+                triggered_at: triggeredAt,
+                expires_at: record.expires_at,
+                frames: stored.map(({ url, offset_ms }) => ({ url, offset_ms })),
+            } };
+        } finally {
+            captures.delete(roomKey);
+        }
+        // Outside the capture window, so the room can trigger again meanwhile
+        if (saved) await linkIncident(saved.evidenceKey, state, saved.summary);
+    }
+
+    // Syncs the camera list with a fresh hospital_system/wards snapshot and starts captures
+    function handleWardsSnapshot(wardsData) {
+        const seen = new Set();
+        listCameras(wardsData).forEach((camera) => {
+            seen.add(camera.key);
+            cameras.set(camera.key, camera);
+
+            // DEVICE_STATUS values, as the dashboard classifies them: a reconnect
+            // or an unknown Status never starts a capture, and a camera whose
+            // heartbeat expired has to come back online first
+            const previous = lastStatus.get(camera.key);
+            const { status } = classifyDevice(camera.device, camera.dev, rules, now());
+            lastStatus.set(camera.key, status);
+            if (previous === "online" && status === "alarm") {
+                capture(camera, camera.status).catch((err) => console.error(`❌ Capture failed for ${camera.key}:`, err));
+            }
+        });
+
+        for (const key of cameras.keys()) {
+            if (seen.has(key)) continue;
+            cameras.delete(key);
+            buffers.delete(key);
+            lastStatus.delete(key);
+        }
+    }
+
+    // Applies new heartbeat thresholds from hospital_system/settings/device_heartbeat
+    function setDeviceRules(nextRules) {
+        rules = nextRules;
+    }
+
+    // One frame per camera into the rolling buffer; cameras mid-capture are skipped
+    async function pollBuffers() {
+        await Promise.allSettled([...cameras.values()].map(async (camera) => {
+            if (captures.has(`${camera.wardKey}/${camera.roomKey}`)) return;
+            const frame = await grab(camera);
+            const buffer = buffers.get(camera.key) || [];
+            buffer.push(frame);
+            while (buffer.length > config.bufferFrames) buffer.shift();
+            buffers.set(camera.key, buffer);
+        }));
+    }
+
+    // Applies retention per incident outcome and deletes expired frames
+    async function sweepRetention() {
+        const records = await repo.listEvidence();
+        for (const [key, record] of Object.entries(records || {})) {
+            if (record.purged_at) continue;
+            const incident = record.incident_id ? await repo.getIncident(record.incident_id) : null;
+            const days = retentionDays(incident, config.retention);
+            const expiresAt = record.captured_at + days * DAY_MS;
+
+            if (now() >= expiresAt) {
+                await store.remove((record.frames || []).map((f) => f.path));
+                await repo.purgeEvidence(key, record.incident_id || null, now());
+                console.log(`🧹 Evidence ${key} purged after ${days} day(s)`);
+            } else if (record.expires_at !== expiresAt) {
+                await repo.updateRetention(key, record.incident_id || null, days, expiresAt);
+            }
+        }
+    }
+
+    function getActiveCaptures() {
+        return [...captures.entries()].map(([room, c]) => ({ room, incidentId: c.incidentId }));
+    }
+
+    return { handleWardsSnapshot, setDeviceRules, pollBuffers, sweepRetention, getActiveCaptures };
+}
+
+module.exports = { createEvidenceService, loadConfig, retentionDays, DEFAULT_CONFIG };
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import evidence from './evidence.cjs';
+import { classifyDevice } from '../src/lib/roomState.js';
+
+const { createEvidenceService, loadConfig } = evidence;
+
+const config = loadConfig({ postFrames: 2, linkRetries: 3 });
+
+// Lets queued timers and promise chains run
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await new Promise((resolve) => setTimeout(resolve, 0));
+};
+
+const wards = (Status, liveStatus = {}) => ({
+  ward_3: {
+    room_301: {
+      devices: { ESP32_S3_CAM: { Status, ip: '10.0.0.2', stream_url: 'http://cam/stream' } },
+      live_status: { incident_id: 'inc1', ...liveStatus },
+    },
+  },
+});
+
+describe('evidence service', () => {
+  let saved;
+  let links;
+  let service;
+
+  // Feeds `from` (Normal by default), then `trigger`, and lets any capture finish
+  const runCapture = async (trigger, { from = wards('Normal'), linkResults = ['attached'] } = {}) => {
+    service = createEvidenceService({
+      fetchFrame: async () => new Uint8Array([0xff, 0xd8]),
+      store: { save: async (folder, name) => ({ path: `${folder}/${name}`, url: `http://store/${folder}/${name}` }) },
+      repo: {
+        saveEvidence: async (key, record) => { saved.push({ key, record }); },
+        linkEvidence: async (key, incidentId) => {
+          links.push(incidentId);
+          return linkResults[links.length - 1] ?? null;
+        },
+      },
+      classifyDevice,
+      config,
+      sleep: async () => { },
+    });
+    service.handleWardsSnapshot(from);
+    service.handleWardsSnapshot(trigger);
+    await settle();
+  };
+
+  beforeEach(() => {
+    saved = [];
+    links = [];
+  });
+
+  it('keeps frames when the camera reports a fall, whatever fall_detected says', async () => {
+    await runCapture(wards('Fall Down', { fall_detected: false }));
+    expect(saved).toHaveLength(1);
+    expect(saved[0].record).toMatchObject({ room_key: 'room_301', trigger_status: 'Fall Down' });
+  });
+
+  it('triggers on any online status going to alarm, whatever the case', async () => {
+    await runCapture(wards('fall'), { from: wards('normal') });
+    await runCapture(wards('EMERGENCY'), { from: wards('Online') });
+    expect(saved.map(({ record }) => record.trigger_status)).toEqual(['fall', 'EMERGENCY']);
+  });
+
+  it.each(['Reconnecting', 'Detecting', ''])('ignores a camera going from Normal to %j', async (status) => {
+    await runCapture(wards(status, { fall_detected: 'true' }));
+    expect(saved).toHaveLength(0);
+  });
+
+  it('ignores an alarm that follows an unknown status', async () => {
+    await runCapture(wards('Fall Down'), { from: wards('Reconnecting') });
+    expect(saved).toHaveLength(0);
+  });
+
+  it('stops linking once the incident turns out to show an earlier capture', async () => {
+    await runCapture(wards('Fall Down'), { linkResults: ['kept'] });
+    expect(links).toEqual(['inc1']);
+  });
+
+  it('retries until the FALL_DETECTED entry is there', async () => {
+    await runCapture(wards('Fall Down'), { linkResults: [null, 'attached'] });
+    expect(links).toEqual(['inc1', 'inc1']);
+  });
+});
@@ -0,0 +1,60 @@
+// --- Evidence frame stores ---
+// Both stores implement { save(folder, name, buffer) => { path, url }, remove(paths) }.
+//   Disk:    EVIDENCE_DIR/evidence/{folder}_{secret}/{name}, served by the evidence
+//            server; the per-folder secret keeps frame URLs from being guessed
+//   Storage: gs://{bucket}/evidence/{folder}/{name} with a Firebase download
+//            token, so the URL works from the dashboard without signing
+//            (also against the Storage emulator via FIREBASE_STORAGE_EMULATOR_HOST)
+const path = require("path");
+const fs = require("fs/promises");
+const crypto = require("crypto");
+
+function createDiskStore({ dir, baseUrl, secret = crypto.randomBytes(32) }) {
+    const root = path.resolve(dir);
+    // Stable for all frames of a capture; stored paths and URLs survive a restart with a new secret
+    const folderSecret = (folder) => crypto.createHmac("sha256", secret).update(folder).digest("hex").slice(0, 32);
+    return {
+        async save(folder, name, buffer) {
+            const relative = path.posix.join("evidence", `${folder}_${folderSecret(folder)}`, name);
+            const file = path.join(root, relative);
+            await fs.mkdir(path.dirname(file), { recursive: true });
+            await fs.writeFile(file, buffer);
+            return { path: relative, url: `${baseUrl.replace(/\/$/, "")}/${relative}` };
+        },
+        async remove(paths) {
+            const folders = new Set();
+            for (const relative of paths) {
+                await fs.rm(path.join(root, relative), { force: true });
+                folders.add(path.dirname(path.join(root, relative)));
+            }
+            // Drop the capture folder once it is empty
+            for (const folder of folders) await fs.rmdir(folder).catch(() => {});
+        },
+    };
+}
+
+function downloadUrl(bucketName, objectPath, token) {
+    const emulatorHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+    const origin = emulatorHost ? `http://${emulatorHost}` : "https://firebasestorage.googleapis.com";
+    return `${origin}/v0/b/${bucketName}/o/${encodeURIComponent(objectPath)}?alt=media&token=${token}`;
+}
+
+function createStorageStore(bucket) {
+    return {
+        async save(folder, name, buffer) {
+            const objectPath = path.posix.join("evidence", folder, name);
+            const token = crypto.randomUUID();
+            await bucket.file(objectPath).save(buffer, {
+                contentType: "image/jpeg",
+                resumable: false,
+                metadata: { metadata: { firebaseStorageDownloadTokens: token } },
+            });
+            return { path: objectPath, url: downloadUrl(bucket.name, objectPath, token) };
+        },
+        async remove(paths) {
+            await Promise.all(paths.map((objectPath) => bucket.file(objectPath).delete({ ignoreNotFound: true })));
+        },
+    };
+}
+
+module.exports = { createDiskStore, createStorageStore };
@@ -0,0 +1,23 @@
+// --- Fake Twilio client ---
+// Drop-in for twilio(accountSid, authToken) used when no credentials are set
+// (local development, emulator runs). Records every request instead of sending it.
+
+function createFakeTwilioClient({ silent = false } = {}) {
+    const sent = [];
+    let seq = 0;
+
+    const record = (kind, params) => {
+        const entry = { sid: `FAKE_${kind.toUpperCase()}_${++seq}`, kind, ...params, dateCreated: new Date().toISOString() };
+        sent.push(entry);
+        if (!silent) console.log(`📨 [fake-twilio] ${kind} → ${params.to}: ${params.body || params.twiml}`);
+        return Promise.resolve(entry);
+    };
+
+    return {
+        sent,
+        messages: { create: (params) => record("sms", params) },
+        calls: { create: (params) => record("call", params) },
+    };
+}
+
+module.exports = { createFakeTwilioClient };
@@ -0,0 +1,40 @@
+// --- Shared Firebase Admin bootstrap for backend services ---
+// Credentials come from the environment instead of a hard-coded path:
+//   FIREBASE_SERVICE_ACCOUNT        → path to the service-account JSON
+//   GOOGLE_APPLICATION_CREDENTIALS  → standard ADC fallback
+//   FIREBASE_DATABASE_URL           → RTDB URL (defaults to the production DB)
+// When FIREBASE_DATABASE_EMULATOR_HOST / FIRESTORE_EMULATOR_HOST are set the Admin
+// SDK talks to the local emulators and no credentials are needed.
+require("dotenv").config();
+const path = require("path");
+const admin = require("firebase-admin");
+
+const DEFAULT_DATABASE_URL = "https://preserving-fall-detector-default-rtdb.firebaseio.com";
+
+function isEmulated() {
+    return !!(process.env.FIREBASE_DATABASE_EMULATOR_HOST || process.env.FIRESTORE_EMULATOR_HOST);
+}
+
+function initAdmin() {
+    if (admin.apps.length > 0) return admin;
+
+    const options = {
+        databaseURL: process.env.FIREBASE_DATABASE_URL || process.env.VITE_DATABASE_URL || DEFAULT_DATABASE_URL,
+    };
+    if (process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID) {
+        options.projectId = process.env.FIREBASE_PROJECT_ID || process.env.VITE_FIREBASE_PROJECT_ID;
+    }
+
+    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+        const serviceAccount = require(path.resolve(process.env.FIREBASE_SERVICE_ACCOUNT));
+        options.credential = admin.credential.cert(serviceAccount);
+    } else if (!isEmulated()) {
+        options.credential = admin.credential.applicationDefault();
+    }
+
+    admin.initializeApp(options);
+    console.log(`🔒 Firebase Admin initialised${isEmulated() ? " (emulator)" : ""}`);
+    return admin;
+}
+
+module.exports = { initAdmin, isEmulated };
@@ -0,0 +1,70 @@
+// --- Single-frame grabber for room cameras ---
+// Prefers the camera's still endpoint (snapshot_url, or /capture derived from
+// stream_url); falls back to cutting the first JPEG out of the MJPEG stream.
+// An ESP32 serves one stream client at a time, so the stream is only opened
+// when there is no usable still endpoint and is closed after one frame.
+
+const TIMEOUT_MS = 3000;
+const MAX_FRAME_BYTES = 2 * 1024 * 1024;
+
+// Same mapping as snapshotUrlFor() in src/lib/cameraStream.js (that module pulls
+// in the browser Firebase SDK, so it cannot be imported here)
+function snapshotUrlFor(streamUrl) {
+    try {
+        const url = new URL(streamUrl);
+        if (url.port === "81") url.port = "";
+        url.pathname = url.pathname.replace(/\/stream\b/, "/capture");
+        return url.toString();
+    } catch {
+        return null;
+    }
+}
+
+function indexOfMarker(buf, from, b1, b2) {
+    for (let i = Math.max(0, from); i < buf.length - 1; i++) {
+        if (buf[i] === b1 && buf[i + 1] === b2) return i;
+    }
+    return -1;
+}
+
+async function fetchStill(url) {
+    const res = await fetch(url, { signal: AbortSignal.timeout(TIMEOUT_MS), cache: "no-store" });
+    if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+    return Buffer.from(await res.arrayBuffer());
+}
+
+async function fetchFirstStreamFrame(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+        const res = await fetch(url, { signal: controller.signal, cache: "no-store" });
+        if (!res.ok) throw new Error(`HTTP ${res.status} from ${url}`);
+        let buf = Buffer.alloc(0);
+        for await (const chunk of res.body) {
+            buf = Buffer.concat([buf, chunk]);
+            const start = indexOfMarker(buf, 0, 0xff, 0xd8);
+            const end = start >= 0 ? indexOfMarker(buf, start + 2, 0xff, 0xd9) : -1;
+            if (end >= 0) return buf.subarray(start, end + 2);
+            if (buf.length > MAX_FRAME_BYTES) throw new Error(`No JPEG frame in first ${MAX_FRAME_BYTES} bytes of ${url}`);
+        }
+        throw new Error(`Stream ended before a full frame: ${url}`);
+    } finally {
+        clearTimeout(timer);
+        controller.abort(); // releases the camera's single stream slot
+    }
+}
+
+/** @param {{ streamUrl: string, snapshotUrl?: string|null }} camera */
+async function fetchFrame(camera) {
+    const stillUrl = camera.snapshotUrl || snapshotUrlFor(camera.streamUrl);
+    if (stillUrl && stillUrl !== camera.streamUrl) {
+        try {
+            return await fetchStill(stillUrl);
+        } catch (err) {
+            if (!camera.streamUrl) throw err;
+        }
+    }
+    return fetchFirstStreamFrame(camera.streamUrl);
+}
+
+module.exports = { fetchFrame, snapshotUrlFor };
@@ -0,0 +1,42 @@
+// --- Backend Log Writer ---
+// Mirrors the dashboard's writeLog() schema (src/lib/logs.js) so backend entries
+// show up in the History tab alongside nurse actions and can be deep-linked:
+//   Firestore logs/{id} + RTDB hospital_system/logs/{id}, id = "{timestamp}_{random}"
+//   { id, type, message, meta, actor, station, timestamp, isoTime, createdAt }
+
+function newLogId(ts) {
+    return `${ts}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// `actor` identifies the service in the audit trail, like a signed-in staff member;
+// `station` stands in for the nurse station an action was taken at
+function createLogWriter(admin, actor = { uid: null, name: "Backend service" }, station = { id: "backend", name: actor.name }) {
+    const fsdb = admin.firestore();
+    const db = admin.database();
+
+    return async function writeLog(type, message, meta = {}) {
+        try {
+            const ts = Date.now();
+            const entry = {
+                id: newLogId(ts),
+                type,
+                message,
+                meta,
+                actor,
+                station,
+                timestamp: ts,
+                isoTime: new Date(ts).toISOString(),
+            };
+
+            await fsdb.collection("logs").doc(entry.id).set({ ...entry, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+            // RTDB cannot store a Firestore sentinel; use the RTDB server timestamp instead
+            await db.ref(`hospital_system/logs/${entry.id}`).set({ ...entry, createdAt: admin.database.ServerValue.TIMESTAMP });
+            return entry;
+        } catch (e) {
+            console.warn("writeLog failed:", e);
+            return null;
+        }
+    };
+}
+
+module.exports = { createLogWriter, newLogId };
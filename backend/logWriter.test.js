@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import logWriter from './logWriter.cjs';
+
+const { createLogWriter } = logWriter;
+
+// Just enough of firebase-admin to see what gets written where
+function createFakeAdmin() {
+  const writes = { firestore: {}, rtdb: {} };
+  const admin = {
+    firestore: Object.assign(() => ({
+      collection: (name) => ({
+        doc: (id) => ({ set: async (data) => { writes.firestore[`${name}/${id}`] = data; } }),
+      }),
+    }), { FieldValue: { serverTimestamp: () => 'FS_TIMESTAMP' } }),
+    database: Object.assign(() => ({
+      ref: (path) => ({
+        set: async (data) => { writes.rtdb[path] = data; },
+        update: async () => { throw new Error('log entries must be written with set'); },
+      }),
+    }), { ServerValue: { TIMESTAMP: 'RTDB_TIMESTAMP' } }),
+  };
+  return { admin, writes };
+}
+
+describe('createLogWriter', () => {
+  it('writes one entry under the same id to Firestore and RTDB', async () => {
+    const { admin, writes } = createFakeAdmin();
+    const writeLog = createLogWriter(admin, { uid: null, name: 'Escalation server' });
+    const entry = await writeLog('ONCALL_NOTIFIED', 'Ward on-call nurse paged', { wardKey: 'ward_3' });
+
+    expect(entry.id).toMatch(/^\d{13}_[a-z0-9]+$/);
+    expect(entry.id.startsWith(String(entry.timestamp))).toBe(true);
+    expect(entry.station).toEqual({ id: 'backend', name: 'Escalation server' });
+    expect(writes.firestore[`logs/${entry.id}`]).toMatchObject({ ...entry, createdAt: 'FS_TIMESTAMP' });
+    expect(writes.rtdb[`hospital_system/logs/${entry.id}`]).toMatchObject({ ...entry, createdAt: 'RTDB_TIMESTAMP' });
+  });
+
+  it('keeps entries written in the same millisecond apart', async () => {
+    const { admin, writes } = createFakeAdmin();
+    const writeLog = createLogWriter(admin);
+    await Promise.all([writeLog('SYSTEM', 'one'), writeLog('SYSTEM', 'two'), writeLog('SYSTEM', 'three')]);
+    expect(Object.keys(writes.rtdb)).toHaveLength(3);
+    expect(Object.keys(writes.firestore)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,89 @@
+// --- Minimal JPEG encoder for the mock camera ---
+// Baseline grayscale JPEG where every 8x8 block is one flat shade (DC only,
+// no AC coefficients). Blocky, but enough for a test pattern and a clock, and
+// decodable by any browser without pulling an image library into the repo.
+
+// Standard luminance DC Huffman table (ITU T.81, Table K.3)
+const DC_BITS = [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0];
+const DC_VALUES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+// AC table with a single symbol: end-of-block, code "0"
+const AC_BITS = [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+const AC_VALUES = [0x00];
+const QUANT = 8; // DC of a flat block is 8 × (shade − 128), so shades map 1:1
+
+function huffmanCodes(bits, values) {
+    const codes = {};
+    let code = 0;
+    let k = 0;
+    for (let len = 1; len <= 16; len++) {
+        for (let i = 0; i < bits[len - 1]; i++) {
+            codes[values[k++]] = { code, len };
+            code++;
+        }
+        code <<= 1;
+    }
+    return codes;
+}
+
+const DC_CODES = huffmanCodes(DC_BITS, DC_VALUES);
+const EOB = huffmanCodes(AC_BITS, AC_VALUES)[0];
+
+function createBitWriter() {
+    const bytes = [];
+    let acc = 0;
+    let count = 0;
+    return {
+        write(value, len) {
+            for (let i = len - 1; i >= 0; i--) {
+                acc = (acc << 1) | ((value >> i) & 1);
+                if (++count === 8) {
+                    bytes.push(acc);
+                    if (acc === 0xff) bytes.push(0x00); // byte stuffing
+                    acc = 0;
+                    count = 0;
+                }
+            }
+        },
+        finish() {
+            if (count > 0) this.write((1 << (8 - count)) - 1, 8 - count); // pad with 1s
+            return bytes;
+        },
+    };
+}
+
+const segment = (marker, body) => [0xff, marker, (body.length + 2) >> 8, (body.length + 2) & 0xff, ...body];
+
+/**
+ * @param {number} blocksX  width in 8px blocks
+ * @param {number} blocksY  height in 8px blocks
+ * @param {(bx: number, by: number) => number} shadeAt  0–255 per block
+ * @returns {Buffer}
+ */
+function encodeBlockJpeg(blocksX, blocksY, shadeAt) {
+    const width = blocksX * 8;
+    const height = blocksY * 8;
+
+    const dqt = segment(0xdb, [0x00, ...new Array(64).fill(QUANT)]);
+    const sof = segment(0xc0, [8, height >> 8, height & 0xff, width >> 8, width & 0xff, 1, 1, 0x11, 0]);
+    const dht = segment(0xc4, [0x00, ...DC_BITS, ...DC_VALUES, 0x10, ...AC_BITS, ...AC_VALUES]);
+    const sos = segment(0xda, [1, 1, 0x00, 0, 63, 0]);
+
+    const bits = createBitWriter();
+    let previous = 0;
+    for (let by = 0; by < blocksY; by++) {
+        for (let bx = 0; bx < blocksX; bx++) {
+            const dc = Math.max(0, Math.min(255, Math.round(shadeAt(bx, by)))) - 128;
+            const diff = dc - previous;
+            previous = dc;
+            const size = diff === 0 ? 0 : Math.floor(Math.log2(Math.abs(diff))) + 1;
+            const { code, len } = DC_CODES[size];
+            bits.write(code, len);
+            if (size > 0) bits.write(diff < 0 ? diff + (1 << size) - 1 : diff, size);
+            bits.write(EOB.code, EOB.len);
+        }
+    }
+
+    return Buffer.from([0xff, 0xd8, ...dqt, ...sof, ...dht, ...sos, ...bits.finish(), 0xff, 0xd9]);
+}
+
+module.exports = { encodeBlockJpeg };
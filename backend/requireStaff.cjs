@@ -0,0 +1,26 @@
+// --- Staff check for the backend HTTP endpoints ---
+// Callers send `Authorization: Bearer <Firebase ID token>` of a signed-in
+// staff account; the role is the Auth custom claim set by set-staff-role.cjs.
+// Device accounts (role "device") are not staff.
+
+const STAFF_ROLES = ["nurse", "charge_nurse", "technician", "admin"];
+
+// Express middleware; `auth` is admin.auth()
+function requireStaff(auth, roles = STAFF_ROLES) {
+    return async (req, res, next) => {
+        const match = /^Bearer (.+)$/.exec(req.get("authorization") || "");
+        if (!match) return res.status(401).json({ error: "Missing ID token" });
+
+        let token;
+        try {
+            token = await auth.verifyIdToken(match[1]);
+        } catch {
+            return res.status(401).json({ error: "Invalid ID token" });
+        }
+        if (!roles.includes(token.role)) return res.status(403).json({ error: "Not permitted for this role" });
+        req.staff = token;
+        next();
+    };
+}
+
+module.exports = { requireStaff, STAFF_ROLES };
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import requireStaffModule from './requireStaff.cjs';
+
+const { requireStaff } = requireStaffModule;
+
+// ID tokens are just the role here
+const auth = {
+  verifyIdToken: async (token) => {
+    if (token === 'expired') throw new Error('auth/id-token-expired');
+    return { uid: `${token}-uid`, role: token };
+  },
+};
+
+async function call(authorization) {
+  const req = { get: (name) => (name === 'authorization' ? authorization : undefined) };
+  const res = {
+    status(code) { this.code = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+  let passed = false;
+  await requireStaff(auth)(req, res, () => { passed = true; });
+  return { passed, code: res.code, staff: req.staff };
+}
+
+describe('requireStaff', () => {
+  it.each(['nurse', 'charge_nurse', 'technician', 'admin'])('lets a %s through', async (role) => {
+    const { passed, staff } = await call(`Bearer ${role}`);
+    expect(passed).toBe(true);
+    expect(staff).toEqual({ uid: `${role}-uid`, role });
+  });
+
+  it('turns away requests without a token', async () => {
+    expect(await call(undefined)).toMatchObject({ passed: false, code: 401 });
+    expect(await call('Basic bnVyc2U6')).toMatchObject({ passed: false, code: 401 });
+  });
+
+  it('turns away tokens that do not verify', async () => {
+    expect(await call('Bearer expired')).toMatchObject({ passed: false, code: 401 });
+  });
+
+  it('turns away device accounts and other roles', async () => {
+    expect(await call('Bearer device')).toMatchObject({ passed: false, code: 403 });
+    expect(await call('Bearer visitor')).toMatchObject({ passed: false, code: 403 });
+  });
+});
@@ -0,0 +1,120 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, afterAll, beforeEach } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+
+// Runs against the Realtime Database emulator: `npm run test:rules`
+// (skipped by `npm test`, where FIREBASE_DATABASE_EMULATOR_HOST is not set)
+const ROOM = 'hospital_system/wards/ward_3/room_301';
+
+describe.skipIf(!process.env.FIREBASE_DATABASE_EMULATOR_HOST)('database.rules.json', () => {
+  let testEnv;
+
+  const as = (role) => testEnv.authenticatedContext(`${role}-uid`, { role }).database();
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'nurse-station-rules-test',
+      database: { rules: readFileSync('database.rules.json', 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearDatabase();
+    await testEnv.withSecurityRulesDisabled((ctx) => ctx.database().ref(ROOM).set({
+      devices: {
+        ESP32_S3_CAM: { Status: 'Fall Down', Detection: 'Yes', ip: '10.0.0.2' },
+        Pir_Motion_Sensor: { val: 1, object_present: 'Yes' },
+      },
+      live_status: { fall_detected: true, acknowledged: true, incident_id: 'inc1' },
+    }));
+  });
+
+  it('requires sign-in to read', async () => {
+    await assertFails(testEnv.unauthenticatedContext().database().ref(ROOM).get());
+    await assertSucceeds(as('nurse').ref(ROOM).get());
+  });
+
+  describe('room devices', () => {
+    // The reset confirmResolution() sends in App.jsx
+    const reset = {
+      'devices/Pir_Motion_Sensor/val': 0,
+      'devices/Pir_Motion_Sensor/object_present': 'No',
+      'devices/ESP32_S3_CAM/Status': 'Normal',
+      'devices/ESP32_S3_CAM/Detection': 'No',
+    };
+
+    it.each(['nurse', 'charge_nurse'])('lets a %s reset the fall paths', async (role) => {
+      await assertSucceeds(as(role).ref(ROOM).update(reset));
+    });
+
+    it.each(['nurse', 'charge_nurse'])('keeps a %s to the reset values', async (role) => {
+      await assertFails(as(role).ref(`${ROOM}/devices/ESP32_S3_CAM/Status`).set('Fall Down'));
+      await assertFails(as(role).ref(`${ROOM}/devices/Pir_Motion_Sensor/val`).set(1));
+    });
+
+    it.each(['nurse', 'charge_nurse'])('denies a %s any other device write', async (role) => {
+      await assertFails(as(role).ref(`${ROOM}/devices/ESP32_S3_CAM/ip`).set('10.0.0.66'));
+      await assertFails(as(role).ref(`${ROOM}/devices/ESP32_S3_CAM`).set({ Status: 'Normal' }));
+      await assertFails(as(role).ref(`${ROOM}/devices`).set(null));
+    });
+
+    it.each(['device', 'technician', 'admin'])('lets a %s write whole device nodes', async (role) => {
+      await assertSucceeds(as(role).ref(`${ROOM}/devices/ESP32_S3_CAM`).set({ Status: 'Normal', ip: '10.0.0.3' }));
+      await assertSucceeds(as(role).ref(`${ROOM}/devices/Pir_Motion_Sensor`).remove());
+    });
+
+    it('denies staff without a role', async () => {
+      await assertFails(testEnv.authenticatedContext('no-role').database().ref(`${ROOM}/devices/ESP32_S3_CAM/Status`).set('Normal'));
+    });
+  });
+
+  describe('live_status', () => {
+    it('only lets devices raise a fall', async () => {
+      await assertFails(as('nurse').ref(`${ROOM}/live_status/fall_detected`).set(true));
+      await assertSucceeds(as('nurse').ref(`${ROOM}/live_status/fall_detected`).set(false));
+      await assertSucceeds(as('device').ref(`${ROOM}/live_status/fall_detected`).set(true));
+    });
+
+    it('only lets devices clear an acknowledgement', async () => {
+      await assertFails(as('device').ref(`${ROOM}/live_status/acknowledged`).set(true));
+      await assertSucceeds(as('device').ref(`${ROOM}/live_status/acknowledged`).set(false));
+      await assertSucceeds(as('nurse').ref(`${ROOM}/live_status/acknowledged`).set(true));
+    });
+
+    it('requires fall_at to be a number', async () => {
+      await assertSucceeds(as('nurse').ref(`${ROOM}/live_status/fall_at`).set(Date.now()));
+      await assertFails(as('nurse').ref(`${ROOM}/live_status/fall_at`).set('yesterday'));
+    });
+
+    it('keeps other live_status fields to devices', async () => {
+      await assertFails(as('nurse').ref(`${ROOM}/live_status/self_test`).set(true));
+      await assertSucceeds(as('device').ref(`${ROOM}/live_status/self_test`).set(true));
+    });
+  });
+
+  it('keeps patient info to clinical staff', async () => {
+    await assertSucceeds(as('nurse').ref(`${ROOM}/patient_info/name`).set('Somchai'));
+    await assertFails(as('technician').ref(`${ROOM}/patient_info/name`).set('Somchai'));
+  });
+
+  it('keeps logs append-only', async () => {
+    const entry = { type: 'SYSTEM', message: 'hello', timestamp: 1 };
+    await assertSucceeds(as('nurse').ref('hospital_system/logs/1_abc').set(entry));
+    await assertFails(as('nurse').ref('hospital_system/logs/1_abc').set({ ...entry, message: 'edited' }));
+    await assertFails(as('nurse').ref('hospital_system/logs/2_abc').set({ type: 'SYSTEM' }));
+  });
+
+  it('keeps device commands to technicians', async () => {
+    const command = { type: 'reboot', status: 'pending' };
+    await assertFails(as('nurse').ref('hospital_system/devices/cam-1/commands/c1').set(command));
+    await assertSucceeds(as('technician').ref('hospital_system/devices/cam-1/commands/c1').set(command));
+    await assertSucceeds(as('device').ref('hospital_system/devices/cam-1/commands/c1').update({ status: 'done' }));
+  });
+
+  it('keeps settings to admins', async () => {
+    await assertFails(as('charge_nurse').ref('hospital_system/settings/alarm_tone').set('chime'));
+    await assertSucceeds(as('admin').ref('hospital_system/settings/alarm_tone').set('chime'));
+  });
+});
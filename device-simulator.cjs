@@ -0,0 +1,343 @@
+// Device simulator: fills hospital_system/wards and hospital_system/devices with
+// fake ESP32-S3 cameras and PIR sensors, then plays scripted scenarios so the
+// Monitor and Device Manager tabs can be demoed without hardware.
+//
+//   node device-simulator.cjs seed [--wards 2] [--rooms 4] [--reset] [--camera-url http://127.0.0.1:8081]
+//   node device-simulator.cjs <scenario> [--ward ward_1] [--room room_101] [--step 5]
+//   node device-simulator.cjs heartbeat [--step 10]      keep every device alive until Ctrl+C
+//   node device-simulator.cjs commands [--fail]          answer Device Manager commands until Ctrl+C
+//
+// Scenarios: fall | fall-recovery | fall-still | ghost-fall | left-bed | flapping | silent | new-device
+//
+// Runs against the emulator only (FIREBASE_DATABASE_EMULATOR_HOST=127.0.0.1:9000)
+// unless --allow-production is passed.
+const { initAdmin, isEmulated } = require("./backend/firebaseAdmin.cjs");
+
+const CAMERA = "ESP32_S3_CAM";
+const PIR = "Pir_Motion_Sensor";
+const PATIENTS = ["Somchai P.", "Malee K.", "Anong S.", "Prasert W.", "Suda T.", "Niran C.", "Kanya R.", "Wichai B."];
+
+function parseArgs(argv) {
+    const [command, ...rest] = argv;
+    const opts = {};
+    for (let i = 0; i < rest.length; i++) {
+        const key = rest[i].replace(/^--/, "");
+        const next = rest[i + 1];
+        if (next === undefined || next.startsWith("--")) {
+            opts[key] = true;
+        } else {
+            opts[key] = next;
+            i++;
+        }
+    }
+    return { command, opts };
+}
+
+const sleep = (seconds) => new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+
+const wardKey = (w) => `ward_${w}`;
+const roomKey = (w, r) => `room_${w}${String(r).padStart(2, "0")}`;
+
+// `cameraUrl` points the stream at mock-camera-server.cjs instead of a made-up board IP
+function cameraNode(w, r, now, cameraUrl) {
+    const host = `192.168.${w}.${100 + r}`;
+    const mock = cameraUrl ? cameraUrl.replace(/\/+$/, "") : null;
+    return {
+        Status: "Normal",
+        Detection: "No",
+        ip: host,
+        mac: `AA:BB:CC:${String(w).padStart(2, "0")}:${String(r).padStart(2, "0")}:01`,
+        model: "ESP32-S3-CAM",
+        stream_url: mock ? `${mock}/stream/${wardKey(w)}/${roomKey(w, r)}` : `http://${host}:81/stream`,
+        snapshot_url: mock ? `${mock}/capture/${wardKey(w)}/${roomKey(w, r)}` : `http://${host}/capture`,
+        heartbeat: now,
+    };
+}
+
+function pirNode(now) {
+    return { val: 0, object_present: "No", heartbeat: now };
+}
+
+// --- seed: N wards x M rooms, one camera + one PIR per room ---
+async function seed(db, { wards = 2, rooms = 4, reset = false, "camera-url": cameraUrl }) {
+    const now = Date.now();
+    const updates = {};
+    if (reset) {
+        updates["hospital_system/wards"] = null;
+        updates["hospital_system/devices"] = null;
+        updates["hospital_system/device_liveness"] = null;
+    }
+    for (let w = 1; w <= Number(wards); w++) {
+        for (let r = 1; r <= Number(rooms); r++) {
+            const base = `hospital_system/wards/${wardKey(w)}/${roomKey(w, r)}`;
+            updates[`${base}/devices/${CAMERA}`] = cameraNode(w, r, now, cameraUrl);
+            updates[`${base}/devices/${PIR}`] = pirNode(now);
+            updates[`${base}/live_status`] = { fall_detected: false, acknowledged: false };
+            updates[`${base}/patient_info`] = { name: PATIENTS[(w * 10 + r) % PATIENTS.length] };
+            updates[`${base}/fall_detection/last_update`] = new Date(now).toISOString();
+
+            const deviceId = `CAM_${w}${String(r).padStart(2, "0")}`;
+            updates[`hospital_system/devices/${deviceId}`] = {
+                type: "ESP32-S3-CAM",
+                ip: `192.168.${w}.${100 + r}`,
+                config: { ward_id: wardKey(w), assigned_room: roomKey(w, r), room_id: roomKey(w, r) },
+            };
+        }
+    }
+    await db.ref().update(updates);
+    console.log(`🏥 Seeded ${wards} ward(s) x ${rooms} room(s)${reset ? " (reset)" : ""}`);
+}
+
+// --- Room helpers used by the scenarios ---
+function roomRef(db, ward, room) {
+    return db.ref(`hospital_system/wards/${ward}/${room}`);
+}
+
+async function requireRoom(db, ward, room) {
+    const snap = await roomRef(db, ward, room).child("devices").once("value");
+    if (!snap.exists()) {
+        throw new Error(`${ward}/${room} has no devices. Run "seed" first or pass --ward/--room.`);
+    }
+}
+
+function setCamera(db, ward, room, fields) {
+    return roomRef(db, ward, room).child(`devices/${CAMERA}`).update({ ...fields, heartbeat: Date.now() });
+}
+
+function setPir(db, ward, room, fields) {
+    return roomRef(db, ward, room).child(`devices/${PIR}`).update({ ...fields, heartbeat: Date.now() });
+}
+
+async function raiseFall(db, ward, room) {
+    await setPir(db, ward, room, { val: 1, object_present: "Yes" });
+    await setCamera(db, ward, room, { Detection: "Yes", Status: "Fall Down" });
+    await roomRef(db, ward, room).update({
+        "live_status/fall_detected": true,
+        "fall_detection/last_update": new Date().toISOString(),
+    });
+    console.log(`🚨 Fall raised in ${ward}/${room}`);
+}
+
+async function clearFall(db, ward, room) {
+    await setCamera(db, ward, room, { Detection: "No", Status: "Normal" });
+    await setPir(db, ward, room, { val: 0, object_present: "No" });
+    await roomRef(db, ward, room).update({ "live_status/fall_detected": false });
+    console.log(`✅ ${ward}/${room} back to normal`);
+}
+
+// Keeps heartbeats flowing for every device except the ones in `skip`
+function startHeartbeat(db, stepSeconds, skip = new Set()) {
+    const beat = async () => {
+        const snap = await db.ref("hospital_system/wards").once("value");
+        const updates = {};
+        const now = Date.now();
+        snap.forEach((ward) => {
+            ward.forEach((room) => {
+                room.child("devices").forEach((dev) => {
+                    const path = `${ward.key}/${room.key}/${dev.key}`;
+                    if (!skip.has(path)) updates[`hospital_system/wards/${path}/heartbeat`] = now;
+                });
+            });
+        });
+        await db.ref().update(updates);
+    };
+    const timer = setInterval(() => beat().catch((err) => console.error("❌ Heartbeat failed:", err.message)), stepSeconds * 1000);
+    beat().catch((err) => console.error("❌ Heartbeat failed:", err.message));
+    return () => clearInterval(timer);
+}
+
+// --- Command responder: answers hospital_system/devices/*/commands like the firmware ---
+// pending → acked → succeeded | failed, with a `result` (see src/lib/deviceCommands.js)
+async function selfTest(db, device, commandId, cmd) {
+    const ward = device.config?.ward_id;
+    const room = device.config?.assigned_room;
+    if (!ward || !room || room === "unassigned") return { ok: false, message: "device is not assigned to a room" };
+
+    const live = roomRef(db, ward, room).child("live_status");
+    await live.update({ self_test: commandId });
+    await raiseFall(db, ward, room);
+    const raisedAt = Date.now();
+
+    // Finish a little before the station times the command out
+    let ack = null;
+    while (!ack && Date.now() < cmd.expires_at - 5000) {
+        await sleep(1);
+        const snap = await live.once("value");
+        if (snap.child("acknowledged").val() === true) ack = snap.val();
+    }
+
+    await clearFall(db, ward, room);
+    await live.update({ self_test: null, acknowledged: false, acknowledged_at: null, acknowledged_by: null });
+    if (!ack) return { ok: false, message: "alarm was not acknowledged" };
+    const seconds = Math.round(((ack.acknowledged_at || Date.now()) - raisedAt) / 1000);
+    return { ok: true, message: `acknowledged by ${ack.acknowledged_by?.name || "staff"} after ${seconds}s`, ack_seconds: seconds };
+}
+
+async function runCommand(db, deviceId, device, commandId, cmd, { fail }) {
+    const cmdRef = db.ref(`hospital_system/devices/${deviceId}/commands/${commandId}`);
+    await cmdRef.update({ status: "acked", acked_at: Date.now() });
+    console.log(`📥 ${deviceId} ← ${cmd.type}`);
+
+    let result;
+    if (fail) {
+        await sleep(2);
+        result = { ok: false, message: "simulated failure" };
+    } else if (cmd.type === "reboot") {
+        await sleep(8);
+        result = { ok: true, message: "rebooted", firmware: "sim-1.0" };
+    } else if (cmd.type === "recalibrate") {
+        await sleep(4);
+        result = { ok: true, message: `calibrated at sensitivity ${cmd.params?.sensitivity}`, sensitivity: cmd.params?.sensitivity };
+    } else if (cmd.type === "config_push") {
+        await sleep(1);
+        result = { ok: true, message: `config applied (${cmd.params?.config?.assigned_room || "unassigned"})` };
+    } else if (cmd.type === "self_test") {
+        result = await selfTest(db, device, commandId, cmd);
+    } else {
+        result = { ok: false, message: `unknown command "${cmd.type}"` };
+    }
+
+    await cmdRef.update({ status: result.ok ? "succeeded" : "failed", completed_at: Date.now(), result });
+    console.log(`${result.ok ? "✅" : "❌"} ${deviceId} ${cmd.type}: ${result.message}`);
+}
+
+function startCommandResponder(db, { fail = false } = {}) {
+    const handled = new Set();
+    db.ref("hospital_system/devices").on("value", (snap) => {
+        snap.forEach((dev) => {
+            dev.child("commands").forEach((cmd) => {
+                const key = `${dev.key}/${cmd.key}`;
+                if (cmd.child("status").val() !== "pending" || handled.has(key)) return;
+                handled.add(key);
+                runCommand(db, dev.key, dev.val(), cmd.key, cmd.val(), { fail })
+                    .catch((err) => console.error(`❌ ${key} failed:`, err.message));
+            });
+        });
+    });
+}
+
+const SCENARIOS = {
+    // Fall that stays active until a nurse acknowledges and resolves it in the UI
+    async fall(db, { ward, room }) {
+        await raiseFall(db, ward, room);
+        console.log("👉 Acknowledge and resolve it in the dashboard.");
+    },
+
+    // Fall that the device clears by itself (patient got up)
+    async "fall-recovery"(db, { ward, room, step }) {
+        await raiseFall(db, ward, room);
+        await sleep(step * 2);
+        await clearFall(db, ward, room);
+    },
+
+    // Fall where the patient stops moving: sensor fusion raises "no movement after fall"
+    async "fall-still"(db, { ward, room, step }) {
+        await raiseFall(db, ward, room);
+        await sleep(step);
+        await setPir(db, ward, room, { val: 0, object_present: "No" });
+        console.log(`🛌 ${ward}/${room} PIR still; "No movement after fall" follows after noMotionAfterFall.afterMinutes`);
+    },
+
+    // Camera alarm that nothing else backs up: no PIR motion, patient not in view
+    async "ghost-fall"(db, { ward, room, step }) {
+        await setPir(db, ward, room, { val: 0, object_present: "No" });
+        await setCamera(db, ward, room, { Detection: "No", Status: "Fall Down" });
+        console.log(`👻 ${ward}/${room} camera alarm without corroboration (possible fall)`);
+        await sleep(step * 2);
+        await clearFall(db, ward, room);
+    },
+
+    // Patient in bed, gets up and walks around, then leaves the room
+    async "left-bed"(db, { ward, room, step }) {
+        await setCamera(db, ward, room, { Detection: "Yes", Status: "Normal" });
+        await setPir(db, ward, room, { val: 0, object_present: "No" });
+        console.log(`🛏️ ${ward}/${room} patient in bed`);
+        await sleep(step);
+        await setCamera(db, ward, room, { Detection: "No" });
+        await setPir(db, ward, room, { val: 1, object_present: "Yes" });
+        console.log(`🚶 ${ward}/${room} patient out of bed`);
+        await sleep(step * 2);
+        await setPir(db, ward, room, { val: 0, object_present: "No" });
+        console.log(`🚪 ${ward}/${room} room quiet; "Room empty" follows after roomEmpty.afterMinutes`);
+    },
+
+    // Camera flipping between Normal and an unrecognised / alarm status
+    async flapping(db, { ward, room, step, cycles = 5 }) {
+        const statuses = ["Normal", "Reconnecting", "Normal", "Fall Down"];
+        for (let i = 0; i < Number(cycles) * statuses.length; i++) {
+            const status = statuses[i % statuses.length];
+            await setCamera(db, ward, room, { Status: status });
+            console.log(`🔁 ${ward}/${room} ${CAMERA} → ${status}`);
+            await sleep(step / 2);
+        }
+        await clearFall(db, ward, room);
+    },
+
+    // Devices stop heartbeating while the rest of the hospital stays alive
+    async silent(db, { ward, room, step, duration = 180 }) {
+        const skip = new Set([`${ward}/${room}/${CAMERA}`, `${ward}/${room}/${PIR}`]);
+        console.log(`🔇 ${ward}/${room} goes silent for ${duration}s (others keep heartbeating every ${step}s)`);
+        const stop = startHeartbeat(db, step, skip);
+        await sleep(Number(duration));
+        stop();
+        await setCamera(db, ward, room, {});
+        await setPir(db, ward, room, {});
+        console.log(`📶 ${ward}/${room} heartbeat resumed`);
+    },
+
+    // An unconfigured board announcing itself under hospital_system/devices
+    async "new-device"(db) {
+        const suffix = Math.random().toString(16).slice(2, 8).toUpperCase();
+        const deviceId = `ESP32_${suffix}`;
+        await db.ref(`hospital_system/devices/${deviceId}`).set({
+            type: "ESP32-S3-CAM",
+            ip: `192.168.99.${Math.floor(Math.random() * 200) + 20}`,
+            mac: `AA:BB:CC:99:${suffix.slice(0, 2)}:${suffix.slice(2, 4)}`,
+            heartbeat: Date.now(),
+            config: { assigned_room: "unassigned" },
+        });
+        console.log(`🆕 ${deviceId} registered as unassigned`);
+    },
+};
+
+async function main() {
+    const { command, opts } = parseArgs(process.argv.slice(2));
+    if (!command || (command !== "seed" && command !== "heartbeat" && command !== "commands" && !SCENARIOS[command])) {
+        console.error("Usage: node device-simulator.cjs seed [--wards N] [--rooms N] [--reset] [--camera-url URL]");
+        console.error("       node device-simulator.cjs heartbeat [--step SECONDS]");
+        console.error("       node device-simulator.cjs commands [--fail]");
+        console.error(`       node device-simulator.cjs <${Object.keys(SCENARIOS).join("|")}> [--ward ward_1] [--room room_101] [--step SECONDS]`);
+        process.exit(1);
+    }
+    if (!isEmulated() && !opts["allow-production"]) {
+        console.error("❌ Refusing to write to a real database. Set FIREBASE_DATABASE_EMULATOR_HOST or pass --allow-production.");
+        process.exit(1);
+    }
+
+    const db = initAdmin().database();
+    const step = Number(opts.step) || 5;
+
+    if (command === "seed") {
+        await seed(db, opts);
+    } else if (command === "heartbeat") {
+        console.log(`💓 Heartbeating all devices every ${step}s. Ctrl+C to stop.`);
+        startHeartbeat(db, step);
+        return; // keep running
+    } else if (command === "commands") {
+        console.log(`📡 Answering device commands${opts.fail ? " (every command fails)" : ""}. Ctrl+C to stop.`);
+        startCommandResponder(db, { fail: !!opts.fail });
+        return; // keep running
+    } else {
+        const ward = opts.ward || "ward_1";
+        const room = opts.room || "room_101";
+        if (command !== "new-device") await requireRoom(db, ward, room);
+        console.log(`▶️  Scenario "${command}" on ${ward}/${room}`);
+        await SCENARIOS[command](db, { ...opts, ward, room, step });
+    }
+    process.exit(0);
+}
+
+main().catch((error) => {
+    console.error("❌ Simulator failed:", error.message);
+    process.exit(1);
+});
@@ -0,0 +1,88 @@
+// Fall escalation server: pages the on-call list by SMS / voice when a fall
+// stays unacknowledged. Run with `npm run escalation-server`.
+//
+// Environment (.env is loaded automatically):
+//   ESCALATION_CONFIG      path to a JSON config (see escalation.config.example.json)
+//   TWILIO_ACCOUNT_SID     \
+//   TWILIO_AUTH_TOKEN       > real Twilio; without them a fake client logs to the console
+//   TWILIO_FROM_NUMBER     /
+//   ESCALATION_PORT        HTTP port for /health and /escalations (default 8787)
+//   ESCALATION_HOST        interface to listen on (default 127.0.0.1; 0.0.0.0 to serve other hosts)
+//   APP_URL                dashboard URL for room links in SMS (overrides `appUrl`)
+//
+// /escalations needs `Authorization: Bearer <Firebase ID token>` of a staff account.
+const path = require("path");
+const fs = require("fs");
+const express = require("express");
+const cors = require("cors");
+const twilio = require("twilio");
+const { initAdmin } = require("./backend/firebaseAdmin.cjs");
+const { createLogWriter } = require("./backend/logWriter.cjs");
+const { createEscalationService, loadConfig } = require("./backend/escalation.cjs");
+const { createFakeTwilioClient } = require("./backend/fakeTwilio.cjs");
+const { requireStaff } = require("./backend/requireStaff.cjs");
+
+function readConfigFile() {
+    const file = process.env.ESCALATION_CONFIG;
+    if (!file) return {};
+    return JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+}
+
+function createTwilioClient() {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN } = process.env;
+    if (TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN) {
+        console.log("📞 Twilio client ready");
+        return twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+    }
+    console.warn("⚠️ TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN not set — using fake Twilio client");
+    return createFakeTwilioClient();
+}
+
+async function main() {
+    // roomState.js is an ES module shared with the dashboard
+    const { getRoomState } = await import("./src/lib/roomState.js");
+
+    const admin = initAdmin();
+    const fileConfig = readConfigFile();
+    const config = loadConfig({
+        ...fileConfig,
+        fromNumber: process.env.TWILIO_FROM_NUMBER || fileConfig.fromNumber || "",
+        appUrl: process.env.APP_URL || fileConfig.appUrl || "",
+    });
+
+    const service = createEscalationService({
+        twilioClient: createTwilioClient(),
+        writeLog: createLogWriter(admin, { uid: null, name: "Escalation server" }),
+        getRoomState,
+        config,
+    });
+
+    console.log(`📡 Watching hospital_system/wards (${config.tiers.length} escalation tiers)...`);
+    admin.database().ref("hospital_system/wards").on("value", (snapshot) => {
+        service.handleWardsSnapshot(snapshot.val() || {});
+        service.tick();
+    }, (error) => {
+        console.error("❌ Ward Listen Error:", error);
+    });
+
+    let ticking = false;
+    setInterval(async () => {
+        if (ticking) return;
+        ticking = true;
+        try { await service.tick(); } finally { ticking = false; }
+    }, config.tickSeconds * 1000);
+
+    const app = express();
+    app.use(cors());
+    app.get("/health", (_req, res) => res.json({ ok: true }));
+    app.get("/escalations", requireStaff(admin.auth()), (_req, res) => res.json(service.getOpenIncidents()));
+
+    const port = Number(process.env.ESCALATION_PORT) || 8787;
+    const host = process.env.ESCALATION_HOST || "127.0.0.1";
+    app.listen(port, host, () => console.log(`✅ Escalation server listening on ${host}:${port}`));
+}
+
+main().catch((error) => {
+    console.error("❌ Escalation server failed to start:", error);
+    process.exit(1);
+});
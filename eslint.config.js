@@ -30,4 +30,8 @@ export default defineConfig([
       }],
     },
   },
+  {
+    files: ['*.rules.test.js'],
+    languageOptions: { globals: globals.node },
+  },
 ])
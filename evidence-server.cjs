@@ -0,0 +1,183 @@
+// Fall evidence server: buffers camera frames per room and, when a camera goes
+// from online to alarm, keeps the frames around the event and attaches them
+// to the incident and its FALL_DETECTED log entry. Run with `npm run evidence-server`.
+//
+// Environment (.env is loaded automatically):
+//   EVIDENCE_CONFIG        path to a JSON config (see evidence.config.example.json)
+//   EVIDENCE_BUCKET        Storage bucket for frames; without it frames go to local disk
+//   FIREBASE_STORAGE_EMULATOR_HOST  e.g. 127.0.0.1:9199 to use the Storage emulator
+//   EVIDENCE_DIR           local disk folder (default ./evidence-data)
+//   EVIDENCE_PUBLIC_URL    URL the dashboard reaches this server on (default http://127.0.0.1:{port})
+//   EVIDENCE_PORT          HTTP port for /health, /captures and disk frames (default 8788)
+//   EVIDENCE_HOST          interface to listen on (default 127.0.0.1; 0.0.0.0 to serve other hosts)
+//
+// /captures needs `Authorization: Bearer <Firebase ID token>` of a staff account.
+const path = require("path");
+const fs = require("fs");
+const express = require("express");
+const cors = require("cors");
+const { initAdmin } = require("./backend/firebaseAdmin.cjs");
+const { createEvidenceService, loadConfig } = require("./backend/evidence.cjs");
+const { createDiskStore, createStorageStore } = require("./backend/evidenceStore.cjs");
+const { fetchFrame } = require("./backend/frameGrabber.cjs");
+const { requireStaff } = require("./backend/requireStaff.cjs");
+
+const SWEEP_MS = 60 * 60 * 1000;
+
+function readConfigFile() {
+    const file = process.env.EVIDENCE_CONFIG;
+    if (!file) return {};
+    return JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+}
+
+// Evidence records live in RTDB hospital_system/evidence/{key}; a summary is
+// copied onto the Firestore incident and the FALL_DETECTED log entry (both stores).
+// The first capture of an incident owns that summary: a camera that flaps again
+// during the same incident keeps its own record but never replaces it.
+function createEvidenceRepo(admin) {
+    const db = admin.database();
+    const fsdb = admin.firestore();
+    const evidenceRef = (key) => db.ref(`hospital_system/evidence/${key}`);
+
+    async function fallLogs(incidentId) {
+        const snap = await fsdb.collection("logs")
+            .where("type", "==", "FALL_DETECTED")
+            .where("meta.incidentId", "==", incidentId)
+            .get();
+        return snap.docs;
+    }
+
+    // Applies `changes` (field → value, dotted paths for nested) to the incident's
+    // log entries whose evidence summary is `key`'s (or, with `claim`, still empty)
+    async function patchLogs(incidentId, key, changes, claim = false) {
+        const logs = await fallLogs(incidentId);
+        for (const log of logs) {
+            const current = log.get("evidence");
+            if (current ? current.key !== key : !claim) continue;
+            await log.ref.update(changes);
+            const rtdbChanges = Object.fromEntries(Object.entries(changes).map(([k, v]) => [k.replace(/\./g, "/"), v]));
+            await db.ref(`hospital_system/logs/${log.id}`).update(rtdbChanges);
+        }
+        return logs.length > 0;
+    }
+
+    // Same rule for the incident document, in a transaction so two captures
+    // linking at once cannot both claim it; false when another capture owns it
+    async function patchIncident(incidentId, key, changes, claim = false) {
+        const incident = fsdb.collection("incidents").doc(incidentId);
+        return fsdb.runTransaction(async (tx) => {
+            const snap = await tx.get(incident);
+            if (!snap.exists) return true;
+            const current = snap.get("evidence");
+            if (current ? current.key !== key : !claim) return false;
+            tx.update(incident, changes);
+            return true;
+        });
+    }
+
+    async function patchLinked(incidentId, key, changes) {
+        if (await patchIncident(incidentId, key, changes)) await patchLogs(incidentId, key, changes);
+    }
+
+    return {
+        saveEvidence: (key, record) => evidenceRef(key).set(record),
+        listEvidence: async () => (await db.ref("hospital_system/evidence").get()).val() || {},
+        getIncident: async (incidentId) => {
+            const snap = await fsdb.collection("incidents").doc(incidentId).get();
+            return snap.exists ? snap.data() : null;
+        },
+        // "attached", "kept" (the incident already shows an earlier capture) or
+        // null while the FALL_DETECTED entry is not there yet
+        async linkEvidence(key, incidentId, summary) {
+            if (!(await patchIncident(incidentId, key, { evidence: summary }, true))) {
+                await evidenceRef(key).update({ incident_id: incidentId });
+                return "kept";
+            }
+            if (!(await patchLogs(incidentId, key, { evidence: summary }, true))) return null;
+            await evidenceRef(key).update({ incident_id: incidentId });
+            return "attached";
+        },
+        async updateRetention(key, incidentId, days, expiresAt) {
+            await evidenceRef(key).update({ retention_days: days, expires_at: expiresAt });
+            if (incidentId) await patchLinked(incidentId, key, { "evidence.expires_at": expiresAt });
+        },
+        async purgeEvidence(key, incidentId, at) {
+            await evidenceRef(key).update({ frames: null, purged_at: at });
+            if (incidentId) await patchLinked(incidentId, key, { "evidence.frames": [], "evidence.purged_at": at });
+        },
+    };
+}
+
+function createStore(admin, port) {
+    const bucketName = process.env.EVIDENCE_BUCKET;
+    if (bucketName) {
+        console.log(`🪣 Storing frames in bucket ${bucketName}${process.env.FIREBASE_STORAGE_EMULATOR_HOST ? " (emulator)" : ""}`);
+        return { store: createStorageStore(admin.storage().bucket(bucketName)), dir: null };
+    }
+    const dir = path.resolve(process.env.EVIDENCE_DIR || "evidence-data");
+    const baseUrl = process.env.EVIDENCE_PUBLIC_URL || `http://127.0.0.1:${port}`;
+    console.warn(`⚠️ EVIDENCE_BUCKET not set — storing frames in ${dir}`);
+    return { store: createDiskStore({ dir, baseUrl }), dir };
+}
+
+async function main() {
+    const admin = initAdmin();
+    const config = loadConfig(readConfigFile());
+    const port = Number(process.env.EVIDENCE_PORT) || 8788;
+    const { store, dir } = createStore(admin, port);
+    // roomState.js is an ES module shared with the dashboard
+    const { classifyDevice, withHeartbeatThresholds, DEFAULT_DEVICE_RULES } = await import("./src/lib/roomState.js");
+
+    // Same heartbeat thresholds as the dashboard, read before the first snapshot
+    // so a camera is online or offline the way the room cards show it
+    const heartbeatRef = admin.database().ref("hospital_system/settings/device_heartbeat");
+    const heartbeat = await heartbeatRef.get();
+
+    const service = createEvidenceService({
+        fetchFrame,
+        store,
+        repo: createEvidenceRepo(admin),
+        classifyDevice,
+        deviceRules: withHeartbeatThresholds(DEFAULT_DEVICE_RULES, heartbeat.val()),
+        config,
+    });
+
+    heartbeatRef.on("value", (snapshot) => {
+        service.setDeviceRules(withHeartbeatThresholds(DEFAULT_DEVICE_RULES, snapshot.val()));
+    }, (error) => {
+        console.error("❌ Heartbeat Settings Listen Error:", error);
+    });
+
+    console.log(`📡 Watching hospital_system/wards (${config.bufferFrames} × ${config.bufferIntervalSeconds}s pre-trigger buffer)...`);
+    admin.database().ref("hospital_system/wards").on("value", (snapshot) => {
+        service.handleWardsSnapshot(snapshot.val() || {});
+    }, (error) => {
+        console.error("❌ Ward Listen Error:", error);
+    });
+
+    let polling = false;
+    setInterval(async () => {
+        if (polling) return;
+        polling = true;
+        try { await service.pollBuffers(); } finally { polling = false; }
+    }, config.bufferIntervalSeconds * 1000);
+
+    const sweep = () => service.sweepRetention().catch((error) => console.error("❌ Retention sweep failed:", error));
+    sweep();
+    setInterval(sweep, SWEEP_MS);
+
+    const app = express();
+    app.use(cors());
+    app.get("/health", (_req, res) => res.json({ ok: true }));
+    app.get("/captures", requireStaff(admin.auth()), (_req, res) => res.json(service.getActiveCaptures()));
+    // Frames are loaded by <img> tags, so they rely on their unguessable paths instead of a token
+    if (dir) app.use("/evidence", express.static(path.join(dir, "evidence"), { maxAge: "1h" }));
+
+    const host = process.env.EVIDENCE_HOST || "127.0.0.1";
+    app.listen(port, host, () => console.log(`✅ Evidence server listening on ${host}:${port}`));
+}
+
+main().catch((error) => {
+    console.error("❌ Evidence server failed to start:", error);
+    process.exit(1);
+});
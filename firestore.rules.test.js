@@ -0,0 +1,111 @@
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, afterAll, beforeEach } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+
+// Runs against the Firestore emulator: `npm run test:rules`
+// (skipped by `npm test`, where FIRESTORE_EMULATOR_HOST is not set)
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+  let testEnv;
+
+  const as = (role) => testEnv.authenticatedContext(`${role}-uid`, { role }).firestore();
+  const incident = (id, status) => ({
+    id, wardKey: 'ward_3', roomKey: 'room_301', triggerDevices: ['ESP32_S3_CAM'], patient: null, status,
+    detectedAt: 1, acknowledgedAt: null, acknowledgedBy: null, resolvedAt: null, resolvedBy: null, checklist: null, outcome: null,
+  });
+  // What acknowledgeIncident() / resolveIncident() in src/lib/incidents.js write
+  const acknowledge = (uid) => ({ status: 'ACKNOWLEDGED', acknowledgedAt: 2, acknowledgedBy: { uid, name: 'Test' }, updatedAt: 2 });
+  const resolve = (uid) => ({ status: 'RESOLVED', resolvedAt: 3, resolvedBy: { uid, name: 'Test' }, checklist: [], outcome: { type: 'assisted' }, updatedAt: 3 });
+  const logEntry = (uid) => ({ type: 'ACKNOWLEDGED', message: 'Alarm acknowledged', timestamp: 1, actor: { uid, name: 'Test' } });
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'nurse-station-rules-test',
+      firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (ctx) => {
+      await ctx.firestore().collection('logs').doc('existing').set(logEntry('nurse-uid'));
+      await ctx.firestore().collection('incidents').doc('inc1').set(incident('inc1', 'OPEN'));
+      await ctx.firestore().collection('incidents').doc('closed').set(incident('closed', 'RESOLVED'));
+    });
+  });
+
+  describe('logs', () => {
+    it('requires sign-in to read', async () => {
+      await assertFails(testEnv.unauthenticatedContext().firestore().collection('logs').get());
+      await assertSucceeds(as('technician').collection('logs').get());
+    });
+
+    it('accepts entries attributed to the caller', async () => {
+      await assertSucceeds(as('nurse').collection('logs').doc('new').set(logEntry('nurse-uid')));
+    });
+
+    it('rejects entries attributed to someone else', async () => {
+      await assertFails(as('nurse').collection('logs').doc('new').set(logEntry('charge_nurse-uid')));
+      await assertFails(as('nurse').collection('logs').doc('new').set(logEntry(null)));
+    });
+
+    it('rejects entries without type, message and timestamp', async () => {
+      await assertFails(as('nurse').collection('logs').doc('new').set({ type: 'SYSTEM', actor: { uid: 'nurse-uid' } }));
+    });
+
+    it('never lets entries change or disappear', async () => {
+      await assertFails(as('admin').collection('logs').doc('existing').update({ message: 'edited' }));
+      await assertFails(as('admin').collection('logs').doc('existing').delete());
+    });
+  });
+
+  describe('incidents', () => {
+    it('lets any signed-in station open one', async () => {
+      await assertSucceeds(as('technician').collection('incidents').doc('inc2').set({ id: 'inc2', status: 'OPEN' }));
+      await assertFails(as('nurse').collection('incidents').doc('inc3').set({ id: 'inc3', status: 'RESOLVED' }));
+      await assertFails(testEnv.unauthenticatedContext().firestore().collection('incidents').doc('inc4').set({ status: 'OPEN' }));
+    });
+
+    it.each(['nurse', 'charge_nurse', 'admin'])('lets a %s acknowledge and resolve', async (role) => {
+      const ref = as(role).collection('incidents').doc('inc1');
+      await assertSucceeds(ref.update(acknowledge(`${role}-uid`)));
+      await assertSucceeds(ref.update(resolve(`${role}-uid`)));
+    });
+
+    it('lets an open incident be resolved without an acknowledgement (device auto-clear)', async () => {
+      await assertSucceeds(as('nurse').collection('incidents').doc('inc1').update({
+        status: 'RESOLVED', resolvedAt: 3, resolvedBy: { uid: null, name: 'Device (auto-cleared)' }, updatedAt: 3,
+      }));
+    });
+
+    it.each(['technician', 'device'])('denies a %s updates, so an auto-clear from their station is rejected', async (role) => {
+      await assertFails(as(role).collection('incidents').doc('inc1').update(resolve(`${role}-uid`)));
+    });
+
+    it('keeps detection details out of reach', async () => {
+      const ref = as('charge_nurse').collection('incidents').doc('inc1');
+      await assertFails(ref.update({ ...resolve('charge_nurse-uid'), detectedAt: 0 }));
+      await assertFails(ref.update({ ...acknowledge('charge_nurse-uid'), triggerDevices: [] }));
+      await assertFails(ref.update({ ...acknowledge('charge_nurse-uid'), patient: { name: 'Someone else' } }));
+    });
+
+    it('only allows the acknowledge and resolve transitions', async () => {
+      const ref = as('admin').collection('incidents').doc('inc1');
+      await assertFails(ref.update({ status: 'OPEN', updatedAt: 2 }));
+      await assertFails(ref.update({ ...resolve('admin-uid'), resolvedAt: 'now' }));
+      await assertFails(ref.update({ ...resolve('admin-uid'), status: 'ACKNOWLEDGED' }));
+    });
+
+    it('never reopens or rewrites a resolved incident', async () => {
+      const ref = as('admin').collection('incidents').doc('closed');
+      await assertFails(ref.update({ status: 'OPEN', updatedAt: 4 }));
+      await assertFails(ref.update(acknowledge('admin-uid')));
+      await assertFails(ref.update(resolve('admin-uid')));
+    });
+
+    it('never deletes an incident', async () => {
+      await assertFails(as('admin').collection('incidents').doc('inc1').delete());
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// Device history server: samples every device state change in the wards into a
+// compact per-room time series for the room details timeline, and deletes days
+// past retention. Run with `npm run history-server`.
+//
+// Environment (.env is loaded automatically):
+//   HISTORY_CONFIG         path to a JSON config (see history.config.example.json)
+//   HISTORY_PORT           HTTP port for /health and /status (default 8789)
+const path = require("path");
+const fs = require("fs");
+const express = require("express");
+const cors = require("cors");
+const { initAdmin } = require("./backend/firebaseAdmin.cjs");
+const { createHistoryService, loadConfig } = require("./backend/deviceHistory.cjs");
+
+const SWEEP_MS = 60 * 60 * 1000;
+
+function readConfigFile() {
+    const file = process.env.HISTORY_CONFIG;
+    if (!file) return {};
+    return JSON.parse(fs.readFileSync(path.resolve(file), "utf8"));
+}
+
+function createHistoryRepo(admin) {
+    const db = admin.database();
+    const roomRef = (wardKey, roomKey) => db.ref(`hospital_system/device_history/${wardKey}/${roomKey}`);
+
+    return {
+        appendPoint: (wardKey, roomKey, day, device, point) => roomRef(wardKey, roomKey).child(`${day}/${device}`).push(point),
+        async removeDaysBefore(wardKey, roomKey, day) {
+            const snap = await roomRef(wardKey, roomKey).orderByKey().endBefore(day).get();
+            const days = Object.keys(snap.val() || {});
+            if (days.length === 0) return 0;
+            await roomRef(wardKey, roomKey).update(Object.fromEntries(days.map((d) => [d, null])));
+            return days.length;
+        },
+    };
+}
+
+async function main() {
+    // roomState.js is an ES module shared with the dashboard
+    const { classifyDevice, withHeartbeatThresholds, DEFAULT_DEVICE_RULES } = await import("./src/lib/roomState.js");
+
+    const admin = initAdmin();
+    const config = loadConfig(readConfigFile());
+
+    // Same heartbeat thresholds as the dashboard, so the timeline agrees with the room cards;
+    // read before the first snapshot so no sample is taken with the defaults
+    const heartbeatRef = admin.database().ref("hospital_system/settings/device_heartbeat");
+    const heartbeat = await heartbeatRef.get();
+
+    const service = createHistoryService({
+        repo: createHistoryRepo(admin),
+        classifyDevice,
+        deviceRules: withHeartbeatThresholds(DEFAULT_DEVICE_RULES, heartbeat.val()),
+        config,
+    });
+
+    console.log(`📡 Watching hospital_system/wards (keeping ${config.retentionDays} days of device history)...`);
+    admin.database().ref("hospital_system/wards").on("value", (snapshot) => {
+        service.handleWardsSnapshot(snapshot.val() || {});
+    }, (error) => {
+        console.error("❌ Ward Listen Error:", error);
+    });
+
+    heartbeatRef.on("value", (snapshot) => {
+        service.setDeviceRules(withHeartbeatThresholds(DEFAULT_DEVICE_RULES, snapshot.val()));
+    }, (error) => {
+        console.error("❌ Heartbeat Settings Listen Error:", error);
+    });
+
+    setInterval(() => service.tick(), config.tickSeconds * 1000);
+
+    const sweep = () => service.sweepRetention().catch((error) => console.error("❌ Retention sweep failed:", error));
+    setTimeout(sweep, 60 * 1000); // once the first snapshot has listed the rooms
+    setInterval(sweep, SWEEP_MS);
+
+    const port = Number(process.env.HISTORY_PORT) || 8789;
+    const app = express();
+    app.use(cors());
+    app.get("/health", (_req, res) => res.json({ ok: true }));
+    app.get("/status", (_req, res) => res.json(service.getStatus()));
+    app.listen(port, () => console.log(`✅ History server listening on :${port}`));
+}
+
+main().catch((error) => {
+    console.error("❌ History server failed to start:", error);
+    process.exit(1);
+});
@@ -0,0 +1,135 @@
+// Mock ESP32-S3-CAM: serves an MJPEG stream and still snapshots for any room so
+// the in-app camera viewer and video wall can be tested without hardware.
+//
+//   node mock-camera-server.cjs [--port 8081] [--drop 30] [--rtdb]
+//
+//   GET /stream/{ward}/{room}    multipart/x-mixed-replace MJPEG (5 fps)
+//   GET /capture/{ward}/{room}   one JPEG frame
+//
+// --drop N  closes every stream after N seconds to exercise reconnects
+// --rtdb    draws the patient on the floor while the room has a fall
+//           (reads hospital_system/wards from the RTDB emulator)
+//
+// Point the seeded cameras at it with:
+//   node device-simulator.cjs seed --camera-url http://127.0.0.1:8081
+const http = require("http");
+const { encodeBlockJpeg } = require("./backend/mockJpeg.cjs");
+
+const BLOCKS_X = 40; // 320 × 240
+const BLOCKS_Y = 30;
+const FPS = 5;
+const BOUNDARY = "mockcamframe";
+
+function parseArgs(argv) {
+    const opts = {};
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, "");
+        const next = argv[i + 1];
+        if (next === undefined || next.startsWith("--")) {
+            opts[key] = true;
+        } else {
+            opts[key] = next;
+            i++;
+        }
+    }
+    return opts;
+}
+
+// 3×5 digits, one block per pixel
+const DIGITS = {
+    0: ["111", "101", "101", "101", "111"], 1: ["010", "110", "010", "010", "111"],
+    2: ["111", "001", "111", "100", "111"], 3: ["111", "001", "111", "001", "111"],
+    4: ["101", "101", "111", "001", "001"], 5: ["111", "100", "111", "001", "111"],
+    6: ["111", "100", "111", "101", "111"], 7: ["111", "001", "001", "001", "001"],
+    8: ["111", "101", "111", "101", "111"], 9: ["111", "101", "111", "001", "111"],
+    ":": ["000", "010", "000", "010", "000"],
+};
+
+// Blocks lit by the "HH:MM:SS" clock in the top-left corner
+function clockBlocks(date) {
+    const lit = new Set();
+    const text = date.toTimeString().slice(0, 8);
+    [...text].forEach((ch, i) => {
+        DIGITS[ch].forEach((row, y) => {
+            [...row].forEach((on, x) => { if (on === "1") lit.add(`${1 + i * 4 + x},${1 + y}`); });
+        });
+    });
+    return lit;
+}
+
+// Bed on the right; the patient paces the room, or lies on the floor during a fall
+function renderFrame(seed, fallen, now) {
+    const clock = clockBlocks(new Date(now));
+    const t = now / 1000;
+    const walkX = 6 + Math.round((Math.sin(t / 3 + seed) + 1) * 9);
+    return encodeBlockJpeg(BLOCKS_X, BLOCKS_Y, (bx, by) => {
+        if (clock.has(`${bx},${by}`)) return 250;
+        if (fallen ? (by >= 24 && by <= 25 && bx >= 10 && bx <= 19) : (bx >= walkX && bx <= walkX + 2 && by >= 13 && by <= 25)) return 235;
+        if (bx >= 27 && bx <= 37 && by >= 18 && by <= 22) return 170; // bed
+        if (by >= 20) return 70 + (by - 20) * 4; // floor
+        return 40 + (seed * 7) % 30; // wall, a slightly different shade per room
+    });
+}
+
+function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const port = Number(opts.port) || 8081;
+    const dropSeconds = Number(opts.drop) || 0;
+    const fallen = new Set(); // "ward/room"
+
+    if (opts.rtdb) {
+        const { initAdmin } = require("./backend/firebaseAdmin.cjs");
+        initAdmin().database().ref("hospital_system/wards").on("value", (snap) => {
+            fallen.clear();
+            snap.forEach((ward) => ward.forEach((room) => {
+                if (room.child("live_status/fall_detected").val() === true) fallen.add(`${ward.key}/${room.key}`);
+            }));
+        });
+    }
+
+    const server = http.createServer((req, res) => {
+        const [, kind, ward, room] = new URL(req.url, "http://localhost").pathname.split("/");
+        if (!["stream", "capture"].includes(kind) || !ward || !room) {
+            res.writeHead(404, { "Access-Control-Allow-Origin": "*" });
+            res.end("Use /stream/{ward}/{room} or /capture/{ward}/{room}");
+            return;
+        }
+        const key = `${ward}/${room}`;
+        const seed = [...key].reduce((sum, ch) => sum + ch.charCodeAt(0), 0);
+        const frame = () => renderFrame(seed, fallen.has(key), Date.now());
+
+        if (kind === "capture") {
+            const jpeg = frame();
+            res.writeHead(200, { "Content-Type": "image/jpeg", "Content-Length": jpeg.length, "Cache-Control": "no-store", "Access-Control-Allow-Origin": "*" });
+            res.end(jpeg);
+            return;
+        }
+
+        res.writeHead(200, {
+            "Content-Type": `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+            "Cache-Control": "no-store",
+            "Access-Control-Allow-Origin": "*",
+        });
+        console.log(`📹 Stream opened: ${key}`);
+        const send = () => {
+            const jpeg = frame();
+            res.write(`--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${jpeg.length}\r\n\r\n`);
+            res.write(jpeg);
+            res.write("\r\n");
+        };
+        send();
+        const timer = setInterval(send, 1000 / FPS);
+        const drop = dropSeconds ? setTimeout(() => { console.log(`✂️  Dropping stream: ${key}`); res.destroy(); }, dropSeconds * 1000) : null;
+        req.on("close", () => {
+            clearInterval(timer);
+            clearTimeout(drop);
+            console.log(`📴 Stream closed: ${key}`);
+        });
+    });
+
+    server.listen(port, () => {
+        console.log(`🎥 Mock camera on http://127.0.0.1:${port}/stream/{ward}/{room}${dropSeconds ? ` (dropping every ${dropSeconds}s)` : ""}`);
+    });
+}
+
+main();
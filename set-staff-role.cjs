@@ -0,0 +1,64 @@
+// Assigns a dashboard role (Auth custom claim `role`) to a staff account,
+// optionally creating the account first.
+//
+//   node set-staff-role.cjs <email | badge:NUMBER> <role> [--name "Display Name"] [--password SECRET]
+//
+// Roles: nurse | charge_nurse | technician | admin | device
+// Badge accounts use the PIN as password (min. 6 digits). The signed-in user
+// must sign out and back in (or wait for token refresh) to pick up a new role.
+const { initAdmin } = require("./backend/firebaseAdmin.cjs");
+
+const ROLES = ["nurse", "charge_nurse", "technician", "admin", "device"];
+const BADGE_DOMAIN = process.env.VITE_STAFF_BADGE_DOMAIN || "staff.nurse-station.local";
+
+function parseArgs(argv) {
+    const [identifier, role, ...rest] = argv;
+    const opts = {};
+    for (let i = 0; i < rest.length; i += 2) {
+        opts[rest[i].replace(/^--/, "")] = rest[i + 1];
+    }
+    return { identifier, role, ...opts };
+}
+
+function toEmail(identifier) {
+    if (identifier.startsWith("badge:")) {
+        return `badge-${identifier.slice(6).trim().toLowerCase()}@${BADGE_DOMAIN}`;
+    }
+    return identifier;
+}
+
+async function main() {
+    const { identifier, role, name, password } = parseArgs(process.argv.slice(2));
+    if (!identifier || !ROLES.includes(role)) {
+        console.error(`Usage: node set-staff-role.cjs <email | badge:NUMBER> <${ROLES.join("|")}> [--name "Display Name"] [--password SECRET]`);
+        process.exit(1);
+    }
+
+    const admin = initAdmin();
+    const email = toEmail(identifier);
+
+    let user;
+    try {
+        user = await admin.auth().getUserByEmail(email);
+    } catch (error) {
+        if (error.code !== "auth/user-not-found") throw error;
+        if (!password) {
+            console.error(`❌ ${email} does not exist. Pass --password to create it.`);
+            process.exit(1);
+        }
+        user = await admin.auth().createUser({ email, password, displayName: name });
+        console.log(`👤 Created ${email}`);
+    }
+
+    if (name && user.displayName !== name) {
+        await admin.auth().updateUser(user.uid, { displayName: name });
+    }
+    await admin.auth().setCustomUserClaims(user.uid, { ...(user.customClaims || {}), role });
+    console.log(`✅ ${email} (${user.uid}) → role "${role}"`);
+    process.exit(0);
+}
+
+main().catch((error) => {
+    console.error("❌ Failed to set role:", error);
+    process.exit(1);
+});
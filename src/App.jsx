@@ -1,9 +1,7 @@
-﻿import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { initializeApp } from "firebase/app";
-import { getDatabase, ref, onValue, update } from "firebase/database";
-import { getAuth, signInAnonymously, onAuthStateChanged } from "firebase/auth";
-import { getAnalytics, logEvent } from "firebase/analytics";
-import { getFirestore, collection, addDoc, query, orderBy, limit, onSnapshot, serverTimestamp } from "firebase/firestore";
+﻿import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { ref, onValue, increment } from "firebase/database";
+import { onAuthStateChanged } from "firebase/auth";
+import { collection, query, orderBy, limit, onSnapshot } from "firebase/firestore";
 import { SpeedInsights } from '@vercel/speed-insights/react';
 import {
   Activity,
@@ -19,7 +17,6 @@ import {
   AlertTriangle,
   Save,
   X,
-  ExternalLink,
   Camera,
   Monitor,
   Link2,
@@ -28,317 +25,228 @@ import {
   XCircle,
   ScrollText,
   Filter,
-  Trash2
+  Trash2,
+  PhoneCall,
+  BellRing,
+  Clock,
+  BarChart3,
+  ShieldCheck,
+  UserRound,
+  LogOut,
+  Speaker,
+  UserPlus,
+  UserCog,
+  UserMinus,
+  ArrowRightLeft,
+  Terminal,
+  BellOff,
+  Radar,
+  BedSingle,
+  DoorOpen,
+  UserCheck
 } from 'lucide-react';
-import { clsx } from 'clsx';
-import { twMerge } from 'tailwind-merge';
-
-// --- Utility for Tailwind Classes ---
-function cn(...inputs) {
-  return twMerge(clsx(inputs));
-}
-
-// --- Firebase Configuration ---
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  databaseURL: import.meta.env.VITE_DATABASE_URL || "https://preserving-fall-detector-default-rtdb.firebaseio.com",
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID,
-  measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID
-};
-
-// Initialize Firebase
-const app = initializeApp(firebaseConfig);
-const analytics = getAnalytics(app);
-const db = getDatabase(app);   // Realtime Database (real-time UI feed)
-const fsdb = getFirestore(app); // Firestore (permanent log storage)
-const auth = getAuth(app);
-
-// --- Central Log Writer ---
-// Writes to RTDB hospital_system/logs/{timestamp} AND Firebase Analytics
-const LOG_TYPES = {
-  FALL_DETECTED: { label: 'Fall Detected', color: 'red' },
-  ACKNOWLEDGED: { label: 'Alarm Acknowledged', color: 'amber' },
-  RESOLVED: { label: 'Assistance Complete', color: 'green' },
-  DEVICE_CHANGE: { label: 'Device Status Change', color: 'blue' },
-  MUTE: { label: 'Alarm Muted', color: 'slate' },
-  UNMUTE: { label: 'Alarm Unmuted', color: 'slate' },
-  SYSTEM: { label: 'System', color: 'slate' },
-};
-
-async function writeLog(type, message, meta = {}) {
-  try {
-    const ts = Date.now();
-    const entry = {
-      type,
-      message,
-      meta,
-      timestamp: ts,
-      isoTime: new Date(ts).toISOString(),
-      createdAt: serverTimestamp(),  // Firestore server-side timestamp
-    };
-
-    // 1. Firestore — permanent log collection (persistent audit trail)
-    await addDoc(collection(fsdb, 'logs'), entry);
-
-    // 2. RTDB — real-time UI feed (timestamp as key, auto-sorted)
-    await update(ref(db, `hospital_system/logs/${ts}`), entry);
-
-    // 3. Firebase Analytics — event tracking
-    logEvent(analytics, type.toLowerCase(), { message, ...meta });
-  } catch (e) {
-    console.warn('writeLog failed:', e);
-  }
-}
-// --- Audio System (Mobile Optimized) ---
-class AlarmSound {
-  constructor() {
-    this.audioCtx = null;
-    this.intervalId = null;
-    this.isPlaying = false;
-    this.isUnlocked = false;
-    this.alarmBuffer = null;
-    this.fallbackAudio = null;
-    this._onUnlock = null;
-  }
-
-  init(onUnlockCallback) {
-    this._onUnlock = onUnlockCallback;
-    this._createFallbackAudio();
-  }
-
-  async _unlock() {
-    try {
-      if (!this.audioCtx) {
-        this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-      }
-      if (this.audioCtx.state === 'suspended') {
-        try { await this.audioCtx.resume(); } catch { /* ignore */ }
-      }
-
-      // If still suspended/closed, abort silent tone to avoid console errors
-      if (this.audioCtx.state === 'suspended' || this.audioCtx.state === 'closed') {
-        return;
-      }
-
-      // Silent unlock tone
-      const silentOsc = this.audioCtx.createOscillator();
-      const silentGain = this.audioCtx.createGain();
-      silentGain.gain.setValueAtTime(0, this.audioCtx.currentTime);
-      silentOsc.connect(silentGain);
-      silentGain.connect(this.audioCtx.destination);
-      silentOsc.start();
-      silentOsc.stop(this.audioCtx.currentTime + 0.01);
-
-      this._generateAlarmBuffer();
-
-      if (this.fallbackAudio) {
-        try {
-          this.fallbackAudio.volume = 0;
-          await this.fallbackAudio.play();
-          this.fallbackAudio.pause();
-          this.fallbackAudio.currentTime = 0;
-          this.fallbackAudio.volume = 1;
-        } catch { /* ignore */ }
-      }
-
-      this.isUnlocked = true;
-      if (this._onUnlock) this._onUnlock(true);
-    } catch (e) {
-      console.error('Audio unlock failed:', e);
-    }
-  }
-
-  _generateAlarmBuffer() {
-    if (!this.audioCtx) return;
-    const sampleRate = this.audioCtx.sampleRate;
-    const duration = 2.0; // 2 seconds loop
-    const length = sampleRate * duration;
-    const buffer = this.audioCtx.createBuffer(1, length, sampleRate);
-    const data = buffer.getChannelData(0);
-
-    // ISO 60601-1-8 High Priority Alarm Pattern
-    // Burst of 10 pulses: 3 fast, 2 slow, 3 fast, 2 slow... simplified to 5-pulse burst
-    // Frequency: 960Hz (B5) mixed with harmonics
-
-    for (let i = 0; i < length; i++) {
-      const t = i / sampleRate;
-      // Simple Siren: 960Hz <-> 770Hz every 0.25s
-      const freq = (t % 0.5 < 0.25) ? 960 : 770;
-
-      // Square wave for piercing sound
-      const wave = Math.sin(2 * Math.PI * freq * t) > 0 ? 0.9 : -0.9;
-
-      // Envelope: 10ms attack/decay to prevent clicking
-      let envelope = 1;
-      const pulsePos = t % 0.25;
-      if (pulsePos < 0.01) envelope = pulsePos / 0.01;
-      if (pulsePos > 0.24) envelope = (0.25 - pulsePos) / 0.01;
-
-      data[i] = wave * envelope;
-    }
-    this.alarmBuffer = buffer;
-  }
-
-  _createFallbackAudio() {
-    try {
-      const sampleRate = 22050;
-      const duration = 1.8;
-      const numSamples = Math.floor(sampleRate * duration);
-      const dataSize = numSamples * 2;
-      const headerSize = 44;
-      const buffer = new ArrayBuffer(headerSize + dataSize);
-      const view = new DataView(buffer);
-
-      const writeStr = (offset, str) => { for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i)); };
-      writeStr(0, 'RIFF');
-      view.setUint32(4, 36 + dataSize, true);
-      writeStr(8, 'WAVE');
-      writeStr(12, 'fmt ');
-      view.setUint32(16, 16, true);
-      view.setUint16(20, 1, true);
-      view.setUint16(22, 1, true);
-      view.setUint32(24, sampleRate, true);
-      view.setUint32(28, sampleRate * 2, true);
-      view.setUint16(32, 2, true);
-      view.setUint16(34, 16, true);
-      writeStr(36, 'data');
-      view.setUint32(40, dataSize, true);
-
-      for (let i = 0; i < numSamples; i++) {
-        const t = i / sampleRate;
-        const cyclePos = t % 0.4;
-        const freq = cyclePos < 0.2 ? 880 : 660;
-        const wave = Math.sin(2 * Math.PI * freq * t) > 0 ? 0.6 : -0.6;
-        let envelope = 1;
-        const beepPos = t % 0.2;
-        if (beepPos < 0.005) envelope = beepPos / 0.005;
-        if (beepPos > 0.18) envelope = (0.2 - beepPos) / 0.02;
-        if (t > 1.6) envelope *= (duration - t) / 0.2;
-        const sample = Math.max(-1, Math.min(1, wave * envelope));
-        view.setInt16(headerSize + i * 2, sample * 32767, true);
-      }
-
-      const bytes = new Uint8Array(buffer);
-      let binary = '';
-      for (let i = 0; i < bytes.length; i++) {
-        binary += String.fromCharCode(bytes[i]);
-      }
-      this.fallbackAudio = new Audio('data:audio/wav;base64,' + btoa(binary));
-      this.fallbackAudio.loop = true;
-    } catch { /* ignore */ }
-  }
-
-  play() {
-    if (this.isPlaying) return;
-    this.isPlaying = true;
-    if (this.audioCtx && this.alarmBuffer && this.isUnlocked) {
-      this._playWebAudio();
-    } else if (this.fallbackAudio) {
-      this._playFallback();
-    }
-  }
-
-  _playWebAudio() {
-    if (this.audioCtx.state === 'suspended') {
-      this.audioCtx.resume().catch(() => { });
-    }
-    const playOnce = () => {
-      if (!this.isPlaying || !this.audioCtx) return;
-      const s = this.audioCtx.createBufferSource();
-      s.buffer = this.alarmBuffer;
-      s.connect(this.audioCtx.destination);
-      s.start(0);
-    };
-    playOnce();
-    this.intervalId = setInterval(playOnce, 2000);
-  }
-
-  _playFallback() {
-    try {
-      this.fallbackAudio.currentTime = 0;
-      this.fallbackAudio.volume = 1;
-      this.fallbackAudio.play().catch(() => { });
-    } catch { /* ignore */ }
-  }
-
-  stop() {
-    this.isPlaying = false;
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
-    }
-    if (this.fallbackAudio) {
-      this.fallbackAudio.pause();
-      this.fallbackAudio.currentTime = 0;
-    }
-  }
-
-  dispose() {
-    this.stop();
-    if (this.audioCtx) this.audioCtx.close().catch(() => { });
-  }
-}
+import { firebaseConfig, db, fsdb, auth } from './lib/firebase.js';
+import { cn } from './lib/cn.js';
+import { getRoomState, classifyDevice, withHeartbeatThresholds, ROOM_STATES, DEVICE_STATUS, DEFAULT_DEVICE_RULES, LIVENESS } from './lib/roomState.js';
+import { recordLivenessTransition } from './lib/deviceLiveness.js';
+import { DEFAULT_FUSION_CONFIG, FUSION_EVENTS, FUSION_EVENT_LABELS, mergeFusionConfig, readSignals, updateFusionTrack, classifyFusion } from './lib/sensorFusion.js';
+import { recordFusionTransition } from './lib/fusionState.js';
+import FusionBadge from './components/FusionBadge.jsx';
+import SensorPanel from './components/SensorPanel.jsx';
+import { BED_ALERT_TYPES, BED_ALERT_LABELS, activeBedAlert, isBedAlertAcked, detectBedAlert, raiseBedAlert, rearmBedAlert, acknowledgeBedAlert, resolveBedAlert, saveBedAlertSettings } from './lib/bedAlerts.js';
+import BedAlertSettings from './components/BedAlertSettings.jsx';
+import DeviceTimeline from './components/DeviceTimeline.jsx';
+import { DEFAULT_ESCALATION_CONFIG, mergeEscalationConfig, getRoomEscalation, fastEscalationConfig } from './lib/alarmEscalation.js';
+import { hasPatient, isHighRisk, wantsFastEscalation, patientRef, toPatientRecord, patientForm, savePatient, transferPatient, dischargePatient } from './lib/patients.js';
+import PatientPanel, { RiskBadge } from './components/PatientPanel.jsx';
+import { escalationStep, recordEscalationTransition } from './lib/escalationState.js';
+import { openIncident, closeClearedIncident, queueAcknowledgeIncident, queueResolveIncident } from './lib/incidents.js';
+import { queueUpdate, startOutbox, flushOutbox } from './lib/outbox.js';
+import { cacheWardState, loadCachedWardState } from './lib/offlineStore.js';
+import { watchConnection, probeConnection, getConnectionHealth, CONNECTION_STATUS, DEFAULT_CONNECTION_THRESHOLDS } from './lib/connectionHealth.js';
+import { getActor, signOutStaff, staffDisplayName, loadStaffRole } from './lib/staffAuth.js';
+import { can, PERMISSIONS, ROLE_LABELS, permissionDeniedMessage } from './lib/permissions.js';
+import ReportsView from './components/ReportsView.jsx';
+import IncidentList from './components/IncidentList.jsx';
+import LoginScreen from './components/LoginScreen.jsx';
+import ResolutionModal from './components/ResolutionModal.jsx';
+import FallEvidence from './components/FallEvidence.jsx';
+import OutboxIndicator from './components/OutboxIndicator.jsx';
+import { OUTCOMES, getResolutionConfig, falseAlarmRate } from './lib/resolution.js';
+import { LOG_TYPES, writeLog } from './lib/logs.js';
+import { AlarmSound } from './lib/alarmSound.js';
+import { ALARM_EVENTS, getSoundProfile, pickAlarm, collectAlarmCandidates } from './lib/alarmProfiles.js';
+import { setSilences, clearSilences, coversFor, expireSilence, getRoomSilence, listActiveSilences, listExpiredSilences, formatCountdown, SILENCE_MINUTES } from './lib/silencing.js';
+import SilenceControl from './components/SilenceControl.jsx';
+import { getStation, setStationName, setStationWards, scopeWards, announcePresence, listOnlineStations } from './lib/stations.js';
+import { parseRoute, subscribeRoute, navigate, goBack, pathForWards, pathForTab, roomPath, resolvePath, incidentPath, historyPath, logPath, devicePath, absoluteUrl } from './lib/router.js';
+import CopyLinkButton from './components/CopyLinkButton.jsx';
+import StationsPanel from './components/StationsPanel.jsx';
+import WardScopeBar from './components/WardScopeBar.jsx';
+import WardOverview from './components/WardOverview.jsx';
+import SoundPreview from './components/SoundPreview.jsx';
+import DeviceEditor from './components/DeviceEditor.jsx';
+import CameraViewer from './components/CameraViewer.jsx';
+import VideoWall from './components/VideoWall.jsx';
+import { PRIVACY_MODES, privacyMode, savePrivacyMode, roomCamera, videoVisibility } from './lib/cameraStream.js';
+import { COMMAND_STATUS, commandLabel, issueCommand, listUnreportedCommands, claimCommandReport, formatCommandResult } from './lib/deviceCommands.js';
+import { deviceLocation, deviceLabel, isRetired, validatePlacement, placeDevice, unassignDevice, retireDevice, restoreDevice, deleteDevice, removeRoomDevice } from './lib/deviceRegistry.js';
+
+// Without a real Web API key there is no Auth; the dashboard falls back to public reads
+const isPlaceholderKey = !firebaseConfig.apiKey || firebaseConfig.apiKey === 'your-api-key-here';
 
 // --- Main App Component ---
 export default function App() {
-  const [activeTab, setActiveTab] = useState('monitor'); // 'monitor' | 'devices' | 'logs'
+  // Tabs, room/resolution modals and history selections all come from the URL (see lib/router.js)
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+  useEffect(() => subscribeRoute(setRoute), []);
+  const activeTab = route.view; // 'monitor' | 'devices' | 'logs' | 'reports' | 'sounds'
   const [loading, setLoading] = useState(true);
-  const [connected, setConnected] = useState(false);
+  // Connection health (.info/connected, server time offset, data freshness)
+  const [connInfo, setConnInfo] = useState(() => ({ connected: false, connectedChangedAt: Date.now(), serverTimeOffset: 0 }));
+  const [lastDataAt, setLastDataAt] = useState(null);
+  const [connectionAlarmSilenced, setConnectionAlarmSilenced] = useState(false);
+  const serverOffsetRef = useRef(0);
+  const prevMonitoringLost = useRef(false);
+  const [wardsCachedAt, setWardsCachedAt] = useState(null); // set while showing the IndexedDB copy
+  const liveWardsReceived = useRef(false);
   const [error, setError] = useState(null);
 
   // Data State
   const [wardsData, setWardsData] = useState({});
   const [devices, setDevices] = useState({});
   const [sensorData, setSensorData] = useState({});
-  const [editingDevice, setEditingDevice] = useState(null);
+  const [deviceStats, setDeviceStats] = useState({}); // { ward: { room: { device: { alarms, false_alarms } } } }
+  const [resolutionSettings, setResolutionSettings] = useState(null);
 
   // Logs State
   const [logs, setLogs] = useState([]);
   const [logFilter, setLogFilter] = useState('ALL'); // 'ALL' | type keys
+  const historyView = route.historyView || 'incidents'; // 'incidents' | 'events'
 
   // Unread log badge: tracks how many logs were seen on last History visit
   const seenLogCount = useRef(0);
   const unreadLogCount = Math.max(0, logs.length - seenLogCount.current);
 
-  const handleSaveConfig = async (deviceId, roomId, patientName) => {
-    try {
-      if (!roomId) return alert("Room ID cannot be empty");
+  // --- Device lifecycle (Device Manager); the editor confirms, these write and log ---
+  const editingDevice = route.view === 'devices' ? route.deviceId || null : null; // /devices/{id}
+  const editedDevice = editingDevice ? devices[editingDevice] : null;
 
-      const normalizedRoom = roomId.trim().toLowerCase().startsWith('room_')
-        ? roomId.trim()
-        : `room_${roomId.trim()}`;
+  const logDeviceChange = (deviceId, message, meta = {}) => {
+    writeLog('DEVICE_CHANGE', `${message} by ${getActor().name}`, { deviceId, ...meta });
+  };
 
-      const updates = {};
-      // Update Device Config so board knows where it is
-      updates[`hospital_system/devices/${deviceId}/config/room_id`] = normalizedRoom;
-      updates[`hospital_system/devices/${deviceId}/config/patient_name`] = patientName;
-      updates[`hospital_system/devices/${deviceId}/config/assigned_room`] = normalizedRoom;
+  const handleSaveDevice = async (deviceId, { name, wardKey, roomKey }) => {
+    if (!requirePermission(PERMISSIONS.CONFIGURE_DEVICES)) return;
+    const problems = validatePlacement(wardsData, wardKey, roomKey);
+    if (problems.length > 0) throw new Error(problems.join(', '));
+
+    const dev = devices[deviceId];
+    const from = deviceLocation(dev);
+    const previousName = dev?.config?.display_name || '';
+    await placeDevice(deviceId, { wardKey, roomKey, name });
+
+    if (!from || from.wardKey !== wardKey || from.roomKey !== roomKey) {
+      logDeviceChange(
+        deviceId,
+        from ? `${deviceId} moved from ${from.wardKey || '?'} / ${from.roomKey} to ${wardKey} / ${roomKey}` : `${deviceId} assigned to ${wardKey} / ${roomKey}`,
+        { op: from ? 'move' : 'assign', wardKey, roomKey, from }
+      );
+    }
+    if (name !== previousName) {
+      logDeviceChange(deviceId, `${deviceId} renamed to "${name || deviceId}"`, { op: 'rename', name, previousName });
+    }
+  };
+
+  const handleUnassignDevice = async (deviceId) => {
+    if (!requirePermission(PERMISSIONS.CONFIGURE_DEVICES)) return;
+    const from = deviceLocation(devices[deviceId]);
+    await unassignDevice(deviceId);
+    logDeviceChange(deviceId, `${deviceId} unassigned from ${from?.roomKey || 'its room'}`, { op: 'unassign', from });
+  };
+
+  const handleRetireDevice = async (deviceId) => {
+    if (!requirePermission(PERMISSIONS.CONFIGURE_DEVICES)) return;
+    const from = deviceLocation(devices[deviceId]);
+    await retireDevice(deviceId, Date.now());
+    logDeviceChange(deviceId, `${deviceId} retired`, { op: 'retire', from });
+  };
+
+  const handleRestoreDevice = async (deviceId) => {
+    if (!requirePermission(PERMISSIONS.CONFIGURE_DEVICES)) return;
+    await restoreDevice(deviceId);
+    logDeviceChange(deviceId, `${deviceId} restored from retirement`, { op: 'restore' });
+  };
+
+  const handleDeleteDevice = async (deviceId) => {
+    if (!requirePermission(PERMISSIONS.CONFIGURE_DEVICES)) return;
+    const from = deviceLocation(devices[deviceId]);
+    await deleteDevice(deviceId);
+    logDeviceChange(deviceId, `${deviceId} deleted from the registry`, { op: 'delete', from, type: devices[deviceId]?.type || null });
+  };
+
+  const handleIssueCommand = async (deviceId, type, params) => {
+    if (!requirePermission(PERMISSIONS.CONFIGURE_DEVICES)) return;
+    const actor = getActor();
+    const commandId = await issueCommand(deviceId, devices[deviceId], type, params, { actor, station, now: Date.now() });
+    writeLog('DEVICE_COMMAND', `${commandLabel(type)} sent to ${deviceId} by ${actor.name}`, {
+      deviceId, commandId, command: type, params: params || null, status: COMMAND_STATUS.PENDING,
+    });
+  };
 
-      await update(ref(db), updates);
-      console.log(`Updated ${deviceId} -> ${normalizedRoom} : ${patientName}`);
-      setEditingDevice(null);
+  const handleRemoveRoomDevice = async (wardKey, roomKey, devName) => {
+    if (!requirePermission(PERMISSIONS.CONFIGURE_DEVICES)) return;
+    if (!confirm(`Remove ${devName} from ${wardKey} / ${roomKey}? Its live status in this room is cleared.`)) return;
+    try {
+      await removeRoomDevice(wardKey, roomKey, devName);
+      logDeviceChange(devName, `${devName} removed from ${wardKey} / ${roomKey}`, { op: 'remove', wardKey, roomKey });
     } catch (err) {
-      console.error("Config Save Error:", err);
-      alert("Failed to update: " + err.message);
+      console.error("Device Update Error:", err);
+      alert("Failed to remove device: " + err.message);
     }
   };
 
   // Alert State
   const [activeAlert, setActiveAlert] = useState(false);
-  const [isMuted, setIsMuted] = useState(false);
-  const [alarmAcknowledged, setAlarmAcknowledged] = useState(false);
+  const [silences, setSilencesState] = useState({}); // hospital_system/silences, see lib/silencing.js
+  // Acknowledgement and silencing live in RTDB, so every station sounds or stays quiet together.
+  // /ward/3 assigns this station to ward 3, kept after reload
+  const [station, setStation] = useState(() => (route.wards ? setStationWards(route.wards) : getStation()));
+  const [presence, setPresence] = useState({}); // hospital_system/presence, see lib/stations.js
+  const [supervisorView, setSupervisorView] = useState(null); // null | 'overview' | 'wall' (VIEW_ALL_WARDS)
+  // Wards this station watches: alarms, sound and notifications only cover these
+  const scopedWards = useMemo(() => scopeWards(wardsData, station.wards), [wardsData, station.wards]);
   const [audioReady, setAudioReady] = useState(false);
+  const [soundSettings, setSoundSettings] = useState(null); // settings/sound_profiles, see lib/alarmProfiles.js
+  const [cameraPrivacy, setCameraPrivacy] = useState(null); // settings/camera_privacy, see lib/cameraStream.js
 
   // Track unacked count to re-trigger alarm on new events
   const lastUnackedCount = useRef(0);
 
-  // Modal State
-  const [viewingRoom, setViewingRoom] = useState(null); // { wardKey, roomKey, ...roomData }
-  const [resolvingRoom, setResolvingRoom] = useState(null); // { wardKey, roomKey }
+  // Escalation State: per-room tier, re-evaluated every second
+  const [escalationConfig, setEscalationConfig] = useState(DEFAULT_ESCALATION_CONFIG);
+  const [escalations, setEscalations] = useState({}); // { "ward/room": { level, tone, takeover, overdue } }
+  const [clock, setClock] = useState(() => Date.now());
+  const fallSince = useRef(new Map()); // "ward/room" -> first time seen unacknowledged
+  const prevEscalations = useRef({});
+
+  // Device heartbeat thresholds per device type (settings/device_heartbeat)
+  const [heartbeatSettings, setHeartbeatSettings] = useState(null);
+  const deviceRules = useMemo(() => withHeartbeatThresholds(DEFAULT_DEVICE_RULES, heartbeatSettings), [heartbeatSettings]);
+  const prevLiveness = useRef({}); // "ward/room/device" -> last liveness seen by this station
+
+  // Sensor fusion: PIR + camera signals per room, see lib/sensorFusion.js
+  const [fusionConfig, setFusionConfig] = useState(DEFAULT_FUSION_CONFIG);
+  const [fusion, setFusion] = useState({}); // { "ward/room": { event, reasons, held, holdUntil, signals, track } }
+  const fusionTracks = useRef({});
+  const prevFusion = useRef({}); // "ward/room" -> last logged classification seen by this station
+
+  // Modal State: /ward/3/room/301 and /ward/3/room/301/resolve
+  const viewingRoom = route.room && !route.resolve
+    ? { ...route.room, ...(wardsData[route.room.wardKey]?.[route.room.roomKey] || {}) } // { wardKey, roomKey, ...roomData }
+    : null;
+  const resolvingRoom = route.room && route.resolve ? route.room : null; // { wardKey, roomKey }
+  const closeModal = () => goBack(pathForWards(station.wards));
 
   const alarmRef = useRef(null);
 
@@ -355,10 +263,41 @@ export default function App() {
     return () => alarmRef.current?.dispose();
   }, []);
 
+  // Staff Auth State: undefined while Firebase restores the session, null when signed out
+  const [staffUser, setStaffUser] = useState(undefined);
+  const staffUid = staffUser?.uid || null;
+  const [staffRole, setStaffRole] = useState(null); // 'role' custom claim, see lib/permissions.js
+  useEffect(() => onAuthStateChanged(auth, (user) => {
+    setStaffUser(user);
+    loadStaffRole(user)
+      .then(setStaffRole)
+      .catch((err) => {
+        console.error("Role Load Error:", err);
+        setStaffRole(null);
+      });
+  }), []);
+
+  // UI-side permission check; database/firestore rules enforce the same table
+  const canDo = (permission) => can(staffRole, permission);
+  const requirePermission = (permission) => {
+    if (canDo(permission)) return true;
+    alert(permissionDeniedMessage(permission));
+    return false;
+  };
+
   // Firebase Auth & Data Subscription
   useEffect(() => {
     let unsubscribeWards = null;
     let unsubscribeDevices = null;
+    let unsubscribeSettings = null;
+    let unsubscribeResolution = null;
+    let unsubscribeDeviceStats = null;
+    let unsubscribeHeartbeat = null;
+    let unsubscribeSounds = null;
+    let unsubscribeSilences = null;
+    let unsubscribePresence = null;
+    let unsubscribeCameraPrivacy = null;
+    let unsubscribeFusion = null;
 
     const setupListeners = () => {
       // 1. One Listener to Rule Them All (Wards -> Rooms -> Devices)
@@ -366,13 +305,15 @@ export default function App() {
       unsubscribeWards = onValue(wardsRef, (snapshot) => {
         const data = snapshot.val() || {};
         setWardsData(data); // Store all wards
-        setConnected(true);
+        liveWardsReceived.current = true;
+        setWardsCachedAt(null);
+        cacheWardState(data);
+        setLastDataAt(Date.now());
         setError(null);
         setLoading(false);
       }, (err) => {
         console.error("Ward Listen Error:", err);
         setError("Connection lost: " + err.message);
-        setConnected(false);
       });
 
       // 2. Listen for Unassigned Devices (Global Discovery for Auto-Detect)
@@ -381,173 +322,424 @@ export default function App() {
         const data = snapshot.val() || {};
         setDevices(data);
       });
-    };
 
-    // Authenticate (Anonymous)
-    // Authenticate (Anonymous)
-    const isPlaceholderKey = !firebaseConfig.apiKey || firebaseConfig.apiKey === 'your-api-key-here';
+      // 3. Alarm escalation tiers (optional override of defaults)
+      const escalationRef = ref(db, 'hospital_system/settings/alarm_escalation');
+      unsubscribeSettings = onValue(escalationRef, (snapshot) => {
+        setEscalationConfig(mergeEscalationConfig(snapshot.val()));
+      });
+
+      // 4. Per-ward resolution checklist / interventions
+      unsubscribeResolution = onValue(ref(db, 'hospital_system/settings/resolution'), (snapshot) => {
+        setResolutionSettings(snapshot.val());
+      });
+
+      // 5. Per-device alarm / false-alarm counters
+      unsubscribeDeviceStats = onValue(ref(db, 'hospital_system/device_stats'), (snapshot) => {
+        setDeviceStats(snapshot.val() || {});
+      });
+
+      // 6. Heartbeat stale/offline thresholds per device type
+      unsubscribeHeartbeat = onValue(ref(db, 'hospital_system/settings/device_heartbeat'), (snapshot) => {
+        setHeartbeatSettings(snapshot.val());
+      });
+
+      // 7. Alarm sound profiles (default + per ward)
+      unsubscribeSounds = onValue(ref(db, 'hospital_system/settings/sound_profiles'), (snapshot) => {
+        setSoundSettings(snapshot.val());
+      });
+
+      // 8. Timed silences shared by all stations
+      unsubscribeSilences = onValue(ref(db, 'hospital_system/silences'), (snapshot) => {
+        setSilencesState(snapshot.val() || {});
+      });
+
+      // 9. Which stations are open, per ward
+      unsubscribePresence = onValue(ref(db, 'hospital_system/presence'), (snapshot) => {
+        setPresence(snapshot.val() || {});
+      });
+
+      // 10. Camera privacy (blur / hide video unless the room is in alarm)
+      unsubscribeCameraPrivacy = onValue(ref(db, 'hospital_system/settings/camera_privacy'), (snapshot) => {
+        setCameraPrivacy(snapshot.val());
+      });
+
+      // 11. Sensor fusion rules (optional override of defaults)
+      unsubscribeFusion = onValue(ref(db, 'hospital_system/settings/sensor_fusion'), (snapshot) => {
+        setFusionConfig(mergeFusionConfig(snapshot.val()));
+      });
+    };
 
+    // Listen only once a staff member is signed in (or when running without a valid key)
     if (isPlaceholderKey) {
-      console.warn("โ ๏ธ No valid API Key found. Skipping Auth and attempting direct DB connection.");
+      console.warn("No valid API Key found. Skipping Auth and attempting direct DB connection.");
       // Try to listen without auth (works if rules are .read: true)
       setupListeners();
-
-      if (!connected) {
-        setError("Setup Required: Valid Web API Key missing.");
-      }
+      setError("Setup Required: Valid Web API Key missing.");
       setLoading(false);
-    } else {
-      signInAnonymously(auth)
-        .then(() => {
-          console.log("๐”ฅ Firebase Auth: Signed in anonymously");
-          setupListeners();
-        })
-        .catch((err) => {
-          console.error("Auth Error:", err);
-          // If auth fails, we still try to listen in case rules allow public read
-          setupListeners();
-
-          if (err.code === 'auth/api-key-not-valid') {
-            setError("Invalid API Key: Please update .env with the Web API Key from Firebase Console.");
-          } else if (err.code === 'auth/configuration-not-found') {
-            setError("Setup Required: Enable 'Anonymous' sign-in provider in Firebase Console > Authentication > Sign-in method.");
-          } else {
-            setError(`Authentication failed: ${err.message}`);
-          }
-          setLoading(false);
-        });
+    } else if (staffUid) {
+      setupListeners();
     }
 
     return () => {
       if (unsubscribeWards) unsubscribeWards();
       if (unsubscribeDevices) unsubscribeDevices();
+      if (unsubscribeSettings) unsubscribeSettings();
+      if (unsubscribeResolution) unsubscribeResolution();
+      if (unsubscribeDeviceStats) unsubscribeDeviceStats();
+      if (unsubscribeHeartbeat) unsubscribeHeartbeat();
+      if (unsubscribeSounds) unsubscribeSounds();
+      if (unsubscribeSilences) unsubscribeSilences();
+      if (unsubscribePresence) unsubscribePresence();
+      if (unsubscribeCameraPrivacy) unsubscribeCameraPrivacy();
+      if (unsubscribeFusion) unsubscribeFusion();
     };
-  }, []); // Run once on mount
-
-  // --- Logic Helper: Get Room Status (Generic for Future Devices) ---
-  const getRoomLogic = (room) => {
-    const devices = room.devices || {};
-    const devValues = Object.values(devices);
-
-    let isFall = false;
-    let isOffline = true;
-    let hasDevices = devValues.length > 0;
-
-    // Robust Legacy Fall Check (Handle String/Boolean)
-    let legacyFall = room.live_status?.fall_detected;
-    if (String(legacyFall).toLowerCase() === 'true') legacyFall = true;
-    else if (String(legacyFall).toLowerCase() === 'false') legacyFall = false;
-    else legacyFall = !!legacyFall;
-
-    // Robust Ack Check (Handle String/Boolean)
-    let isAck = room.live_status?.acknowledged;
-    if (String(isAck).toLowerCase() === 'true') isAck = true;
-    else isAck = false;
-
-    if (hasDevices) {
-      // --- Online Check ---
-      // Significant = devices with IP, CAM model, or known monitor role
-      const significantDevices = devValues.filter(d =>
-        d.ip || d.model?.toLowerCase().includes('cam') || d.model?.toLowerCase().includes('monitor')
-      );
+  }, [staffUid]); // Re-subscribe when the signed-in staff member changes
 
-      if (significantDevices.length > 0) {
-        // A device is online if:
-        //   a) Status/status is 'online' or 'normal'
-        //   b) OR it has an IP but NO Status field at all (presence in DB = alive)
-        const someOnline = significantDevices.some(d => {
-          const s = (d.Status || d.status || '').toLowerCase();
-          if (s === 'online' || s === 'normal') return true;
-          // Device reported to DB but has no Status key โ’ treat as online
-          if (!d.Status && !d.status) return true;
-          return false;
-        });
-        if (someOnline) isOffline = false;
-      } else {
-        // Only sensors โ’ assume online
-        isOffline = false;
-      }
+  // --- Offline-first: cached ward state until the first live snapshot, outbox replay ---
+  useEffect(() => {
+    loadCachedWardState().then((cached) => {
+      if (!cached || liveWardsReceived.current) return;
+      setWardsData(cached.data || {});
+      setWardsCachedAt(cached.savedAt);
+      setLoading(false);
+    });
+    return startOutbox();
+  }, []);
 
-      // --- Fall Detection: Read from `Status` field ONLY ---
-      // `Detection: "Yes"` = camera sees a person (presence), NOT a fall signal.
-      // `Status` is the authoritative alarm field from the ESP32:
-      //   "Normal"  โ’ No alarm
-      //   Anything else (e.g. "Fall Down", "Emergency", "Fall") โ’ ALARM
-      const deviceFall = devValues.some(d => {
-        const s = (d.Status || d.status || '').toLowerCase();
+  useEffect(() => {
+    if (staffUid) flushOutbox();
+  }, [staffUid]);
 
-        // No Status reported โ’ not a fall from this device
-        if (!s) return false;
+  // --- Station presence: announce this station in every ward it shows ---
+  const presenceWards = Object.keys(scopedWards).sort().join(',');
+  useEffect(() => {
+    if (!staffUid || !presenceWards) return;
+    return announcePresence(presenceWards.split(','), getActor());
+  }, [staffUid, presenceWards, station.name]);
 
-        // "Normal" and "Online" are the only non-alarm states
-        if (s === 'normal' || s === 'online') return false;
+  // Back/forward to a /ward/N entry re-assigns the station to those wards
+  const routeWards = route.wards ? route.wards.join(',') : null;
+  useEffect(() => {
+    if (routeWards) setStation(setStationWards(routeWards.split(',')));
+  }, [routeWards]);
 
-        // Any other Status value means alarm state
-        return true;
-      });
-      isFall = deviceFall || legacyFall;
-    } else {
-      isFall = legacyFall;
+  // A bare "/" shows the station's wards as /ward/N, so it can be bookmarked on that device
+  const isMonitorHome = route.view === 'monitor' && !route.room && !route.wards;
+  useEffect(() => {
+    if (isMonitorHome && station.wards.length > 0) navigate(pathForWards(station.wards), { replace: true });
+  }, [isMonitorHome, station.wards]);
+
+  const openTab = (tab) => navigate(tab === 'monitor' ? pathForWards(station.wards) : pathForTab(tab));
+
+  // Opening History marks every entry as seen
+  useEffect(() => {
+    if (activeTab === 'logs') seenLogCount.current = logs.length;
+  }, [activeTab, logs.length]);
+
+  // A linked log entry must not be hidden by the type filter
+  useEffect(() => {
+    if (route.logId) setLogFilter('ALL');
+  }, [route.logId]);
+
+  const linkedLogLoaded = !!route.logId && logs.some(l => l.id === route.logId);
+  useEffect(() => {
+    if (linkedLogLoaded) document.getElementById(`log-${route.logId}`)?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [linkedLogLoaded, route.logId]);
+
+  const handleChangeStationWards = (wardKeys) => {
+    const next = setStationWards(wardKeys);
+    setStation(next);
+    setSupervisorView(null);
+    navigate(pathForWards(next.wards), { replace: activeTab === 'monitor' && !route.room });
+    const label = next.wards.length ? next.wards.map(w => w.replace('ward_', 'Ward ')).join(', ') : 'all wards';
+    writeLog('SYSTEM', `Station "${next.name}" assigned to ${label} by ${getActor().name}`, { stationId: next.id, wards: next.wards });
+  };
+
+  const handleChangePrivacy = async (mode) => {
+    if (!requirePermission(PERMISSIONS.CONFIGURE_SETTINGS)) return;
+    try {
+      await savePrivacyMode(mode);
+      writeLog('SYSTEM', `Camera privacy set to "${PRIVACY_MODES.find(m => m.key === mode)?.label || mode}" by ${getActor().name}`, { cameraPrivacy: mode });
+    } catch (err) {
+      console.error("Privacy Save Error:", err);
+      alert("Failed to save camera privacy: " + err.message);
     }
+  };
 
-    return {
-      isFall,
-      isOffline,
-      isAck,
-      hasDevices
-    };
+  const handleRenameStation = (name) => {
+    const previous = station.name;
+    const next = setStationName(name);
+    setStation(next);
+    writeLog('SYSTEM', `Station "${previous}" renamed to "${next.name}"`, { stationId: next.id });
   };
 
+  // --- Connection Health: socket state, clock skew and a periodic round-trip probe ---
+  useEffect(() => watchConnection((info) => {
+    if (info.serverTimeOffset !== undefined) serverOffsetRef.current = info.serverTimeOffset;
+    setConnInfo(prev => ({
+      ...prev,
+      ...info,
+      connectedChangedAt: info.connected !== undefined && info.connected !== prev.connected ? Date.now() : prev.connectedChangedAt,
+    }));
+  }), []);
+
+  useEffect(() => {
+    if (!staffUid) return;
+    const probe = () => probeConnection(staffUid)
+      .then(() => setLastDataAt(Date.now()))
+      .catch((err) => console.warn('Connection probe failed:', err));
+    probe();
+    const id = setInterval(probe, DEFAULT_CONNECTION_THRESHOLDS.probeIntervalSeconds * 1000);
+    return () => clearInterval(id);
+  }, [staffUid]);
+
+  // Escalation clock (server-corrected so heartbeat ages match device clocks)
+  useEffect(() => {
+    const id = setInterval(() => setClock(Date.now() + serverOffsetRef.current), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  const connectionHealth = getConnectionHealth({ ...connInfo, lastDataAt, now: clock - connInfo.serverTimeOffset });
+  // Only a signed-in station is expected to be monitoring
+  const monitoringLost = !!staffUid && connectionHealth.monitoringLost;
+
+  useEffect(() => {
+    if (monitoringLost === prevMonitoringLost.current) return;
+    prevMonitoringLost.current = monitoringLost;
+    if (monitoringLost) {
+      writeLog('SYSTEM', `Monitoring lost at this station (${connectionHealth.reasons.join(', ')})`, { reasons: connectionHealth.reasons });
+    } else {
+      setConnectionAlarmSilenced(false);
+      writeLog('SYSTEM', 'Monitoring restored at this station');
+    }
+  }, [monitoringLost, connectionHealth.reasons]);
+
+  // --- Device Heartbeat: log online/stale/offline transitions ---
+  useEffect(() => {
+    if (wardsCachedAt) return; // cached heartbeats are old by definition
+    // A lagging connection makes every heartbeat look old; only judge devices on fresh data
+    if (connectionHealth.status !== CONNECTION_STATUS.ONLINE) return;
+    Object.entries(wardsData).forEach(([wardKey, ward]) => {
+      Object.entries(ward).forEach(([roomKey, room]) => {
+        Object.entries(getRoomState(room, deviceRules, clock).devices).forEach(([devName, c]) => {
+          if (!c.liveness) return;
+          const key = `${wardKey}/${roomKey}/${devName}`;
+          if (prevLiveness.current[key] === c.liveness) return;
+          prevLiveness.current[key] = c.liveness;
+
+          recordLivenessTransition(wardKey, roomKey, devName, c.liveness)
+            .then((previous) => {
+              if (!previous) return;
+              const age = Math.round((clock - c.heartbeat) / 1000);
+              const detail = c.liveness === LIVENESS.ONLINE ? 'heartbeat resumed'
+                : c.heartbeat === null ? 'never sent a heartbeat' : `no heartbeat for ${age}s`;
+              writeLog('DEVICE_CHANGE', `${devName} in ${wardKey} / ${roomKey} is ${c.liveness} (was ${previous}, ${detail})`, {
+                wardKey, roomKey, deviceId: devName, from: previous, to: c.liveness, heartbeat: c.heartbeat,
+              });
+            })
+            .catch((err) => console.warn('recordLivenessTransition failed:', err));
+        });
+      });
+    });
+  }, [wardsData, clock, deviceRules, wardsCachedAt, connectionHealth.status]);
+
+  // --- Alarm Escalation: compute tiers (all wards, for the overview) and log each transition (own wards, one station wins) ---
+  useEffect(() => {
+    const next = {};
+
+    Object.entries(wardsData).forEach(([wardKey, ward]) => {
+      Object.entries(ward).forEach(([roomKey, room]) => {
+        const roomState = getRoomState(room, deviceRules, clock);
+        const key = `${wardKey}/${roomKey}`;
+        const incidentId = room.live_status?.incident_id || null;
+
+        if (roomState.isFall && !roomState.isAck) {
+          if (!fallSince.current.has(key)) fallSince.current.set(key, clock);
+        } else {
+          fallSince.current.delete(key);
+        }
+
+        // Tiers run from when the incident was opened, so a reload or a newly opened
+        // station does not start over at tier 1; until then, from when this station saw it
+        const fallAt = incidentId ? Number(room.live_status?.fall_at) || undefined : undefined;
+        const esc = getRoomEscalation(roomState, {
+          fallSince: fallAt ?? fallSince.current.get(key),
+          ackedAt: Number(room.live_status?.acknowledged_at) || undefined,
+        }, clock, wantsFastEscalation(room.patient_info) ? fastEscalationConfig(escalationConfig) : escalationConfig);
+        if (esc.level > 0) next[key] = esc;
+
+        const step = escalationStep(esc);
+        const prev = prevEscalations.current[key];
+        if (step === (prev ? escalationStep(prev) : null) || !scopedWards[wardKey] || wardsCachedAt) return;
+        recordEscalationTransition(wardKey, roomKey, incidentId, step)
+          .then((changed) => {
+            if (!changed || !step) return;
+            const [prevIncident, prevStep = ''] = changed.previous.split(':');
+            if (esc.overdue) {
+              writeLog('RESOLUTION_OVERDUE', `${wardKey} / ${roomKey} acknowledged but not resolved within ${escalationConfig.acked.reAlarmAfterMinutes} min`, { wardKey, roomKey, incidentId, ackedAt: Number(room.live_status?.acknowledged_at) });
+              return;
+            }
+            const prevLevel = prevIncident === (incidentId || 'pending') && prevStep.startsWith('level_') ? Number(prevStep.slice(6)) : 1;
+            if (esc.level > prevLevel) {
+              writeLog('ALARM_ESCALATED', `Alarm in ${wardKey} / ${roomKey} escalated to level ${esc.level}`, { wardKey, roomKey, incidentId, level: esc.level, tone: esc.tone, takeover: esc.takeover });
+            }
+          })
+          .catch((err) => console.warn('recordEscalationTransition failed:', err));
+      });
+    });
+
+    prevEscalations.current = next;
+    setEscalations(next);
+  }, [wardsData, scopedWards, clock, escalationConfig, deviceRules, wardsCachedAt]);
+
+  // --- Sensor Fusion: classify every room and log fall classifications (one station wins) ---
+  useEffect(() => {
+    const next = {};
+    const tracks = {};
+    Object.entries(wardsData).forEach(([wardKey, ward]) => {
+      Object.entries(ward).forEach(([roomKey, room]) => {
+        const key = `${wardKey}/${roomKey}`;
+        const signals = readSignals(room, getRoomState(room, deviceRules, clock), deviceRules, clock);
+        const track = updateFusionTrack(fusionTracks.current[key], signals, clock);
+        tracks[key] = track;
+        next[key] = { ...classifyFusion(track, signals, fusionConfig, clock), signals, track };
+      });
+    });
+    fusionTracks.current = tracks;
+    setFusion(next);
+
+    if (wardsCachedAt) return; // cached readings say nothing about what is happening now
+    Object.entries(next).forEach(([key, f]) => {
+      const [wardKey, roomKey] = key.split('/');
+      // Only fall classifications are logged; left bed / room empty change too often
+      const logged = [FUSION_EVENTS.CONFIRMED_FALL, FUSION_EVENTS.POSSIBLE_FALL, FUSION_EVENTS.NO_MOTION_AFTER_FALL].includes(f.event) ? f.event : null;
+      if ((prevFusion.current[key] ?? null) === logged) return;
+      prevFusion.current[key] = logged;
+      recordFusionTransition(wardKey, roomKey, logged)
+        .then((changed) => {
+          if (!changed || !logged) return;
+          writeLog('SENSOR_FUSION', `${FUSION_EVENT_LABELS[logged]} in ${wardKey} / ${roomKey}: ${f.reasons.join(', ')}`, {
+            wardKey, roomKey, event: logged, from: changed.previous, reasons: f.reasons, incidentId: wardsData[wardKey]?.[roomKey]?.live_status?.incident_id || null,
+          });
+        })
+        .catch((err) => console.warn('recordFusionTransition failed:', err));
+    });
+  }, [wardsData, clock, deviceRules, fusionConfig, wardsCachedAt]);
+
+  // --- Bed-exit / absence alerts: raise on the room's schedule, re-arm resolved ones (one station wins) ---
+  const bedAlertPending = useRef(new Set()); // "ward/room" with a transaction in flight
+  useEffect(() => {
+    if (wardsCachedAt) return;
+    Object.entries(wardsData).forEach(([wardKey, ward]) => {
+      Object.entries(ward).forEach(([roomKey, room]) => {
+        const key = `${wardKey}/${roomKey}`;
+        if (bedAlertPending.current.has(key)) return;
+        // Falls have their own workflow; an empty bed is expected without a patient
+        const wanted = !getRoomState(room, deviceRules, clock).isFall && hasPatient(room.patient_info)
+          ? detectBedAlert(room, fusion[key], clock)
+          : null;
+
+        let pending = null;
+        if (wanted && !room.bed_alert) {
+          pending = raiseBedAlert(wardKey, roomKey, wanted, clock).then((raised) => {
+            if (!raised) return;
+            writeLog('BED_ALERT', `${BED_ALERT_LABELS[raised.type]} in ${wardKey} / ${roomKey} (${raised.reason})`, {
+              wardKey, roomKey, alertId: raised.id, alertType: raised.type, patient: patientRef(room.patient_info),
+            });
+          });
+        } else if (!wanted && room.bed_alert?.resolved_at) {
+          pending = rearmBedAlert(wardKey, roomKey);
+        }
+        if (!pending) return;
+        bedAlertPending.current.add(key);
+        pending
+          .catch((err) => console.warn('bed alert update failed:', err))
+          .finally(() => bedAlertPending.current.delete(key));
+      });
+    });
+  }, [wardsData, fusion, clock, deviceRules, wardsCachedAt]);
+
   // Global Alert Logic (Multi-Ward)
   useEffect(() => {
     let unackedCount = 0;
     let anyFall = false;
     let alertRoomName = "";
+    let alertRoom = null;
 
-    Object.entries(wardsData).forEach(([wardName, ward]) => {
+    Object.entries(scopedWards).forEach(([wardName, ward]) => {
       Object.entries(ward).forEach(([roomKey, room]) => {
-        const { isFall, isAck } = getRoomLogic(room);
+        const { isFall, isAck } = getRoomState(room, deviceRules);
         if (isFall) {
           anyFall = true;
           if (!isAck) {
             unackedCount++;
             alertRoomName = `${wardName.replace('ward_', '')} - ${roomKey.replace('room_', '')}`;
+            alertRoom = roomPath(wardName, roomKey);
           }
         }
       });
     });
 
-    // Re-Trigger Alarm if new unacked event appears
-    if (unackedCount > lastUnackedCount.current) {
-      setAlarmAcknowledged(false);
-    }
+    // Notify once per new unacknowledged fall
+    const isNewFall = unackedCount > lastUnackedCount.current;
     lastUnackedCount.current = unackedCount;
 
     setActiveAlert(anyFall);
 
-    if (unackedCount > 0 && !alarmAcknowledged) {
+    if (isNewFall) {
       if ("Notification" in window && Notification.permission === "granted") {
-        try { new Notification("FALL DETECTED!", { body: alertRoomName }); } catch (e) { }
+        try {
+          // Clicking opens the room; the link also works on another device
+          const notification = new Notification("FALL DETECTED!", { body: `${alertRoomName}\n${absoluteUrl(alertRoom)}`, data: { url: absoluteUrl(alertRoom) } });
+          notification.onclick = () => { window.focus(); navigate(alertRoom); };
+        } catch (e) { }
       }
     }
-  }, [wardsData, activeAlert, alarmAcknowledged]);
+  }, [scopedWards, activeAlert, deviceRules]);
 
   // --- Log New Fall Events to RTDB (tracks first-occurrence only) ---
   const prevFallRooms = useRef(new Set());
   useEffect(() => {
+    if (wardsCachedAt) return; // a cached fall may long be over; wait for live data
     Object.entries(wardsData).forEach(([wardKey, ward]) => {
       Object.entries(ward).forEach(([roomKey, room]) => {
-        const { isFall } = getRoomLogic(room);
+        const { isFall, devices } = getRoomState(room, deviceRules);
         const key = `${wardKey}/${roomKey}`;
+        const incidentId = room.live_status?.incident_id;
         if (isFall && !prevFallRooms.current.has(key)) {
-          writeLog('FALL_DETECTED', `Fall detected in ${wardKey} / ${roomKey}`, { wardKey, roomKey });
           prevFallRooms.current.add(key);
+          // Only the station that creates the incident logs the detection
+          const triggerDevices = Object.keys(devices).filter(name => devices[name].status === DEVICE_STATUS.ALARM);
+          const patient = patientRef(room.patient_info);
+          // Raised by a device self-test command (lib/deviceCommands.js); kept out of response reports
+          const selfTest = room.live_status?.self_test || null;
+          const message = `${selfTest ? 'Self-test fall' : 'Fall detected'} in ${wardKey} / ${roomKey}`;
+          openIncident(wardKey, roomKey, triggerDevices, patient)
+            .then(({ incidentId: id, created }) => {
+              if (created) writeLog('FALL_DETECTED', message, { wardKey, roomKey, incidentId: id, patient, selfTest });
+            })
+            .catch((err) => {
+              // Retried on the next snapshot; the station that creates the incident logs it
+              console.warn('openIncident failed:', err);
+              prevFallRooms.current.delete(key);
+            });
         } else if (!isFall) {
           prevFallRooms.current.delete(key);
+          // Device cleared the fall by itself: close the incident so the next fall gets a new one.
+          // Only the station that wins the close logs it, so reports see the incident end here;
+          // stations that may not resolve incidents (firestore.rules) leave it to one that may.
+          if (incidentId && can(staffRole, PERMISSIONS.RESOLVE)) {
+            closeClearedIncident(wardKey, roomKey, incidentId)
+              .then((closed) => {
+                if (closed) writeLog('AUTO_CLEARED', `Fall in ${wardKey} / ${roomKey} cleared by the device before assistance was confirmed`, { wardKey, roomKey, incidentId });
+              })
+              .catch((err) => console.warn('auto-close incident failed:', err));
+          }
         }
       });
     });
-  }, [wardsData]);
+  }, [wardsData, deviceRules, wardsCachedAt, staffRole]);
 
   // --- Subscribe to Logs from Firestore (permanent history) ---
   useEffect(() => {
@@ -566,70 +758,235 @@ export default function App() {
   // Handle Audio Alarm
   // NOTE: recompute fall state inline โ€” do NOT rely on stale `activeAlert` state.
   useEffect(() => {
-    let anyUnacked = false;
-    Object.values(wardsData).forEach(ward => {
-      Object.values(ward).forEach(room => {
-        const { isFall, isAck } = getRoomLogic(room);
-        if (isFall && !isAck) anyUnacked = true;
-      });
-    });
-
-    if (anyUnacked && !isMuted && !alarmAcknowledged) {
+    // Every active alarm becomes a candidate; silenced rooms drop out, the highest-ranked one is heard
+    const candidates = collectAlarmCandidates({
+      wardsData: scopedWards, escalations, fusion, rules: deviceRules, now: clock,
+      connectionOnline: connectionHealth.status === CONNECTION_STATUS.ONLINE,
+    }).filter(c => !getRoomSilence(silences, c.wardKey, c.roomKey, c.alarmId, clock));
+    if (monitoringLost && !connectionAlarmSilenced) candidates.push({ event: ALARM_EVENTS.MONITORING_LOST, wardKey: null });
+
+    const enabled = candidates
+      .map(c => ({ ...c, profile: getSoundProfile(c.event, soundSettings, c.wardKey) }))
+      .filter(c => c.profile.enabled !== false);
+    const alarm = pickAlarm(enabled);
+
+    if (alarm) {
+      alarmRef.current?.setProfile(alarm.profile);
       alarmRef.current?.play();
     } else {
       alarmRef.current?.stop();
     }
-  }, [wardsData, isMuted, alarmAcknowledged]);
+  }, [scopedWards, escalations, fusion, silences, deviceRules, clock, connectionHealth.status, monitoringLost, connectionAlarmSilenced, soundSettings]);
+
+  // --- Silences: remove and log the ones that ran out (one station wins) ---
+  useEffect(() => {
+    listExpiredSilences(silences, clock).forEach(s => {
+      expireSilence(s.wardKey, s.roomKey, clock)
+        .then((removed) => {
+          if (removed) writeLog('UNMUTE', `Silence on ${s.roomKey ? `${s.wardKey} / ${s.roomKey}` : s.wardKey} expired after ${s.minutes} min`, { wardKey: s.wardKey, roomKey: s.roomKey, reason: 'expired' });
+        })
+        .catch((err) => console.warn('expireSilence failed:', err));
+    });
+  }, [silences, clock]);
+
+  // --- Device commands: log results and time out unanswered ones (one station wins) ---
+  const canSweepCommands = canDo(PERMISSIONS.CONFIGURE_DEVICES);
+  useEffect(() => {
+    if (!canSweepCommands) return;
+    listUnreportedCommands(devices, clock).forEach(({ deviceId, commandId }) => {
+      claimCommandReport(deviceId, commandId, clock)
+        .then((cmd) => {
+          if (!cmd) return;
+          writeLog('DEVICE_COMMAND', `${commandLabel(cmd.type)} on ${deviceId} ${cmd.status.replace('_', ' ')}: ${formatCommandResult(cmd)}`, {
+            deviceId, commandId, command: cmd.type, status: cmd.status, result: cmd.result || null,
+            durationMs: cmd.completed_at ? cmd.completed_at - cmd.issued_at : null,
+          });
+        })
+        .catch((err) => console.warn('claimCommandReport failed:', err));
+    });
+  }, [devices, clock, canSweepCommands]);
 
   const handleAcknowledge = async (wardKey, roomKey) => {
+    if (!requirePermission(PERMISSIONS.ACKNOWLEDGE)) return;
     try {
-      const roomRef = ref(db, `hospital_system/wards/${wardKey}/${roomKey}/live_status`);
-      await update(roomRef, { acknowledged: true });
-      setAlarmAcknowledged(true);
-      writeLog('ACKNOWLEDGED', `Alarm acknowledged in ${wardKey} / ${roomKey}`, { wardKey, roomKey });
+      const livePath = `hospital_system/wards/${wardKey}/${roomKey}/live_status`;
+      await queueUpdate({
+        [`${livePath}/acknowledged`]: true,
+        [`${livePath}/acknowledged_at`]: Date.now(),
+        [`${livePath}/acknowledged_by`]: { name: getActor().name, station: station.name },
+      }, `Acknowledge ${wardKey} / ${roomKey}`);
+      const incidentId = wardsData[wardKey]?.[roomKey]?.live_status?.incident_id || null;
+      queueAcknowledgeIncident(incidentId);
+      writeLog('ACKNOWLEDGED', `Alarm acknowledged in ${wardKey} / ${roomKey} by ${getActor().name}`, { wardKey, roomKey, incidentId });
+    } catch (err) { console.error(err); }
+  };
+
+  // Overdue (acked but unresolved) room: staff confirms they are still attending
+  const handleRenewAcknowledge = async (wardKey, roomKey) => {
+    if (!requirePermission(PERMISSIONS.ACKNOWLEDGE)) return;
+    try {
+      await queueUpdate({ [`hospital_system/wards/${wardKey}/${roomKey}/live_status/acknowledged_at`]: Date.now() }, `Still attending ${wardKey} / ${roomKey}`);
+      writeLog('ACKNOWLEDGED', `${getActor().name} still attending ${wardKey} / ${roomKey}`, { wardKey, roomKey, renewed: true });
+    } catch (err) { console.error(err); }
+  };
+
+  const handleAcknowledgeBedAlert = async (wardKey, roomKey) => {
+    if (!requirePermission(PERMISSIONS.ACKNOWLEDGE)) return;
+    const bedAlert = activeBedAlert(wardsData[wardKey]?.[roomKey]);
+    if (!bedAlert) return;
+    try {
+      const actor = getActor();
+      await acknowledgeBedAlert(wardKey, roomKey, { name: actor.name, station: station.name }, Date.now());
+      writeLog('BED_ALERT_ACKNOWLEDGED', `${BED_ALERT_LABELS[bedAlert.type]} in ${wardKey} / ${roomKey} acknowledged by ${actor.name}`, { wardKey, roomKey, alertId: bedAlert.id, alertType: bedAlert.type });
+    } catch (err) { console.error(err); }
+  };
+
+  const handleResolveBedAlert = async (wardKey, roomKey) => {
+    if (!requirePermission(PERMISSIONS.RESOLVE)) return;
+    const room = wardsData[wardKey]?.[roomKey];
+    const bedAlert = activeBedAlert(room);
+    if (!bedAlert) return;
+    try {
+      const actor = getActor();
+      const at = Date.now();
+      await resolveBedAlert(wardKey, roomKey, { name: actor.name, station: station.name }, at);
+      writeLog('BED_ALERT_RESOLVED', `${BED_ALERT_LABELS[bedAlert.type]} in ${wardKey} / ${roomKey}: patient checked by ${actor.name}`, {
+        wardKey, roomKey, alertId: bedAlert.id, alertType: bedAlert.type, durationMs: at - bedAlert.raised_at, patient: patientRef(room.patient_info),
+      });
     } catch (err) { console.error(err); }
   };
 
   const handleAcknowledgeAll = async () => {
+    if (!requirePermission(PERMISSIONS.ACKNOWLEDGE)) return;
     const updates = {};
     const rooms = [];
-    Object.entries(wardsData).forEach(([wardKey, ward]) => {
+    Object.entries(scopedWards).forEach(([wardKey, ward]) => {
       Object.entries(ward).forEach(([roomKey, room]) => {
-        const { isFall, isAck } = getRoomLogic(room);
+        const { isFall, isAck } = getRoomState(room, deviceRules);
         if (isFall && !isAck) {
           updates[`hospital_system/wards/${wardKey}/${roomKey}/live_status/acknowledged`] = true;
-          rooms.push(`${wardKey}/${roomKey}`);
+          updates[`hospital_system/wards/${wardKey}/${roomKey}/live_status/acknowledged_at`] = Date.now();
+          updates[`hospital_system/wards/${wardKey}/${roomKey}/live_status/acknowledged_by`] = { name: getActor().name, station: station.name };
+          rooms.push({ wardKey, roomKey, incidentId: room.live_status?.incident_id || null });
         }
       });
     });
     if (Object.keys(updates).length > 0) {
-      await update(ref(db), updates);
-      setAlarmAcknowledged(true);
-      writeLog('ACKNOWLEDGED', `All alarms acknowledged`, { rooms });
+      await queueUpdate(updates, `Acknowledge all (${rooms.length} rooms)`);
+      // One entry per room so each acknowledgement stays tied to its incident
+      const actor = getActor();
+      rooms.forEach(({ wardKey, roomKey, incidentId }) => {
+        queueAcknowledgeIncident(incidentId, actor);
+        writeLog('ACKNOWLEDGED', `Alarm acknowledged in ${wardKey} / ${roomKey} by ${actor.name} (acknowledge all)`, { wardKey, roomKey, incidentId, bulk: true });
+      });
     }
   };
 
-  const confirmResolution = async () => {
+  // `record` = { checklist, outcome } from the resolution modal (see lib/resolution.js)
+  const confirmResolution = async (record) => {
     if (!resolvingRoom) return;
+    if (!requirePermission(PERMISSIONS.RESOLVE)) return;
     const { wardKey, roomKey } = resolvingRoom;
+    const room = wardsData[wardKey]?.[roomKey] || {};
+    const incidentId = room.live_status?.incident_id || null;
+    // Devices whose Status raised this alarm, for the per-device false-alarm rate
+    const triggerDevices = Object.entries(getRoomState(room, deviceRules).devices)
+      .filter(([, c]) => c.status === DEVICE_STATUS.ALARM)
+      .map(([name]) => name);
     try {
-      const roomRef = ref(db, `hospital_system/wards/${wardKey}/${roomKey}`);
-      await update(roomRef, {
-        "live_status/fall_detected": false,
-        "live_status/acknowledged": false,
-        "devices/Pir_Motion_Sensor/val": 0,
-        "devices/Pir_Motion_Sensor/object_present": "No",
-        "devices/ESP32_S3_CAM/Status": "Normal",
-        "devices/ESP32_S3_CAM/Detection": "No"
+      const roomPath = `hospital_system/wards/${wardKey}/${roomKey}`;
+      const updates = {
+        [`${roomPath}/live_status/fall_detected`]: false,
+        [`${roomPath}/live_status/acknowledged`]: false,
+        [`${roomPath}/live_status/acknowledged_at`]: null,
+        [`${roomPath}/live_status/acknowledged_by`]: null,
+        [`${roomPath}/live_status/incident_id`]: null,
+        [`${roomPath}/live_status/fall_at`]: null,
+        [`${roomPath}/devices/Pir_Motion_Sensor/val`]: 0,
+        [`${roomPath}/devices/Pir_Motion_Sensor/object_present`]: "No",
+        [`${roomPath}/devices/ESP32_S3_CAM/Status`]: "Normal",
+        [`${roomPath}/devices/ESP32_S3_CAM/Detection`]: "No"
+      };
+      const actor = getActor();
+      const { checklist, outcome } = record;
+      // The nurse at the bedside has dealt with any bed-exit / absence alert too
+      if (activeBedAlert(room)) {
+        updates[`${roomPath}/bed_alert/resolved_at`] = Date.now();
+        updates[`${roomPath}/bed_alert/resolved_by`] = { name: actor.name, station: station.name };
+      }
+
+      triggerDevices.forEach(dev => {
+        const base = `hospital_system/device_stats/${wardKey}/${roomKey}/${dev}`;
+        updates[`${base}/alarms`] = increment(1);
+        if (outcome.type === 'false_alarm') updates[`${base}/false_alarms`] = increment(1);
       });
-      writeLog('RESOLVED', `Patient assistance complete in ${wardKey} / ${roomKey}`, { wardKey, roomKey });
-      setResolvingRoom(null);
+
+      // Queued so the reset survives a dropped connection; replayed in order with the log
+      await queueUpdate(updates, `Resolve ${wardKey} / ${roomKey}`);
+      queueResolveIncident(incidentId, { checklist, outcome, actor });
+
+      const outcomeLabel = OUTCOMES.find(o => o.key === outcome.type)?.label || outcome.type;
+      writeLog('RESOLVED', `Patient assistance complete in ${wardKey} / ${roomKey} (${outcomeLabel}), confirmed by ${actor.name}`, { wardKey, roomKey, incidentId, outcome, triggerDevices, patient: patientRef(room.patient_info) });
+      closeModal();
     } catch (err) {
       console.error("Resolution Error:", err);
       alert("Failed to resolve: " + err.message);
     }
   };
 
+  // --- Patient admit / update / transfer / discharge (see lib/patients.js) ---
+  const handleSavePatient = async (wardKey, roomKey, form) => {
+    if (!requirePermission(PERMISSIONS.MANAGE_PATIENTS)) return;
+    const current = wardsData[wardKey]?.[roomKey]?.patient_info;
+    const admitting = !hasPatient(current);
+    const actor = getActor();
+    const record = toPatientRecord(form, { id: current?.id, actor, now: Date.now() });
+    await savePatient(wardKey, roomKey, record);
+    writeLog(
+      admitting ? 'PATIENT_ADMITTED' : 'PATIENT_UPDATED',
+      admitting
+        ? `${record.name} (HN ${record.hn}) admitted to ${wardKey} / ${roomKey} by ${actor.name}`
+        : `Patient record for ${record.name} (HN ${record.hn}) updated by ${actor.name}`,
+      { wardKey, roomKey, patient: patientRef(record), morseScore: record.morse_score, fastEscalation: record.fast_escalation }
+    );
+  };
+
+  const handleTransferPatient = async (from, to) => {
+    if (!requirePermission(PERMISSIONS.MANAGE_PATIENTS)) return;
+    const current = wardsData[from.wardKey]?.[from.roomKey]?.patient_info;
+    if (!hasPatient(current)) return;
+    if (hasPatient(wardsData[to.wardKey]?.[to.roomKey]?.patient_info)) {
+      alert(`${to.wardKey} / ${to.roomKey} already has a patient.`);
+      return;
+    }
+    const actor = getActor();
+    const record = toPatientRecord(patientForm(current), { id: current.id, actor, now: Date.now() });
+    await transferPatient(from, to, record);
+    writeLog('PATIENT_TRANSFERRED', `${record.name} (HN ${record.hn}) transferred from ${from.wardKey} / ${from.roomKey} to ${to.wardKey} / ${to.roomKey} by ${actor.name}`, {
+      wardKey: to.wardKey, roomKey: to.roomKey, from, patient: patientRef(record),
+    });
+    navigate(roomPath(to.wardKey, to.roomKey), { replace: true });
+  };
+
+  const handleDischargePatient = async (wardKey, roomKey) => {
+    if (!requirePermission(PERMISSIONS.MANAGE_PATIENTS)) return;
+    const current = wardsData[wardKey]?.[roomKey]?.patient_info;
+    if (!hasPatient(current)) return;
+    await dischargePatient(wardKey, roomKey, current.name);
+    writeLog('PATIENT_DISCHARGED', `${current.name}${current.hn ? ` (HN ${current.hn})` : ''} discharged from ${wardKey} / ${roomKey} by ${getActor().name}`, {
+      wardKey, roomKey, patient: patientRef(current),
+    });
+  };
+
+  const handleSaveBedAlertSettings = async (wardKey, roomKey, form) => {
+    if (!requirePermission(PERMISSIONS.MANAGE_PATIENTS)) return;
+    const actor = getActor();
+    await saveBedAlertSettings(wardKey, roomKey, form, { name: actor.name, station: station.name }, Date.now());
+    writeLog('SYSTEM', `Bed alert schedule for ${wardKey} / ${roomKey} updated by ${actor.name}`, {
+      wardKey, roomKey, bedExit: form.bed_exit.enabled ? form.bed_exit.schedule : 'off', absence: form.absence.enabled ? form.absence.schedule : 'off',
+    });
+  };
+
   useEffect(() => {
     const unlockAudio = () => {
       if (alarmRef.current) {
@@ -662,12 +1019,57 @@ export default function App() {
   }, []);
 
   // Mute toggle with logging
-  const handleToggleMute = () => {
-    const next = !isMuted;
-    setIsMuted(next);
-    writeLog(next ? 'MUTE' : 'UNMUTE', next ? 'Alarm sound muted by nurse' : 'Alarm sound unmuted by nurse');
+  // Silence what is sounding now, ward by ward; anything that starts later still sounds
+  const handleSilenceAll = async (minutes) => {
+    if (!requirePermission(PERMISSIONS.MUTE)) return;
+    const sounding = collectAlarmCandidates({
+      wardsData: scopedWards, escalations, fusion, rules: deviceRules, now: clock,
+      connectionOnline: connectionHealth.status === CONNECTION_STATUS.ONLINE,
+    });
+    if (sounding.length === 0) return alert("No alarms are sounding.");
+    const byWard = {};
+    sounding.forEach(c => {
+      byWard[c.wardKey] = byWard[c.wardKey] || [];
+      byWard[c.wardKey].push(c);
+    });
+    const actor = getActor();
+    const targets = Object.entries(byWard).map(([wardKey, list]) => ({ wardKey, covers: coversFor(list) }));
+    await setSilences(targets, minutes, actor, clock);
+    targets.forEach(({ wardKey, covers }) => {
+      writeLog('MUTE', `Alarms in ${wardKey} silenced for ${minutes} min by ${actor.name}`, { wardKey, minutes, rooms: Object.keys(covers) });
+    });
+  };
+
+  const handleSilenceRoom = async (wardKey, roomKey, minutes) => {
+    if (!requirePermission(PERMISSIONS.MUTE)) return;
+    const room = wardsData[wardKey]?.[roomKey];
+    // Each sounding alarm is silenced by its own id, so a later fall, bed alert or outage still sounds
+    const sounding = collectAlarmCandidates({
+      wardsData: { [wardKey]: { [roomKey]: room || {} } }, escalations, fusion, rules: deviceRules, now: clock,
+      connectionOnline: connectionHealth.status === CONNECTION_STATUS.ONLINE,
+    });
+    if (sounding.length === 0) return alert("No alarm is sounding in this room.");
+    const incidentId = room?.live_status?.incident_id || null;
+    const actor = getActor();
+    await setSilences([{ wardKey, roomKey, covers: coversFor(sounding) }], minutes, actor, clock);
+    writeLog('MUTE', `Alarm in ${wardKey} / ${roomKey} silenced for ${minutes} min by ${actor.name}`, { wardKey, roomKey, minutes, incidentId });
+  };
+
+  const handleCancelSilence = async ({ wardKey, roomKey }) => {
+    if (!requirePermission(PERMISSIONS.MUTE)) return;
+    await clearSilences([{ wardKey, roomKey }]);
+    writeLog('UNMUTE', `Silence on ${roomKey ? `${wardKey} / ${roomKey}` : wardKey} cancelled by ${getActor().name}`, { wardKey, roomKey, reason: 'cancelled' });
   };
 
+  const handleSignOut = async () => {
+    await writeLog('SYSTEM', `${getActor().name} signed out`, { event: 'sign_out' });
+    await signOutStaff();
+  };
+
+  if (!isPlaceholderKey && staffUser === null) {
+    return <LoginScreen />;
+  }
+
   if (loading) {
     return (
       <div className="flex h-screen w-full flex-col items-center justify-center bg-slate-950 text-white">
@@ -697,15 +1099,20 @@ export default function App() {
               Nurse Station Monitor
             </h1>
             <div className="flex items-center gap-2 text-sm text-slate-400">
-              <span className={cn("w-2 h-2 rounded-full", connected ? "bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.6)]" : "bg-red-500")} />
-              {connected ? "System Online" : "Disconnected"}
+              <span className={cn(
+                "w-2 h-2 rounded-full",
+                connectionHealth.status === CONNECTION_STATUS.ONLINE ? "bg-green-500 shadow-[0_0_8px_rgba(34,197,94,0.6)]" :
+                  connectionHealth.status === CONNECTION_STATUS.DEGRADED ? "bg-amber-500 animate-pulse" : "bg-red-500 animate-pulse"
+              )} />
+              {connectionHealth.status === CONNECTION_STATUS.ONLINE ? "System Online" :
+                connectionHealth.status === CONNECTION_STATUS.DEGRADED ? "Connection Degraded" : "Disconnected"}
             </div>
           </div>
         </div>
 
         <div className="flex gap-3 bg-slate-900/50 p-2 rounded-xl backdrop-blur-md border border-slate-800">
           <button
-            onClick={() => setActiveTab('monitor')}
+            onClick={() => openTab('monitor')}
             className={cn(
               "flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all",
               activeTab === 'monitor' ? "bg-blue-600 text-white shadow-lg" : "text-slate-400 hover:bg-slate-800"
@@ -715,7 +1122,7 @@ export default function App() {
             Monitoring
           </button>
           <button
-            onClick={() => setActiveTab('devices')}
+            onClick={() => openTab('devices')}
             className={cn(
               "flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all",
               activeTab === 'devices' ? "bg-blue-600 text-white shadow-lg" : "text-slate-400 hover:bg-slate-800"
@@ -725,10 +1132,7 @@ export default function App() {
             Device Manager
           </button>
           <button
-            onClick={() => {
-              setActiveTab('logs');
-              seenLogCount.current = logs.length; // mark all as seen
-            }}
+            onClick={() => openTab('logs')}
             className={cn(
               "flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all relative",
               activeTab === 'logs' ? "bg-blue-600 text-white shadow-lg" : "text-slate-400 hover:bg-slate-800"
@@ -742,21 +1146,63 @@ export default function App() {
               </span>
             )}
           </button>
-        </div>
-
-        <div className="flex items-center gap-3">
           <button
-            onClick={handleToggleMute}
+            onClick={() => openTab('reports')}
             className={cn(
-              "relative p-2.5 rounded-lg transition-colors border border-transparent",
-              isMuted ? "bg-red-500/10 text-red-500 border-red-500/20" : "text-slate-400 hover:bg-slate-800 hover:text-white",
-              !audioReady && "opacity-50"
+              "flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all",
+              activeTab === 'reports' ? "bg-blue-600 text-white shadow-lg" : "text-slate-400 hover:bg-slate-800"
             )}
-            title={isMuted ? "Unmute" : "Mute"}
           >
-            {isMuted ? <VolumeX size={20} /> : <Volume2 size={20} />}
-            {!audioReady && <span className="absolute -top-1 -right-1 flex h-3 w-3"><span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-yellow-400 opacity-75" /><span className="relative inline-flex rounded-full h-3 w-3 bg-yellow-500" /></span>}
+            <BarChart3 size={18} />
+            Reports
           </button>
+          <button
+            onClick={() => openTab('sounds')}
+            className={cn(
+              "flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-medium transition-all",
+              activeTab === 'sounds' ? "bg-blue-600 text-white shadow-lg" : "text-slate-400 hover:bg-slate-800"
+            )}
+          >
+            <Speaker size={18} />
+            Sounds
+          </button>
+        </div>
+
+        <div className="flex items-center gap-3">
+          <StationsPanel
+            wards={listOnlineStations(presence, clock, station.id)}
+            station={station}
+            now={clock}
+            onRename={handleRenameStation}
+          />
+          <SilenceControl
+            silences={listActiveSilences(silences, clock)}
+            now={clock}
+            canMute={canDo(PERMISSIONS.MUTE)}
+            deniedMessage={permissionDeniedMessage(PERMISSIONS.MUTE)}
+            onSilence={handleSilenceAll}
+            onCancel={handleCancelSilence}
+          />
+          <OutboxIndicator />
+          {staffUser && (
+            <div className="flex items-center gap-2 pl-3 pr-1 py-1 bg-slate-800/60 rounded-lg border border-slate-700">
+              <UserRound size={16} className="text-slate-400" />
+              <span className="text-sm text-slate-200 font-medium max-w-[10rem] truncate">{staffDisplayName(staffUser)}</span>
+              <span className={cn(
+                "text-[10px] font-bold uppercase tracking-wide px-1.5 py-0.5 rounded",
+                staffRole ? "bg-blue-500/20 text-blue-300" : "bg-red-500/20 text-red-300"
+              )}>
+                {ROLE_LABELS[staffRole] || 'No role'}
+              </span>
+              <button
+                onClick={handleSignOut}
+                className="p-1.5 rounded-md text-slate-400 hover:bg-slate-700 hover:text-white transition-colors"
+                title="Sign out"
+              >
+                <LogOut size={16} />
+              </button>
+            </div>
+          )}
           <div className="hidden md:block px-4 py-2 bg-slate-800 rounded-lg text-sm text-slate-300 font-medium">
             {new Date().toLocaleDateString('th-TH', { weekday: 'short', day: 'numeric', month: 'short' })}
           </div>
@@ -784,6 +1230,47 @@ export default function App() {
         </div>
       )}
 
+      {/* --- Connection Health Banner --- */}
+      {staffUid && connectionHealth.status !== CONNECTION_STATUS.ONLINE && (
+        <div className={cn(
+          "max-w-7xl mx-auto mb-6 p-4 rounded-xl flex flex-col md:flex-row items-center justify-between gap-4 backdrop-blur-sm border",
+          connectionHealth.status === CONNECTION_STATUS.DISCONNECTED || monitoringLost
+            ? "bg-red-600/20 border-red-500/50 text-red-100"
+            : "bg-amber-500/10 border-amber-500/30 text-amber-200"
+        )}>
+          <div className="flex items-center gap-3">
+            <Unplug size={24} className={cn("shrink-0", monitoringLost ? "text-red-400 animate-pulse" : "text-amber-400")} />
+            <div>
+              <p className="font-bold">
+                {monitoringLost
+                  ? "MONITORING LOST — this station may be missing falls"
+                  : connectionHealth.status === CONNECTION_STATUS.DISCONNECTED ? "Disconnected from the database" : "Connection degraded"}
+              </p>
+              <p className="text-sm opacity-80">{connectionHealth.reasons.join(' · ')}. Check another station or the ward Wi-Fi.</p>
+            </div>
+          </div>
+          {monitoringLost && !connectionAlarmSilenced && (
+            <button
+              onClick={() => setConnectionAlarmSilenced(true)}
+              className="px-4 py-2 bg-red-600 hover:bg-red-500 text-white rounded-lg font-bold text-sm transition-colors shadow-lg whitespace-nowrap flex items-center gap-2"
+            >
+              <VolumeX size={16} /> Silence
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* --- Cached Data Banner --- */}
+      {wardsCachedAt && (
+        <div className="max-w-7xl mx-auto mb-6 p-4 bg-amber-500/10 border border-amber-500/30 rounded-xl text-amber-200 flex items-center gap-3 backdrop-blur-sm">
+          <WifiOff size={22} className="text-amber-400 shrink-0" />
+          <span className="font-medium">
+            Offline — showing ward state saved at {new Date(wardsCachedAt).toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' })}.
+            {' '}Live alarms resume when the connection returns.
+          </span>
+        </div>
+      )}
+
       {/* --- Content Area --- */}
       <main className="max-w-7xl mx-auto">
 
@@ -793,9 +1280,9 @@ export default function App() {
             {activeAlert && (
               (() => {
                 let hasUnacked = false;
-                Object.values(wardsData).forEach(ward =>
+                Object.values(scopedWards).forEach(ward =>
                   Object.values(ward).forEach(room => {
-                    const { isFall, isAck } = getRoomLogic(room);
+                    const { isFall, isAck } = getRoomState(room, deviceRules);
                     if (isFall && !isAck) hasUnacked = true;
                   })
                 );
@@ -844,8 +1331,46 @@ export default function App() {
               })()
             )}
 
+            <WardScopeBar
+              wardKeys={Object.keys(wardsData).sort()}
+              selected={station.wards}
+              supervisorView={supervisorView}
+              canOverview={canDo(PERMISSIONS.VIEW_ALL_WARDS)}
+              overviewDeniedMessage={permissionDeniedMessage(PERMISSIONS.VIEW_ALL_WARDS)}
+              onChange={handleChangeStationWards}
+              onChangeSupervisorView={setSupervisorView}
+            />
+
+            {supervisorView === 'overview' && (
+              <WardOverview
+                wardsData={wardsData}
+                rules={deviceRules}
+                now={clock}
+                escalations={escalations}
+                stations={listOnlineStations(presence, clock, station.id)}
+                onOpenWard={(wardKey) => handleChangeStationWards([wardKey])}
+              />
+            )}
+
+            {supervisorView === 'wall' && (
+              <VideoWall
+                wardsData={wardsData}
+                rules={deviceRules}
+                now={clock}
+                privacy={privacyMode(cameraPrivacy)}
+                canConfigure={canDo(PERMISSIONS.CONFIGURE_SETTINGS)}
+                deniedMessage={permissionDeniedMessage(PERMISSIONS.CONFIGURE_SETTINGS)}
+                onChangePrivacy={handleChangePrivacy}
+                onOpenRoom={(wardKey, roomKey) => navigate(roomPath(wardKey, roomKey))}
+              />
+            )}
+
+            {!supervisorView && Object.keys(scopedWards).length === 0 && Object.keys(wardsData).length > 0 && (
+              <p className="text-center text-slate-500 py-12">None of this station's wards have any rooms.</p>
+            )}
+
             {/* Iterate Wards */}
-            {Object.entries(wardsData).map(([wardKey, wardRooms]) => (
+            {!supervisorView && Object.entries(scopedWards).map(([wardKey, wardRooms]) => (
               <div key={wardKey} className="space-y-4 pt-4">
                 <h2 className="text-xl font-bold text-slate-400 border-b border-slate-800 pb-2 mb-6 flex items-center gap-2">
                   <LayoutDashboard size={20} />
@@ -855,9 +1380,17 @@ export default function App() {
 
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
                   {Object.entries(wardRooms).map(([roomKey, room]) => {
-                    const { isFall, isAck, isOffline } = getRoomLogic(room);
+                    const { state, reasons, isFall, isAck, isOffline } = getRoomState(room, deviceRules, clock);
                     const isEmergency = isFall && !isAck;
                     const isWaiting = isFall && isAck;
+                    const isUnknown = state === ROOM_STATES.UNKNOWN;
+                    const escalation = escalations[`${wardKey}/${roomKey}`];
+                    const isOverdue = isWaiting && !!escalation?.overdue;
+                    // Bed-exit / absence alert; a fall takes over the card while both are open
+                    const bedAlert = isFall ? null : activeBedAlert(room);
+                    const bedAlertAcked = !!bedAlert && isBedAlertAcked(bedAlert);
+                    const isBedAlarm = !!bedAlert && !bedAlertAcked;
+                    const roomSilence = getRoomSilence(silences, wardKey, roomKey, room.live_status?.incident_id || bedAlert?.id || 'fall', clock);
 
                     return (
                       <div key={roomKey} className={cn(
@@ -866,14 +1399,18 @@ export default function App() {
                           ? "bg-red-900/40 border-red-500 shadow-[0_0_30px_rgba(220,38,38,0.3)] scale-[1.02]"
                           : isWaiting
                             ? "bg-amber-900/40 border-amber-500 shadow-[0_0_20px_rgba(245,158,11,0.2)]"
-                            : "bg-slate-900/40 border-slate-800 hover:border-slate-700 hover:-translate-y-1 hover:shadow-xl backdrop-blur-sm"
+                            : isBedAlarm
+                              ? "bg-violet-900/40 border-violet-500 shadow-[0_0_24px_rgba(139,92,246,0.3)]"
+                              : bedAlert
+                                ? "bg-violet-900/20 border-violet-500/50"
+                                : "bg-slate-900/40 border-slate-800 hover:border-slate-700 hover:-translate-y-1 hover:shadow-xl backdrop-blur-sm"
                       )}>
                         {/* Card Header */}
                         <div className="p-6 border-b border-white/5 flex justify-between items-start">
                           <div className="flex items-center gap-4">
                             <div className={cn(
                               "w-14 h-14 rounded-2xl flex items-center justify-center text-white font-bold text-xl shadow-lg transition-transform group-hover:scale-110",
-                              isEmergency ? "bg-red-600 animate-bounce" : isWaiting ? "bg-amber-500 animate-pulse" : "bg-slate-800"
+                              isEmergency ? "bg-red-600 animate-bounce" : isWaiting ? "bg-amber-500 animate-pulse" : isBedAlarm ? "bg-violet-600 animate-pulse" : bedAlert ? "bg-violet-800" : "bg-slate-800"
                             )}>
                               {roomKey.replace('room_', '')}
                             </div>
@@ -890,6 +1427,15 @@ export default function App() {
                                   <span className={cn("w-1.5 h-1.5 rounded-full", isOffline ? "bg-slate-600" : "bg-green-500")} />
                                   {isOffline ? "OFFLINE" : "ACTIVE MONITORING"}
                                 </p>
+                                {isHighRisk(room.patient_info) && (
+                                  <RiskBadge score={room.patient_info.morse_score} className="mt-1 self-start" />
+                                )}
+                                {isFall && room.live_status?.self_test && (
+                                  <span className="mt-1 self-start px-2 py-0.5 rounded-full border border-blue-500/40 bg-blue-500/20 text-blue-300 text-[11px] font-bold">
+                                    DEVICE SELF-TEST
+                                  </span>
+                                )}
+                                <FusionBadge fusion={fusion[`${wardKey}/${roomKey}`]} now={clock} className="mt-1 self-start" />
                                 {/* Show Last Update if available from new path */}
                                 {room.fall_detection?.last_update && (
                                   <p className="text-[10px] text-slate-500 mt-0.5">
@@ -901,10 +1447,17 @@ export default function App() {
                           </div>
                           {isEmergency && <ShieldAlert className="text-red-500 animate-pulse" size={28} />}
                           {isWaiting && <Stethoscope className="text-amber-500 animate-pulse" size={28} />}
+                          {bedAlert && (bedAlert.type === BED_ALERT_TYPES.ABSENCE
+                            ? <DoorOpen className={cn("text-violet-400", isBedAlarm && "animate-pulse")} size={28} />
+                            : <BedSingle className={cn("text-violet-400", isBedAlarm && "animate-pulse")} size={28} />)}
                         </div>
 
                         {/* Card Body & Actions */}
                         <div className="p-6 space-y-4">
+                          {/* Camera opens by itself while the room is in alarm */}
+                          {isFall && roomCamera(room) && (
+                            <CameraViewer camera={roomCamera(room)} now={clock} label={room.patient_info?.name || roomKey.replace('room_', 'Room ')} />
+                          )}
                           <div className="flex justify-between items-center text-sm text-slate-400">
                             <span>Status</span>
                             <span className={cn(
@@ -913,11 +1466,16 @@ export default function App() {
                                 ? "bg-red-500/20 text-red-500 animate-pulse"
                                 : isWaiting
                                   ? "bg-amber-500/20 text-amber-500"
-                                  : "bg-green-500/20 text-green-500"
-                            )}>
+                                  : bedAlert
+                                    ? cn("bg-violet-500/20 text-violet-300", isBedAlarm && "animate-pulse")
+                                    : isUnknown
+                                    ? "bg-yellow-500/10 text-yellow-400"
+                                    : "bg-green-500/20 text-green-500"
+                            )} title={bedAlert ? bedAlert.reason : reasons.join('\n')}>
                               {isEmergency && <AlertTriangle size={14} />}
                               {isWaiting && <Stethoscope size={14} />}
-                              {isEmergency ? "๐จ FALL DETECTED" : isWaiting ? "WAITING FOR HELP" : "Normal"}
+                              {isUnknown && !bedAlert && <AlertTriangle size={14} />}
+                              {isEmergency ? "๐จ FALL DETECTED" : isOverdue ? "RESPONSE OVERDUE" : isWaiting ? "WAITING FOR HELP" : bedAlert ? BED_ALERT_LABELS[bedAlert.type].toUpperCase() : isUnknown ? "CHECK DEVICE" : "Normal"}
                             </span>
                           </div>
 
@@ -930,20 +1488,77 @@ export default function App() {
                                 <CheckCircle size={18} /> Acknowledge Alarm
                               </button>
                             ) : isWaiting ? (
+                              <div className="space-y-2">
+                                {room.live_status?.acknowledged_by && (
+                                  <p className="text-xs text-amber-200/80 text-center">
+                                    Acknowledged by {room.live_status.acknowledged_by.name} at {room.live_status.acknowledged_by.station}
+                                  </p>
+                                )}
+                                {isOverdue && (
+                                  <button
+                                    onClick={() => handleRenewAcknowledge(wardKey, roomKey)}
+                                    className="w-full py-2.5 bg-red-600/80 hover:bg-red-500 text-white font-bold rounded-xl flex items-center justify-center gap-2 transition-all active:scale-95 animate-pulse"
+                                  >
+                                    <Clock size={18} /> Still Attending
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => navigate(resolvePath(wardKey, roomKey))}
+                                  className="w-full py-3 bg-amber-500 hover:bg-amber-400 text-slate-900 font-bold rounded-xl shadow-lg shadow-amber-900/50 flex items-center justify-center gap-2 transition-all active:scale-95 hover:scale-[1.02]"
+                                >
+                                  <XCircle size={18} /> Confirm Assistance Complete
+                                </button>
+                              </div>
+                            ) : isBedAlarm ? (
                               <button
-                                onClick={() => setResolvingRoom({ wardKey, roomKey })}
-                                className="w-full py-3 bg-amber-500 hover:bg-amber-400 text-slate-900 font-bold rounded-xl shadow-lg shadow-amber-900/50 flex items-center justify-center gap-2 transition-all active:scale-95 hover:scale-[1.02]"
+                                onClick={() => handleAcknowledgeBedAlert(wardKey, roomKey)}
+                                className="w-full py-3 bg-violet-600 hover:bg-violet-500 text-white font-bold rounded-xl shadow-lg shadow-violet-900/50 flex items-center justify-center gap-2 transition-all active:scale-95 hover:scale-[1.02]"
                               >
-                                <XCircle size={18} /> Confirm Assistance Complete
+                                <CheckCircle size={18} /> Acknowledge
                               </button>
+                            ) : bedAlert ? (
+                              <div className="space-y-2">
+                                {bedAlert.acknowledged_by && (
+                                  <p className="text-xs text-violet-200/80 text-center">
+                                    Acknowledged by {bedAlert.acknowledged_by.name} at {bedAlert.acknowledged_by.station}
+                                  </p>
+                                )}
+                                <button
+                                  onClick={() => handleResolveBedAlert(wardKey, roomKey)}
+                                  className="w-full py-3 bg-violet-500 hover:bg-violet-400 text-white font-bold rounded-xl flex items-center justify-center gap-2 transition-all active:scale-95 hover:scale-[1.02]"
+                                >
+                                  <UserCheck size={18} /> Patient Checked
+                                </button>
+                              </div>
                             ) : (
                               <button
-                                onClick={() => setViewingRoom({ wardKey, roomKey, ...room })}
+                                onClick={() => navigate(roomPath(wardKey, roomKey))}
                                 className="w-full py-3 bg-slate-800 hover:bg-slate-700 text-slate-300 font-medium rounded-xl flex items-center justify-center gap-2 transition-all border border-slate-700 hover:border-slate-600"
                               >
                                 Details
                               </button>
                             )}
+                            {(isEmergency || isOverdue || isBedAlarm) && (
+                              roomSilence ? (
+                                <div className="mt-2 flex items-center justify-between gap-2 px-3 py-1.5 rounded-lg bg-black/30 text-xs text-slate-300">
+                                  <span className="flex items-center gap-1.5"><BellOff size={14} /> Silenced {roomSilence.scope === 'ward' && '(ward)'}</span>
+                                  <span className="font-mono font-bold">{formatCountdown(roomSilence.until - clock)}</span>
+                                </div>
+                              ) : canDo(PERMISSIONS.MUTE) && (
+                                <div className="mt-2 flex items-center gap-1.5 text-xs">
+                                  <BellOff size={14} className="text-slate-400" />
+                                  {SILENCE_MINUTES.map(min => (
+                                    <button
+                                      key={min}
+                                      onClick={() => handleSilenceRoom(wardKey, roomKey, min)}
+                                      className="flex-1 py-1 rounded-md bg-black/30 hover:bg-black/50 text-slate-300 font-bold"
+                                    >
+                                      {min}m
+                                    </button>
+                                  ))}
+                                </div>
+                              )
+                            )}
                           </div>
                         </div>
                       </div>
@@ -973,9 +1588,14 @@ export default function App() {
 
             // Filter Unassigned Devices for Auto-Discovery Section
             const unassignedList = Object.entries(devices).filter(([key, dev]) => {
-              if (key === 'Pir_Motion_Sensor') return false;
-              return !dev.config?.assigned_room || dev.config.assigned_room === 'unassigned';
+              if (key === 'Pir_Motion_Sensor' || isRetired(dev)) return false;
+              return !deviceLocation(dev);
             });
+            const registeredList = Object.entries(devices)
+              .filter(([key, dev]) => key !== 'Pir_Motion_Sensor' && (isRetired(dev) || deviceLocation(dev)))
+              .sort(([a], [b]) => a.localeCompare(b));
+            const canConfigure = canDo(PERMISSIONS.CONFIGURE_DEVICES);
+            const configureDenied = canConfigure ? undefined : permissionDeniedMessage(PERMISSIONS.CONFIGURE_DEVICES);
 
             return (
               <div className="space-y-6 animate-in fade-in zoom-in duration-300">
@@ -1019,25 +1639,64 @@ export default function App() {
                             <p className="text-xs text-slate-500 mt-1">{dev.type || 'Unknown Type'}</p>
                           </div>
 
-                          <div className="flex gap-2">
-                            <input
-                              id={`assign-room-${id}`}
-                              placeholder="Room (e.g. 301)"
-                              className="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-xs text-white focus:border-amber-500 outline-none"
-                            />
-                            <button
-                              onClick={() => handleSaveConfig(id, document.getElementById(`assign-room-${id}`).value, '')}
-                              className="bg-amber-600 hover:bg-amber-500 text-white px-3 py-2 rounded-lg text-xs font-bold transition-colors"
-                            >
-                              Assign
-                            </button>
-                          </div>
+                          <button
+                            onClick={() => navigate(devicePath(id))}
+                            disabled={!canConfigure}
+                            title={configureDenied}
+                            className="bg-amber-600 hover:bg-amber-500 disabled:opacity-40 disabled:cursor-not-allowed text-white px-3 py-2 rounded-lg text-xs font-bold transition-colors"
+                          >
+                            Assign to Room…
+                          </button>
                         </div>
                       ))}
                     </div>
                   </div>
                 )}
 
+                {/* Registered Devices (assigned or retired) */}
+                {registeredList.length > 0 && (
+                  <div className="bg-slate-900/40 rounded-2xl border border-slate-700/50 overflow-hidden">
+                    <div className="px-5 py-3 bg-slate-800/60 border-b border-slate-700/50 flex justify-between items-center">
+                      <h3 className="font-bold text-slate-200 flex items-center gap-2"><Cpu size={18} /> Device Registry</h3>
+                      <span className="text-xs font-mono px-2 py-1 rounded bg-black/20 text-slate-400">{registeredList.length} Registered</span>
+                    </div>
+                    <div className="divide-y divide-white/5">
+                      {registeredList.map(([id, dev]) => {
+                        const loc = deviceLocation(dev);
+                        const retired = isRetired(dev);
+                        const problems = loc && !retired ? validatePlacement(wardsData, loc.wardKey, loc.roomKey) : [];
+                        const stale = problems.length > 0;
+                        return (
+                          <div key={id} className={cn("flex items-center justify-between gap-3 px-5 py-3", retired && "opacity-60")}>
+                            <div className="min-w-0">
+                              <p className="text-sm font-bold text-slate-200 truncate">{deviceLabel(id, dev)}</p>
+                              <p className="text-[10px] text-slate-500 font-mono mt-0.5">
+                                {id} · {dev.type || 'Unknown Type'}
+                              </p>
+                            </div>
+                            <div className="flex items-center gap-3 shrink-0">
+                              <span className={cn(
+                                "text-xs font-bold px-2 py-1 rounded-full",
+                                retired ? "bg-slate-700 text-slate-400" : stale ? "bg-amber-500/10 text-amber-400" : "bg-blue-500/10 text-blue-300"
+                              )} title={stale ? `${problems.join(', ')} — edit to reassign` : undefined}>
+                                {retired ? 'Retired' : `${loc.wardKey ? loc.wardKey.replace('ward_', 'Ward ') : 'No ward'} · ${loc.roomKey.replace('room_', 'Room ')}`}
+                              </span>
+                              <button
+                                onClick={() => navigate(devicePath(id))}
+                                disabled={!canConfigure}
+                                title={configureDenied}
+                                className="px-3 py-1.5 rounded-lg border border-slate-700 text-slate-300 hover:bg-slate-800 text-xs font-bold disabled:opacity-40 disabled:cursor-not-allowed"
+                              >
+                                Edit
+                              </button>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                )}
+
                 {/* Device List by Ward/Room */}
                 {Object.entries(wardsData).map(([wardKey, rooms]) => (
                   <div key={wardKey} className="space-y-4">
@@ -1075,8 +1734,15 @@ export default function App() {
                                   else if (nameUpper.includes('MOTION') || nameUpper.includes('RADAR')) { Icon = Activity; colorClass = "text-amber-400"; }
 
                                   // Status
-                                  const status = devData.Status || devData.status || "Unknown";
-                                  const isOnline = status === 'Online' || status === 'Normal';
+                                  const rawStatus = devData.Status || devData.status || "Unknown";
+                                  const devClass = classifyDevice(devName, devData, deviceRules, clock);
+                                  const devState = devClass.status;
+                                  const isOnline = devState === DEVICE_STATUS.ONLINE;
+                                  const stats = deviceStats[wardKey]?.[roomKey]?.[devName];
+                                  const faRate = falseAlarmRate(stats);
+                                  const isStale = devClass.liveness === LIVENESS.STALE;
+                                  const status = devState === DEVICE_STATUS.OFFLINE ? 'Offline' : rawStatus;
+                                  const heartbeatAge = devClass.heartbeat ? Math.max(0, Math.round((clock - devClass.heartbeat) / 1000)) : null;
 
                                   return (
                                     <div key={devName} className="flex items-center justify-between p-3 bg-slate-950/30 rounded-xl border border-white/5">
@@ -1089,17 +1755,29 @@ export default function App() {
                                           <div className="flex gap-2 text-[10px] text-slate-500 font-mono mt-0.5">
                                             {devData.ip && <span>IP: {devData.ip}</span>}
                                             {devData.mac && <span className="hidden sm:inline">MAC: {devData.mac}</span>}
+                                            {faRate !== null && (
+                                              <span className={cn(faRate >= 0.5 && "text-amber-400")} title={`${stats.false_alarms || 0} false of ${stats.alarms} alarms`}>
+                                                FA: {Math.round(faRate * 100)}%
+                                              </span>
+                                            )}
                                           </div>
                                         </div>
                                       </div>
                                       <div className="text-right">
                                         <span className={cn(
                                           "text-xs font-bold px-2 py-1 rounded-full",
-                                          (status === 'Fall Down' || status === 'Emergency') ? "bg-red-500/20 text-red-400" :
-                                            isOnline ? "bg-emerald-500/10 text-emerald-400" : "bg-slate-700 text-slate-400"
+                                          devState === DEVICE_STATUS.ALARM ? "bg-red-500/20 text-red-400" :
+                                            isStale ? "bg-orange-500/10 text-orange-400" :
+                                              isOnline ? "bg-emerald-500/10 text-emerald-400" :
+                                                devState === DEVICE_STATUS.UNKNOWN ? "bg-yellow-500/10 text-yellow-400" : "bg-slate-700 text-slate-400"
                                         )}>
-                                          {status}
+                                          {isStale ? `${status} (stale)` : status}
                                         </span>
+                                        {heartbeatAge !== null && (
+                                          <p className={cn("text-[10px] mt-1", devClass.liveness === LIVENESS.ONLINE ? "text-slate-500" : "text-orange-400")}>
+                                            Seen {heartbeatAge}s ago
+                                          </p>
+                                        )}
                                         {devData.Detection && (
                                           <p className="text-[10px] text-slate-500 mt-1">
                                             Detect: {devData.Detection}
@@ -1110,6 +1788,14 @@ export default function App() {
                                             Val: {devData.val}
                                           </p>
                                         )}
+                                        {canConfigure && (
+                                          <button
+                                            onClick={() => handleRemoveRoomDevice(wardKey, roomKey, devName)}
+                                            className="mt-1 text-[10px] text-slate-500 hover:text-red-400 inline-flex items-center gap-1"
+                                          >
+                                            <Trash2 size={10} /> Remove
+                                          </button>
+                                        )}
                                       </div>
                                     </div>
                                   );
@@ -1146,146 +1832,196 @@ export default function App() {
                 </h2>
                 <p className="text-sm text-slate-500 mt-0.5">{logs.length} events recorded</p>
               </div>
-              <div className="flex flex-wrap gap-2">
-                {['ALL', ...Object.keys(LOG_TYPES)].map(f => (
+              <div className="flex gap-1 bg-slate-900/60 p-1 rounded-lg border border-slate-800">
+                {[['incidents', 'Incidents'], ['events', 'Raw Events']].map(([v, label]) => (
                   <button
-                    key={f}
-                    onClick={() => setLogFilter(f)}
+                    key={v}
+                    onClick={() => navigate(historyPath(v), { replace: true })}
                     className={cn(
-                      "px-3 py-1.5 text-xs font-bold rounded-full border transition-all",
-                      logFilter === f
-                        ? "bg-blue-600 border-blue-500 text-white"
-                        : "bg-slate-800/60 border-slate-700 text-slate-400 hover:border-slate-500"
+                      "px-3 py-1.5 text-xs font-bold rounded-md transition-all",
+                      historyView === v ? "bg-blue-600 text-white" : "text-slate-400 hover:bg-slate-800"
                     )}
                   >
-                    {f === 'ALL' ? 'All Events' : (LOG_TYPES[f]?.label || f)}
+                    {label}
                   </button>
                 ))}
               </div>
             </div>
-            <div className="space-y-2">
-              {(() => {
-                const filtered = logFilter === 'ALL' ? logs : logs.filter(l => l.type === logFilter);
-                if (filtered.length === 0) {
-                  return (
-                    <div className="flex flex-col items-center justify-center py-20 text-slate-600">
-                      <ScrollText size={48} className="mb-4 opacity-30" />
-                      <p className="text-lg font-semibold">No events recorded yet</p>
-                      <p className="text-sm mt-1">Events appear when falls, acknowledgments, or resolutions occur.</p>
-                    </div>
-                  );
-                }
-                return filtered.map((log, i) => {
-                  const cfg = LOG_TYPES[log.type] || LOG_TYPES.SYSTEM;
-                  const colorMap = { red: 'border-red-500/30 bg-red-500/5 hover:bg-red-500/10', amber: 'border-amber-500/30 bg-amber-500/5 hover:bg-amber-500/10', green: 'border-green-500/30 bg-green-500/5 hover:bg-green-500/10', blue: 'border-blue-500/30 bg-blue-500/5 hover:bg-blue-500/10', slate: 'border-slate-700/50 bg-slate-800/30 hover:bg-slate-800/60' };
-                  const badgeMap = { red: 'bg-red-500/20 text-red-400', amber: 'bg-amber-500/20 text-amber-400', green: 'bg-green-500/20 text-green-400', blue: 'bg-blue-500/20 text-blue-400', slate: 'bg-slate-700 text-slate-400' };
-                  const d = new Date(log.timestamp);
-                  const timeStr = d.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
-                  const dateStr = d.toLocaleDateString('th-TH', { day: 'numeric', month: 'short', year: '2-digit' });
-                  return (
-                    <div key={String(log.timestamp) + i} className={cn("flex items-start gap-4 p-4 rounded-xl border transition-colors", colorMap[cfg.color] || colorMap.slate)}>
-                      <div className={cn("shrink-0 p-2 rounded-lg", badgeMap[cfg.color] || badgeMap.slate)}>
-                        {log.type === 'FALL_DETECTED' && <ShieldAlert size={18} />}
-                        {log.type === 'ACKNOWLEDGED' && <CheckCircle size={18} />}
-                        {log.type === 'RESOLVED' && <Stethoscope size={18} />}
-                        {log.type === 'DEVICE_CHANGE' && <Wifi size={18} />}
-                        {log.type === 'MUTE' && <VolumeX size={18} />}
-                        {log.type === 'UNMUTE' && <Volume2 size={18} />}
-                        {log.type === 'SYSTEM' && <Activity size={18} />}
-                      </div>
-                      <div className="flex-1 min-w-0">
-                        <div className="flex flex-wrap items-center gap-2 mb-1">
-                          <span className={cn("text-[11px] font-bold uppercase tracking-wide px-2 py-0.5 rounded-full", badgeMap[cfg.color] || badgeMap.slate)}>{cfg.label}</span>
-                          {log.meta?.wardKey && <span className="text-[11px] text-slate-500 font-mono">{String(log.meta.wardKey).replace('ward_', 'Ward ')} / {String(log.meta.roomKey || '').replace('room_', 'Room ')}</span>}
+            {historyView === 'incidents' ? (
+              <IncidentList
+                selectedId={route.incidentId}
+                onSelect={(id) => navigate(id ? incidentPath(id) : historyPath('incidents'), { replace: true })}
+              />
+            ) : (
+              <>
+                <div className="flex flex-wrap gap-2">
+                  {['ALL', ...Object.keys(LOG_TYPES)].map(f => (
+                    <button
+                      key={f}
+                      onClick={() => setLogFilter(f)}
+                      className={cn(
+                        "px-3 py-1.5 text-xs font-bold rounded-full border transition-all",
+                        logFilter === f
+                          ? "bg-blue-600 border-blue-500 text-white"
+                          : "bg-slate-800/60 border-slate-700 text-slate-400 hover:border-slate-500"
+                      )}
+                    >
+                      {f === 'ALL' ? 'All Events' : (LOG_TYPES[f]?.label || f)}
+                    </button>
+                  ))}
+                </div>
+                <div className="space-y-2">
+                  {(() => {
+                    const filtered = logFilter === 'ALL' ? logs : logs.filter(l => l.type === logFilter);
+                    if (filtered.length === 0) {
+                      return (
+                        <div className="flex flex-col items-center justify-center py-20 text-slate-600">
+                          <ScrollText size={48} className="mb-4 opacity-30" />
+                          <p className="text-lg font-semibold">No events recorded yet</p>
+                          <p className="text-sm mt-1">Events appear when falls, acknowledgments, or resolutions occur.</p>
                         </div>
-                        <p className="text-sm text-slate-300 break-words">{log.message}</p>
-                      </div>
-                      <div className="text-right shrink-0">
-                        <p className="text-xs font-mono text-slate-300">{timeStr}</p>
-                        <p className="text-[10px] text-slate-600 mt-0.5">{dateStr}</p>
-                      </div>
-                    </div>
-                  );
-                });
-              })()}
-            </div>
+                      );
+                    }
+                    return filtered.map((log, i) => {
+                      const cfg = LOG_TYPES[log.type] || LOG_TYPES.SYSTEM;
+                      const colorMap = { red: 'border-red-500/30 bg-red-500/5 hover:bg-red-500/10', amber: 'border-amber-500/30 bg-amber-500/5 hover:bg-amber-500/10', green: 'border-green-500/30 bg-green-500/5 hover:bg-green-500/10', blue: 'border-blue-500/30 bg-blue-500/5 hover:bg-blue-500/10', violet: 'border-violet-500/30 bg-violet-500/5 hover:bg-violet-500/10', slate: 'border-slate-700/50 bg-slate-800/30 hover:bg-slate-800/60' };
+                      const badgeMap = { red: 'bg-red-500/20 text-red-400', amber: 'bg-amber-500/20 text-amber-400', green: 'bg-green-500/20 text-green-400', blue: 'bg-blue-500/20 text-blue-400', violet: 'bg-violet-500/20 text-violet-400', slate: 'bg-slate-700 text-slate-400' };
+                      const d = new Date(log.timestamp);
+                      const timeStr = d.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+                      const dateStr = d.toLocaleDateString('th-TH', { day: 'numeric', month: 'short', year: '2-digit' });
+                      return (
+                        <div
+                          key={String(log.timestamp) + i}
+                          id={log.id ? `log-${log.id}` : undefined}
+                          className={cn("flex items-start gap-4 p-4 rounded-xl border transition-colors", colorMap[cfg.color] || colorMap.slate, log.id && log.id === route.logId && "ring-2 ring-blue-500/60")}
+                        >
+                          <div className={cn("shrink-0 p-2 rounded-lg", badgeMap[cfg.color] || badgeMap.slate)}>
+                            {log.type === 'FALL_DETECTED' && <ShieldAlert size={18} />}
+                            {log.type === 'ACKNOWLEDGED' && <CheckCircle size={18} />}
+                            {log.type === 'RESOLVED' && <Stethoscope size={18} />}
+                            {log.type === 'AUTO_CLEARED' && <ShieldCheck size={18} />}
+                            {log.type === 'DEVICE_CHANGE' && <Wifi size={18} />}
+                            {log.type === 'DEVICE_COMMAND' && <Terminal size={18} />}
+                            {log.type === 'SENSOR_FUSION' && <Radar size={18} />}
+                            {log.type === 'BED_ALERT' && (log.meta?.alertType === BED_ALERT_TYPES.ABSENCE ? <DoorOpen size={18} /> : <BedSingle size={18} />)}
+                            {log.type === 'BED_ALERT_ACKNOWLEDGED' && <CheckCircle size={18} />}
+                            {log.type === 'BED_ALERT_RESOLVED' && <UserCheck size={18} />}
+                            {log.type === 'MUTE' && <VolumeX size={18} />}
+                            {log.type === 'UNMUTE' && <Volume2 size={18} />}
+                            {log.type === 'ONCALL_NOTIFIED' && <PhoneCall size={18} />}
+                            {log.type === 'ALARM_ESCALATED' && <BellRing size={18} />}
+                            {log.type === 'RESOLUTION_OVERDUE' && <Clock size={18} />}
+                            {log.type === 'SYSTEM' && <Activity size={18} />}
+                            {log.type === 'PATIENT_ADMITTED' && <UserPlus size={18} />}
+                            {log.type === 'PATIENT_UPDATED' && <UserCog size={18} />}
+                            {log.type === 'PATIENT_TRANSFERRED' && <ArrowRightLeft size={18} />}
+                            {log.type === 'PATIENT_DISCHARGED' && <UserMinus size={18} />}
+                          </div>
+                          <div className="flex-1 min-w-0">
+                            <div className="flex flex-wrap items-center gap-2 mb-1">
+                              <span className={cn("text-[11px] font-bold uppercase tracking-wide px-2 py-0.5 rounded-full", badgeMap[cfg.color] || badgeMap.slate)}>{cfg.label}</span>
+                              {log.meta?.wardKey && <span className="text-[11px] text-slate-500 font-mono">{String(log.meta.wardKey).replace('ward_', 'Ward ')} / {String(log.meta.roomKey || '').replace('room_', 'Room ')}</span>}
+                              {log.meta?.patient?.hn && <span className="text-[11px] text-slate-500">{log.meta.patient.name} · HN {log.meta.patient.hn}</span>}
+                            </div>
+                            <p className="text-sm text-slate-300 break-words">{log.message}</p>
+                            {log.evidence && <FallEvidence evidence={log.evidence} className="mt-3 max-w-md" />}
+                          </div>
+                          <div className="text-right shrink-0">
+                            <p className="text-xs font-mono text-slate-300">{timeStr}</p>
+                            <p className="text-[10px] text-slate-600 mt-0.5">{dateStr}</p>
+                            {log.id && <CopyLinkButton path={logPath(log.id)} className="mt-1" />}
+                          </div>
+                        </div>
+                      );
+                    });
+                  })()}
+                </div>
+              </>
+            )}
           </div>
         )}
+
+        {/* --- Reports Tab --- */}
+        {activeTab === 'reports' && <ReportsView />}
+
+        {/* TAB: SOUND TEST */}
+        {activeTab === 'sounds' && (
+          <SoundPreview
+            settings={soundSettings}
+            wardKeys={Object.keys(wardsData)}
+            canConfigure={canDo(PERMISSIONS.CONFIGURE_SETTINGS)}
+            deniedMessage={permissionDeniedMessage(PERMISSIONS.CONFIGURE_SETTINGS)}
+          />
+        )}
       </main >
 
       <SpeedInsights />
 
       {/* --- MODALS --- */}
 
-      {/* 1. Resolution Confirmation Modal โ€” Premium Redesign */}
-      {resolvingRoom && (
-        <div
-          className="fixed inset-0 z-50 flex items-center justify-center p-4"
-          style={{ background: 'rgba(0,0,0,0.85)', backdropFilter: 'blur(8px)' }}
-          onClick={(e) => { if (e.target === e.currentTarget) setResolvingRoom(null); }}
-        >
-          <div className="relative bg-slate-900 border border-amber-500/30 rounded-3xl w-full max-w-md shadow-[0_0_60px_rgba(245,158,11,0.15)] overflow-hidden">
-
-            {/* Glowing top bar */}
-            <div className="h-1 w-full bg-gradient-to-r from-amber-500 via-yellow-400 to-amber-500" />
-
-            {/* Header */}
-            <div className="px-8 pt-8 pb-6 text-center space-y-4">
-              {/* Animated Icon */}
-              <div className="relative mx-auto w-20 h-20">
-                <div className="absolute inset-0 rounded-full bg-amber-500/20 animate-ping" />
-                <div className="relative w-20 h-20 rounded-full bg-gradient-to-br from-amber-400 to-amber-600 flex items-center justify-center shadow-lg shadow-amber-500/30">
-                  <Stethoscope size={36} className="text-white" />
-                </div>
-              </div>
-
-              <div>
-                <p className="text-xs font-bold uppercase tracking-widest text-amber-400 mb-1">Assistance Protocol</p>
-                <h2 className="text-2xl font-bold text-white">Patient Assistance Complete?</h2>
-                <p className="text-slate-400 text-sm mt-2">
-                  Confirm that emergency in{' '}
-                  <span className="text-amber-400 font-bold">
-                    {resolvingRoom.wardKey?.replace('ward_', 'Ward ')} โ€” {resolvingRoom.roomKey?.replace('room_', 'Room ')}
-                  </span>{' '}
-                  has been fully resolved.
-                </p>
-              </div>
-            </div>
-
-            {/* Checklist */}
-            <div className="mx-6 mb-6 bg-slate-950/60 rounded-2xl border border-slate-800 p-4 space-y-3">
-              <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500 mb-3">Pre-Reset Checklist</p>
-              {[
-                { icon: '๐ฉบ', text: 'Patient has been assessed by staff' },
-                { icon: '๐””', text: 'Physical alarms have been silenced' },
-                { icon: '๐“ก', text: 'All monitoring devices are operational' },
-              ].map((item, i) => (
-                <div key={i} className="flex items-center gap-3 p-2 rounded-lg hover:bg-slate-800/40 transition-colors">
-                  <span className="text-lg">{item.icon}</span>
-                  <span className="text-sm text-slate-300">{item.text}</span>
-                </div>
-              ))}
-            </div>
-
-            {/* Action Buttons */}
-            <div className="px-6 pb-8 grid grid-cols-2 gap-3">
-              <button
-                onClick={() => setResolvingRoom(null)}
-                className="py-3.5 px-4 bg-slate-800/80 hover:bg-slate-700 text-slate-300 font-bold rounded-2xl border border-slate-700 hover:border-slate-500 transition-all active:scale-95 flex items-center justify-center gap-2"
-              >
-                <X size={18} /> Cancel
-              </button>
-              <button
-                onClick={confirmResolution}
-                className="py-3.5 px-4 bg-gradient-to-r from-amber-500 to-yellow-400 hover:from-amber-400 hover:to-yellow-300 text-slate-900 font-bold rounded-2xl transition-all active:scale-95 shadow-lg shadow-amber-900/30 flex items-center justify-center gap-2"
-              >
-                <CheckCircle size={18} /> Confirm & Clear
-              </button>
-            </div>
+      {/* 0. Escalation Takeover — unacknowledged alarm past the takeover tier */}
+      {Object.entries(escalations).some(([key, e]) => e.takeover && scopedWards[key.split('/')[0]]) && (
+        <div className="fixed inset-0 z-[60] flex flex-col items-center justify-center gap-8 p-6 bg-red-700/95 animate-pulse-fast text-white text-center">
+          <BellRing size={96} className="animate-bounce" />
+          <div>
+            <h2 className="text-4xl md:text-6xl font-black tracking-tight">UNANSWERED FALL ALARM</h2>
+            <p className="mt-3 text-lg text-red-100">No one has acknowledged these rooms. Respond immediately.</p>
+          </div>
+          <div className="flex flex-wrap justify-center gap-3">
+            {Object.entries(escalations).filter(([key, e]) => e.takeover && scopedWards[key.split('/')[0]]).map(([key]) => {
+              const [wardKey, roomKey] = key.split('/');
+              return (
+                <button
+                  key={key}
+                  onClick={() => handleAcknowledge(wardKey, roomKey)}
+                  className="px-6 py-4 bg-white text-red-700 font-black text-xl rounded-2xl shadow-2xl hover:bg-red-50 transition active:scale-95 flex items-center gap-2"
+                >
+                  <CheckCircle size={24} />
+                  {wardKey.replace('ward_', 'Ward ')} — {roomKey.replace('room_', 'Room ')}
+                </button>
+              );
+            })}
           </div>
+          <button
+            onClick={handleAcknowledgeAll}
+            className="px-8 py-3 border-2 border-white/70 rounded-xl font-bold hover:bg-white/10 transition"
+          >
+            ACKNOWLEDGE ALL
+          </button>
         </div>
       )}
 
+      {/* 1. Resolution Confirmation Modal */}
+      {resolvingRoom && (
+        <ResolutionModal
+          room={resolvingRoom}
+          incidentId={wardsData[resolvingRoom.wardKey]?.[resolvingRoom.roomKey]?.live_status?.incident_id || null}
+          config={getResolutionConfig(resolutionSettings, resolvingRoom.wardKey)}
+          canResolve={canDo(PERMISSIONS.RESOLVE)}
+          deniedMessage={permissionDeniedMessage(PERMISSIONS.RESOLVE)}
+          onCancel={closeModal}
+          onConfirm={confirmResolution}
+        />
+      )}
+
+      {/* Device Editor (Device Manager) */}
+      {editedDevice && canDo(PERMISSIONS.CONFIGURE_DEVICES) && (
+        <DeviceEditor
+          key={editingDevice}
+          deviceId={editingDevice}
+          device={editedDevice}
+          wardsData={wardsData}
+          now={clock}
+          onClose={() => goBack(pathForTab('devices'))}
+          onIssueCommand={(type, params) => handleIssueCommand(editingDevice, type, params)}
+          onSave={(placement) => handleSaveDevice(editingDevice, placement)}
+          onUnassign={() => handleUnassignDevice(editingDevice)}
+          onRetire={() => handleRetireDevice(editingDevice)}
+          onRestore={() => handleRestoreDevice(editingDevice)}
+          onDelete={() => handleDeleteDevice(editingDevice)}
+        />
+      )}
+
       {/* 2. Room Details Modal */}
       {viewingRoom && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4 animate-in fade-in duration-200">
@@ -1302,17 +2038,52 @@ export default function App() {
                   Patient: <span className="text-slate-200 font-bold">{viewingRoom.patient_info?.name || viewingRoom.config?.patient_name || 'Unassigned'}</span>
                 </p>
               </div>
-              <button
-                onClick={() => setViewingRoom(null)}
-                className="p-2 hover:bg-slate-800 rounded-full text-slate-400 hover:text-white transition-colors"
-              >
-                <X size={24} />
-              </button>
+              <div className="flex items-center gap-1">
+                <CopyLinkButton path={roomPath(viewingRoom.wardKey, viewingRoom.roomKey)} className="p-2 rounded-full" />
+                <button
+                  onClick={closeModal}
+                  className="p-2 hover:bg-slate-800 rounded-full text-slate-400 hover:text-white transition-colors"
+                >
+                  <X size={24} />
+                </button>
+              </div>
             </div>
 
             {/* Scrollable Content */}
             <div className="flex-1 overflow-y-auto p-6 space-y-6">
 
+              {/* Patient */}
+              <PatientPanel
+                key={`${viewingRoom.wardKey}/${viewingRoom.roomKey}`}
+                patient={viewingRoom.patient_info}
+                rooms={Object.entries(wardsData).flatMap(([w, rooms]) => Object.entries(rooms)
+                  .filter(([r]) => w !== viewingRoom.wardKey || r !== viewingRoom.roomKey)
+                  .map(([r, room]) => ({ wardKey: w, roomKey: r, occupied: hasPatient(room.patient_info) })))}
+                canManage={canDo(PERMISSIONS.MANAGE_PATIENTS)}
+                deniedMessage={permissionDeniedMessage(PERMISSIONS.MANAGE_PATIENTS)}
+                onSave={(form) => handleSavePatient(viewingRoom.wardKey, viewingRoom.roomKey, form)}
+                onTransfer={(to) => handleTransferPatient({ wardKey: viewingRoom.wardKey, roomKey: viewingRoom.roomKey }, to)}
+                onDischarge={() => handleDischargePatient(viewingRoom.wardKey, viewingRoom.roomKey)}
+              />
+
+              {/* Bed-exit / absence alert schedule */}
+              <BedAlertSettings
+                key={`bed-${viewingRoom.wardKey}/${viewingRoom.roomKey}`}
+                room={viewingRoom}
+                canManage={canDo(PERMISSIONS.MANAGE_PATIENTS)}
+                deniedMessage={permissionDeniedMessage(PERMISSIONS.MANAGE_PATIENTS)}
+                onSave={(form) => handleSaveBedAlertSettings(viewingRoom.wardKey, viewingRoom.roomKey, form)}
+              />
+
+              {/* Camera */}
+              {roomCamera(viewingRoom) && (
+                <CameraViewer
+                  camera={roomCamera(viewingRoom)}
+                  visibility={videoVisibility(privacyMode(cameraPrivacy), getRoomState(viewingRoom, deviceRules, clock).isFall)}
+                  now={clock}
+                />
+              )}
+
               {/* Status Section */}
               <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                 <div className="bg-slate-950 p-4 rounded-xl border border-slate-800">
@@ -1339,6 +2110,9 @@ export default function App() {
                 </div>
               </div>
 
+              {/* PIR + camera signals and what they add up to */}
+              <SensorPanel fusion={fusion[`${viewingRoom.wardKey}/${viewingRoom.roomKey}`]} now={clock} />
+
               {/* Devices List */}
               <div>
                 <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider mb-3">Connected Devices</h3>
@@ -1361,13 +2135,17 @@ export default function App() {
                         )}>
                           {devData.Status || devData.status || 'Offline'}
                         </span>
-                        {devData.stream_url && (
-                          <div className="mt-1">
-                            <a href={devData.stream_url} target="_blank" rel="noopener" className="text-xs text-blue-400 hover:underline flex items-center justify-end gap-1">
-                              View Stream <ExternalLink size={10} />
-                            </a>
-                          </div>
-                        )}
+                        {(() => {
+                          const { liveness, heartbeat } = classifyDevice(devName, devData, deviceRules, clock);
+                          if (!liveness) return null;
+                          return (
+                            <p className={cn("text-[10px] font-mono", liveness === LIVENESS.ONLINE ? "text-slate-500" : "text-orange-400")}>
+                              {heartbeat === null
+                                ? `Heartbeat ${liveness} · no heartbeat`
+                                : `Heartbeat ${liveness} · ${Math.max(0, Math.round((clock - heartbeat) / 1000))}s ago`}
+                            </p>
+                          );
+                        })()}
                       </div>
                     </div>
                   ))}
@@ -1376,12 +2154,15 @@ export default function App() {
                   )}
                 </div>
               </div>
+
+              {/* Recorded device state changes (history-server.cjs) */}
+              <DeviceTimeline wardKey={viewingRoom.wardKey} roomKey={viewingRoom.roomKey} now={clock} />
             </div>
 
             {/* Footer */}
             <div className="p-4 border-t border-slate-800 bg-slate-900 flex justify-end">
               <button
-                onClick={() => setViewingRoom(null)}
+                onClick={closeModal}
                 className="px-6 py-2 bg-slate-800 hover:bg-slate-700 text-white rounded-lg font-bold transition-colors"
               >
                 Close
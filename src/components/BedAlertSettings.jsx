@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { BedSingle, DoorOpen, Moon, Save, X, Pencil } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { SCHEDULES, bedAlertSettings, validateBedAlertSettings } from '../lib/bedAlerts.js';
+
+const input = "bg-slate-950 border border-slate-700 rounded-lg px-2 py-1.5 text-sm text-white outline-none focus:border-violet-500 disabled:opacity-50";
+const label = "block text-[11px] font-bold uppercase tracking-widest text-slate-500 mb-1";
+
+const scheduleLabel = (key) => SCHEDULES.find(s => s.key === key)?.label || key;
+
+// --- Room Details: bed-exit / out-of-room alert schedule (see lib/bedAlerts.js) ---
+export default function BedAlertSettings({ room, canManage, deniedMessage, onSave }) {
+  const current = bedAlertSettings(room);
+  const [form, setForm] = useState(null); // null while viewing
+  const [busy, setBusy] = useState(false);
+
+  const problems = form ? validateBedAlertSettings(form) : [];
+  const set = (section, field, value) => setForm(f => ({ ...f, [section]: { ...f[section], [field]: value } }));
+
+  const startEdit = () => (canManage ? setForm(current) : alert(deniedMessage));
+  const save = async () => {
+    if (problems.length > 0) return;
+    setBusy(true);
+    try {
+      await onSave(form);
+      setForm(null);
+    } catch (err) {
+      console.error("Bed Alert Settings Error:", err);
+      alert("Failed to save bed alert schedule: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!form) {
+    const summary = (s, text) => (s.enabled ? `${text} · ${scheduleLabel(s.schedule)}` : 'Off');
+    return (
+      <div className="bg-slate-950 p-4 rounded-xl border border-slate-800 space-y-2">
+        <div className="flex items-center justify-between gap-2">
+          <p className="text-xs text-slate-500 font-bold uppercase flex items-center gap-1.5"><BedSingle size={14} /> Bed & Absence Alerts</p>
+          <button
+            onClick={startEdit}
+            title={canManage ? undefined : deniedMessage}
+            className={cn("text-xs font-bold flex items-center gap-1 text-violet-300 hover:text-violet-200", !canManage && "opacity-50")}
+          >
+            <Pencil size={12} /> Edit
+          </button>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 text-sm">
+          <p className="text-slate-300"><span className="text-slate-500">Bed exit:</span> {summary(current.bed_exit, 'On')}</p>
+          <p className="text-slate-300"><span className="text-slate-500">Out of room:</span> {summary(current.absence, `After ${current.absence.after_minutes} min`)}</p>
+          <p className="text-slate-300"><span className="text-slate-500">Night:</span> {current.night.from}–{current.night.to}</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-slate-950 p-4 rounded-xl border border-violet-500/40 space-y-4">
+      <p className="text-xs text-violet-300 font-bold uppercase flex items-center gap-1.5"><BedSingle size={14} /> Bed & Absence Alerts</p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm font-bold text-slate-200">
+            <input type="checkbox" checked={form.bed_exit.enabled} onChange={(e) => set('bed_exit', 'enabled', e.target.checked)} />
+            <BedSingle size={14} /> Patient leaves bed
+          </label>
+          <select value={form.bed_exit.schedule} disabled={!form.bed_exit.enabled} onChange={(e) => set('bed_exit', 'schedule', e.target.value)} className={input}>
+            {SCHEDULES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+          </select>
+        </div>
+
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm font-bold text-slate-200">
+            <input type="checkbox" checked={form.absence.enabled} onChange={(e) => set('absence', 'enabled', e.target.checked)} />
+            <DoorOpen size={14} /> Patient out of room
+          </label>
+          <div className="flex items-center gap-2">
+            <select value={form.absence.schedule} disabled={!form.absence.enabled} onChange={(e) => set('absence', 'schedule', e.target.value)} className={input}>
+              {SCHEDULES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+            </select>
+            <span className="text-xs text-slate-500">after</span>
+            <input
+              type="number"
+              min={1}
+              max={240}
+              value={form.absence.after_minutes}
+              disabled={!form.absence.enabled}
+              onChange={(e) => set('absence', 'after_minutes', e.target.value === '' ? '' : Number(e.target.value))}
+              className={cn(input, "w-20")}
+            />
+            <span className="text-xs text-slate-500">min</span>
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <span className={label}><Moon size={11} className="inline mr-1" />Night hours</span>
+        <div className="flex items-center gap-2">
+          <input type="time" value={form.night.from} onChange={(e) => set('night', 'from', e.target.value)} className={input} />
+          <span className="text-slate-500">to</span>
+          <input type="time" value={form.night.to} onChange={(e) => set('night', 'to', e.target.value)} className={input} />
+        </div>
+      </div>
+
+      {problems.length > 0 && <p className="text-xs text-red-400">{problems.join(' · ')}</p>}
+
+      <div className="flex justify-end gap-2">
+        <button onClick={() => setForm(null)} disabled={busy} className="px-3 py-1.5 rounded-lg border border-slate-700 text-slate-300 hover:bg-slate-800 text-xs font-bold flex items-center gap-1">
+          <X size={12} /> Cancel
+        </button>
+        <button
+          onClick={save}
+          disabled={busy || problems.length > 0}
+          className="px-3 py-1.5 rounded-lg bg-violet-600 hover:bg-violet-500 disabled:opacity-40 text-white text-xs font-bold flex items-center gap-1"
+        >
+          <Save size={12} /> Save
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import { Camera, EyeOff, RefreshCw, ExternalLink, Loader2 } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { CAMERA_STATUS, watchCamera, retryCameraNow } from '../lib/cameraStream.js';
+
+function Placeholder({ icon, text, className }) {
+  return (
+    <div className={cn("aspect-video rounded-xl bg-slate-950 border border-slate-800 flex flex-col items-center justify-center gap-2 text-slate-600 text-xs", className)}>
+      {icon}
+      {text}
+    </div>
+  );
+}
+
+// --- Camera Viewer: live MJPEG or polled snapshots with reconnect and privacy blur ---
+// `camera` = roomCamera(room); `visibility` = videoVisibility(mode, alarmActive)
+export default function CameraViewer({ camera, mode = 'stream', visibility = 'show', now, label, className }) {
+  const [feed, setFeed] = useState(null);
+  const url = camera ? (mode === 'snapshot' ? camera.snapshotUrl : camera.streamUrl) : null;
+  const connect = !!url && visibility !== 'hide';
+
+  useEffect(() => {
+    if (!connect) return undefined;
+    return watchCamera(url, mode, setFeed);
+  }, [url, mode, connect]);
+
+  if (!camera) return <Placeholder icon={<Camera size={24} />} text="No camera in this room" className={className} />;
+  if (visibility === 'hide') return <Placeholder icon={<EyeOff size={24} />} text="Video hidden until an alarm (privacy)" className={className} />;
+
+  const status = feed?.status || CAMERA_STATUS.CONNECTING;
+  const retryIn = feed?.retryAt && now ? Math.max(0, Math.ceil((feed.retryAt - now) / 1000)) : null;
+
+  return (
+    <div className={cn("relative aspect-video rounded-xl overflow-hidden bg-black border border-slate-800", className)}>
+      {feed?.frameUrl && (
+        <img
+          src={feed.frameUrl}
+          alt={label || camera.devName}
+          className={cn("w-full h-full object-contain transition-[filter] duration-300", visibility === 'blur' && "blur-xl scale-110")}
+        />
+      )}
+
+      {visibility === 'blur' && (
+        <div className="absolute inset-0 flex items-center justify-center">
+          <span className="px-2 py-1 rounded-md bg-black/60 text-[11px] text-slate-300 flex items-center gap-1.5"><EyeOff size={12} /> Privacy blur</span>
+        </div>
+      )}
+
+      <div className="absolute top-2 left-2 right-2 flex items-center justify-between gap-2 text-[10px] font-bold">
+        <span className="px-1.5 py-0.5 rounded bg-black/60 text-slate-300 truncate">{label || camera.devName}</span>
+        {status === CAMERA_STATUS.LIVE ? (
+          <span className="px-1.5 py-0.5 rounded bg-black/60 text-red-400 flex items-center gap-1">
+            <span className="w-1.5 h-1.5 rounded-full bg-red-500 animate-pulse" /> {mode === 'snapshot' ? 'SNAPSHOT' : 'LIVE'}
+          </span>
+        ) : status === CAMERA_STATUS.RECONNECTING ? (
+          <button
+            onClick={(e) => { e.stopPropagation(); retryCameraNow(url, mode); }}
+            title={feed?.error || undefined}
+            className="px-1.5 py-0.5 rounded bg-amber-500/80 text-slate-900 flex items-center gap-1"
+          >
+            <RefreshCw size={10} /> Reconnecting{retryIn !== null && ` in ${retryIn}s`}
+          </button>
+        ) : (
+          <span className="px-1.5 py-0.5 rounded bg-black/60 text-slate-400 flex items-center gap-1">
+            <Loader2 size={10} className="animate-spin" /> Connecting
+          </span>
+        )}
+      </div>
+
+      {!feed?.frameUrl && status !== CAMERA_STATUS.LIVE && (
+        <div className="absolute inset-0 flex items-center justify-center text-xs text-slate-500">
+          {status === CAMERA_STATUS.RECONNECTING ? 'Camera unreachable' : 'Waiting for video…'}
+        </div>
+      )}
+
+      {mode === 'stream' && visibility === 'show' && (
+        <a
+          href={camera.streamUrl}
+          target="_blank"
+          rel="noopener"
+          onClick={(e) => e.stopPropagation()}
+          className="absolute bottom-2 right-2 px-1.5 py-0.5 rounded bg-black/60 text-[10px] text-blue-300 hover:underline flex items-center gap-1"
+        >
+          Open <ExternalLink size={10} />
+        </a>
+      )}
+    </div>
+  );
+}
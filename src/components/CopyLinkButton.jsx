@@ -0,0 +1,31 @@
+import React, { useState } from 'react';
+import { Link2, Check } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { absoluteUrl } from '../lib/router.js';
+
+// --- Copies a deep link (see lib/router.js) to share a room, incident or log entry ---
+export default function CopyLinkButton({ path, className }) {
+  const [copied, setCopied] = useState(false);
+
+  const copy = async (e) => {
+    e.stopPropagation();
+    const url = absoluteUrl(path);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return (
+    <button
+      onClick={copy}
+      className={cn("p-1.5 rounded-lg text-slate-500 hover:text-white hover:bg-slate-800 transition-colors", className)}
+      title="Copy link"
+    >
+      {copied ? <Check size={14} className="text-green-400" /> : <Link2 size={14} />}
+    </button>
+  );
+}
@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { RotateCcw, ShieldAlert, SlidersHorizontal, Upload, Loader2, CheckCircle, XCircle, Clock } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import {
+  COMMAND_STATUS,
+  SENSITIVITY_MIN,
+  SENSITIVITY_MAX,
+  DEFAULT_SENSITIVITY,
+  commandLabel,
+  isOpenCommand,
+  listCommands,
+  formatCommandResult,
+} from '../lib/deviceCommands.js';
+
+const STATUS_STYLE = {
+  [COMMAND_STATUS.PENDING]: 'text-slate-400',
+  [COMMAND_STATUS.ACKED]: 'text-blue-300',
+  [COMMAND_STATUS.SUCCEEDED]: 'text-emerald-400',
+  [COMMAND_STATUS.FAILED]: 'text-red-400',
+  [COMMAND_STATUS.TIMED_OUT]: 'text-amber-400',
+};
+
+function StatusIcon({ status }) {
+  if (status === COMMAND_STATUS.SUCCEEDED) return <CheckCircle size={12} />;
+  if (status === COMMAND_STATUS.FAILED) return <XCircle size={12} />;
+  if (status === COMMAND_STATUS.TIMED_OUT) return <Clock size={12} />;
+  return <Loader2 size={12} className="animate-spin" />;
+}
+
+// --- Device Editor: remote commands and their latest results ---
+export default function DeviceCommands({ deviceId, device, assigned, now, onIssue }) {
+  const [sensitivity, setSensitivity] = useState(() => device?.config?.sensitivity ?? DEFAULT_SENSITIVITY);
+  const [busy, setBusy] = useState(false);
+
+  const commands = listCommands(device);
+  const pendingTypes = new Set(commands.filter(isOpenCommand).map(c => c.type));
+
+  const send = async (type, params, question) => {
+    if (question && !confirm(question)) return;
+    setBusy(true);
+    try {
+      await onIssue(type, params);
+    } catch (err) {
+      console.error("Device Command Error:", err);
+      alert(`Failed to send ${commandLabel(type)}: ${err.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const actions = [
+    { type: 'reboot', Icon: RotateCcw, question: `Reboot ${deviceId}? It stops monitoring until it reconnects.` },
+    {
+      type: 'self_test', Icon: ShieldAlert, needsRoom: true,
+      question: `Run a self-test on ${deviceId}? It raises a test fall alarm in its room at every station; acknowledge it to complete the test.`,
+    },
+    { type: 'config_push', Icon: Upload, params: () => ({ config: device?.config || {} }) },
+  ];
+  const button = "px-3 py-1.5 rounded-lg border border-slate-700 text-slate-300 hover:bg-slate-800 text-xs font-bold flex items-center gap-1.5 disabled:opacity-40 disabled:cursor-not-allowed";
+
+  return (
+    <div className="space-y-3">
+      <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500">Remote Commands</p>
+      <div className="flex flex-wrap gap-2">
+        {actions.map(action => (
+          <button
+            key={action.type}
+            disabled={busy || pendingTypes.has(action.type) || (action.needsRoom && !assigned)}
+            title={action.needsRoom && !assigned ? 'Assign the device to a room first' : undefined}
+            onClick={() => send(action.type, action.params?.() || null, action.question)}
+            className={button}
+          >
+            <action.Icon size={14} /> {commandLabel(action.type)}
+          </button>
+        ))}
+      </div>
+      <div className="flex items-center gap-2">
+        <SlidersHorizontal size={14} className="text-slate-500 shrink-0" />
+        <input
+          type="range"
+          min={SENSITIVITY_MIN}
+          max={SENSITIVITY_MAX}
+          value={sensitivity}
+          onChange={(e) => setSensitivity(Number(e.target.value))}
+          className="flex-1 accent-blue-500"
+        />
+        <span className="text-xs font-mono text-slate-300 w-10 text-right">{sensitivity}/{SENSITIVITY_MAX}</span>
+        <button
+          disabled={busy || pendingTypes.has('recalibrate')}
+          onClick={() => send('recalibrate', { sensitivity }, `Recalibrate ${deviceId} at sensitivity ${sensitivity}?`)}
+          className={button}
+        >
+          {commandLabel('recalibrate')}
+        </button>
+      </div>
+
+      {commands.length > 0 && (
+        <ul className="space-y-1 max-h-40 overflow-y-auto">
+          {commands.slice(0, 8).map(cmd => (
+            <li key={cmd.id} className="flex items-center justify-between gap-3 text-xs bg-slate-950/60 rounded-lg px-3 py-1.5">
+              <span className={cn("flex items-center gap-1.5 font-bold", STATUS_STYLE[cmd.status])}>
+                <StatusIcon status={cmd.status} /> {commandLabel(cmd.type)}
+              </span>
+              <span className="text-slate-500 truncate">
+                {isOpenCommand(cmd)
+                  ? `${cmd.status === COMMAND_STATUS.ACKED ? 'running' : 'waiting for device'} · ${Math.max(0, Math.ceil((cmd.expires_at - now) / 1000))}s`
+                  : formatCommandResult(cmd)}
+              </span>
+              <span className="text-slate-600 font-mono shrink-0" title={cmd.issued_by?.name}>
+                {new Date(cmd.issued_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { Cpu, Save, X, Unplug, Archive, ArchiveRestore, Trash2 } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import DeviceCommands from './DeviceCommands.jsx';
+import CopyLinkButton from './CopyLinkButton.jsx';
+import { deviceLocation, deviceLabel, isRetired, validatePlacement } from '../lib/deviceRegistry.js';
+import { devicePath } from '../lib/router.js';
+
+const input = "w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white outline-none focus:border-blue-500";
+const label = "block text-[11px] font-bold uppercase tracking-widest text-slate-500 mb-1";
+
+const wardName = (wardKey) => wardKey.replace('ward_', 'Ward ');
+const roomName = (roomKey) => roomKey.replace('room_', 'Room ');
+
+// Older registry entries carry only assigned_room; find the ward that has that room
+function initialPlacement(dev, wardsData) {
+  const loc = deviceLocation(dev);
+  if (!loc) return { wardKey: '', roomKey: '' };
+  const wardKey = loc.wardKey || Object.keys(wardsData).find(w => wardsData[w]?.[loc.roomKey]) || '';
+  return { wardKey, roomKey: loc.roomKey };
+}
+
+// --- Device Editor: rename, assign / move, unassign, retire, delete, remote commands ---
+export default function DeviceEditor({ deviceId, device, wardsData, now, onClose, onIssueCommand, onSave, onUnassign, onRetire, onRestore, onDelete }) {
+  const [form, setForm] = useState(() => ({
+    name: device?.config?.display_name || '',
+    ...initialPlacement(device, wardsData),
+  }));
+  const [busy, setBusy] = useState(false);
+
+  const current = initialPlacement(device, wardsData);
+  const assigned = !!current.roomKey;
+  const retired = isRetired(device);
+  const problems = retired ? [] : validatePlacement(wardsData, form.wardKey, form.roomKey);
+  const moved = form.wardKey !== current.wardKey || form.roomKey !== current.roomKey;
+  const renamed = form.name.trim() !== (device?.config?.display_name || '');
+  const rooms = form.wardKey ? Object.keys(wardsData[form.wardKey] || {}).sort() : [];
+  const title = deviceLabel(deviceId, device);
+
+  const run = async (question, fn) => {
+    if (!confirm(question)) return;
+    setBusy(true);
+    try {
+      await fn();
+      onClose();
+    } catch (err) {
+      console.error("Device Update Error:", err);
+      alert("Failed to update device: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () => {
+    const where = `${wardName(form.wardKey)} / ${roomName(form.roomKey)}`;
+    const question = !moved
+      ? `Rename ${deviceId} to "${form.name.trim() || deviceId}"?`
+      : assigned
+        ? `Move ${title} from ${wardName(current.wardKey || '?')} / ${roomName(current.roomKey)} to ${where}?`
+        : `Assign ${title} to ${where}?`;
+    run(question, () => onSave({ name: form.name.trim(), wardKey: form.wardKey, roomKey: form.roomKey }));
+  };
+
+  const secondary = "px-3 py-2 rounded-lg border text-xs font-bold flex items-center gap-1.5 disabled:opacity-40 disabled:cursor-not-allowed";
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 backdrop-blur-sm p-4 animate-in fade-in duration-200"
+      onClick={(e) => { if (e.target === e.currentTarget) onClose(); }}
+    >
+      <div className="bg-slate-900 border border-slate-700 rounded-2xl w-full max-w-md max-h-[92vh] overflow-y-auto shadow-2xl p-6 space-y-5">
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <h3 className="text-lg font-bold text-white flex items-center gap-2"><Cpu size={18} className="text-blue-400" /> {title}</h3>
+            <p className="text-xs text-slate-500 font-mono mt-0.5">
+              {deviceId} · {device?.type || 'Unknown Type'}{device?.ip && ` · ${device.ip}`}
+            </p>
+          </div>
+          <div className="flex items-center gap-1 shrink-0">
+            <CopyLinkButton path={devicePath(deviceId)} />
+            <button onClick={onClose} className="p-1.5 rounded-lg text-slate-400 hover:bg-slate-800"><X size={18} /></button>
+          </div>
+        </div>
+
+        {retired ? (
+          <p className="text-sm text-slate-400 bg-slate-950 border border-slate-800 rounded-xl p-3">
+            Retired{device.config.retired_at && ` on ${new Date(device.config.retired_at).toLocaleDateString()}`}. Restore it to assign it to a room again.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            <label className="block">
+              <span className={label}>Display Name</span>
+              <input className={input} value={form.name} placeholder={deviceId} onChange={(e) => setForm(f => ({ ...f, name: e.target.value }))} />
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+              <label>
+                <span className={label}>Ward</span>
+                <select className={input} value={form.wardKey} onChange={(e) => setForm(f => ({ ...f, wardKey: e.target.value, roomKey: '' }))}>
+                  <option value="">Select…</option>
+                  {Object.keys(wardsData).sort().map(w => <option key={w} value={w}>{wardName(w)}</option>)}
+                </select>
+              </label>
+              <label>
+                <span className={label}>Room</span>
+                <select className={input} value={form.roomKey} disabled={!form.wardKey} onChange={(e) => setForm(f => ({ ...f, roomKey: e.target.value }))}>
+                  <option value="">Select…</option>
+                  {rooms.map(r => <option key={r} value={r}>{roomName(r)}</option>)}
+                </select>
+              </label>
+            </div>
+            {problems.length > 0 && (
+              <ul className="text-xs text-amber-400 space-y-0.5">
+                {problems.map(p => <li key={p}>• {p}</li>)}
+              </ul>
+            )}
+            <button
+              disabled={problems.length > 0 || (!moved && !renamed) || busy}
+              onClick={save}
+              className="w-full py-2 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm font-bold flex items-center justify-center gap-2 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              <Save size={16} /> {!assigned ? 'Assign' : moved ? 'Move' : 'Save'}
+            </button>
+          </div>
+        )}
+
+        {!retired && (
+          <div className="pt-4 border-t border-slate-800">
+            <DeviceCommands deviceId={deviceId} device={device} assigned={assigned} now={now} onIssue={onIssueCommand} />
+          </div>
+        )}
+
+        <div className="flex flex-wrap gap-2 pt-2 border-t border-slate-800">
+          {assigned && !retired && (
+            <button
+              disabled={busy}
+              onClick={() => run(`Unassign ${title} from ${roomName(current.roomKey)}?`, onUnassign)}
+              className={cn(secondary, "border-slate-700 text-slate-300 hover:bg-slate-800")}
+            >
+              <Unplug size={14} /> Unassign
+            </button>
+          )}
+          {retired ? (
+            <button
+              disabled={busy}
+              onClick={() => run(`Restore ${title}?`, onRestore)}
+              className={cn(secondary, "border-slate-700 text-slate-300 hover:bg-slate-800")}
+            >
+              <ArchiveRestore size={14} /> Restore
+            </button>
+          ) : (
+            <button
+              disabled={busy}
+              onClick={() => run(`Retire ${title}? It will be removed from its room and hidden from discovery.`, onRetire)}
+              className={cn(secondary, "border-amber-500/40 text-amber-300 hover:bg-amber-500/10")}
+            >
+              <Archive size={14} /> Retire
+            </button>
+          )}
+          <button
+            disabled={busy}
+            onClick={() => run(`Permanently delete ${title} from the registry? A board that reconnects will show up as a new device.`, onDelete)}
+            className={cn(secondary, "border-red-500/40 text-red-300 hover:bg-red-500/10 ml-auto")}
+          >
+            <Trash2 size={14} /> Delete
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { History, ZoomIn, ZoomOut, RotateCcw } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import {
+  HISTORY_RANGES,
+  MIN_ZOOM_MS,
+  watchRoomHistory,
+  buildDeviceTracks,
+  laneSegments,
+  countChanges,
+  zoomWindow,
+  timeTicks,
+  formatTick,
+} from '../lib/deviceHistory.js';
+
+// Segment colours by tone (see laneTone in lib/deviceHistory.js)
+const TONES = {
+  online: "bg-emerald-500/70",
+  alarm: "bg-red-500",
+  unknown: "bg-amber-500/80",
+  silent: "bg-slate-700",
+  offline: "bg-slate-600/50",
+  active: "bg-blue-500/80",
+  idle: "bg-slate-800",
+};
+
+// Status changes in the visible window that mark a camera as flapping
+const FLAPPING_CHANGES = 10;
+
+const fmtTime = (t) => new Date(t).toLocaleString('th-TH', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+const pct = (t, win) => ((t - win.from) / (win.to - win.from)) * 100;
+
+// --- Device Timeline: status / detection / PIR history of one room, see lib/deviceHistory.js ---
+export default function DeviceTimeline({ wardKey, roomKey, now }) {
+  const [rangeKey, setRangeKey] = useState(HISTORY_RANGES[0].key);
+  const [zoom, setZoom] = useState(null); // { from, to } or null for the whole range
+  const [history, setHistory] = useState({ key: null, value: {} });
+  const [drag, setDrag] = useState(null); // { start, end } while selecting a window
+
+  const range = HISTORY_RANGES.find(r => r.key === rangeKey);
+  const historyKey = `${wardKey}/${roomKey}/${rangeKey}`;
+
+  useEffect(() => {
+    const key = `${wardKey}/${roomKey}/${rangeKey}`;
+    const ms = HISTORY_RANGES.find(r => r.key === rangeKey).ms;
+    return watchRoomHistory(wardKey, roomKey, Date.now() - ms, (value) => setHistory({ key, value }));
+  }, [wardKey, roomKey, rangeKey]);
+
+  const tracks = useMemo(() => buildDeviceTracks(history.value), [history.value]);
+  const loading = history.key !== historyKey;
+
+  const bounds = { from: now - range.ms, to: now };
+  const win = zoom || bounds;
+  const { ticks, step } = timeTicks(win.from, win.to);
+
+  const selectRange = (key) => {
+    setRangeKey(key);
+    setZoom(null);
+  };
+  const zoomBy = (factor) => {
+    const next = zoomWindow(win, factor, (win.from + win.to) / 2, bounds.from, bounds.to);
+    setZoom(next.to - next.from >= range.ms ? null : next);
+  };
+
+  // Pointer x on a lane → time; every lane bar spans the same window
+  const timeAt = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - box.left) / box.width));
+    return win.from + ratio * (win.to - win.from);
+  };
+  const endDrag = () => {
+    if (drag && Math.abs(drag.end - drag.start) >= MIN_ZOOM_MS) {
+      setZoom({ from: Math.min(drag.start, drag.end), to: Math.max(drag.start, drag.end) });
+    }
+    setDrag(null);
+  };
+  const laneHandlers = {
+    onMouseDown: (e) => { const t = timeAt(e); setDrag({ start: t, end: t }); },
+    onMouseMove: (e) => { if (drag) { const t = timeAt(e); setDrag(d => ({ ...d, end: t })); } },
+    onMouseUp: endDrag,
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider flex items-center gap-2"><History size={16} /> Device History</h3>
+        <div className="flex items-center gap-2">
+          <div className="flex gap-1 bg-slate-900/60 p-1 rounded-lg border border-slate-800">
+            {HISTORY_RANGES.map(r => (
+              <button
+                key={r.key}
+                onClick={() => selectRange(r.key)}
+                className={cn(
+                  "px-2.5 py-1 text-xs font-bold rounded-md transition-all",
+                  rangeKey === r.key ? "bg-blue-600 text-white" : "text-slate-400 hover:bg-slate-800"
+                )}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <button onClick={() => zoomBy(0.5)} className="p-1.5 rounded-md text-slate-400 hover:bg-slate-800 hover:text-white" title="Zoom in">
+            <ZoomIn size={16} />
+          </button>
+          <button onClick={() => zoomBy(2)} disabled={!zoom} className="p-1.5 rounded-md text-slate-400 hover:bg-slate-800 hover:text-white disabled:opacity-40" title="Zoom out">
+            <ZoomOut size={16} />
+          </button>
+          <button onClick={() => setZoom(null)} disabled={!zoom} className="p-1.5 rounded-md text-slate-400 hover:bg-slate-800 hover:text-white disabled:opacity-40" title="Show the whole range">
+            <RotateCcw size={16} />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <p className="text-xs text-slate-500">Loading history...</p>
+      ) : tracks.length === 0 ? (
+        <p className="text-xs text-slate-500 italic">No history recorded for this room yet (is the history server running?).</p>
+      ) : (
+        <div className="bg-slate-950 p-3 rounded-xl border border-slate-800 space-y-3 select-none" onMouseLeave={() => setDrag(null)}>
+          {tracks.map(track => (
+            <div key={track.device} className="space-y-1">
+              <p className="text-xs font-bold text-slate-300">{track.device}</p>
+              {track.lanes.map(lane => {
+                const changes = countChanges(lane.points, win.from, win.to);
+                const flapping = lane.key === 'status' && changes >= FLAPPING_CHANGES;
+                return (
+                  <div key={lane.key} className="flex items-center gap-2">
+                    <span className="w-20 shrink-0 text-[11px] text-slate-500">{lane.label}</span>
+                    <div className="relative flex-1 h-4 bg-slate-900 rounded overflow-hidden cursor-crosshair" {...laneHandlers}>
+                      {laneSegments(lane.points, win.from, win.to).map(seg => (
+                        <div
+                          key={seg.from}
+                          className={cn("absolute inset-y-0", TONES[seg.tone] || TONES.unknown)}
+                          style={{ left: `${pct(seg.from, win)}%`, width: `${Math.max(0.2, pct(seg.to, win) - pct(seg.from, win))}%` }}
+                          title={`${seg.value} · ${fmtTime(seg.from)} – ${fmtTime(seg.to)}`}
+                        />
+                      ))}
+                      {drag && (
+                        <div
+                          className="absolute inset-y-0 bg-white/20 border-x border-white/60 pointer-events-none"
+                          style={{ left: `${pct(Math.min(drag.start, drag.end), win)}%`, width: `${Math.abs(pct(drag.end, win) - pct(drag.start, win))}%` }}
+                        />
+                      )}
+                    </div>
+                    <span className={cn("w-20 shrink-0 text-[10px] text-right", flapping ? "text-amber-400 font-bold" : "text-slate-500")}>
+                      {changes} change{changes === 1 ? '' : 's'}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+
+          {/* Time axis */}
+          <div className="flex gap-2">
+            <span className="w-20 shrink-0" />
+            <div className="relative flex-1 h-4">
+              {ticks.map(t => (
+                <span key={t} className="absolute -translate-x-1/2 text-[10px] text-slate-500 font-mono whitespace-nowrap" style={{ left: `${pct(t, win)}%` }}>
+                  {formatTick(t, step)}
+                </span>
+              ))}
+            </div>
+            <span className="w-20 shrink-0" />
+          </div>
+          <p className="text-[10px] text-slate-600">Drag across a lane to zoom in · hover a segment for its value and time</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { Film, Trash2 } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { formatOffset, hasEvidenceFrames } from '../lib/evidence.js';
+
+// --- Fall Evidence: camera frames from around the trigger, see lib/evidence.js ---
+export default function FallEvidence({ evidence, className }) {
+  const [selected, setSelected] = useState(null);
+  if (!evidence) return null;
+
+  const keptUntil = evidence.expires_at
+    ? new Date(evidence.expires_at).toLocaleDateString('th-TH', { day: 'numeric', month: 'short', year: '2-digit' })
+    : null;
+
+  if (!hasEvidenceFrames(evidence)) {
+    return (
+      <p className={cn("text-[11px] text-slate-500 flex items-center gap-1.5", className)}>
+        <Trash2 size={12} /> Camera frames deleted after the retention period
+      </p>
+    );
+  }
+
+  const frames = evidence.frames;
+  // Default to the first frame at or after the trigger
+  const current = frames[selected ?? Math.max(0, frames.findIndex(f => f.offset_ms >= 0))];
+
+  return (
+    <div className={cn("space-y-2", className)}>
+      <div className="flex items-center justify-between gap-2 text-[11px] text-slate-500">
+        <span className="flex items-center gap-1.5 font-bold uppercase tracking-wide">
+          <Film size={12} /> Camera evidence · {evidence.device}
+        </span>
+        {keptUntil && <span>Kept until {keptUntil}</span>}
+      </div>
+
+      <a href={current.url} target="_blank" rel="noopener" className="block relative rounded-xl overflow-hidden bg-black border border-slate-800">
+        <img src={current.url} alt={`Frame ${formatOffset(current.offset_ms)}`} className="w-full max-h-72 object-contain" />
+        <span className="absolute top-2 left-2 px-1.5 py-0.5 rounded bg-black/60 text-[10px] font-bold text-slate-300">
+          {formatOffset(current.offset_ms)} {evidence.trigger_status && `· ${evidence.trigger_status}`}
+        </span>
+      </a>
+
+      <div className="flex gap-1.5 overflow-x-auto pb-1">
+        {frames.map((f, i) => (
+          <button
+            key={f.url}
+            onClick={() => setSelected(i)}
+            className={cn(
+              "shrink-0 w-20 rounded-lg overflow-hidden border-2 transition-colors",
+              f === current ? "border-blue-500" : f.offset_ms < 0 ? "border-slate-800 opacity-70 hover:opacity-100" : "border-slate-700 hover:border-slate-500"
+            )}
+            title={f.offset_ms < 0 ? 'Before the trigger' : 'After the trigger'}
+          >
+            <img src={f.url} alt="" className="w-full aspect-video object-cover bg-black" loading="lazy" />
+            <span className="block text-[10px] font-mono text-slate-400 bg-slate-900 py-0.5">{formatOffset(f.offset_ms)}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
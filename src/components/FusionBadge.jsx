@@ -0,0 +1,28 @@
+import React from 'react';
+import { Radar } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { FUSION_EVENTS, FUSION_EVENT_LABELS } from '../lib/sensorFusion.js';
+
+const TONES = {
+  [FUSION_EVENTS.CONFIRMED_FALL]: "border-red-500/40 bg-red-500/20 text-red-300",
+  [FUSION_EVENTS.NO_MOTION_AFTER_FALL]: "border-fuchsia-500/50 bg-fuchsia-500/20 text-fuchsia-300 animate-pulse",
+  [FUSION_EVENTS.POSSIBLE_FALL]: "border-yellow-500/40 bg-yellow-500/10 text-yellow-300",
+  [FUSION_EVENTS.LEFT_BED]: "border-sky-500/40 bg-sky-500/10 text-sky-300",
+  [FUSION_EVENTS.ROOM_EMPTY]: "border-slate-600 bg-slate-800 text-slate-400",
+};
+
+// --- Sensor Fusion Badge: what PIR + camera signals make of a room, see lib/sensorFusion.js ---
+export default function FusionBadge({ fusion, now, className }) {
+  if (!fusion?.event) return null;
+  const holdLeft = fusion.held && now ? Math.max(0, Math.ceil((fusion.holdUntil - now) / 1000)) : null;
+  return (
+    <span
+      className={cn("inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-[11px] font-bold uppercase tracking-wide", TONES[fusion.event], className)}
+      title={fusion.reasons.join('\n')}
+    >
+      <Radar size={11} />
+      {FUSION_EVENT_LABELS[fusion.event]}
+      {holdLeft !== null && <span className="font-mono normal-case">· verifying {holdLeft}s</span>}
+    </span>
+  );
+}
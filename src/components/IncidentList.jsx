@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, orderBy, limit, onSnapshot, doc, getDoc } from "firebase/firestore";
+import { ShieldAlert, CheckCircle, Stethoscope, ClipboardList } from 'lucide-react';
+import { fsdb } from '../lib/firebase.js';
+import { cn } from '../lib/cn.js';
+import { INCIDENT_STATUS } from '../lib/incidents.js';
+import { formatDuration } from '../lib/responseAnalytics.js';
+import { OUTCOMES, INJURY_LEVELS } from '../lib/resolution.js';
+import { incidentPath } from '../lib/router.js';
+import CopyLinkButton from './CopyLinkButton.jsx';
+
+const STATUS_STYLE = {
+  [INCIDENT_STATUS.OPEN]: { label: 'Open', card: 'border-red-500/30 bg-red-500/5', badge: 'bg-red-500/20 text-red-400', Icon: ShieldAlert },
+  [INCIDENT_STATUS.ACKNOWLEDGED]: { label: 'Acknowledged', card: 'border-amber-500/30 bg-amber-500/5', badge: 'bg-amber-500/20 text-amber-400', Icon: Stethoscope },
+  [INCIDENT_STATUS.RESOLVED]: { label: 'Resolved', card: 'border-green-500/30 bg-green-500/5', badge: 'bg-green-500/20 text-green-400', Icon: CheckCircle },
+};
+
+const labelOf = (list, key) => list.find(x => x.key === key)?.label || key || '—';
+
+const fmtTime = (ts) => ts
+  ? new Date(ts).toLocaleString('th-TH', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+  : '—';
+
+// --- History Tab: one row per incident (fall → acknowledge → resolve) ---
+// `selectedId` comes from the URL (/history/incidents/{id}), so a row can be linked to.
+export default function IncidentList({ selectedId, onSelect }) {
+  const [incidents, setIncidents] = useState([]);
+  const [linked, setLinked] = useState(null); // linked incident older than the latest 100
+
+  useEffect(() => {
+    const incidentsQuery = query(
+      collection(fsdb, 'incidents'),
+      orderBy('detectedAt', 'desc'),
+      limit(100)
+    );
+    const unsub = onSnapshot(incidentsQuery, (snap) => {
+      setIncidents(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+    });
+    return () => unsub();
+  }, []);
+
+  const inList = incidents.some(i => i.id === selectedId);
+  useEffect(() => {
+    if (!selectedId || inList) return;
+    getDoc(doc(fsdb, 'incidents', selectedId))
+      .then((snap) => setLinked(snap.exists() ? { id: snap.id, ...snap.data() } : null))
+      .catch((err) => console.warn('Incident lookup failed:', err));
+  }, [selectedId, inList]);
+
+  useEffect(() => {
+    if (selectedId) document.getElementById(`incident-${selectedId}`)?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [selectedId, incidents.length, linked]);
+
+  const rows = linked && !inList && linked.id === selectedId ? [linked, ...incidents] : incidents;
+
+  if (rows.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-20 text-slate-600">
+        <ClipboardList size={48} className="mb-4 opacity-30" />
+        <p className="text-lg font-semibold">No incidents recorded yet</p>
+        <p className="text-sm mt-1">An incident is opened the first time a fall is detected in a room.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      {rows.map(inc => {
+        const style = STATUS_STYLE[inc.status] || STATUS_STYLE[INCIDENT_STATUS.OPEN];
+        const { Icon } = style;
+        const ackMs = inc.acknowledgedAt ? inc.acknowledgedAt - inc.detectedAt : null;
+        const resolveMs = inc.resolvedAt ? inc.resolvedAt - inc.detectedAt : null;
+        const isOpen = selectedId === inc.id;
+
+        return (
+          <div key={inc.id} id={`incident-${inc.id}`} className={cn("rounded-xl border transition-colors", style.card, isOpen && "ring-2 ring-blue-500/60")}>
+            <button
+              onClick={() => onSelect(isOpen ? null : inc.id)}
+              className="w-full flex items-start gap-4 p-4 text-left"
+            >
+              <div className={cn("shrink-0 p-2 rounded-lg", style.badge)}>
+                <Icon size={18} />
+              </div>
+              <div className="flex-1 min-w-0">
+                <div className="flex flex-wrap items-center gap-2 mb-1">
+                  <span className={cn("text-[11px] font-bold uppercase tracking-wide px-2 py-0.5 rounded-full", style.badge)}>{style.label}</span>
+                  {inc.outcome?.type && (
+                    <span className={cn(
+                      "text-[11px] font-bold px-2 py-0.5 rounded-full",
+                      inc.outcome.type === 'false_alarm' ? "bg-slate-700 text-slate-300" : "bg-blue-500/20 text-blue-300"
+                    )}>
+                      {labelOf(OUTCOMES, inc.outcome.type)}
+                    </span>
+                  )}
+                  <span className="text-[11px] text-slate-500 font-mono">
+                    {String(inc.wardKey).replace('ward_', 'Ward ')} / {String(inc.roomKey).replace('room_', 'Room ')}
+                  </span>
+                  {inc.patient?.name && (
+                    <span className="text-[11px] text-slate-400">
+                      {inc.patient.name}{inc.patient.hn && <span className="font-mono text-slate-500"> · HN {inc.patient.hn}</span>}
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-slate-300">
+                  Acknowledged in <span className="font-mono">{formatDuration(ackMs)}</span>
+                  {' · '}
+                  Resolved in <span className="font-mono">{formatDuration(resolveMs)}</span>
+                </p>
+              </div>
+              <div className="text-right shrink-0">
+                <p className="text-xs font-mono text-slate-300">{fmtTime(inc.detectedAt)}</p>
+                <p className="text-[10px] text-slate-600 mt-0.5 font-mono">{inc.id.slice(0, 8)}</p>
+              </div>
+            </button>
+
+            {isOpen && (
+              <div className="px-4 pb-4 grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
+                <div className="sm:col-span-3 flex items-center justify-between text-slate-500">
+                  <span className="font-mono">Incident {inc.id}</span>
+                  <CopyLinkButton path={incidentPath(inc.id)} />
+                </div>
+                <div className="bg-slate-950/50 rounded-lg p-3 border border-slate-800">
+                  <p className="font-bold uppercase text-slate-500 mb-1">Detected</p>
+                  <p className="text-slate-300 font-mono">{fmtTime(inc.detectedAt)}</p>
+                </div>
+                <div className="bg-slate-950/50 rounded-lg p-3 border border-slate-800">
+                  <p className="font-bold uppercase text-slate-500 mb-1">Acknowledged</p>
+                  <p className="text-slate-300 font-mono">{fmtTime(inc.acknowledgedAt)}</p>
+                  <p className="text-slate-500 mt-0.5">{inc.acknowledgedBy?.name || '—'}</p>
+                </div>
+                <div className="bg-slate-950/50 rounded-lg p-3 border border-slate-800">
+                  <p className="font-bold uppercase text-slate-500 mb-1">Resolved</p>
+                  <p className="text-slate-300 font-mono">{fmtTime(inc.resolvedAt)}</p>
+                  <p className="text-slate-500 mt-0.5">{inc.resolvedBy?.name || '—'}</p>
+                </div>
+                {Array.isArray(inc.checklist) && inc.checklist.length > 0 && (
+                  <div className="sm:col-span-3 bg-slate-950/50 rounded-lg p-3 border border-slate-800 space-y-1">
+                    <p className="font-bold uppercase text-slate-500 mb-1">Resolution Checklist</p>
+                    {inc.checklist.map((c, i) => (
+                      <p key={i} className={cn("flex items-center gap-2", c.confirmed ? "text-green-400" : "text-slate-500")}>
+                        <CheckCircle size={12} /> {c.item}
+                      </p>
+                    ))}
+                  </div>
+                )}
+                {inc.outcome && (
+                  <div className="sm:col-span-3 bg-slate-950/50 rounded-lg p-3 border border-slate-800 space-y-1">
+                    <p className="font-bold uppercase text-slate-500 mb-1">Outcome</p>
+                    <p className="text-slate-300">
+                      {labelOf(OUTCOMES, inc.outcome.type)} · Injury: {labelOf(INJURY_LEVELS, inc.outcome.injury)}
+                    </p>
+                    {inc.outcome.interventions?.length > 0 && (
+                      <p className="text-slate-400">Interventions: {inc.outcome.interventions.join(', ')}</p>
+                    )}
+                    {inc.outcome.note && <p className="text-slate-400 italic">"{inc.outcome.note}"</p>}
+                    {inc.triggerDevices?.length > 0 && (
+                      <p className="text-slate-500 font-mono">Triggered by: {inc.triggerDevices.join(', ')}</p>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
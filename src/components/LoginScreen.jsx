@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { ShieldAlert, LogIn, Mail, IdCard, AlertTriangle } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { signInWithEmail, signInWithBadge, authErrorMessage, staffDisplayName } from '../lib/staffAuth.js';
+import { writeLog } from '../lib/logs.js';
+
+const LOGIN_MODES = [
+  { mode: 'badge', label: 'Badge & PIN', icon: IdCard },
+  { mode: 'email', label: 'Email', icon: Mail },
+];
+
+// --- Staff Sign-In (email/password or badge/PIN) ---
+export default function LoginScreen() {
+  const [mode, setMode] = useState('badge'); // 'badge' | 'email'
+  const [identifier, setIdentifier] = useState('');
+  const [secret, setSecret] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!identifier.trim() || !secret) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const { user } = mode === 'badge'
+        ? await signInWithBadge(identifier, secret)
+        : await signInWithEmail(identifier, secret);
+      writeLog('SYSTEM', `${staffDisplayName(user)} signed in`, { event: 'sign_in', method: mode });
+    } catch (err) {
+      console.error("Sign-in Error:", err);
+      setError(authErrorMessage(err));
+      setSecret('');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex min-h-screen w-full items-center justify-center bg-gradient-to-br from-slate-950 to-slate-900 p-4 font-sans">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-slate-900/70 border border-slate-800 rounded-3xl shadow-2xl p-8 space-y-6 backdrop-blur-md"
+      >
+        <div className="text-center space-y-3">
+          <div className="mx-auto w-16 h-16 rounded-2xl bg-blue-600 flex items-center justify-center shadow-lg shadow-blue-500/30">
+            <ShieldAlert size={32} className="text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-white">Nurse Station Monitor</h1>
+            <p className="text-sm text-slate-400 mt-1">Sign in to view and respond to alarms</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-1 bg-slate-950/60 p-1 rounded-xl border border-slate-800">
+          {LOGIN_MODES.map((opt) => {
+            const Icon = opt.icon;
+            return (
+              <button
+                key={opt.mode}
+                type="button"
+                onClick={() => { setMode(opt.mode); setError(null); setIdentifier(''); setSecret(''); }}
+                className={cn(
+                  "flex items-center justify-center gap-2 py-2 rounded-lg text-sm font-medium transition-all",
+                  mode === opt.mode ? "bg-blue-600 text-white shadow" : "text-slate-400 hover:bg-slate-800"
+                )}
+              >
+                <Icon size={16} /> {opt.label}
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="space-y-3">
+          <input
+            autoFocus
+            value={identifier}
+            onChange={(e) => setIdentifier(e.target.value)}
+            placeholder={mode === 'badge' ? 'Badge number' : 'Email address'}
+            type={mode === 'badge' ? 'text' : 'email'}
+            inputMode={mode === 'badge' ? 'numeric' : 'email'}
+            autoComplete="username"
+            className="w-full bg-slate-950 border border-slate-700 rounded-xl px-4 py-3 text-white focus:border-blue-500 outline-none"
+          />
+          <input
+            value={secret}
+            onChange={(e) => setSecret(e.target.value)}
+            placeholder={mode === 'badge' ? 'PIN' : 'Password'}
+            type="password"
+            inputMode={mode === 'badge' ? 'numeric' : 'text'}
+            autoComplete="current-password"
+            className="w-full bg-slate-950 border border-slate-700 rounded-xl px-4 py-3 text-white focus:border-blue-500 outline-none"
+          />
+        </div>
+
+        {error && (
+          <div className="flex items-start gap-2 p-3 bg-red-500/10 border border-red-500/30 rounded-xl text-red-200 text-sm">
+            <AlertTriangle size={18} className="text-red-500 shrink-0 mt-0.5" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={busy}
+          className="w-full py-3 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white font-bold rounded-xl shadow-lg flex items-center justify-center gap-2 transition-all active:scale-95"
+        >
+          <LogIn size={18} /> {busy ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+}
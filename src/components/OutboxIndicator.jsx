@@ -0,0 +1,71 @@
+import React, { useState, useEffect } from 'react';
+import { CloudUpload, AlertTriangle, RotateCcw, Trash2, UserX } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { subscribeOutbox, retryOperation, discardOperation } from '../lib/outbox.js';
+
+const fmtAge = (ts) => {
+  const s = Math.max(0, Math.round((Date.now() - ts) / 1000));
+  return s < 60 ? `${s}s ago` : `${Math.floor(s / 60)}m ago`;
+};
+
+// --- Header badge: actions saved locally but not yet confirmed by the server ---
+export default function OutboxIndicator() {
+  const [ops, setOps] = useState([]);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => subscribeOutbox(setOps), []);
+
+  if (ops.length === 0) return null;
+  const failed = ops.filter(op => op.failed).length;
+  const held = ops.filter(op => op.heldFor).length;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className={cn(
+          "flex items-center gap-2 px-3 py-2 rounded-lg text-xs font-bold border transition-colors",
+          failed > 0
+            ? "bg-red-500/10 text-red-400 border-red-500/30"
+            : held === ops.length
+              ? "bg-slate-700/40 text-slate-300 border-slate-600"
+              : "bg-amber-500/10 text-amber-300 border-amber-500/30 animate-pulse"
+        )}
+        title="Actions waiting to sync"
+      >
+        {failed > 0 ? <AlertTriangle size={16} /> : held === ops.length ? <UserX size={16} /> : <CloudUpload size={16} />}
+        {ops.length} pending sync
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 max-h-96 overflow-y-auto z-40 bg-slate-900 border border-slate-700 rounded-xl shadow-2xl p-2 space-y-1">
+          <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500 px-2 py-1">
+            Saved on this station, sent in order when online
+          </p>
+          {ops.map(op => (
+            <div key={op.seq} className={cn("p-2 rounded-lg text-xs", op.failed ? "bg-red-500/10" : "bg-slate-800/60")}>
+              <p className="text-slate-200 break-words">{op.label}</p>
+              <div className="flex items-center justify-between mt-1 text-[10px] text-slate-500">
+                <span>{fmtAge(op.createdAt)}{op.attempts > 1 && ` · ${op.attempts} attempts`}</span>
+                {(op.failed || op.heldFor) && (
+                  <span className="flex gap-1">
+                    {op.failed && (
+                      <button onClick={() => retryOperation(op.seq)} className="p-1 rounded hover:bg-slate-700 text-slate-300" title="Retry">
+                        <RotateCcw size={12} />
+                      </button>
+                    )}
+                    <button onClick={() => discardOperation(op.seq)} className="p-1 rounded hover:bg-slate-700 text-red-400" title="Discard">
+                      <Trash2 size={12} />
+                    </button>
+                  </span>
+                )}
+              </div>
+              {op.heldFor && <p className="text-[10px] text-slate-400 mt-1">Held until {op.heldFor} signs in on this station</p>}
+              {op.error && <p className="text-[10px] text-red-400 mt-1">{op.error}</p>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
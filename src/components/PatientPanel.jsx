@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { User, UserPlus, Pencil, ArrowRightLeft, LogOut, AlertTriangle, Save, X } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import {
+  MOBILITY_AIDS,
+  PRECAUTIONS,
+  MORSE_MAX,
+  morseRisk,
+  hasPatient,
+  emptyPatientForm,
+  patientForm,
+  validatePatient,
+} from '../lib/patients.js';
+
+const RISK_STYLE = {
+  high: 'bg-red-500/20 text-red-300 border-red-500/40',
+  moderate: 'bg-amber-500/20 text-amber-300 border-amber-500/40',
+  low: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/30',
+  unknown: 'bg-slate-800 text-slate-400 border-slate-700',
+};
+
+const input = "w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white outline-none focus:border-blue-500";
+const label = "block text-[11px] font-bold uppercase tracking-widest text-slate-500 mb-1";
+
+export function RiskBadge({ score, className }) {
+  const risk = morseRisk(score);
+  return (
+    <span className={cn("inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-[11px] font-bold", RISK_STYLE[risk.level], className)}>
+      {risk.level === 'high' && <AlertTriangle size={12} />}
+      {risk.label}{risk.level !== 'unknown' && ` · Morse ${score}`}
+    </span>
+  );
+}
+
+// --- Room Details: patient record, admit / edit / transfer / discharge ---
+// `rooms` = [{ wardKey, roomKey, occupied }] for choosing a transfer target
+export default function PatientPanel({ patient, rooms, canManage, deniedMessage, onSave, onTransfer, onDischarge }) {
+  const [mode, setMode] = useState('view'); // 'view' | 'edit' | 'transfer'
+  const [form, setForm] = useState(emptyPatientForm);
+  const [target, setTarget] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const admitted = hasPatient(patient);
+  const problems = validatePatient(form);
+
+  const guard = (fn) => () => (canManage ? fn() : alert(deniedMessage));
+  const startEdit = guard(() => { setForm(admitted ? patientForm(patient) : emptyPatientForm()); setMode('edit'); });
+  const startTransfer = guard(() => { setTarget(''); setMode('transfer'); });
+
+  const run = async (fn) => {
+    setBusy(true);
+    try {
+      await fn();
+      setMode('view');
+    } catch (err) {
+      console.error("Patient Update Error:", err);
+      alert("Failed to update patient: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggle = (key, item) => setForm(f => ({
+    ...f,
+    [key]: f[key].includes(item) ? f[key].filter(x => x !== item) : [...f[key], item],
+  }));
+
+  const chip = (active) => cn(
+    "px-2.5 py-1.5 rounded-lg text-xs font-medium border transition-all",
+    active ? "bg-blue-600/30 border-blue-500 text-blue-200" : "bg-slate-800/60 border-slate-700 text-slate-400 hover:border-slate-500"
+  );
+
+  if (mode === 'edit') {
+    const risk = morseRisk(form.morse_score);
+    return (
+      <div className="bg-slate-950 p-4 rounded-xl border border-blue-500/40 space-y-4">
+        <h3 className="font-bold text-slate-200 flex items-center gap-2">
+          {admitted ? <Pencil size={16} /> : <UserPlus size={16} />} {admitted ? 'Edit Patient' : 'Admit Patient'}
+        </h3>
+        <div className="grid grid-cols-2 gap-3">
+          <label className="col-span-2">
+            <span className={label}>Name</span>
+            <input className={input} value={form.name} onChange={(e) => setForm(f => ({ ...f, name: e.target.value }))} />
+          </label>
+          <label>
+            <span className={label}>HN</span>
+            <input className={cn(input, "font-mono")} value={form.hn} onChange={(e) => setForm(f => ({ ...f, hn: e.target.value }))} />
+          </label>
+          <label>
+            <span className={label}>Age</span>
+            <input type="number" min="0" max="130" className={input} value={form.age} onChange={(e) => setForm(f => ({ ...f, age: e.target.value }))} />
+          </label>
+          <label>
+            <span className={label}>Morse Fall Scale (0–{MORSE_MAX})</span>
+            <input type="number" min="0" max={MORSE_MAX} step="5" className={input} value={form.morse_score} onChange={(e) => setForm(f => ({ ...f, morse_score: e.target.value }))} />
+          </label>
+          <label>
+            <span className={label}>Admitted</span>
+            <input type="date" className={input} value={form.admitted_at} onChange={(e) => setForm(f => ({ ...f, admitted_at: e.target.value }))} />
+          </label>
+        </div>
+        <RiskBadge score={form.morse_score} />
+
+        <div>
+          <p className={label}>Mobility Aids</p>
+          <div className="flex flex-wrap gap-2">
+            {MOBILITY_AIDS.map(item => (
+              <button key={item} type="button" onClick={() => toggle('mobility_aids', item)} className={chip(form.mobility_aids.includes(item))}>{item}</button>
+            ))}
+          </div>
+        </div>
+        <div>
+          <p className={label}>Precautions</p>
+          <div className="flex flex-wrap gap-2">
+            {PRECAUTIONS.map(item => (
+              <button key={item} type="button" onClick={() => toggle('precautions', item)} className={chip(form.precautions.includes(item))}>{item}</button>
+            ))}
+          </div>
+        </div>
+
+        <label className={cn("flex items-center gap-2 text-sm", risk.level === 'high' ? "text-slate-200" : "text-slate-600")}>
+          <input
+            type="checkbox"
+            disabled={risk.level !== 'high'}
+            checked={form.fast_escalation && risk.level === 'high'}
+            onChange={(e) => setForm(f => ({ ...f, fast_escalation: e.target.checked }))}
+            className="w-4 h-4 accent-red-500"
+          />
+          Escalate unanswered falls sooner (high-risk only)
+        </label>
+
+        {problems.length > 0 && (
+          <ul className="text-xs text-amber-400 space-y-0.5">
+            {problems.map(p => <li key={p}>• {p}</li>)}
+          </ul>
+        )}
+        <div className="flex gap-2">
+          <button onClick={() => setMode('view')} className="flex-1 py-2 rounded-lg border border-slate-700 text-slate-300 hover:bg-slate-800 text-sm font-bold flex items-center justify-center gap-2">
+            <X size={16} /> Cancel
+          </button>
+          <button
+            disabled={problems.length > 0 || busy}
+            onClick={() => run(() => onSave(form))}
+            className="flex-1 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm font-bold flex items-center justify-center gap-2 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            <Save size={16} /> {admitted ? 'Save' : 'Admit'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (mode === 'transfer') {
+    const free = rooms.filter(r => !r.occupied);
+    return (
+      <div className="bg-slate-950 p-4 rounded-xl border border-blue-500/40 space-y-4">
+        <h3 className="font-bold text-slate-200 flex items-center gap-2"><ArrowRightLeft size={16} /> Transfer {patient.name}</h3>
+        <select value={target} onChange={(e) => setTarget(e.target.value)} className={input}>
+          <option value="">Select an empty room…</option>
+          {free.map(r => (
+            <option key={`${r.wardKey}/${r.roomKey}`} value={`${r.wardKey}/${r.roomKey}`}>
+              {r.wardKey.replace('ward_', 'Ward ')} — {r.roomKey.replace('room_', 'Room ')}
+            </option>
+          ))}
+        </select>
+        {free.length === 0 && <p className="text-xs text-amber-400">No empty rooms available.</p>}
+        <div className="flex gap-2">
+          <button onClick={() => setMode('view')} className="flex-1 py-2 rounded-lg border border-slate-700 text-slate-300 hover:bg-slate-800 text-sm font-bold">Cancel</button>
+          <button
+            disabled={!target || busy}
+            onClick={() => {
+              const [wardKey, roomKey] = target.split('/');
+              run(() => onTransfer({ wardKey, roomKey }));
+            }}
+            className="flex-1 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm font-bold disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            Transfer
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!admitted) {
+    return (
+      <div className="bg-slate-950 p-4 rounded-xl border border-slate-800 flex items-center justify-between gap-4">
+        <p className="text-sm text-slate-500 flex items-center gap-2"><User size={16} /> No patient admitted to this bed.</p>
+        <button
+          onClick={startEdit}
+          title={!canManage ? deniedMessage : undefined}
+          className={cn("px-3 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm font-bold flex items-center gap-2", !canManage && "opacity-40 cursor-not-allowed")}
+        >
+          <UserPlus size={16} /> Admit
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-slate-950 p-4 rounded-xl border border-slate-800 space-y-3">
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <p className="text-lg font-bold text-slate-100">{patient.name}</p>
+          <p className="text-xs text-slate-500 font-mono">
+            HN {patient.hn || '—'} · Age {patient.age ?? '—'} · Admitted {patient.admitted_at || '—'}
+          </p>
+        </div>
+        <RiskBadge score={patient.morse_score} />
+      </div>
+      {patient.mobility_aids?.length > 0 && (
+        <p className="text-sm text-slate-300"><span className="text-slate-500">Mobility:</span> {patient.mobility_aids.join(', ')}</p>
+      )}
+      {patient.precautions?.length > 0 && (
+        <p className="text-sm text-slate-300"><span className="text-slate-500">Precautions:</span> {patient.precautions.join(', ')}</p>
+      )}
+      {patient.fast_escalation && morseRisk(patient.morse_score).level === 'high' && (
+        <p className="text-xs text-red-300 font-bold">Unanswered falls escalate sooner for this patient.</p>
+      )}
+      <div className="flex flex-wrap gap-2 pt-1">
+        {[
+          { key: 'edit', label: 'Edit', Icon: Pencil, onClick: startEdit },
+          { key: 'transfer', label: 'Transfer', Icon: ArrowRightLeft, onClick: startTransfer },
+          {
+            key: 'discharge', label: 'Discharge', Icon: LogOut,
+            onClick: guard(() => { if (confirm(`Discharge ${patient.name}?`)) run(onDischarge); }),
+          },
+        ].map(action => (
+          <button
+            key={action.key}
+            onClick={action.onClick}
+            disabled={busy}
+            title={!canManage ? deniedMessage : undefined}
+            className={cn(
+              "px-3 py-1.5 rounded-lg border border-slate-700 text-slate-300 hover:bg-slate-800 text-xs font-bold flex items-center gap-1.5",
+              !canManage && "opacity-40 cursor-not-allowed"
+            )}
+          >
+            <action.Icon size={14} /> {action.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
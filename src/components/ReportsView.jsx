@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { collection, query, where, orderBy, getDocs } from "firebase/firestore";
+import { BarChart3, AlertTriangle, Clock, RefreshCw } from 'lucide-react';
+import { fsdb } from '../lib/firebase.js';
+import { cn } from '../lib/cn.js';
+import {
+  SHIFTS,
+  DEFAULT_TARGETS,
+  buildIncidents,
+  summarize,
+  summarizeBy,
+  findBreaches,
+  formatDuration,
+} from '../lib/responseAnalytics.js';
+
+const RANGES = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+];
+
+const GROUP_TABS = [
+  { key: 'ward', label: 'Ward' },
+  { key: 'room', label: 'Room' },
+  { key: 'shift', label: 'Shift' },
+  { key: 'day', label: 'Day' },
+];
+
+const PAIRED_TYPES = ['FALL_DETECTED', 'ACKNOWLEDGED', 'RESOLVED', 'AUTO_CLEARED'];
+
+function groupLabel(by, group) {
+  if (by === 'ward') return group.replace('ward_', 'Ward ');
+  if (by === 'room') {
+    const [w, r] = group.split('/');
+    return `${w.replace('ward_', 'Ward ')} / ${r.replace('room_', 'Room ')}`;
+  }
+  if (by === 'shift') return SHIFTS.find(s => s.key === group)?.label || group;
+  return group;
+}
+
+// --- Simple bar chart (no chart library): one bar per day ---
+function TrendChart({ rows, field, limitMs, color }) {
+  const max = Math.max(limitMs, ...rows.map(r => r[field] || 0));
+  return (
+    <div className="relative h-40 flex items-end gap-1 border-b border-slate-700 pt-4">
+      <div
+        className="absolute left-0 right-0 border-t border-dashed border-red-500/60"
+        style={{ bottom: `${(limitMs / max) * 100}%` }}
+        title={`Target ${formatDuration(limitMs)}`}
+      />
+      {rows.map(r => (
+        <div key={r.group} className="flex-1 flex flex-col items-center justify-end h-full group relative">
+          <div
+            className={cn("w-full rounded-t", r[field] > limitMs ? "bg-red-500/70" : color)}
+            style={{ height: `${((r[field] || 0) / max) * 100}%` }}
+          />
+          <span className="absolute -top-5 hidden group-hover:block text-[10px] bg-slate-800 text-slate-200 px-1.5 py-0.5 rounded whitespace-nowrap">
+            {r.group}: {formatDuration(r[field])}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// --- Reports Tab: response-time analytics from the Firestore log collection ---
+export default function ReportsView() {
+  const [rangeDays, setRangeDays] = useState(30);
+  const [groupBy, setGroupBy] = useState('ward');
+  const [targets, setTargets] = useState(DEFAULT_TARGETS);
+  const [logs, setLogs] = useState([]);
+  const [loadedAt, setLoadedAt] = useState(null);
+  const [error, setError] = useState(null);
+  const [runs, setRuns] = useState(0); // bumped by Refresh
+  const [doneRun, setDoneRun] = useState(null);
+  const run = `${rangeDays}/${runs}`;
+  const loading = doneRun !== run;
+
+  // One read per report run, of the paired types only (composite index in firestore.indexes.json);
+  // a live listener would re-send the whole range on every new log entry
+  useEffect(() => {
+    let cancelled = false;
+    const since = Date.now() - rangeDays * 86400000;
+    const logsQuery = query(
+      collection(fsdb, 'logs'),
+      where('type', 'in', PAIRED_TYPES),
+      where('timestamp', '>=', since),
+      orderBy('timestamp', 'asc')
+    );
+    getDocs(logsQuery).then((snap) => {
+      if (cancelled) return;
+      setLogs(snap.docs.map(d => d.data()));
+      setLoadedAt(Date.now());
+      setError(null);
+    }, (err) => {
+      if (cancelled) return;
+      console.error("Reports Query Error:", err);
+      setError(err.message);
+    }).finally(() => {
+      if (!cancelled) setDoneRun(run);
+    });
+    return () => { cancelled = true; };
+  }, [rangeDays, run]);
+
+  const incidents = useMemo(() => buildIncidents(logs), [logs]);
+  const overall = useMemo(() => summarize(incidents), [incidents]);
+  const rows = useMemo(() => summarizeBy(incidents, groupBy), [incidents, groupBy]);
+  const daily = useMemo(() => summarizeBy(incidents, 'day'), [incidents]);
+  const breaches = useMemo(() => findBreaches(incidents, targets, loadedAt ?? 0), [incidents, targets, loadedAt]);
+
+  const statCards = [
+    { label: 'Incidents', value: overall.count },
+    { label: 'Median to Acknowledge', value: formatDuration(overall.ackMedian) },
+    { label: 'P90 to Acknowledge', value: formatDuration(overall.ackP90) },
+    { label: 'Median to Resolve', value: formatDuration(overall.resolveMedian) },
+    { label: 'P90 to Resolve', value: formatDuration(overall.resolveP90) },
+    { label: 'Target Breaches', value: breaches.length, alert: breaches.length > 0 },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header & Controls */}
+      <div className="flex flex-col lg:flex-row justify-between items-start lg:items-center gap-4">
+        <div>
+          <h2 className="text-xl font-bold text-white flex items-center gap-2">
+            <BarChart3 className="text-blue-400" size={22} />
+            Response-Time Report
+          </h2>
+          <p className="text-sm text-slate-500 mt-0.5">
+            Fall → acknowledge → resolve, paired from the event log.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={() => setRuns(n => n + 1)}
+            disabled={loading}
+            title={loadedAt ? `Loaded ${new Date(loadedAt).toLocaleTimeString()}` : undefined}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-xs font-bold rounded-lg border border-slate-800 text-slate-300 hover:bg-slate-800 disabled:opacity-50"
+          >
+            <RefreshCw size={14} className={cn(loading && "animate-spin")} />
+            Refresh
+          </button>
+          <div className="flex gap-1 bg-slate-900/60 p-1 rounded-lg border border-slate-800">
+            {RANGES.map(r => (
+              <button
+                key={r.days}
+                onClick={() => setRangeDays(r.days)}
+                className={cn(
+                  "px-3 py-1.5 text-xs font-bold rounded-md transition-all",
+                  rangeDays === r.days ? "bg-blue-600 text-white" : "text-slate-400 hover:bg-slate-800"
+                )}
+              >
+                {r.label}
+              </button>
+            ))}
+          </div>
+          <label className="text-xs text-slate-400 flex items-center gap-1.5">
+            Ack target
+            <input
+              type="number"
+              min={1}
+              value={targets.ackSeconds}
+              onChange={(e) => setTargets(t => ({ ...t, ackSeconds: Math.max(1, Number(e.target.value) || 1) }))}
+              className="w-16 bg-slate-950 border border-slate-700 rounded px-2 py-1 text-white"
+            />
+            s
+          </label>
+          <label className="text-xs text-slate-400 flex items-center gap-1.5">
+            Resolve target
+            <input
+              type="number"
+              min={1}
+              value={targets.resolveMinutes}
+              onChange={(e) => setTargets(t => ({ ...t, resolveMinutes: Math.max(1, Number(e.target.value) || 1) }))}
+              className="w-16 bg-slate-950 border border-slate-700 rounded px-2 py-1 text-white"
+            />
+            min
+          </label>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-500/10 border border-red-500/30 rounded-xl text-red-200 text-sm">{error}</div>
+      )}
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+        {statCards.map(c => (
+          <div key={c.label} className={cn(
+            "p-4 rounded-xl border",
+            c.alert ? "bg-red-500/10 border-red-500/30" : "bg-slate-900/50 border-slate-800"
+          )}>
+            <p className="text-[11px] font-bold uppercase tracking-wide text-slate-500">{c.label}</p>
+            <p className={cn("text-2xl font-bold mt-1", c.alert ? "text-red-400" : "text-white")}>{c.value}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Trend Charts */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        <div className="bg-slate-900/50 border border-slate-800 rounded-2xl p-5">
+          <p className="text-sm font-bold text-slate-300 mb-2">Median time to acknowledge, per day</p>
+          {daily.length > 0
+            ? <TrendChart rows={daily} field="ackMedian" limitMs={targets.ackSeconds * 1000} color="bg-amber-500/70" />
+            : <p className="text-sm text-slate-600 italic py-10 text-center">No incidents in range.</p>}
+        </div>
+        <div className="bg-slate-900/50 border border-slate-800 rounded-2xl p-5">
+          <p className="text-sm font-bold text-slate-300 mb-2">Median time to resolve, per day</p>
+          {daily.length > 0
+            ? <TrendChart rows={daily} field="resolveMedian" limitMs={targets.resolveMinutes * 60000} color="bg-green-500/70" />
+            : <p className="text-sm text-slate-600 italic py-10 text-center">No incidents in range.</p>}
+        </div>
+      </div>
+
+      {/* Grouped Table */}
+      <div className="bg-slate-900/50 border border-slate-800 rounded-2xl overflow-hidden">
+        <div className="flex gap-1 p-3 border-b border-slate-800">
+          {GROUP_TABS.map(g => (
+            <button
+              key={g.key}
+              onClick={() => setGroupBy(g.key)}
+              className={cn(
+                "px-3 py-1.5 text-xs font-bold rounded-full border transition-all",
+                groupBy === g.key
+                  ? "bg-blue-600 border-blue-500 text-white"
+                  : "bg-slate-800/60 border-slate-700 text-slate-400 hover:border-slate-500"
+              )}
+            >
+              By {g.label}
+            </button>
+          ))}
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="text-[11px] uppercase tracking-wide text-slate-500">
+              <tr className="border-b border-slate-800">
+                <th className="text-left px-4 py-2">{GROUP_TABS.find(g => g.key === groupBy).label}</th>
+                <th className="text-right px-4 py-2">Incidents</th>
+                <th className="text-right px-4 py-2">Ack median</th>
+                <th className="text-right px-4 py-2">Ack P90</th>
+                <th className="text-right px-4 py-2">Resolve median</th>
+                <th className="text-right px-4 py-2">Resolve P90</th>
+                <th className="text-right px-4 py-2">Open</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(r => (
+                <tr key={r.group} className="border-b border-slate-800/60 text-slate-300">
+                  <td className="px-4 py-2 font-medium">{groupLabel(groupBy, r.group)}</td>
+                  <td className="px-4 py-2 text-right font-mono">{r.count}</td>
+                  <td className={cn("px-4 py-2 text-right font-mono", r.ackMedian > targets.ackSeconds * 1000 && "text-red-400")}>{formatDuration(r.ackMedian)}</td>
+                  <td className={cn("px-4 py-2 text-right font-mono", r.ackP90 > targets.ackSeconds * 1000 && "text-red-400")}>{formatDuration(r.ackP90)}</td>
+                  <td className={cn("px-4 py-2 text-right font-mono", r.resolveMedian > targets.resolveMinutes * 60000 && "text-red-400")}>{formatDuration(r.resolveMedian)}</td>
+                  <td className={cn("px-4 py-2 text-right font-mono", r.resolveP90 > targets.resolveMinutes * 60000 && "text-red-400")}>{formatDuration(r.resolveP90)}</td>
+                  <td className="px-4 py-2 text-right font-mono text-slate-500">{r.unresolved}</td>
+                </tr>
+              ))}
+              {rows.length === 0 && (
+                <tr><td colSpan={7} className="px-4 py-8 text-center text-slate-600 italic">No incidents in range.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Breached Incidents */}
+      <div className="bg-slate-900/50 border border-slate-800 rounded-2xl p-5">
+        <h3 className="text-sm font-bold text-slate-300 flex items-center gap-2 mb-3">
+          <AlertTriangle size={16} className="text-red-400" />
+          Incidents that breached target ({breaches.length})
+        </h3>
+        <div className="space-y-2">
+          {breaches.map(b => (
+            <div key={`${b.key}-${b.detectedAt}`} className="flex flex-wrap items-center justify-between gap-2 p-3 rounded-xl border border-red-500/20 bg-red-500/5">
+              <div>
+                <p className="text-sm font-bold text-slate-200">{groupLabel('room', b.key)}</p>
+                <p className="text-[11px] text-slate-500">
+                  {new Date(b.detectedAt).toLocaleString('th-TH', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                </p>
+              </div>
+              <div className="flex items-center gap-4 text-xs font-mono text-slate-400">
+                <span className="flex items-center gap-1"><Clock size={12} /> ack {formatDuration(b.ackMs)}</span>
+                <span>resolve {formatDuration(b.resolveMs)}</span>
+                <span className="text-red-400 font-sans font-bold">{b.reasons.join(', ')}</span>
+              </div>
+            </div>
+          ))}
+          {breaches.length === 0 && (
+            <p className="text-sm text-slate-600 italic text-center py-4">All incidents within target.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
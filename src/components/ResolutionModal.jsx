@@ -0,0 +1,199 @@
+import React, { useEffect, useState } from 'react';
+import { Stethoscope, CheckCircle, X, Square, CheckSquare } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import {
+  OUTCOMES,
+  INJURY_LEVELS,
+  emptyResolution,
+  validateResolution,
+  toResolutionRecord,
+} from '../lib/resolution.js';
+import { watchIncidentEvidence } from '../lib/evidence.js';
+import FallEvidence from './FallEvidence.jsx';
+
+// --- Resolution Confirmation Modal: required checklist + structured outcome ---
+export default function ResolutionModal({ room, incidentId, config, canResolve, deniedMessage, onCancel, onConfirm }) {
+  const [form, setForm] = useState(() => emptyResolution(config));
+  const [submitting, setSubmitting] = useState(false);
+  const [evidence, setEvidence] = useState(null); // { incidentId, value }
+
+  useEffect(() => {
+    if (!incidentId) return undefined;
+    return watchIncidentEvidence(incidentId, (value) => setEvidence({ incidentId, value }));
+  }, [incidentId]);
+  const incidentEvidence = evidence?.incidentId === incidentId ? evidence.value : null;
+
+  const problems = validateResolution(form, config);
+  const isFalseAlarm = form.outcome === 'false_alarm';
+
+  const toggleCheck = (i) => setForm(f => ({ ...f, checked: f.checked.map((c, j) => (j === i ? !c : c)) }));
+  const toggleIntervention = (item) => setForm(f => ({
+    ...f,
+    interventions: f.interventions.includes(item)
+      ? f.interventions.filter(x => x !== item)
+      : [...f.interventions, item],
+  }));
+
+  const handleConfirm = async () => {
+    if (problems.length > 0 || !canResolve) return;
+    setSubmitting(true);
+    try {
+      await onConfirm(toResolutionRecord(form, config));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const pill = (active) => cn(
+    "px-3 py-2 rounded-xl text-sm font-bold border transition-all",
+    active ? "bg-amber-500 border-amber-400 text-slate-900" : "bg-slate-800/60 border-slate-700 text-slate-300 hover:border-slate-500"
+  );
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4"
+      style={{ background: 'rgba(0,0,0,0.85)', backdropFilter: 'blur(8px)' }}
+      onClick={(e) => { if (e.target === e.currentTarget) onCancel(); }}
+    >
+      <div className="relative bg-slate-900 border border-amber-500/30 rounded-3xl w-full max-w-lg shadow-[0_0_60px_rgba(245,158,11,0.15)] overflow-hidden flex flex-col max-h-[92vh]">
+
+        {/* Glowing top bar */}
+        <div className="h-1 w-full shrink-0 bg-gradient-to-r from-amber-500 via-yellow-400 to-amber-500" />
+
+        <div className="overflow-y-auto">
+          {/* Header */}
+          <div className="px-8 pt-8 pb-6 text-center space-y-4">
+            <div className="relative mx-auto w-20 h-20">
+              <div className="absolute inset-0 rounded-full bg-amber-500/20 animate-ping" />
+              <div className="relative w-20 h-20 rounded-full bg-gradient-to-br from-amber-400 to-amber-600 flex items-center justify-center shadow-lg shadow-amber-500/30">
+                <Stethoscope size={36} className="text-white" />
+              </div>
+            </div>
+
+            <div>
+              <p className="text-xs font-bold uppercase tracking-widest text-amber-400 mb-1">Assistance Protocol</p>
+              <h2 className="text-2xl font-bold text-white">Patient Assistance Complete?</h2>
+              <p className="text-slate-400 text-sm mt-2">
+                Confirm that emergency in{' '}
+                <span className="text-amber-400 font-bold">
+                  {room.wardKey?.replace('ward_', 'Ward ')} — {room.roomKey?.replace('room_', 'Room ')}
+                </span>{' '}
+                has been fully resolved.
+              </p>
+            </div>
+          </div>
+
+          {/* Camera frames from around the fall, once the evidence server has attached them */}
+          {incidentEvidence && (
+            <div className="mx-6 mb-4 bg-slate-950/60 rounded-2xl border border-slate-800 p-4">
+              <FallEvidence evidence={incidentEvidence} />
+            </div>
+          )}
+
+          {/* Checklist (all items required) */}
+          <div className="mx-6 mb-4 bg-slate-950/60 rounded-2xl border border-slate-800 p-4 space-y-1">
+            <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500 mb-2">Pre-Reset Checklist</p>
+            {config.checklist.map((item, i) => (
+              <button
+                key={item}
+                type="button"
+                onClick={() => toggleCheck(i)}
+                className="w-full flex items-center gap-3 p-2 rounded-lg hover:bg-slate-800/40 transition-colors text-left"
+              >
+                {form.checked[i]
+                  ? <CheckSquare size={20} className="text-green-400 shrink-0" />
+                  : <Square size={20} className="text-slate-500 shrink-0" />}
+                <span className={cn("text-sm", form.checked[i] ? "text-slate-200" : "text-slate-400")}>{item}</span>
+              </button>
+            ))}
+          </div>
+
+          {/* Outcome */}
+          <div className="mx-6 mb-4 space-y-4">
+            <div>
+              <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500 mb-2">Outcome</p>
+              <div className="flex flex-wrap gap-2">
+                {OUTCOMES.map(o => (
+                  <button key={o.key} type="button" onClick={() => setForm(f => ({ ...f, outcome: o.key }))} className={pill(form.outcome === o.key)}>
+                    {o.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {!isFalseAlarm && (
+              <div>
+                <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500 mb-2">Injury Level</p>
+                <div className="flex flex-wrap gap-2">
+                  {INJURY_LEVELS.map(l => (
+                    <button key={l.key} type="button" onClick={() => setForm(f => ({ ...f, injury: l.key }))} className={pill(form.injury === l.key)}>
+                      {l.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {!isFalseAlarm && config.interventions.length > 0 && (
+              <div>
+                <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500 mb-2">Interventions</p>
+                <div className="flex flex-wrap gap-2">
+                  {config.interventions.map(item => (
+                    <button
+                      key={item}
+                      type="button"
+                      onClick={() => toggleIntervention(item)}
+                      className={cn(
+                        "px-2.5 py-1.5 rounded-lg text-xs font-medium border transition-all",
+                        form.interventions.includes(item)
+                          ? "bg-blue-600/30 border-blue-500 text-blue-200"
+                          : "bg-slate-800/60 border-slate-700 text-slate-400 hover:border-slate-500"
+                      )}
+                    >
+                      {item}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500 mb-2">Note</p>
+              <textarea
+                value={form.note}
+                onChange={(e) => setForm(f => ({ ...f, note: e.target.value }))}
+                rows={3}
+                placeholder="Optional details for the incident record"
+                className="w-full bg-slate-950 border border-slate-700 rounded-xl px-3 py-2 text-sm text-white focus:border-amber-500 outline-none resize-none"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Action Buttons */}
+        <div className="px-6 pt-2 pb-6 shrink-0 space-y-2 border-t border-slate-800">
+          {(problems.length > 0 || !canResolve) && (
+            <p className="text-xs text-amber-300/80 text-center pt-2">
+              {!canResolve ? deniedMessage : problems.join(' · ')}
+            </p>
+          )}
+          <div className="grid grid-cols-2 gap-3 pt-2">
+            <button
+              onClick={onCancel}
+              className="py-3.5 px-4 bg-slate-800/80 hover:bg-slate-700 text-slate-300 font-bold rounded-2xl border border-slate-700 hover:border-slate-500 transition-all active:scale-95 flex items-center justify-center gap-2"
+            >
+              <X size={18} /> Cancel
+            </button>
+            <button
+              onClick={handleConfirm}
+              disabled={!canResolve || problems.length > 0 || submitting}
+              className="disabled:opacity-40 disabled:cursor-not-allowed py-3.5 px-4 bg-gradient-to-r from-amber-500 to-yellow-400 hover:from-amber-400 hover:to-yellow-300 text-slate-900 font-bold rounded-2xl transition-all active:scale-95 shadow-lg shadow-amber-900/30 flex items-center justify-center gap-2"
+            >
+              <CheckCircle size={18} /> Confirm & Clear
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
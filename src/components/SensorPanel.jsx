@@ -0,0 +1,72 @@
+import React from 'react';
+import { Activity, Camera, Radar } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import FusionBadge from './FusionBadge.jsx';
+
+const ago = (at, now) => {
+  if (!at || !now) return 'not seen yet';
+  const s = Math.max(0, Math.round((now - at) / 1000));
+  return s < 60 ? `${s}s ago` : `${Math.floor(s / 60)} min ago`;
+};
+
+const TONES = {
+  on: "text-emerald-400",
+  off: "text-slate-300",
+  none: "text-slate-600",
+  alarm: "text-red-400",
+};
+const tone = (signal) => (signal === null ? 'none' : signal ? 'on' : 'off');
+
+function Reading({ icon, label, value, tone: t, detail }) {
+  return (
+    <div className="bg-slate-950 p-3 rounded-xl border border-slate-800">
+      <p className="text-[11px] text-slate-500 font-bold uppercase flex items-center gap-1.5 mb-1">{icon} {label}</p>
+      <p className={cn("font-bold text-sm", TONES[t])}>{value}</p>
+      <p className="text-[10px] text-slate-500 mt-0.5">{detail}</p>
+    </div>
+  );
+}
+
+// --- Sensor Panel: raw PIR / camera signals and the fused classification for one room ---
+// `fusion` = { event, reasons, held, holdUntil, signals, track } as kept by the dashboard
+export default function SensorPanel({ fusion, now }) {
+  if (!fusion) return null;
+  const { signals, track } = fusion;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider flex items-center gap-2"><Radar size={16} /> Sensors</h3>
+        {fusion.event ? <FusionBadge fusion={fusion} now={now} /> : <span className="text-xs text-slate-500">Nothing unusual</span>}
+      </div>
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <Reading
+          icon={<Activity size={12} />}
+          label="PIR motion"
+          tone={tone(signals.motion)}
+          value={signals.motion === null ? 'No PIR' : signals.motion ? 'Motion' : 'Still'}
+          detail={`Last motion ${ago(track.lastMotionAt, now)}`}
+        />
+        <Reading
+          icon={<Camera size={12} />}
+          label="Camera detection"
+          tone={tone(signals.presence)}
+          value={signals.presence === null ? 'No detection data' : signals.presence ? 'Patient in view' : 'Not in view'}
+          detail={`Last seen ${ago(track.lastPresenceAt, now)}`}
+        />
+        <Reading
+          icon={<Camera size={12} />}
+          label="Camera status"
+          tone={signals.cameraAlarm ? 'alarm' : 'off'}
+          value={signals.cameraAlarm ? 'Alarm' : 'No alarm'}
+          detail={track.fallSince ? `Fall since ${ago(track.fallSince, now)}` : 'No fall'}
+        />
+      </div>
+      {fusion.reasons.length > 0 && (
+        <ul className="text-xs text-slate-500 list-disc pl-5 space-y-0.5">
+          {fusion.reasons.map(r => <li key={r}>{r}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { BellOff, Volume2, X } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { SILENCE_MINUTES, formatCountdown } from '../lib/silencing.js';
+
+const scopeLabel = (s) => (s.roomKey
+  ? `${s.wardKey.replace('ward_', 'W')} ${s.roomKey.replace('room_', 'Rm ')}`
+  : s.wardKey.replace('ward_', 'Ward '));
+
+// --- Header: timed silencing with an always-visible countdown ---
+export default function SilenceControl({ silences, now, canMute, deniedMessage, onSilence, onCancel }) {
+  const [open, setOpen] = useState(false);
+  const active = silences.length > 0;
+
+  return (
+    <div className="relative flex items-center gap-2">
+      {silences.map(s => (
+        <span
+          key={`${s.wardKey}/${s.roomKey || 'all'}`}
+          className="flex items-center gap-1.5 pl-2.5 pr-1 py-1.5 rounded-lg bg-red-500/10 border border-red-500/30 text-red-300 text-xs font-bold"
+          title={`Silenced by ${s.by?.name || 'unknown'} for ${s.minutes} min`}
+        >
+          <BellOff size={14} />
+          {scopeLabel(s)}
+          <span className="font-mono">{formatCountdown(s.until - now)}</span>
+          {canMute && (
+            <button onClick={() => onCancel(s)} className="p-0.5 rounded hover:bg-red-500/20" title="Cancel silence">
+              <X size={12} />
+            </button>
+          )}
+        </span>
+      ))}
+
+      <button
+        onClick={() => canMute ? setOpen(o => !o) : alert(deniedMessage)}
+        className={cn(
+          "relative p-2.5 rounded-lg transition-colors border border-transparent",
+          active ? "bg-red-500/10 text-red-500 border-red-500/20" : "text-slate-400 hover:bg-slate-800 hover:text-white",
+          !canMute && "opacity-40 cursor-not-allowed"
+        )}
+        title={!canMute ? deniedMessage : "Silence alarms"}
+      >
+        {active ? <BellOff size={20} /> : <Volume2 size={20} />}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-56 z-40 bg-slate-900 border border-slate-700 rounded-xl shadow-2xl p-2 space-y-1">
+          <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500 px-2 py-1">
+            Silence sounding alarms
+          </p>
+          {SILENCE_MINUTES.map(min => (
+            <button
+              key={min}
+              onClick={() => { setOpen(false); onSilence(min); }}
+              className="w-full text-left px-3 py-2 rounded-lg text-sm text-slate-200 hover:bg-slate-800"
+            >
+              For {min} minutes
+            </button>
+          ))}
+          <p className="text-[10px] text-slate-500 px-2 pt-1">
+            A fall in any other room still sounds.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ref, set } from "firebase/database";
+import { Play, Square, Save, Volume2 } from 'lucide-react';
+import { db } from '../lib/firebase.js';
+import { cn } from '../lib/cn.js';
+import { AlarmSound } from '../lib/alarmSound.js';
+import {
+  PRIORITY_PATTERNS,
+  ALARM_EVENTS,
+  ALARM_EVENT_LABELS,
+  DEFAULT_VOLUME,
+  getSoundProfile,
+} from '../lib/alarmProfiles.js';
+import { writeLog } from '../lib/logs.js';
+
+const EVENTS = Object.values(ALARM_EVENTS);
+
+// Settings scope → editable form { volume, events: { [event]: profile } }
+function formFor(settings, scope) {
+  const wardKey = scope === 'default' ? null : scope;
+  const events = {};
+  EVENTS.forEach(event => {
+    const { volume: _volume, ...profile } = getSoundProfile(event, settings, wardKey);
+    events[event] = profile;
+  });
+  const volume = (wardKey && settings?.[wardKey]?.volume) ?? settings?.default?.volume ?? DEFAULT_VOLUME;
+  return { volume, events };
+}
+
+// --- Sound Test Page: preview and configure alarm profiles per ward ---
+export default function SoundPreview({ settings, wardKeys, canConfigure, deniedMessage }) {
+  const [scope, setScope] = useState('default');
+  const [form, setForm] = useState(() => formFor(settings, 'default'));
+  const [playing, setPlaying] = useState(null); // event key
+  const [saving, setSaving] = useState(false);
+  const soundRef = useRef(null);
+
+  useEffect(() => {
+    soundRef.current = new AlarmSound();
+    soundRef.current.init(() => { });
+    return () => soundRef.current?.dispose();
+  }, []);
+
+  // Pick up saved settings once they arrive (and after another station saves)
+  useEffect(() => {
+    setForm(formFor(settings, scope));
+  }, [settings, scope]);
+
+  // Live-update the preview while a profile is being edited
+  useEffect(() => {
+    if (playing) soundRef.current?.setProfile({ ...form.events[playing], volume: form.volume });
+  }, [form, playing]);
+
+  const changeScope = (next) => {
+    soundRef.current?.stop();
+    setPlaying(null);
+    setScope(next);
+  };
+
+  const updateEvent = (event, patch) => setForm(f => ({ ...f, events: { ...f.events, [event]: { ...f.events[event], ...patch } } }));
+
+  const togglePreview = async (event) => {
+    const sound = soundRef.current;
+    if (!sound) return;
+    if (playing === event) {
+      sound.stop();
+      setPlaying(null);
+      return;
+    }
+    await sound._unlock();
+    sound.stop();
+    sound.setProfile({ ...form.events[event], volume: form.volume });
+    sound.play();
+    setPlaying(event);
+  };
+
+  const changeVolume = (volume) => {
+    setForm(f => ({ ...f, volume }));
+    soundRef.current?.setVolume(volume);
+  };
+
+  const handleSave = async () => {
+    if (!canConfigure) return;
+    setSaving(true);
+    try {
+      await set(ref(db, `hospital_system/settings/sound_profiles/${scope}`), form);
+      writeLog('SYSTEM', `Alarm sound profiles for ${scope === 'default' ? 'all wards' : scope} updated`, { scope, profiles: form });
+    } catch (err) {
+      console.error("Sound Profile Save Error:", err);
+      alert("Failed to save: " + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6 animate-in fade-in duration-300">
+      <div className="bg-slate-900/50 backdrop-blur-md rounded-2xl border border-slate-800 p-6 shadow-xl flex flex-col md:flex-row md:items-end justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-bold text-white flex items-center gap-2">
+            <Volume2 className="text-blue-400" /> Alarm Sound Test
+          </h2>
+          <p className="text-slate-400 text-sm mt-1">
+            IEC 60601-1-8 burst patterns. Preview each alarm before saving it for a ward.
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={scope}
+            onChange={(e) => changeScope(e.target.value)}
+            className="bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white outline-none focus:border-blue-500"
+          >
+            <option value="default">All wards (default)</option>
+            {wardKeys.map(w => <option key={w} value={w}>{w.replace('ward_', 'Ward ')}</option>)}
+          </select>
+          <label className="flex items-center gap-2 text-sm text-slate-300">
+            Volume
+            <input
+              type="range" min="0" max="1" step="0.05"
+              value={form.volume}
+              onChange={(e) => changeVolume(Number(e.target.value))}
+              className="accent-blue-500"
+            />
+            <span className="font-mono w-10 text-right">{Math.round(form.volume * 100)}%</span>
+          </label>
+          <button
+            onClick={handleSave}
+            disabled={!canConfigure || saving}
+            title={!canConfigure ? deniedMessage : undefined}
+            className="disabled:opacity-40 disabled:cursor-not-allowed px-4 py-2 bg-blue-600 hover:bg-blue-500 text-white rounded-lg font-bold text-sm flex items-center gap-2"
+          >
+            <Save size={16} /> Save
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {EVENTS.map(event => {
+          const profile = form.events[event];
+          const pattern = PRIORITY_PATTERNS[profile.priority] || PRIORITY_PATTERNS.high;
+          const isPlaying = playing === event;
+          return (
+            <div key={event} className={cn(
+              "bg-slate-900/60 rounded-2xl border p-5 space-y-4",
+              isPlaying ? "border-blue-500/60 shadow-[0_0_20px_rgba(59,130,246,0.2)]" : "border-slate-800",
+              !profile.enabled && "opacity-60"
+            )}>
+              <div className="flex items-center justify-between gap-3">
+                <div>
+                  <h3 className="font-bold text-slate-100">{ALARM_EVENT_LABELS[event]}</h3>
+                  <p className="text-xs text-slate-500 font-mono mt-0.5">
+                    {pattern.onsets.length} pulses · every {profile.repeatSeconds ?? pattern.repeatSeconds}s
+                  </p>
+                </div>
+                <button
+                  onClick={() => togglePreview(event)}
+                  className={cn(
+                    "p-3 rounded-xl transition-colors",
+                    isPlaying ? "bg-red-500/20 text-red-400 hover:bg-red-500/30" : "bg-blue-600/20 text-blue-300 hover:bg-blue-600/30"
+                  )}
+                  title={isPlaying ? "Stop" : "Preview"}
+                >
+                  {isPlaying ? <Square size={18} /> : <Play size={18} />}
+                </button>
+              </div>
+
+              <div className="grid grid-cols-3 gap-3 text-xs">
+                <label className="space-y-1">
+                  <span className="block font-bold uppercase text-slate-500">Priority</span>
+                  <select
+                    value={profile.priority}
+                    onChange={(e) => updateEvent(event, { priority: e.target.value })}
+                    className="w-full bg-slate-950 border border-slate-700 rounded-lg px-2 py-1.5 text-white"
+                  >
+                    {Object.entries(PRIORITY_PATTERNS).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+                  </select>
+                </label>
+                <label className="space-y-1">
+                  <span className="block font-bold uppercase text-slate-500">Pitch (Hz)</span>
+                  <input
+                    type="number" min="150" max="1000" step="1"
+                    value={profile.frequency}
+                    onChange={(e) => updateEvent(event, { frequency: Number(e.target.value) })}
+                    className="w-full bg-slate-950 border border-slate-700 rounded-lg px-2 py-1.5 text-white font-mono"
+                  />
+                </label>
+                <label className="space-y-1">
+                  <span className="block font-bold uppercase text-slate-500">Enabled</span>
+                  <input
+                    type="checkbox"
+                    checked={profile.enabled !== false}
+                    onChange={(e) => updateEvent(event, { enabled: e.target.checked })}
+                    className="w-5 h-5 accent-blue-500 mt-1"
+                  />
+                </label>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { MonitorSmartphone, Pencil, Check } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+
+const ago = (ms) => {
+  const s = Math.max(0, Math.round(ms / 1000));
+  return s < 60 ? `${s}s ago` : `${Math.round(s / 60)}m ago`;
+};
+
+// --- Header: which nurse stations are online, per ward ---
+export default function StationsPanel({ wards, station, now, onRename }) {
+  const [open, setOpen] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(station.name);
+
+  const count = new Set(wards.flatMap(w => w.stations.map(s => s.id))).size;
+  const others = count - (wards.some(w => w.stations.some(s => s.isSelf)) ? 1 : 0);
+
+  const saveName = () => {
+    setEditing(false);
+    if (draft.trim() && draft.trim() !== station.name) onRename(draft);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(o => !o)}
+        className={cn(
+          "flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-bold border transition-colors",
+          others > 0 ? "text-slate-300 border-slate-700 hover:bg-slate-800" : "text-slate-500 border-slate-800 hover:bg-slate-800"
+        )}
+        title="Nurse stations online"
+      >
+        <MonitorSmartphone size={18} />
+        <span className="font-mono">{count}</span>
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 w-72 z-40 bg-slate-900 border border-slate-700 rounded-xl shadow-2xl p-3 space-y-3">
+          <div className="flex items-center gap-2">
+            {editing ? (
+              <>
+                <input
+                  autoFocus
+                  value={draft}
+                  onChange={(e) => setDraft(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && saveName()}
+                  className="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-sm text-white outline-none focus:border-blue-500"
+                />
+                <button onClick={saveName} className="p-1.5 rounded-lg text-green-400 hover:bg-slate-800" title="Save name">
+                  <Check size={16} />
+                </button>
+              </>
+            ) : (
+              <>
+                <div className="flex-1 min-w-0">
+                  <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500">This station</p>
+                  <p className="text-sm font-bold text-white truncate">{station.name}</p>
+                </div>
+                <button onClick={() => { setDraft(station.name); setEditing(true); }} className="p-1.5 rounded-lg text-slate-400 hover:bg-slate-800 hover:text-white" title="Rename station">
+                  <Pencil size={14} />
+                </button>
+              </>
+            )}
+          </div>
+
+          {wards.length === 0 && (
+            <p className="text-xs text-slate-500">No stations online.</p>
+          )}
+          {wards.map(({ wardKey, stations }) => (
+            <div key={wardKey} className="space-y-1">
+              <p className="text-[11px] font-bold uppercase tracking-widest text-slate-500">{wardKey.replace('ward_', 'Ward ')}</p>
+              {stations.map(s => (
+                <div key={s.id} className="flex items-center gap-2 px-2 py-1.5 rounded-lg bg-slate-950/60 text-xs">
+                  <span className="w-2 h-2 rounded-full bg-green-500" />
+                  <span className={cn("flex-1 truncate", s.isSelf ? "text-blue-300 font-bold" : "text-slate-200")}>
+                    {s.name}{s.isSelf && ' (this)'}
+                  </span>
+                  <span className="text-slate-500 truncate max-w-[6rem]" title={s.user?.name}>{s.user?.name || '—'}</span>
+                  <span className="text-slate-600 font-mono">{ago(now - Number(s.last_seen))}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React from 'react';
+import { Cctv, ShieldAlert, Stethoscope } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { getRoomState } from '../lib/roomState.js';
+import { PRIVACY_MODES, roomCamera, videoVisibility } from '../lib/cameraStream.js';
+import CameraViewer from './CameraViewer.jsx';
+
+// --- Supervisor Video Wall: every room's camera, alarms first ---
+// Quiet rooms poll snapshots; rooms in alarm switch to the live stream.
+export default function VideoWall({ wardsData, rules, now, privacy, canConfigure, deniedMessage, onChangePrivacy, onOpenRoom }) {
+  const tiles = [];
+  Object.entries(wardsData).forEach(([wardKey, rooms]) => {
+    Object.entries(rooms || {}).forEach(([roomKey, room]) => {
+      const camera = roomCamera(room);
+      if (!camera) return;
+      const { isFall, isAck } = getRoomState(room, rules, now);
+      tiles.push({ wardKey, roomKey, room, camera, isFall, isAck });
+    });
+  });
+  const rank = (t) => (t.isFall && !t.isAck ? 0 : t.isFall ? 1 : 2);
+  tiles.sort((a, b) => rank(a) - rank(b) || `${a.wardKey}/${a.roomKey}`.localeCompare(`${b.wardKey}/${b.roomKey}`));
+
+  return (
+    <div className="space-y-4 animate-in fade-in duration-300">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <h2 className="text-lg font-bold text-slate-200 flex items-center gap-2">
+          <Cctv size={20} className="text-blue-400" /> Video Wall
+          <span className="text-xs bg-slate-800 px-2 py-1 rounded-full text-slate-500">{tiles.length} Cameras</span>
+        </h2>
+        <label className="flex items-center gap-2 text-xs text-slate-400" title={canConfigure ? undefined : deniedMessage}>
+          Privacy
+          <select
+            value={privacy}
+            disabled={!canConfigure}
+            onChange={(e) => onChangePrivacy(e.target.value)}
+            className="bg-slate-950 border border-slate-700 rounded-lg px-2 py-1 text-xs text-white outline-none disabled:opacity-50"
+          >
+            {PRIVACY_MODES.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {tiles.length === 0 ? (
+        <p className="text-center text-slate-500 py-12">No room has a camera with a stream URL.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4">
+          {tiles.map(t => (
+            // A div, not a button: the viewer has its own reconnect button and stream link
+            <div
+              key={`${t.wardKey}/${t.roomKey}`}
+              onClick={() => onOpenRoom(t.wardKey, t.roomKey)}
+              className={cn(
+                "cursor-pointer rounded-2xl border p-2 space-y-2 transition-colors",
+                t.isFall && !t.isAck
+                  ? "bg-red-900/40 border-red-500 animate-pulse"
+                  : t.isFall
+                    ? "bg-amber-900/30 border-amber-500/60"
+                    : "bg-slate-900/50 border-slate-800 hover:border-slate-700"
+              )}
+            >
+              <CameraViewer
+                camera={t.camera}
+                mode={t.isFall ? 'stream' : 'snapshot'}
+                visibility={videoVisibility(privacy, t.isFall)}
+                now={now}
+                label={t.camera.devName}
+              />
+              <div className="flex items-center justify-between px-1 text-sm">
+                <span className="font-bold text-slate-200 truncate">
+                  {t.wardKey.replace('ward_', 'Ward ')} · {t.roomKey.replace('room_', 'Room ')}
+                  {t.room.patient_info?.name && <span className="font-normal text-slate-500"> — {t.room.patient_info.name}</span>}
+                </span>
+                {t.isFall && !t.isAck && <ShieldAlert size={16} className="text-red-400 shrink-0" />}
+                {t.isFall && t.isAck && <Stethoscope size={16} className="text-amber-400 shrink-0" />}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React from 'react';
+import { LayoutDashboard, AlertTriangle, Stethoscope, Clock, WifiOff, MonitorSmartphone } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+import { getRoomState, LIVENESS } from '../lib/roomState.js';
+
+function summarize(wardKey, rooms, rules, now, escalations) {
+  const summary = { rooms: 0, unacked: 0, waiting: 0, overdue: 0, offline: 0 };
+  Object.entries(rooms).forEach(([roomKey, room]) => {
+    const { isFall, isAck, devices } = getRoomState(room, rules, now);
+    summary.rooms++;
+    if (isFall && !isAck) summary.unacked++;
+    if (isFall && isAck) summary.waiting++;
+    if (escalations[`${wardKey}/${roomKey}`]?.overdue) summary.overdue++;
+    if (Object.values(devices).some(c => c.significant && c.liveness === LIVENESS.OFFLINE)) summary.offline++;
+  });
+  return summary;
+}
+
+// --- Supervisor Overview: one tile per ward, regardless of this station's wards ---
+export default function WardOverview({ wardsData, rules, now, escalations, stations, onOpenWard }) {
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 animate-in fade-in duration-300">
+      {Object.entries(wardsData).map(([wardKey, rooms]) => {
+        const s = summarize(wardKey, rooms, rules, now, escalations);
+        const online = stations.find(w => w.wardKey === wardKey)?.stations || [];
+        return (
+          <button
+            key={wardKey}
+            onClick={() => onOpenWard(wardKey)}
+            className={cn(
+              "text-left rounded-2xl border p-5 space-y-4 transition-colors",
+              s.unacked > 0
+                ? "bg-red-900/40 border-red-500 animate-pulse"
+                : s.waiting > 0
+                  ? "bg-amber-900/30 border-amber-500/60"
+                  : "bg-slate-900/50 border-slate-800 hover:border-slate-700"
+            )}
+          >
+            <div className="flex items-center justify-between">
+              <h3 className="text-lg font-bold text-slate-100 flex items-center gap-2">
+                <LayoutDashboard size={18} /> {wardKey.replace('ward_', 'Ward ')}
+              </h3>
+              <span className="text-xs bg-slate-800 px-2 py-1 rounded-full text-slate-400">{s.rooms} Rooms</span>
+            </div>
+            <div className="grid grid-cols-2 gap-2 text-sm">
+              <span className={cn("flex items-center gap-2", s.unacked ? "text-red-300 font-bold" : "text-slate-500")}>
+                <AlertTriangle size={14} /> {s.unacked} unacknowledged
+              </span>
+              <span className={cn("flex items-center gap-2", s.waiting ? "text-amber-300" : "text-slate-500")}>
+                <Stethoscope size={14} /> {s.waiting} attending
+              </span>
+              <span className={cn("flex items-center gap-2", s.overdue ? "text-red-300" : "text-slate-500")}>
+                <Clock size={14} /> {s.overdue} overdue
+              </span>
+              <span className={cn("flex items-center gap-2", s.offline ? "text-slate-300" : "text-slate-500")}>
+                <WifiOff size={14} /> {s.offline} device offline
+              </span>
+            </div>
+            <p className={cn("text-xs flex items-center gap-2", online.length ? "text-slate-400" : "text-red-400 font-bold")}>
+              <MonitorSmartphone size={14} />
+              {online.length ? online.map(st => st.name).join(', ') : 'No station watching this ward'}
+            </p>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from 'react';
+import { LayoutGrid, Cctv } from 'lucide-react';
+import { cn } from '../lib/cn.js';
+
+const chip = (active) => cn(
+  "px-3 py-1.5 rounded-lg text-sm font-bold border transition-colors",
+  active ? "bg-blue-600 text-white border-blue-500" : "text-slate-400 border-slate-700 hover:bg-slate-800 hover:text-white"
+);
+
+const SUPERVISOR_VIEWS = [
+  { key: 'overview', label: 'Overview', title: 'Cross-ward overview', Icon: LayoutGrid },
+  { key: 'wall', label: 'Video Wall', title: 'Cameras of every room', Icon: Cctv },
+];
+
+// --- Monitoring: which wards this station watches, plus the supervisor views ---
+// `supervisorView` is null (station wards), 'overview' or 'wall'
+export default function WardScopeBar({ wardKeys, selected, supervisorView, canOverview, overviewDeniedMessage, onChange, onChangeSupervisorView }) {
+  const all = selected.length === 0;
+  const overview = !!supervisorView;
+  const toggle = (wardKey) => {
+    const next = selected.includes(wardKey) ? selected.filter(w => w !== wardKey) : [...selected, wardKey];
+    // Selecting every ward is the same as "all", which also follows wards added later
+    onChange(next.length === wardKeys.length ? [] : next);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-xs font-bold uppercase tracking-widest text-slate-500 mr-1">Station wards</span>
+      <button onClick={() => onChange([])} className={chip(all && !overview)}>All wards</button>
+      {wardKeys.map(w => (
+        <button key={w} onClick={() => toggle(w)} className={chip(!all && selected.includes(w) && !overview)}>
+          {w.replace('ward_', 'Ward ')}
+        </button>
+      ))}
+      {selected.filter(w => !wardKeys.includes(w)).map(w => (
+        <button key={w} onClick={() => toggle(w)} className={cn(chip(false), "line-through")} title="No data for this ward">
+          {w.replace('ward_', 'Ward ')}
+        </button>
+      ))}
+      {SUPERVISOR_VIEWS.map((view, i) => (
+        <button
+          key={view.key}
+          onClick={() => canOverview ? onChangeSupervisorView(supervisorView === view.key ? null : view.key) : alert(overviewDeniedMessage)}
+          className={cn(chip(supervisorView === view.key), "flex items-center gap-2", i === 0 && "ml-auto", !canOverview && "opacity-40 cursor-not-allowed")}
+          title={canOverview ? view.title : overviewDeniedMessage}
+        >
+          <view.Icon size={16} /> {view.label}
+        </button>
+      ))}
+    </div>
+  );
+}
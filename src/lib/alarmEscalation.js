@@ -0,0 +1,73 @@
+// --- Alarm Escalation Tiers ---
+// Pure helpers deciding how loud a room's alarm should be given how long it has
+// been waiting. Defaults can be overridden from RTDB hospital_system/settings/alarm_escalation.
+
+export const DEFAULT_ESCALATION_CONFIG = {
+  // Unacknowledged fall: tiers by seconds since the fall was first seen
+  unacked: [
+    { level: 1, afterSeconds: 0, tone: 'standard', takeover: false },
+    { level: 2, afterSeconds: 30, tone: 'urgent', takeover: false },
+    { level: 3, afterSeconds: 90, tone: 'urgent', takeover: true },
+  ],
+  // Acknowledged but not resolved: re-alarm after this many minutes
+  acked: {
+    reAlarmAfterMinutes: 5,
+    tone: 'urgent',
+  },
+  // High-risk patients flagged for fast escalation (see lib/patients.js):
+  // every unacknowledged tier is reached after this fraction of its delay
+  highRisk: {
+    afterSecondsFactor: 0.5,
+  },
+};
+
+export function mergeEscalationConfig(override) {
+  if (!override) return DEFAULT_ESCALATION_CONFIG;
+  const unacked = Array.isArray(override.unacked) && override.unacked.length > 0
+    ? [...override.unacked].sort((a, b) => a.afterSeconds - b.afterSeconds)
+    : DEFAULT_ESCALATION_CONFIG.unacked;
+  return {
+    unacked,
+    acked: { ...DEFAULT_ESCALATION_CONFIG.acked, ...(override.acked || {}) },
+    highRisk: { ...DEFAULT_ESCALATION_CONFIG.highRisk, ...(override.highRisk || {}) },
+  };
+}
+
+// Shorter timeline for a high-risk patient's room
+export function fastEscalationConfig(config = DEFAULT_ESCALATION_CONFIG) {
+  const factor = Math.min(1, Math.max(0, Number(config.highRisk?.afterSecondsFactor ?? 1)));
+  return {
+    ...config,
+    unacked: config.unacked.map(t => ({ ...t, afterSeconds: Math.round(t.afterSeconds * factor) })),
+  };
+}
+
+// Highest tier whose threshold has been reached (tiers sorted ascending)
+export function getUnackedTier(elapsedMs, config = DEFAULT_ESCALATION_CONFIG) {
+  let tier = config.unacked[0];
+  for (const t of config.unacked) {
+    if (elapsedMs >= t.afterSeconds * 1000) tier = t;
+  }
+  return tier;
+}
+
+/**
+ * Escalation for one room.
+ * @param {{ isFall: boolean, isAck: boolean }} roomState result of getRoomState()
+ * @param {{ fallSince?: number, ackedAt?: number }} timing epoch ms
+ * @returns {{ level: number, tone: string|null, takeover: boolean, overdue: boolean }}
+ */
+export function getRoomEscalation(roomState, timing, now = Date.now(), config = DEFAULT_ESCALATION_CONFIG) {
+  const none = { level: 0, tone: null, takeover: false, overdue: false };
+  if (!roomState.isFall) return none;
+
+  if (!roomState.isAck) {
+    const tier = getUnackedTier(now - (timing.fallSince ?? now), config);
+    return { level: tier.level, tone: tier.tone, takeover: !!tier.takeover, overdue: false };
+  }
+
+  if (timing.ackedAt && now - timing.ackedAt >= config.acked.reAlarmAfterMinutes * 60000) {
+    return { level: 1, tone: config.acked.tone, takeover: false, overdue: true };
+  }
+  return none;
+}
@@ -0,0 +1,222 @@
+import { getRoomState, LIVENESS } from './roomState.js';
+import { FUSION_EVENTS } from './sensorFusion.js';
+import { BED_ALERT_TYPES, activeBedAlert, isBedAlertAcked } from './bedAlerts.js';
+
+// --- Alarm Sound Profiles (IEC 60601-1-8) ---
+// Pure sample generation shared by the Web Audio player and the <audio> WAV
+// fallback in alarmSound.js, so both always play the same pattern.
+//
+// Auditory alarm signals per IEC 60601-1-8 (Table 3/4):
+//   high   → burst of 10 pulses "xxx-xx----xxx-xx", repeated every 2.5–15 s
+//   medium → burst of 3 pulses "xxx", repeated every 2.5–30 s
+//   low    → 1–2 pulses, repeated every ≥ 15 s (or not at all)
+// Pulses: fundamental 150–1000 Hz with ≥ 4 harmonics, rise/fall 10–20 % of the
+// pulse duration.
+//
+// Per-ward overrides live in RTDB hospital_system/settings/sound_profiles:
+//   { default: { volume: 0.8, events: { fall: { priority: 'high', frequency: 523 } } },
+//     ward_3: { volume: 0.5 } }
+
+export const PRIORITY_PATTERNS = {
+  high: {
+    label: 'High priority',
+    pulseSeconds: 0.15,
+    // 3 + 2 pulses, pause, 3 + 2 pulses
+    onsets: [0, 0.25, 0.5, 1.0, 1.25, 2.25, 2.5, 2.75, 3.25, 3.5],
+    repeatSeconds: 6,
+  },
+  medium: {
+    label: 'Medium priority',
+    pulseSeconds: 0.2,
+    onsets: [0, 0.4, 0.8],
+    repeatSeconds: 6,
+  },
+  low: {
+    label: 'Low priority',
+    pulseSeconds: 0.2,
+    onsets: [0, 0.4],
+    repeatSeconds: 16,
+  },
+};
+
+export const ALARM_EVENTS = {
+  FALL: 'fall',
+  NO_MOTION: 'no_motion',
+  ESCALATED: 'escalated',
+  OVERDUE: 'overdue',
+  BED_EXIT: 'bed_exit',
+  ABSENCE: 'absence',
+  MONITORING_LOST: 'monitoring_lost',
+  DEVICE_OFFLINE: 'device_offline',
+};
+
+export const ALARM_EVENT_LABELS = {
+  [ALARM_EVENTS.FALL]: 'Fall detected',
+  [ALARM_EVENTS.NO_MOTION]: 'No movement after fall',
+  [ALARM_EVENTS.ESCALATED]: 'Escalated fall (unacknowledged)',
+  [ALARM_EVENTS.OVERDUE]: 'Resolution overdue',
+  [ALARM_EVENTS.BED_EXIT]: 'Patient left bed',
+  [ALARM_EVENTS.ABSENCE]: 'Patient out of room',
+  [ALARM_EVENTS.MONITORING_LOST]: 'Monitoring lost',
+  [ALARM_EVENTS.DEVICE_OFFLINE]: 'Device offline',
+};
+
+// When several alarms are active, the highest-ranked one is heard
+const EVENT_RANK = [
+  ALARM_EVENTS.NO_MOTION,
+  ALARM_EVENTS.ESCALATED,
+  ALARM_EVENTS.FALL,
+  ALARM_EVENTS.OVERDUE,
+  ALARM_EVENTS.MONITORING_LOST,
+  ALARM_EVENTS.BED_EXIT,
+  ALARM_EVENTS.ABSENCE,
+  ALARM_EVENTS.DEVICE_OFFLINE,
+];
+
+export const DEFAULT_VOLUME = 0.8;
+
+export const DEFAULT_SOUND_PROFILES = {
+  [ALARM_EVENTS.FALL]: { priority: 'high', frequency: 523, enabled: true },
+  [ALARM_EVENTS.NO_MOTION]: { priority: 'high', frequency: 784, repeatSeconds: 4, enabled: true },
+  [ALARM_EVENTS.ESCALATED]: { priority: 'high', frequency: 659, repeatSeconds: 4, enabled: true },
+  [ALARM_EVENTS.OVERDUE]: { priority: 'medium', frequency: 523, enabled: true },
+  [ALARM_EVENTS.MONITORING_LOST]: { priority: 'medium', frequency: 330, enabled: true },
+  [ALARM_EVENTS.BED_EXIT]: { priority: 'medium', frequency: 392, enabled: true },
+  [ALARM_EVENTS.ABSENCE]: { priority: 'medium', frequency: 349, repeatSeconds: 12, enabled: true },
+  [ALARM_EVENTS.DEVICE_OFFLINE]: { priority: 'low', frequency: 440, enabled: true },
+};
+
+/**
+ * Effective profile for one event: defaults → settings.default → settings[wardKey].
+ * @returns {{ priority: string, frequency: number, repeatSeconds?: number, enabled: boolean, volume: number }}
+ */
+export function getSoundProfile(event, settings, wardKey) {
+  const global = settings?.default || {};
+  const ward = (wardKey && settings?.[wardKey]) || {};
+  const profile = {
+    ...(DEFAULT_SOUND_PROFILES[event] || DEFAULT_SOUND_PROFILES[ALARM_EVENTS.FALL]),
+    ...(global.events?.[event] || {}),
+    ...(ward.events?.[event] || {}),
+  };
+  profile.volume = profile.volume ?? ward.volume ?? global.volume ?? DEFAULT_VOLUME;
+  return profile;
+}
+
+/**
+ * Every alarm that would sound right now, one per room and event (one per
+ * device for DEVICE_OFFLINE).
+ * `fusion` ("ward/room" → classifyFusion() result) holds back uncorroborated
+ * falls during their hold time and turns a motionless fall into NO_MOTION.
+ * Bed-exit / absence alerts (bedAlerts.js) use their alert id in place of an incident id.
+ * `alarmId` is what a silence records (silencing.js): the incident id ('fall'
+ * until one is assigned), the bed alert id or `offline:{device}`.
+ * @returns {Array<{ event: string, wardKey: string, roomKey: string, incidentId: string|null, alarmId: string, device?: string }>}
+ */
+export function collectAlarmCandidates({ wardsData, escalations, fusion = {}, rules, now, connectionOnline }) {
+  const candidates = [];
+  Object.entries(wardsData).forEach(([wardKey, ward]) => {
+    Object.entries(ward).forEach(([roomKey, room]) => {
+      const { isFall, isAck, devices } = getRoomState(room, rules, now);
+      const esc = escalations[`${wardKey}/${roomKey}`];
+      const fused = fusion[`${wardKey}/${roomKey}`];
+      const incidentId = room.live_status?.incident_id || null;
+      const fall = { wardKey, roomKey, incidentId, alarmId: incidentId || 'fall' };
+      if (esc?.overdue) candidates.push({ event: ALARM_EVENTS.OVERDUE, ...fall });
+      else if (isFall && !isAck && fused?.event === FUSION_EVENTS.NO_MOTION_AFTER_FALL) candidates.push({ event: ALARM_EVENTS.NO_MOTION, ...fall });
+      else if (isFall && !isAck && !fused?.held) candidates.push({ event: esc?.tone === 'urgent' ? ALARM_EVENTS.ESCALATED : ALARM_EVENTS.FALL, ...fall });
+      const bedAlert = activeBedAlert(room);
+      if (bedAlert && !isBedAlertAcked(bedAlert)) {
+        candidates.push({ event: bedAlert.type === BED_ALERT_TYPES.ABSENCE ? ALARM_EVENTS.ABSENCE : ALARM_EVENTS.BED_EXIT, wardKey, roomKey, incidentId: bedAlert.id, alarmId: bedAlert.id });
+      }
+      // Heartbeat ages are meaningless while the station itself is lagging
+      if (connectionOnline) {
+        Object.entries(devices)
+          .filter(([, c]) => c.significant && c.liveness === LIVENESS.OFFLINE)
+          .forEach(([device]) => candidates.push({ event: ALARM_EVENTS.DEVICE_OFFLINE, wardKey, roomKey, incidentId: null, alarmId: `offline:${device}`, device }));
+      }
+    });
+  });
+  return candidates;
+}
+
+/** Picks the alarm to sound from `[{ event, wardKey }]`, or null. */
+export function pickAlarm(candidates) {
+  let best = null;
+  candidates.forEach(c => {
+    if (!best || EVENT_RANK.indexOf(c.event) < EVENT_RANK.indexOf(best.event)) best = c;
+  });
+  return best;
+}
+
+// Stable identity for caching rendered buffers
+export function profileKey(profile) {
+  return `${profile.priority}:${profile.frequency}:${profile.repeatSeconds ?? ''}`;
+}
+
+// Fundamental plus four harmonics, falling off so the pulse stays pleasant
+const HARMONICS = [1, 0.6, 0.45, 0.3, 0.2];
+const HARMONIC_SUM = HARMONICS.reduce((a, b) => a + b, 0);
+
+/**
+ * Renders one full cycle (burst + silence up to the repeat interval) as mono
+ * samples in [-1, 1]. Volume is applied at playback, not here.
+ * @returns {Float32Array}
+ */
+export function renderPattern(profile, sampleRate) {
+  const pattern = PRIORITY_PATTERNS[profile.priority] || PRIORITY_PATTERNS.high;
+  const repeat = profile.repeatSeconds ?? pattern.repeatSeconds;
+  const pulse = pattern.pulseSeconds;
+  const rise = pulse * 0.15;
+  const freq = Math.min(1000, Math.max(150, Number(profile.frequency) || 523));
+
+  const samples = new Float32Array(Math.round(repeat * sampleRate));
+  const pulseLength = Math.round(pulse * sampleRate);
+
+  pattern.onsets.forEach(onset => {
+    const start = Math.round(onset * sampleRate);
+    for (let j = 0; j < pulseLength && start + j < samples.length; j++) {
+      const t = j / sampleRate;
+      const envelope = Math.min(1, t / rise, (pulse - t) / rise);
+      let v = 0;
+      HARMONICS.forEach((amp, h) => { v += amp * Math.sin(2 * Math.PI * freq * (h + 1) * t); });
+      samples[start + j] = (v / HARMONIC_SUM) * envelope;
+    }
+  });
+  return samples;
+}
+
+/** 16-bit PCM mono WAV as a data: URL, for the <audio> fallback. */
+export function encodeWav(samples, sampleRate) {
+  const headerSize = 44;
+  const dataSize = samples.length * 2;
+  const buffer = new ArrayBuffer(headerSize + dataSize);
+  const view = new DataView(buffer);
+
+  const writeStr = (offset, str) => { for (let i = 0; i < str.length; i++) view.setUint8(offset + i, str.charCodeAt(i)); };
+  writeStr(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeStr(8, 'WAVE');
+  writeStr(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeStr(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(headerSize + i * 2, sample * 32767, true);
+  }
+
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+  }
+  return 'data:audio/wav;base64,' + btoa(binary);
+}
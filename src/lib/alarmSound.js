@@ -0,0 +1,176 @@
+import { DEFAULT_SOUND_PROFILES, ALARM_EVENTS, DEFAULT_VOLUME, profileKey, renderPattern, encodeWav } from './alarmProfiles.js';
+
+// --- Audio System (Mobile Optimized) ---
+// Plays an alarm profile (see alarmProfiles.js) through Web Audio once the
+// browser has been unlocked by a user gesture, and through a looping <audio>
+// WAV before that. Both are rendered from the same samples.
+
+const FALLBACK_SAMPLE_RATE = 22050;
+
+export class AlarmSound {
+  constructor() {
+    this.audioCtx = null;
+    this.gainNode = null;
+    this.intervalId = null;
+    this.source = null;
+    this.isPlaying = false;
+    this.isUnlocked = false;
+    this.profile = { ...DEFAULT_SOUND_PROFILES[ALARM_EVENTS.FALL], volume: DEFAULT_VOLUME };
+    this.buffers = new Map();   // profileKey -> AudioBuffer
+    this.fallbacks = new Map(); // profileKey -> HTMLAudioElement
+    this._onUnlock = null;
+  }
+
+  init(onUnlockCallback) {
+    this._onUnlock = onUnlockCallback;
+    this._fallbackFor(this.profile);
+  }
+
+  async _unlock() {
+    try {
+      if (!this.audioCtx) {
+        this.audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+        this.gainNode = this.audioCtx.createGain();
+        this.gainNode.connect(this.audioCtx.destination);
+      }
+      if (this.audioCtx.state === 'suspended') {
+        try { await this.audioCtx.resume(); } catch { /* ignore */ }
+      }
+
+      // If still suspended/closed, abort silent tone to avoid console errors
+      if (this.audioCtx.state === 'suspended' || this.audioCtx.state === 'closed') {
+        return;
+      }
+
+      // Silent unlock tone
+      const silentOsc = this.audioCtx.createOscillator();
+      const silentGain = this.audioCtx.createGain();
+      silentGain.gain.setValueAtTime(0, this.audioCtx.currentTime);
+      silentOsc.connect(silentGain);
+      silentGain.connect(this.audioCtx.destination);
+      silentOsc.start();
+      silentOsc.stop(this.audioCtx.currentTime + 0.01);
+
+      const fallback = this._fallbackFor(this.profile);
+      if (fallback && !this.isPlaying) {
+        try {
+          fallback.volume = 0;
+          await fallback.play();
+          fallback.pause();
+          fallback.currentTime = 0;
+        } catch { /* ignore */ }
+      }
+
+      this.isUnlocked = true;
+      if (this._onUnlock) this._onUnlock(true);
+    } catch (e) {
+      console.error('Audio unlock failed:', e);
+    }
+  }
+
+  _bufferFor(profile) {
+    if (!this.audioCtx) return null;
+    const key = profileKey(profile);
+    if (!this.buffers.has(key)) {
+      const samples = renderPattern(profile, this.audioCtx.sampleRate);
+      const buffer = this.audioCtx.createBuffer(1, samples.length, this.audioCtx.sampleRate);
+      buffer.copyToChannel(samples, 0);
+      this.buffers.set(key, buffer);
+    }
+    return this.buffers.get(key);
+  }
+
+  _fallbackFor(profile) {
+    const key = profileKey(profile);
+    if (!this.fallbacks.has(key)) {
+      try {
+        const audio = new Audio(encodeWav(renderPattern(profile, FALLBACK_SAMPLE_RATE), FALLBACK_SAMPLE_RATE));
+        audio.loop = true;
+        this.fallbacks.set(key, audio);
+      } catch {
+        return null;
+      }
+    }
+    return this.fallbacks.get(key);
+  }
+
+  // Switches the pattern/pitch/volume; restarts playback if the pattern changed
+  setProfile(profile) {
+    const changed = profileKey(profile) !== profileKey(this.profile);
+    this.profile = profile;
+    this.setVolume(profile.volume ?? DEFAULT_VOLUME);
+    if (changed && this.isPlaying) {
+      this.stop();
+      this.play();
+    }
+  }
+
+  setVolume(volume) {
+    const v = Math.max(0, Math.min(1, Number(volume)));
+    this.profile = { ...this.profile, volume: v };
+    if (this.gainNode) this.gainNode.gain.setValueAtTime(v, this.audioCtx.currentTime);
+    const fallback = this.fallbacks.get(profileKey(this.profile));
+    if (fallback && this.isPlaying) fallback.volume = v;
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    this.isPlaying = true;
+    if (this.audioCtx && this.isUnlocked) {
+      this._playWebAudio();
+    } else {
+      this._playFallback();
+    }
+  }
+
+  _playWebAudio() {
+    if (this.audioCtx.state === 'suspended') {
+      this.audioCtx.resume().catch(() => { });
+    }
+    const buffer = this._bufferFor(this.profile);
+    if (!buffer) return;
+    this.gainNode.gain.setValueAtTime(this.profile.volume ?? DEFAULT_VOLUME, this.audioCtx.currentTime);
+    const playOnce = () => {
+      if (!this.isPlaying || !this.audioCtx) return;
+      const s = this.audioCtx.createBufferSource();
+      s.buffer = buffer;
+      s.connect(this.gainNode);
+      s.start(0);
+      this.source = s;
+    };
+    playOnce();
+    // The buffer already contains the silence up to the repeat interval
+    this.intervalId = setInterval(playOnce, buffer.duration * 1000);
+  }
+
+  _playFallback() {
+    const fallback = this._fallbackFor(this.profile);
+    if (!fallback) return;
+    try {
+      fallback.currentTime = 0;
+      fallback.volume = this.profile.volume ?? DEFAULT_VOLUME;
+      fallback.play().catch(() => { });
+    } catch { /* ignore */ }
+  }
+
+  stop() {
+    this.isPlaying = false;
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    if (this.source) {
+      try { this.source.stop(); } catch { /* already ended */ }
+      this.source = null;
+    }
+    this.fallbacks.forEach(audio => {
+      audio.pause();
+      audio.currentTime = 0;
+    });
+  }
+
+  dispose() {
+    this.stop();
+    if (this.audioCtx) this.audioCtx.close().catch(() => { });
+  }
+}
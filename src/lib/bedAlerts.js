@@ -0,0 +1,155 @@
+import { ref, runTransaction } from "firebase/database";
+import { db } from './firebase.js';
+import { queueUpdate } from './outbox.js';
+import { coerceAck } from './roomState.js';
+import { FUSION_EVENTS, quietForMs } from './sensorFusion.js';
+
+// --- Bed-Exit & Absence Alerts ---
+// A second alert category next to falls, raised from the sensor fusion signals
+// (see sensorFusion.js) and kept with the room so every station shares it:
+//   hospital_system/wards/{ward}/{room}/bed_alert
+//     { id, type: 'bed_exit' | 'absence', reason, raised_at,
+//       acknowledged, acknowledged_at, acknowledged_by, resolved_at, resolved_by }
+// A resolved alert stays in place until its condition clears, so a patient who
+// is still out of bed does not raise the same alert again straight away.
+//
+// Per-room schedule, set from the room details modal:
+//   hospital_system/wards/{ward}/{room}/bed_alert_settings
+//     { bed_exit: { enabled, schedule }, absence: { enabled, schedule, after_minutes },
+//       night: { from: 'HH:MM', to: 'HH:MM' } }
+
+export const BED_ALERT_TYPES = {
+  BED_EXIT: 'bed_exit',
+  ABSENCE: 'absence',
+};
+
+export const BED_ALERT_LABELS = {
+  [BED_ALERT_TYPES.BED_EXIT]: 'Patient left bed',
+  [BED_ALERT_TYPES.ABSENCE]: 'Out of room',
+};
+
+export const SCHEDULES = [
+  { key: 'always', label: 'Always' },
+  { key: 'night', label: 'Night only' },
+];
+
+export const DEFAULT_BED_ALERT_SETTINGS = {
+  bed_exit: { enabled: false, schedule: 'night' },
+  absence: { enabled: false, schedule: 'always', after_minutes: 20 },
+  night: { from: '21:00', to: '07:00' },
+};
+
+export function bedAlertSettings(room) {
+  const saved = room?.bed_alert_settings || {};
+  return {
+    bed_exit: { ...DEFAULT_BED_ALERT_SETTINGS.bed_exit, ...(saved.bed_exit || {}) },
+    absence: { ...DEFAULT_BED_ALERT_SETTINGS.absence, ...(saved.absence || {}) },
+    night: { ...DEFAULT_BED_ALERT_SETTINGS.night, ...(saved.night || {}) },
+  };
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const toMinutes = (hhmm) => Number(hhmm.slice(0, 2)) * 60 + Number(hhmm.slice(3, 5));
+
+export function validateBedAlertSettings(settings) {
+  const problems = [];
+  if (!TIME_RE.test(settings.night.from) || !TIME_RE.test(settings.night.to)) problems.push('Night hours must be HH:MM');
+  else if (settings.night.from === settings.night.to) problems.push('Night start and end must differ');
+  const after = Number(settings.absence.after_minutes);
+  if (!Number.isInteger(after) || after < 1 || after > 240) problems.push('Out-of-room delay must be 1–240 minutes');
+  return problems;
+}
+
+/** Whether a schedule is active at `now` (station local time); the night window may wrap midnight. */
+export function inSchedule(schedule, night, now = Date.now()) {
+  if (schedule !== 'night') return true;
+  const d = new Date(now);
+  const t = d.getHours() * 60 + d.getMinutes();
+  const from = toMinutes(night.from);
+  const to = toMinutes(night.to);
+  return from < to ? t >= from && t < to : t >= from || t < to;
+}
+
+/** The room's alert if it still needs attention (not resolved), else null */
+export function activeBedAlert(room) {
+  const alert = room?.bed_alert;
+  return alert && !alert.resolved_at ? alert : null;
+}
+
+export const isBedAlertAcked = (alert) => coerceAck(alert?.acknowledged);
+
+/**
+ * What the room's signals call for right now, given its schedule.
+ * `fusion` = classifyFusion() result plus its `signals` and `track`.
+ * @returns {{ type: string, reason: string }|null}
+ */
+export function detectBedAlert(room, fusion, now = Date.now()) {
+  if (!fusion) return null;
+  const settings = bedAlertSettings(room);
+
+  const exit = settings.bed_exit;
+  if (exit.enabled && inSchedule(exit.schedule, settings.night, now) && fusion.event === FUSION_EVENTS.LEFT_BED) {
+    return { type: BED_ALERT_TYPES.BED_EXIT, reason: fusion.reasons.join(', ') };
+  }
+
+  const absence = settings.absence;
+  const quietFor = quietForMs(fusion.track, fusion.signals, now);
+  if (absence.enabled && inSchedule(absence.schedule, settings.night, now)
+    && quietFor !== null && quietFor >= Number(absence.after_minutes) * 60000) {
+    return { type: BED_ALERT_TYPES.ABSENCE, reason: `no motion or presence for ${Math.floor(quietFor / 60000)} min` };
+  }
+  return null;
+}
+
+const alertPath = (wardKey, roomKey) => `hospital_system/wards/${wardKey}/${roomKey}/bed_alert`;
+
+/**
+ * Raises an alert unless the room already has one. Only one station wins.
+ * @returns {Promise<object|null>} the new alert when this station raised it
+ */
+export async function raiseBedAlert(wardKey, roomKey, { type, reason }, now) {
+  const alert = {
+    id: `${now}_${Math.random().toString(36).slice(2, 6)}`,
+    type,
+    reason,
+    raised_at: now,
+    acknowledged: false,
+  };
+  const result = await runTransaction(ref(db, alertPath(wardKey, roomKey)), (current) => (current ? undefined : alert));
+  return result.committed ? alert : null;
+}
+
+/** Clears a resolved alert once its condition is gone, so the next exit alerts again. */
+export async function rearmBedAlert(wardKey, roomKey) {
+  const result = await runTransaction(ref(db, alertPath(wardKey, roomKey)), (current) => (current?.resolved_at ? null : undefined));
+  return result.committed;
+}
+
+export function acknowledgeBedAlert(wardKey, roomKey, actor, at) {
+  const path = alertPath(wardKey, roomKey);
+  return queueUpdate({
+    [`${path}/acknowledged`]: true,
+    [`${path}/acknowledged_at`]: at,
+    [`${path}/acknowledged_by`]: actor,
+  }, `Acknowledge bed alert ${wardKey} / ${roomKey}`);
+}
+
+export function resolveBedAlert(wardKey, roomKey, actor, at) {
+  const path = alertPath(wardKey, roomKey);
+  return queueUpdate({
+    [`${path}/resolved_at`]: at,
+    [`${path}/resolved_by`]: actor,
+  }, `Resolve bed alert ${wardKey} / ${roomKey}`);
+}
+
+export function saveBedAlertSettings(wardKey, roomKey, settings, actor, at) {
+  return queueUpdate({
+    [`hospital_system/wards/${wardKey}/${roomKey}/bed_alert_settings`]: {
+      bed_exit: { enabled: !!settings.bed_exit.enabled, schedule: settings.bed_exit.schedule },
+      absence: { enabled: !!settings.absence.enabled, schedule: settings.absence.schedule, after_minutes: Number(settings.absence.after_minutes) },
+      night: { from: settings.night.from, to: settings.night.to },
+      updated_at: at,
+      updated_by: actor,
+    },
+  }, `Bed alert schedule ${wardKey} / ${roomKey}`);
+}
@@ -0,0 +1,190 @@
+import { ref, set } from "firebase/database";
+import { db } from './firebase.js';
+
+// --- Camera Streams ---
+// Room cameras publish `stream_url` (MJPEG, ESP32 CameraWebServer: http://host:81/stream)
+// and optionally `snapshot_url` (single JPEG, http://host/capture) on their device node.
+// An ESP32 serves one stream client at a time, so every viewer on a station
+// shares one connection per URL through watchCamera(); the video wall polls
+// snapshots instead. Frames are read with fetch() so a stalled stream can be
+// detected and reconnected, which a plain <img src> cannot do.
+
+export const CAMERA_STATUS = {
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  RECONNECTING: 'reconnecting',
+};
+
+// hospital_system/settings/camera_privacy { mode }
+export const PRIVACY_MODES = [
+  { key: 'blur', label: 'Blur unless alarm' },
+  { key: 'hide', label: 'Hide unless alarm' },
+  { key: 'off', label: 'Always show' },
+];
+export const DEFAULT_PRIVACY_MODE = 'blur';
+
+const STALL_MS = 6000;
+const SNAPSHOT_INTERVAL_MS = 2000;
+const MAX_RETRY_MS = 30000;
+
+export const privacyMode = (settings) => (PRIVACY_MODES.some(m => m.key === settings?.mode) ? settings.mode : DEFAULT_PRIVACY_MODE);
+
+export function savePrivacyMode(mode) {
+  return set(ref(db, 'hospital_system/settings/camera_privacy'), { mode });
+}
+
+/** 'show' | 'blur' | 'hide' for a room's video right now */
+export function videoVisibility(mode, alarmActive) {
+  if (alarmActive || mode === 'off') return 'show';
+  return mode;
+}
+
+// ESP32 CameraWebServer: stream on :81/stream, still image on :80/capture
+export function snapshotUrlFor(streamUrl) {
+  try {
+    const url = new URL(streamUrl);
+    if (url.port === '81') url.port = '';
+    url.pathname = url.pathname.replace(/\/stream\b/, '/capture');
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+/** First camera in a room: { devName, streamUrl, snapshotUrl } or null */
+export function roomCamera(room) {
+  const entry = Object.entries(room?.devices || {}).find(([, d]) => d?.stream_url);
+  if (!entry) return null;
+  const [devName, dev] = entry;
+  return { devName, streamUrl: dev.stream_url, snapshotUrl: dev.snapshot_url || snapshotUrlFor(dev.stream_url) };
+}
+
+export const retryDelay = (attempt) => Math.min(MAX_RETRY_MS, 1000 * 2 ** Math.max(0, attempt - 1));
+
+// JPEG frames are cut out of the multipart body by their SOI / EOI markers
+function indexOfMarker(buf, from, b1, b2) {
+  for (let i = Math.max(0, from); i < buf.length - 1; i++) {
+    if (buf[i] === b1 && buf[i + 1] === b2) return i;
+  }
+  return -1;
+}
+
+async function readMjpeg(url, signal, onFrame) {
+  const res = await fetch(url, { signal, cache: 'no-store' });
+  if (!res.ok || !res.body) throw new Error(`HTTP ${res.status}`);
+  const reader = res.body.getReader();
+  let buf = new Uint8Array(0);
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) throw new Error('Stream ended');
+    const next = new Uint8Array(buf.length + value.length);
+    next.set(buf);
+    next.set(value, buf.length);
+    buf = next;
+
+    for (;;) {
+      const start = indexOfMarker(buf, 0, 0xFF, 0xD8);
+      if (start < 0) { buf = buf.slice(-1); break; }
+      const end = indexOfMarker(buf, start + 2, 0xFF, 0xD9);
+      if (end < 0) { buf = buf.slice(start); break; }
+      onFrame(new Blob([buf.slice(start, end + 2)], { type: 'image/jpeg' }));
+      buf = buf.slice(end + 2);
+    }
+  }
+}
+
+async function readSnapshot(url, signal) {
+  const sep = url.includes('?') ? '&' : '?';
+  const res = await fetch(`${url}${sep}_t=${Date.now()}`, { signal, cache: 'no-store' });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.blob();
+}
+
+// key "mode|url" → { listeners, state, controller, timers }
+const feeds = new Map();
+
+function publish(feed, patch) {
+  if (patch.frameUrl && feed.state.frameUrl) URL.revokeObjectURL(feed.state.frameUrl);
+  feed.state = { ...feed.state, ...patch };
+  feed.listeners.forEach(fn => fn(feed.state));
+}
+
+function scheduleRetry(feed, err) {
+  if (feed.closed) return;
+  const attempt = feed.state.attempt + 1;
+  publish(feed, { status: CAMERA_STATUS.RECONNECTING, attempt, error: err?.message || String(err), retryAt: Date.now() + retryDelay(attempt) });
+  feed.retryTimer = setTimeout(() => connect(feed), retryDelay(attempt));
+}
+
+function connect(feed) {
+  if (feed.closed) return;
+  const controller = new AbortController();
+  feed.controller = controller;
+
+  if (feed.mode === 'snapshot') {
+    readSnapshot(feed.url, controller.signal)
+      .then((blob) => {
+        publish(feed, { status: CAMERA_STATUS.LIVE, frameUrl: URL.createObjectURL(blob), frameAt: Date.now(), attempt: 0, error: null });
+        feed.retryTimer = setTimeout(() => connect(feed), SNAPSHOT_INTERVAL_MS);
+      })
+      .catch((err) => { if (!controller.signal.aborted) scheduleRetry(feed, err); });
+    return;
+  }
+
+  // No frame for STALL_MS (including the first) → drop the connection and retry
+  let stallTimer = null;
+  const armStall = () => {
+    clearTimeout(stallTimer);
+    stallTimer = setTimeout(() => controller.abort(new Error('Stream stalled')), STALL_MS);
+  };
+  armStall();
+  readMjpeg(feed.url, controller.signal, (blob) => {
+    armStall();
+    publish(feed, { status: CAMERA_STATUS.LIVE, frameUrl: URL.createObjectURL(blob), frameAt: Date.now(), attempt: 0, error: null });
+  })
+    .catch((err) => {
+      clearTimeout(stallTimer);
+      if (feed.closed) return;
+      scheduleRetry(feed, controller.signal.reason || err);
+    });
+}
+
+/**
+ * Subscribes to a camera feed; the first subscriber opens it, the last one closes it.
+ * @param {'stream'|'snapshot'} mode
+ * @param {(state: { status, frameUrl, frameAt, attempt, error, retryAt }) => void} onUpdate
+ * @returns {Function} unsubscribe
+ */
+export function watchCamera(url, mode, onUpdate) {
+  const key = `${mode}|${url}`;
+  let feed = feeds.get(key);
+  if (!feed) {
+    feed = {
+      url, mode, closed: false, listeners: new Set(), controller: null, retryTimer: null,
+      state: { status: CAMERA_STATUS.CONNECTING, frameUrl: null, frameAt: null, attempt: 0, error: null, retryAt: null },
+    };
+    feeds.set(key, feed);
+    connect(feed);
+  }
+  feed.listeners.add(onUpdate);
+  onUpdate(feed.state);
+
+  return () => {
+    feed.listeners.delete(onUpdate);
+    if (feed.listeners.size > 0) return;
+    feed.closed = true;
+    clearTimeout(feed.retryTimer);
+    feed.controller?.abort();
+    if (feed.state.frameUrl) URL.revokeObjectURL(feed.state.frameUrl);
+    feeds.delete(key);
+  };
+}
+
+/** Skips the back-off wait of a reconnecting feed */
+export function retryCameraNow(url, mode) {
+  const feed = feeds.get(`${mode}|${url}`);
+  if (!feed || feed.state.status !== CAMERA_STATUS.RECONNECTING) return;
+  clearTimeout(feed.retryTimer);
+  publish(feed, { status: CAMERA_STATUS.CONNECTING });
+  connect(feed);
+}
@@ -0,0 +1,7 @@
+import { clsx } from 'clsx';
+import { twMerge } from 'tailwind-merge';
+
+// --- Utility for Tailwind Classes ---
+export function cn(...inputs) {
+  return twMerge(clsx(inputs));
+}
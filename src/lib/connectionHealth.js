@@ -0,0 +1,83 @@
+import { ref, onValue, set, serverTimestamp } from "firebase/database";
+import { db } from './firebase.js';
+
+// --- Connection Health ---
+// "Connected" alone is not enough: a stalled socket can keep `.info/connected`
+// true while no data arrives. Health combines three signals:
+//   1. RTDB `.info/connected`
+//   2. `.info/serverTimeOffset` (clock skew breaks heartbeat and escalation timing)
+//   3. data freshness: time since the last ward snapshot or acknowledged probe write
+
+export const CONNECTION_STATUS = {
+  ONLINE: 'online',
+  DEGRADED: 'degraded',
+  DISCONNECTED: 'disconnected',
+};
+
+export const DEFAULT_CONNECTION_THRESHOLDS = {
+  disconnectGraceSeconds: 5,      // brief reconnects are not reported
+  staleDataSeconds: 45,           // no confirmed data for this long → degraded
+  maxClockSkewSeconds: 30,        // |serverTimeOffset| above this → degraded
+  monitoringLostSeconds: 30,      // disconnected this long → "monitoring lost" alarm
+  monitoringLostDataSeconds: 120, // no confirmed data this long → "monitoring lost" alarm
+  probeIntervalSeconds: 20,
+};
+
+/**
+ * Subscribes to `.info/connected` and `.info/serverTimeOffset`.
+ * @param {(info: { connected?: boolean, serverTimeOffset?: number }) => void} onChange
+ * @returns {Function} unsubscribe
+ */
+export function watchConnection(onChange) {
+  const unsubConnected = onValue(ref(db, '.info/connected'), (snap) => onChange({ connected: snap.val() === true }));
+  const unsubOffset = onValue(ref(db, '.info/serverTimeOffset'), (snap) => onChange({ serverTimeOffset: Number(snap.val()) || 0 }));
+  return () => {
+    unsubConnected();
+    unsubOffset();
+  };
+}
+
+/**
+ * Round-trip check: a write only resolves once the server acknowledges it,
+ * so a resolved probe proves the socket is actually moving data.
+ * @returns {Promise<void>}
+ */
+export function probeConnection(uid) {
+  return set(ref(db, `hospital_system/connection_probe/${uid}`), serverTimestamp());
+}
+
+/**
+ * @param {{ connected: boolean, connectedChangedAt: number, lastDataAt: number|null,
+ *           serverTimeOffset: number, now: number }} info
+ * @returns {{ status: string, reasons: string[], monitoringLost: boolean, dataAgeSeconds: number|null }}
+ */
+export function getConnectionHealth(info, thresholds = DEFAULT_CONNECTION_THRESHOLDS) {
+  const { connected, connectedChangedAt, lastDataAt, serverTimeOffset, now } = info;
+  const reasons = [];
+  const sinceChange = (now - connectedChangedAt) / 1000;
+  const dataAgeSeconds = lastDataAt ? Math.max(0, (now - lastDataAt) / 1000) : null;
+
+  if (!connected && sinceChange >= thresholds.disconnectGraceSeconds) {
+    reasons.push(`database disconnected for ${Math.round(sinceChange)}s`);
+    return {
+      status: CONNECTION_STATUS.DISCONNECTED,
+      reasons,
+      monitoringLost: sinceChange >= thresholds.monitoringLostSeconds,
+      dataAgeSeconds,
+    };
+  }
+
+  if (dataAgeSeconds !== null && dataAgeSeconds >= thresholds.staleDataSeconds) {
+    reasons.push(`no data confirmed for ${Math.round(dataAgeSeconds)}s`);
+  }
+  if (Math.abs(serverTimeOffset) / 1000 >= thresholds.maxClockSkewSeconds) {
+    reasons.push(`station clock is ${Math.round(Math.abs(serverTimeOffset) / 1000)}s off server time`);
+  }
+
+  return {
+    status: reasons.length > 0 ? CONNECTION_STATUS.DEGRADED : CONNECTION_STATUS.ONLINE,
+    reasons,
+    monitoringLost: dataAgeSeconds !== null && dataAgeSeconds >= thresholds.monitoringLostDataSeconds,
+    dataAgeSeconds,
+  };
+}
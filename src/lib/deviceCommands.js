@@ -0,0 +1,110 @@
+import { ref, push, update, runTransaction } from "firebase/database";
+import { db } from './firebase.js';
+
+// --- Remote Device Commands ---
+// Per-device command queue the boards watch:
+//   hospital_system/devices/{deviceId}/commands/{commandId}
+//     { type, params, status, issued_at, issued_by: { name, station },
+//       expires_at, acked_at, completed_at, result: { ok, message, ... }, reported_at }
+// The station writes a 'pending' command; the device sets status 'acked' when it
+// picks it up and 'succeeded' / 'failed' with a `result` when done. Commands still
+// open at `expires_at` are marked 'timed_out' by a technician/admin station.
+// `reported_at` is claimed in a transaction so each outcome is logged once.
+
+export const COMMAND_STATUS = {
+  PENDING: 'pending',
+  ACKED: 'acked',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  TIMED_OUT: 'timed_out',
+};
+
+export const COMMAND_TYPES = {
+  reboot: { label: 'Reboot', timeoutSeconds: 90 },
+  // Device raises a real (marked) fall and reports once a station acknowledges it
+  self_test: { label: 'Self-Test', timeoutSeconds: 180 },
+  recalibrate: { label: 'Recalibrate', timeoutSeconds: 60 },
+  config_push: { label: 'Push Config', timeoutSeconds: 30 },
+};
+
+export const SENSITIVITY_MIN = 1;
+export const SENSITIVITY_MAX = 10;
+export const DEFAULT_SENSITIVITY = 5;
+
+// Finished commands older than this are pruned when the next one is issued
+const HISTORY_MS = 24 * 60 * 60 * 1000;
+
+export const commandLabel = (type) => COMMAND_TYPES[type]?.label || type;
+
+export const isOpenCommand = (cmd) => cmd?.status === COMMAND_STATUS.PENDING || cmd?.status === COMMAND_STATUS.ACKED;
+
+/** Newest first: [{ id, ...command }] */
+export function listCommands(dev) {
+  return Object.entries(dev?.commands || {})
+    .map(([id, cmd]) => ({ id, ...cmd }))
+    .sort((a, b) => (b.issued_at || 0) - (a.issued_at || 0));
+}
+
+const commandsPath = (deviceId) => `hospital_system/devices/${deviceId}/commands`;
+
+/**
+ * Queues a command for one device. Recalibration also stores the new
+ * sensitivity in the device config, so a later config push carries it.
+ * @returns {Promise<string>} command id
+ */
+export async function issueCommand(deviceId, dev, type, params, { actor, station, now }) {
+  const commandId = push(ref(db, commandsPath(deviceId))).key;
+  const updates = {};
+  listCommands(dev)
+    .filter(cmd => !isOpenCommand(cmd) && now - (cmd.issued_at || 0) > HISTORY_MS)
+    .forEach(cmd => { updates[`${commandsPath(deviceId)}/${cmd.id}`] = null; });
+
+  updates[`${commandsPath(deviceId)}/${commandId}`] = {
+    type,
+    params: params || null,
+    status: COMMAND_STATUS.PENDING,
+    issued_at: now,
+    issued_by: { name: actor.name, station: station.name },
+    expires_at: now + (COMMAND_TYPES[type]?.timeoutSeconds || 60) * 1000,
+  };
+  if (type === 'recalibrate') {
+    updates[`hospital_system/devices/${deviceId}/config/sensitivity`] = params.sensitivity;
+  }
+  await update(ref(db), updates);
+  return commandId;
+}
+
+/** Commands whose outcome (result or timeout) has not been logged yet */
+export function listUnreportedCommands(devices, now) {
+  const due = [];
+  Object.entries(devices || {}).forEach(([deviceId, dev]) => {
+    listCommands(dev).forEach(cmd => {
+      if (cmd.reported_at) return;
+      if (isOpenCommand(cmd) && !(cmd.expires_at <= now)) return;
+      due.push({ deviceId, commandId: cmd.id });
+    });
+  });
+  return due;
+}
+
+/**
+ * Claims the right to log a finished or expired command, timing it out if it
+ * is still open. Only one station commits.
+ * @returns {Promise<object|null>} the command as committed, or null if another station claimed it
+ */
+export async function claimCommandReport(deviceId, commandId, now) {
+  const result = await runTransaction(ref(db, `${commandsPath(deviceId)}/${commandId}`), (cmd) => {
+    if (!cmd || cmd.reported_at) return undefined;
+    if (isOpenCommand(cmd)) {
+      if (cmd.expires_at > now) return undefined;
+      return { ...cmd, status: COMMAND_STATUS.TIMED_OUT, completed_at: now, reported_at: now };
+    }
+    return { ...cmd, reported_at: now };
+  });
+  return result.committed ? result.snapshot.val() : null;
+}
+
+export function formatCommandResult(cmd) {
+  if (cmd.status === COMMAND_STATUS.TIMED_OUT) return 'no response before timeout';
+  return cmd.result?.message || (cmd.status === COMMAND_STATUS.SUCCEEDED ? 'done' : cmd.status);
+}
@@ -0,0 +1,136 @@
+import { ref, query, orderByKey, startAt, onValue } from "firebase/database";
+import { db } from './firebase.js';
+import { DEVICE_STATUS } from './roomState.js';
+
+// --- Device History ---
+// Time series written by the history server (history-server.cjs), one point
+// per device state change, bucketed per room and UTC day:
+//   hospital_system/device_history/{ward}/{room}/{YYYY-MM-DD}/{device}/{pushId}
+//     { t, c, s?, d?, m? }   c = DEVICE_STATUS, s = raw Status,
+//                            d = camera Detection 0/1, m = PIR motion 0/1
+// Each day starts with a copy of the state at midnight, so a window can be
+// drawn from the first day it touches without reading the days before.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const HISTORY_RANGES = [
+  { key: '24h', label: '24 h', ms: DAY_MS },
+  { key: '7d', label: '7 days', ms: 7 * DAY_MS },
+];
+
+// Zoom never goes below this window
+export const MIN_ZOOM_MS = 5 * 60 * 1000;
+
+export const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+/** Follows the room's history from the UTC day containing `since`. Returns unsubscribe. */
+export function watchRoomHistory(wardKey, roomKey, since, onChange) {
+  return onValue(
+    query(ref(db, `hospital_system/device_history/${wardKey}/${roomKey}`), orderByKey(), startAt(dayKey(since))),
+    (snapshot) => onChange(snapshot.val() || {}),
+    (err) => {
+      console.warn('Device history listen failed:', err);
+      onChange({});
+    }
+  );
+}
+
+// Lanes drawn per device, in display order; a lane only appears if the device ever sent its field
+export const HISTORY_LANES = [
+  { key: 'status', label: 'Status', field: 's' },
+  { key: 'detection', label: 'Detection', field: 'd' },
+  { key: 'motion', label: 'PIR motion', field: 'm' },
+];
+
+function laneValue(lane, p) {
+  if (p.c === DEVICE_STATUS.OFFLINE) return 'offline';
+  if (lane.key === 'status') return p.s || p.c;
+  return p[lane.field] ? 'yes' : 'no';
+}
+
+function laneTone(lane, p) {
+  if (p.c === DEVICE_STATUS.OFFLINE) return 'offline';
+  if (lane.key === 'status') return p.c;
+  return p[lane.field] ? 'active' : 'idle';
+}
+
+/**
+ * Flattens the day buckets into per-device lanes of time-ordered points.
+ * @returns {Array<{ device: string, lanes: Array<{ key: string, label: string, points: Array<{ t: number, value: string, tone: string }> }> }>}
+ */
+export function buildDeviceTracks(history) {
+  const byDevice = {};
+  Object.values(history || {}).forEach((day) => {
+    Object.entries(day || {}).forEach(([device, points]) => {
+      if (!byDevice[device]) byDevice[device] = [];
+      byDevice[device].push(...Object.values(points || {}));
+    });
+  });
+
+  return Object.entries(byDevice)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([device, points]) => {
+      points.sort((a, b) => a.t - b.t);
+      const lanes = HISTORY_LANES
+        .filter((lane) => points.some((p) => p[lane.field] !== undefined))
+        .map((lane) => ({
+          key: lane.key,
+          label: lane.label,
+          points: points.map((p) => ({ t: p.t, value: laneValue(lane, p), tone: laneTone(lane, p) })),
+        }));
+      return { device, lanes };
+    });
+}
+
+/**
+ * Step segments of one lane inside [from, to]: each point holds until the next.
+ * Repeated values (e.g. the daily baseline) are merged.
+ * @returns {Array<{ from: number, to: number, value: string, tone: string }>}
+ */
+export function laneSegments(points, from, to) {
+  const segments = [];
+  points.forEach((p, i) => {
+    const start = Math.max(p.t, from);
+    const end = Math.min(points[i + 1]?.t ?? to, to);
+    if (end <= start) return;
+    const prev = segments[segments.length - 1];
+    if (prev && prev.value === p.value && prev.tone === p.tone && prev.to === start) prev.to = end;
+    else segments.push({ from: start, to: end, value: p.value, tone: p.tone });
+  });
+  return segments;
+}
+
+/** Value changes inside [from, to], the number that gives a flapping camera away. */
+export function countChanges(points, from, to) {
+  let changes = 0;
+  for (let i = 1; i < points.length; i++) {
+    if (points[i].t >= from && points[i].t <= to && points[i].value !== points[i - 1].value) changes++;
+  }
+  return changes;
+}
+
+/** Zooms [from, to] by `factor` (< 1 zooms in) around `center`, kept inside [min, max]. */
+export function zoomWindow({ from, to }, factor, center, min, max) {
+  const span = Math.min(max - min, Math.max(MIN_ZOOM_MS, (to - from) * factor));
+  const ratio = (center - from) / (to - from);
+  let start = center - span * ratio;
+  start = Math.min(Math.max(start, min), max - span);
+  return { from: start, to: start + span };
+}
+
+/** Axis ticks for a window: round hours for short spans, midnights for long ones. */
+export function timeTicks(from, to) {
+  const span = to - from;
+  const step = [HOUR_MS / 12, HOUR_MS / 4, HOUR_MS, 3 * HOUR_MS, 6 * HOUR_MS, DAY_MS].find((s) => span / s <= 8) || DAY_MS;
+  const ticks = [];
+  const offset = new Date(from).getTimezoneOffset() * 60000; // align to station local time
+  for (let t = Math.ceil((from - offset) / step) * step + offset; t <= to; t += step) ticks.push(t);
+  return { ticks, step };
+}
+
+export function formatTick(t, step) {
+  const d = new Date(t);
+  if (step >= DAY_MS) return d.toLocaleDateString('th-TH', { day: 'numeric', month: 'short' });
+  return d.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' });
+}
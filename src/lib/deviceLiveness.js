@@ -0,0 +1,23 @@
+import { ref, runTransaction } from "firebase/database";
+import { db } from './firebase.js';
+
+// --- Device Liveness Transitions ---
+// The last logged liveness of every heartbeat-sending device is kept in RTDB
+// hospital_system/device_liveness/{ward}/{room}/{device} so that, with several
+// stations open, only the station that wins the transaction logs DEVICE_CHANGE.
+
+/**
+ * Records a device's liveness if it differs from the stored one.
+ * @returns {Promise<string|null>} the previous liveness when this station
+ *   recorded a transition; null when nothing changed, another station already
+ *   recorded it, or this is the first value ever seen.
+ */
+export async function recordLivenessTransition(wardKey, roomKey, deviceName, liveness) {
+  const livenessRef = ref(db, `hospital_system/device_liveness/${wardKey}/${roomKey}/${deviceName}`);
+  let previous = null;
+  const result = await runTransaction(livenessRef, (current) => {
+    previous = current;
+    return current === liveness ? undefined : liveness;
+  });
+  return result.committed ? previous : null;
+}
@@ -0,0 +1,92 @@
+import { ref, update } from "firebase/database";
+import { db } from './firebase.js';
+
+// --- Device Registry Lifecycle ---
+// hospital_system/devices/{deviceId} is the registry the boards read their
+// placement from:
+//   config: { ward_id, room_id, assigned_room, display_name, retired, retired_at }
+// `assigned_room` stays the field boards and older stations key on; 'unassigned'
+// (or missing) marks a device waiting in the Device Manager's discovery list.
+// Telemetry lives separately under wards/{ward}/{room}/devices/{node}.
+
+export const UNASSIGNED = 'unassigned';
+
+export const normalizeRoomKey = (input) => {
+  const v = String(input || '').trim();
+  if (!v) return '';
+  return v.toLowerCase().startsWith('room_') ? v : `room_${v}`;
+};
+
+/** @returns {{ wardKey: string, roomKey: string } | null} */
+export function deviceLocation(dev) {
+  const roomKey = dev?.config?.assigned_room;
+  if (!roomKey || roomKey === UNASSIGNED) return null;
+  return { wardKey: dev.config.ward_id || null, roomKey };
+}
+
+export const isRetired = (dev) => !!dev?.config?.retired;
+
+export const deviceLabel = (id, dev) => dev?.config?.display_name || id;
+
+// Returns a list of problems; empty when the device can be placed there
+export function validatePlacement(wardsData, wardKey, roomKey) {
+  const problems = [];
+  if (!wardKey) problems.push('Select a ward');
+  else if (!wardsData[wardKey]) problems.push(`${wardKey} does not exist`);
+  if (!roomKey) problems.push('Select a room');
+  else if (wardKey && wardsData[wardKey] && !wardsData[wardKey][roomKey]) {
+    problems.push(`${roomKey} does not exist in ${wardKey}`);
+  }
+  return problems;
+}
+
+const configPath = (deviceId) => `hospital_system/devices/${deviceId}/config`;
+
+function placementUpdates(deviceId, wardKey, roomKey) {
+  const base = configPath(deviceId);
+  return {
+    [`${base}/ward_id`]: wardKey,
+    [`${base}/room_id`]: roomKey,
+    [`${base}/assigned_room`]: roomKey || UNASSIGNED,
+  };
+}
+
+/** Assigns or moves a device; pass `name` to rename it in the same write */
+export function placeDevice(deviceId, { wardKey, roomKey, name }) {
+  const updates = placementUpdates(deviceId, wardKey, roomKey);
+  if (name !== undefined) updates[`${configPath(deviceId)}/display_name`] = name || null;
+  return update(ref(db), updates);
+}
+
+export function renameDevice(deviceId, name) {
+  return update(ref(db), { [`${configPath(deviceId)}/display_name`]: name || null });
+}
+
+export function unassignDevice(deviceId) {
+  return update(ref(db), placementUpdates(deviceId, null, null));
+}
+
+// Retired devices keep their record (and history) but leave every room
+export function retireDevice(deviceId, now = Date.now()) {
+  return update(ref(db), {
+    ...placementUpdates(deviceId, null, null),
+    [`${configPath(deviceId)}/retired`]: true,
+    [`${configPath(deviceId)}/retired_at`]: now,
+  });
+}
+
+export function restoreDevice(deviceId) {
+  return update(ref(db), {
+    [`${configPath(deviceId)}/retired`]: null,
+    [`${configPath(deviceId)}/retired_at`]: null,
+  });
+}
+
+export function deleteDevice(deviceId) {
+  return update(ref(db), { [`hospital_system/devices/${deviceId}`]: null });
+}
+
+// Drops a room's telemetry node, e.g. for hardware that was physically removed
+export function removeRoomDevice(wardKey, roomKey, node) {
+  return update(ref(db), { [`hospital_system/wards/${wardKey}/${roomKey}/devices/${node}`]: null });
+}
@@ -0,0 +1,26 @@
+import { ref, runTransaction } from "firebase/database";
+import { db } from './firebase.js';
+
+// --- Alarm Escalation Transitions ---
+// The last logged escalation step per room is kept in RTDB
+// hospital_system/escalation_state/{ward}/{room} as "{incidentId}:{step}"
+// (step = level_2, level_3, ..., overdue) or 'none', so with several stations
+// open only one writes ALARM_ESCALATED / RESOLUTION_OVERDUE. See alarmEscalation.js.
+
+export const escalationStep = (esc) => (esc.level === 0 ? null : esc.overdue ? 'overdue' : `level_${esc.level}`);
+
+/**
+ * Records a room's escalation step if it differs from the stored one.
+ * @param {string|null} step escalationStep() result, null when the room is quiet
+ * @returns {Promise<{ previous: string }|null>} null when nothing changed or another station already recorded it
+ */
+export async function recordEscalationTransition(wardKey, roomKey, incidentId, step) {
+  const value = step ? `${incidentId || 'pending'}:${step}` : 'none';
+  const stateRef = ref(db, `hospital_system/escalation_state/${wardKey}/${roomKey}`);
+  let previous = null;
+  const result = await runTransaction(stateRef, (current) => {
+    previous = current || 'none';
+    return previous === value ? undefined : value;
+  });
+  return result.committed ? { previous } : null;
+}
@@ -0,0 +1,26 @@
+import { doc, onSnapshot } from "firebase/firestore";
+import { fsdb } from './firebase.js';
+
+// --- Fall Evidence ---
+// The evidence server (evidence-server.cjs) saves camera frames from around the
+// moment a room left "Normal" and copies a summary onto the incident and its
+// FALL_DETECTED log entry:
+//   evidence { key, device, trigger_status, triggered_at, expires_at,
+//              frames: [{ url, offset_ms }], purged_at? }
+// offset_ms is relative to the trigger, so negative frames are from before it.
+
+export const formatOffset = (ms) => `${ms >= 0 ? '+' : '−'}${(Math.abs(ms) / 1000).toFixed(1)}s`;
+
+export const hasEvidenceFrames = (evidence) => !evidence?.purged_at && (evidence?.frames?.length || 0) > 0;
+
+/** Follows incidents/{id}.evidence, which may arrive a few seconds after the fall. Returns unsubscribe. */
+export function watchIncidentEvidence(incidentId, onChange) {
+  return onSnapshot(
+    doc(fsdb, 'incidents', incidentId),
+    (snap) => onChange(snap.data()?.evidence || null),
+    (err) => {
+      console.warn('Evidence listen failed:', err);
+      onChange(null);
+    }
+  );
+}
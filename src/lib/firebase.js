@@ -0,0 +1,32 @@
+import { initializeApp } from "firebase/app";
+import { getDatabase, connectDatabaseEmulator } from "firebase/database";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import { getAnalytics } from "firebase/analytics";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+
+// --- Firebase Configuration ---
+export const firebaseConfig = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  databaseURL: import.meta.env.VITE_DATABASE_URL || "https://preserving-fall-detector-default-rtdb.firebaseio.com",
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID,
+  measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID
+};
+
+// Initialize Firebase
+export const app = initializeApp(firebaseConfig);
+export const analytics = getAnalytics(app);
+export const db = getDatabase(app);   // Realtime Database (real-time UI feed)
+export const fsdb = getFirestore(app); // Firestore (permanent log storage)
+export const auth = getAuth(app);
+
+// Local Emulator Suite (ports from firebase.json), e.g. VITE_FIREBASE_EMULATOR_HOST=127.0.0.1
+const emulatorHost = import.meta.env.VITE_FIREBASE_EMULATOR_HOST;
+if (emulatorHost) {
+  connectAuthEmulator(auth, `http://${emulatorHost}:9099`, { disableWarnings: true });
+  connectDatabaseEmulator(db, emulatorHost, 9000);
+  connectFirestoreEmulator(fsdb, emulatorHost, 8080);
+}
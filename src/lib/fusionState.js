@@ -0,0 +1,22 @@
+import { ref, runTransaction } from "firebase/database";
+import { db } from './firebase.js';
+
+// --- Sensor Fusion Transitions ---
+// The last logged fusion event per room is kept in RTDB
+// hospital_system/fusion_state/{ward}/{room} ('none' when nothing is going on),
+// so with several stations open only one logs each change. See sensorFusion.js.
+
+/**
+ * Records a room's fusion event if it differs from the stored one.
+ * @returns {Promise<{ previous: string }|null>} null when nothing changed or another station already recorded it
+ */
+export async function recordFusionTransition(wardKey, roomKey, event) {
+  const value = event || 'none';
+  const stateRef = ref(db, `hospital_system/fusion_state/${wardKey}/${roomKey}`);
+  let previous = null;
+  const result = await runTransaction(stateRef, (current) => {
+    previous = current || 'none';
+    return previous === value ? undefined : value;
+  });
+  return result.committed ? { previous } : null;
+}
@@ -0,0 +1,131 @@
+import { ref, runTransaction, set } from "firebase/database";
+import { collection, doc, setDoc, updateDoc, runTransaction as runFirestoreTransaction, serverTimestamp } from "firebase/firestore";
+import { db, fsdb } from './firebase.js';
+import { getActor } from './staffAuth.js';
+import { enqueue, defineOutboxHandler } from './outbox.js';
+
+// --- Incident Model ---
+// One Firestore `incidents/{id}` document per fall, from first detection to
+// resolution. The id is also written to RTDB live_status/incident_id so every
+// station (and every later action) refers to the same incident, and the
+// detection time to live_status/fall_at so every station times escalation alike.
+
+export const INCIDENT_STATUS = {
+  OPEN: 'OPEN',
+  ACKNOWLEDGED: 'ACKNOWLEDGED',
+  RESOLVED: 'RESOLVED',
+};
+
+/**
+ * Claims an incident id for a room that just started falling.
+ * Uses an RTDB transaction so only one station creates the incident.
+ * @param {string[]} [triggerDevices] names of the devices reporting the fall
+ * @param {{ id: string|null, name: string, hn: string }|null} [patient] who was in the bed, see patients.js
+ * @returns {Promise<{ incidentId: string, created: boolean }>}
+ */
+export async function openIncident(wardKey, roomKey, triggerDevices = [], patient = null) {
+  const candidate = doc(collection(fsdb, 'incidents')).id;
+  const idRef = ref(db, `hospital_system/wards/${wardKey}/${roomKey}/live_status/incident_id`);
+  const result = await runTransaction(idRef, (current) => current || candidate);
+  const incidentId = result.snapshot.val();
+  const created = result.committed && incidentId === candidate;
+
+  if (created) {
+    const ts = Date.now();
+    await set(ref(db, `hospital_system/wards/${wardKey}/${roomKey}/live_status/fall_at`), ts);
+    await setDoc(doc(fsdb, 'incidents', incidentId), {
+      id: incidentId,
+      wardKey,
+      roomKey,
+      triggerDevices,
+      patient,
+      status: INCIDENT_STATUS.OPEN,
+      detectedAt: ts,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      resolvedAt: null,
+      resolvedBy: null,
+      checklist: null,
+      outcome: null,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+  }
+  return { incidentId, created };
+}
+
+/**
+ * Closes an incident the device cleared by itself (no nurse confirmation).
+ * The Firestore document is resolved first, in a transaction, so exactly one
+ * station closes it and logs the clear. Only then is live_status/incident_id
+ * released: if the close is rejected or fails, the id stays and the next
+ * snapshot tries again.
+ * @returns {Promise<boolean>} true for the station that closed it
+ */
+export async function closeClearedIncident(wardKey, roomKey, incidentId, at = Date.now()) {
+  const incidentRef = doc(fsdb, 'incidents', incidentId);
+  const closed = await runFirestoreTransaction(fsdb, async (tx) => {
+    const snap = await tx.get(incidentRef);
+    if (!snap.exists() || snap.data().status === INCIDENT_STATUS.RESOLVED) return false;
+    tx.update(incidentRef, {
+      status: INCIDENT_STATUS.RESOLVED,
+      resolvedAt: at,
+      resolvedBy: { uid: null, name: 'Device (auto-cleared)' },
+      updatedAt: serverTimestamp(),
+    });
+    return true;
+  });
+
+  // Also released when another station closed it but stopped short of this step
+  const idRef = ref(db, `hospital_system/wards/${wardKey}/${roomKey}/live_status/incident_id`);
+  const released = await runTransaction(idRef, (current) => (current === incidentId ? null : undefined));
+  if (released.committed) await set(ref(db, `hospital_system/wards/${wardKey}/${roomKey}/live_status/fall_at`), null);
+  return closed;
+}
+
+export async function acknowledgeIncident(incidentId, actor = getActor(), at = Date.now()) {
+  if (!incidentId) return;
+  await updateDoc(doc(fsdb, 'incidents', incidentId), {
+    status: INCIDENT_STATUS.ACKNOWLEDGED,
+    acknowledgedAt: at,
+    acknowledgedBy: actor,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * @param {string} incidentId
+ * @param {{ checklist?: Array<{ item: string, confirmed: boolean }>, outcome?: { type: string, injury: string, interventions: string[], note: string }, actor?: object, at?: number }} details
+ */
+export async function resolveIncident(incidentId, { checklist = null, outcome = null, actor = getActor(), at = Date.now() } = {}) {
+  if (!incidentId) return;
+  await updateDoc(doc(fsdb, 'incidents', incidentId), {
+    status: INCIDENT_STATUS.RESOLVED,
+    resolvedAt: at,
+    resolvedBy: actor,
+    checklist,
+    outcome,
+    updatedAt: serverTimestamp(),
+  });
+}
+
+// --- Offline-safe variants (queued through the outbox) ---
+// The action time and actor are captured now, not when the write finally syncs.
+
+defineOutboxHandler('incident', ({ action, incidentId, details }) => (
+  action === 'acknowledge'
+    ? acknowledgeIncident(incidentId, details.actor, details.at)
+    : resolveIncident(incidentId, details)
+));
+
+export function queueAcknowledgeIncident(incidentId, actor = getActor()) {
+  if (!incidentId) return Promise.resolve();
+  return enqueue('incident', { action: 'acknowledge', incidentId, details: { actor, at: Date.now() } },
+    `Acknowledge incident ${incidentId.slice(0, 8)}`);
+}
+
+export function queueResolveIncident(incidentId, { checklist = null, outcome = null, actor = getActor() } = {}) {
+  if (!incidentId) return Promise.resolve();
+  return enqueue('incident', { action: 'resolve', incidentId, details: { checklist, outcome, actor, at: Date.now() } },
+    `Resolve incident ${incidentId.slice(0, 8)}`);
+}
@@ -0,0 +1,82 @@
+import { ref, set, get } from "firebase/database";
+import { logEvent } from "firebase/analytics";
+import { doc, setDoc, getDoc, serverTimestamp } from "firebase/firestore";
+import { analytics, db, fsdb } from './firebase.js';
+import { getActor } from './staffAuth.js';
+import { getStation } from './stations.js';
+import { enqueue, defineOutboxHandler } from './outbox.js';
+
+// --- Central Log Writer ---
+// Writes to Firestore `logs`, RTDB hospital_system/logs/{id} AND Firebase Analytics
+export const LOG_TYPES = {
+  FALL_DETECTED: { label: 'Fall Detected', color: 'red' },
+  ACKNOWLEDGED: { label: 'Alarm Acknowledged', color: 'amber' },
+  RESOLVED: { label: 'Assistance Complete', color: 'green' },
+  AUTO_CLEARED: { label: 'Fall Cleared by Device', color: 'slate' },
+  DEVICE_CHANGE: { label: 'Device Status Change', color: 'blue' },
+  DEVICE_COMMAND: { label: 'Device Command', color: 'blue' },
+  SENSOR_FUSION: { label: 'Sensor Fusion', color: 'amber' },
+  MUTE: { label: 'Alarm Muted', color: 'slate' },
+  UNMUTE: { label: 'Alarm Unmuted', color: 'slate' },
+  ONCALL_NOTIFIED: { label: 'On-Call Paged', color: 'red' },
+  ALARM_ESCALATED: { label: 'Alarm Escalated', color: 'red' },
+  RESOLUTION_OVERDUE: { label: 'Resolution Overdue', color: 'amber' },
+  BED_ALERT: { label: 'Bed / Absence Alert', color: 'violet' },
+  BED_ALERT_ACKNOWLEDGED: { label: 'Bed Alert Acknowledged', color: 'violet' },
+  BED_ALERT_RESOLVED: { label: 'Bed Alert Resolved', color: 'green' },
+  PATIENT_ADMITTED: { label: 'Patient Admitted', color: 'blue' },
+  PATIENT_UPDATED: { label: 'Patient Updated', color: 'slate' },
+  PATIENT_TRANSFERRED: { label: 'Patient Transferred', color: 'blue' },
+  PATIENT_DISCHARGED: { label: 'Patient Discharged', color: 'slate' },
+  SYSTEM: { label: 'System', color: 'slate' },
+};
+
+// Writes one entry to both stores. Called by the outbox, possibly more than once
+// for the same entry (after a reload), so both writes are keyed by entry.id and
+// an "already exists" rejection from the append-only rules counts as success.
+async function persistLogEntry({ entry }) {
+  const record = { ...entry, createdAt: serverTimestamp() };  // Firestore server-side timestamp
+  const fsRef = doc(fsdb, 'logs', entry.id);
+  try {
+    await setDoc(fsRef, record);
+  } catch (err) {
+    if (!(await getDoc(fsRef)).exists()) throw err;
+  }
+
+  // RTDB — real-time UI feed (id starts with the timestamp, so keys stay sorted)
+  const rtdbRef = ref(db, `hospital_system/logs/${entry.id}`);
+  try {
+    await set(rtdbRef, entry);
+  } catch (err) {
+    if (!(await get(rtdbRef)).exists()) throw err;
+  }
+}
+
+// Only the author can send an entry (see firestore.rules), so entries queued
+// before a shift change wait for their author to sign in again
+defineOutboxHandler('log', persistLogEntry, { ownerOf: ({ entry }) => entry.actor });
+
+export async function writeLog(type, message, meta = {}) {
+  try {
+    const ts = Date.now();
+    const actor = getActor();
+    const entry = {
+      id: `${ts}_${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      message,
+      meta,
+      actor,  // { uid, name } of the signed-in staff member
+      station: getStation(),  // { id, name } of the station it was done at
+      timestamp: ts,
+      isoTime: new Date(ts).toISOString(),
+    };
+
+    // 1. Firestore + RTDB via the outbox, so entries survive a dropped connection
+    await enqueue('log', { entry }, `${LOG_TYPES[type]?.label || type}: ${message}`);
+
+    // 2. Firebase Analytics — event tracking
+    logEvent(analytics, type.toLowerCase(), { message, ...meta, actor_uid: actor.uid });
+  } catch (e) {
+    console.warn('writeLog failed:', e);
+  }
+}
@@ -0,0 +1,58 @@
+// --- Local Persistence (IndexedDB) ---
+// Two object stores:
+//   cache  → last known snapshots (e.g. ward state) keyed by name
+//   outbox → queued writes waiting for the network (see outbox.js)
+// Every helper degrades to a no-op when IndexedDB is unavailable (private mode,
+// old browsers) so the dashboard still works online.
+
+const DB_NAME = 'nurse-station';
+const DB_VERSION = 1;
+export const STORES = { CACHE: 'cache', OUTBOX: 'outbox' };
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const idb = req.result;
+        if (!idb.objectStoreNames.contains(STORES.CACHE)) idb.createObjectStore(STORES.CACHE);
+        if (!idb.objectStoreNames.contains(STORES.OUTBOX)) idb.createObjectStore(STORES.OUTBOX, { keyPath: 'seq', autoIncrement: true });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('IndexedDB unavailable:', req.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function run(storeName, mode, action) {
+  const idb = await openDb();
+  if (!idb) return null;
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(storeName, mode);
+    const req = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result ?? null);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+export const idbGet = (store, key) => run(store, 'readonly', s => s.get(key));
+export const idbGetAll = (store) => run(store, 'readonly', s => s.getAll()).then(rows => rows || []);
+export const idbPut = (store, value, key) => run(store, 'readwrite', s => (key === undefined ? s.put(value) : s.put(value, key)));
+export const idbDelete = (store, key) => run(store, 'readwrite', s => s.delete(key));
+
+// Last known hospital_system/wards snapshot, shown while the database is unreachable
+export function cacheWardState(data) {
+  return idbPut(STORES.CACHE, { data, savedAt: Date.now() }, 'wards').catch((err) => console.warn('cacheWardState failed:', err));
+}
+
+/** @returns {Promise<{ data: object, savedAt: number } | null>} */
+export function loadCachedWardState() {
+  return idbGet(STORES.CACHE, 'wards').catch(() => null);
+}
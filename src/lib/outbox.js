@@ -0,0 +1,215 @@
+import { ref, update, onValue } from "firebase/database";
+import { db, auth } from './firebase.js';
+import { STORES, idbGetAll, idbPut, idbDelete } from './offlineStore.js';
+
+// --- Outbox ---
+// Durable, ordered queue for writes that must survive a flaky ward Wi-Fi or a
+// page reload: acknowledgements, resolutions and log entries. Each operation is
+// persisted to IndexedDB first, then replayed strictly in order; the queue stops
+// at the first operation that cannot be confirmed and resumes on reconnect.
+//
+// Operation: { seq, kind, payload, label, createdAt, attempts, error, failed, heldFor }
+//   kind 'update' → multi-path RTDB update at the root (built in)
+//   other kinds   → registered with defineOutboxHandler() by the owning module
+//
+// Kinds that must be written as a particular user (log entries: the rules only
+// accept actor.uid == auth.uid) declare an `ownerOf` option. After a shift
+// change their operations are held, not sent, until that user signs in again;
+// `heldFor` names who they are waiting for.
+
+const CONFIRM_TIMEOUT_MS = 8000;
+const RETRY_INTERVAL_MS = 15000;
+
+const handlers = {
+  update: ({ updates }) => update(ref(db), updates),
+};
+const owners = {}; // kind -> payload => { uid, name } the write must be sent as
+
+let queue = [];
+let loaded = null;
+let flushing = false;
+let flushAgain = false;
+let fallbackSeq = 0;
+const inFlight = new Map(); // seq -> promise of the write issued this session
+const listeners = new Set();
+
+/**
+ * @param {string} kind
+ * @param {(payload: object) => Promise<void>} handler
+ * @param {{ ownerOf?: (payload: object) => ({ uid: string|null, name: string }|null) }} [options]
+ */
+export function defineOutboxHandler(kind, handler, { ownerOf } = {}) {
+  handlers[kind] = handler;
+  if (ownerOf) owners[kind] = ownerOf;
+}
+
+// Who an operation is waiting for, or null when the signed-in user may send it
+function heldFor(op) {
+  const owner = owners[op.kind]?.(op.payload);
+  if (!owner?.uid || owner.uid === auth.currentUser?.uid) return null;
+  return owner.name || 'another user';
+}
+
+function notify() {
+  const snapshot = queue.map(op => ({ ...op }));
+  listeners.forEach(fn => fn(snapshot));
+}
+
+/** @returns {Function} unsubscribe */
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  listener(queue.map(op => ({ ...op })));
+  return () => listeners.delete(listener);
+}
+
+function load() {
+  if (!loaded) {
+    loaded = idbGetAll(STORES.OUTBOX)
+      .then(rows => {
+        queue = [...rows.sort((a, b) => a.seq - b.seq), ...queue];
+        notify();
+      })
+      .catch((err) => console.warn('Outbox load failed:', err));
+  }
+  return loaded;
+}
+
+async function persist(op) {
+  try {
+    const seq = await idbPut(STORES.OUTBOX, op);
+    return seq ?? `mem-${++fallbackSeq}`;
+  } catch (err) {
+    console.warn('Outbox persist failed, keeping in memory only:', err);
+    return `mem-${++fallbackSeq}`;
+  }
+}
+
+/**
+ * Queues a write and starts flushing. Resolves once the operation is stored
+ * locally, not when it reaches the server.
+ */
+export async function enqueue(kind, payload, label) {
+  await load();
+  const op = { kind, payload, label, createdAt: Date.now(), attempts: 0, error: null, failed: false };
+  op.seq = await persist(op);
+  queue.push(op);
+  notify();
+  flushOutbox();
+  return op.seq;
+}
+
+export function queueUpdate(updates, label) {
+  return enqueue('update', { updates }, label);
+}
+
+// Errors that will not go away by retrying
+function isPermanent(err) {
+  const code = String(err?.code || err?.message || '').toLowerCase();
+  return code.includes('permission') || code.includes('invalid-argument');
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('timeout')), ms); }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+async function remove(op) {
+  queue = queue.filter(o => o.seq !== op.seq);
+  inFlight.delete(op.seq);
+  if (typeof op.seq === 'number') await idbDelete(STORES.OUTBOX, op.seq).catch(() => { });
+}
+
+function saveState(op) {
+  if (typeof op.seq === 'number') idbPut(STORES.OUTBOX, op).catch(() => { });
+}
+
+export async function flushOutbox() {
+  await load();
+  if (flushing) {
+    flushAgain = true;
+    return;
+  }
+  // Writes are attributed to the signed-in user; wait for sign-in
+  if (!auth.currentUser) return;
+  flushing = true;
+  try {
+    for (const op of [...queue]) {
+      if (op.failed) continue;
+      const handler = handlers[op.kind];
+      if (!handler) continue;
+
+      // Queued by someone who has since signed out: keep it for them and move on
+      op.heldFor = heldFor(op);
+      if (op.heldFor) continue;
+
+      // Never re-issue a write the SDK is still holding for this session
+      if (!inFlight.has(op.seq)) {
+        op.attempts += 1;
+        inFlight.set(op.seq, Promise.resolve().then(() => handler(op.payload)));
+      }
+      try {
+        await withTimeout(inFlight.get(op.seq), CONFIRM_TIMEOUT_MS);
+        await remove(op);
+      } catch (err) {
+        if (err.message === 'timeout') break; // still offline; keep order
+        inFlight.delete(op.seq);
+        op.error = err.message || String(err);
+        if (isPermanent(err)) {
+          op.failed = true;
+          console.error(`Outbox: "${op.label}" rejected:`, err);
+          saveState(op);
+          continue;
+        }
+        saveState(op);
+        break;
+      }
+    }
+  } finally {
+    flushing = false;
+    notify();
+  }
+  if (flushAgain) {
+    flushAgain = false;
+    flushOutbox();
+  }
+}
+
+/** Drops a failed operation the user chose not to retry. */
+export async function discardOperation(seq) {
+  const op = queue.find(o => o.seq === seq);
+  if (!op) return;
+  await remove(op);
+  notify();
+}
+
+/** Retries a failed operation in its original position. */
+export function retryOperation(seq) {
+  const op = queue.find(o => o.seq === seq);
+  if (!op) return;
+  op.failed = false;
+  op.error = null;
+  saveState(op);
+  notify();
+  flushOutbox();
+}
+
+/**
+ * Loads persisted operations and replays them whenever the connection returns.
+ * @returns {Function} stop
+ */
+export function startOutbox() {
+  load().then(() => flushOutbox());
+  const unsubscribe = onValue(ref(db, '.info/connected'), (snap) => {
+    if (snap.val() === true) flushOutbox();
+  });
+  const timer = setInterval(() => {
+    if (queue.some(op => !op.failed && !op.heldFor)) flushOutbox();
+  }, RETRY_INTERVAL_MS);
+  return () => {
+    unsubscribe();
+    clearInterval(timer);
+  };
+}
@@ -0,0 +1,134 @@
+import { queueUpdate } from './outbox.js';
+
+// --- Patient Profile & Fall Risk ---
+// One patient record per bed, stored with the room so every station sees it:
+//   hospital_system/wards/{ward}/{room}/patient_info
+//     { id, name, hn, age, morse_score, mobility_aids[], precautions[],
+//       admitted_at: 'YYYY-MM-DD', fast_escalation, updated_at, updated_by }
+// `id` is generated on admission and travels with the patient on transfer,
+// so logs and incidents can be followed per patient rather than per room.
+// Older rooms may hold only `{ name }`; they are treated as an admitted
+// patient without an id until the record is next saved.
+
+// Morse Fall Scale: 0–24 low, 25–44 moderate, 45+ high risk
+export const MORSE_MAX = 125;
+export const MORSE_HIGH_RISK = 45;
+const MORSE_MODERATE_RISK = 25;
+
+export const MOBILITY_AIDS = ['Cane', 'Walker', 'Crutches', 'Wheelchair', 'Bed-bound'];
+
+export const PRECAUTIONS = [
+  'Bed alarm',
+  'Low bed',
+  'Floor mat',
+  'Hip protectors',
+  'Non-slip socks',
+  'Assist to toilet',
+  '1:1 sitter',
+];
+
+export function morseRisk(score) {
+  const s = Number(score);
+  if (!Number.isFinite(s) || score === '' || score === null) return { level: 'unknown', label: 'Not assessed' };
+  if (s >= MORSE_HIGH_RISK) return { level: 'high', label: 'High risk' };
+  if (s >= MORSE_MODERATE_RISK) return { level: 'moderate', label: 'Moderate risk' };
+  return { level: 'low', label: 'Low risk' };
+}
+
+export const hasPatient = (info) => !!(info && (info.id || info.name));
+
+export const isHighRisk = (info) => hasPatient(info) && morseRisk(info.morse_score).level === 'high';
+
+// High-risk patients flagged for it escalate on the shorter timeline
+export const wantsFastEscalation = (info) => isHighRisk(info) && !!info.fast_escalation;
+
+export function patientLabel(info) {
+  if (!hasPatient(info)) return 'Unassigned';
+  return info.hn ? `${info.name} (HN ${info.hn})` : info.name;
+}
+
+// Subset copied onto log entries and incidents
+export function patientRef(info) {
+  if (!hasPatient(info)) return null;
+  return { id: info.id || null, name: info.name || '', hn: info.hn || '' };
+}
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+export function emptyPatientForm() {
+  return {
+    name: '',
+    hn: '',
+    age: '',
+    morse_score: '',
+    mobility_aids: [],
+    precautions: [],
+    admitted_at: today(),
+    fast_escalation: false,
+  };
+}
+
+export function patientForm(info) {
+  if (!hasPatient(info)) return emptyPatientForm();
+  return {
+    ...emptyPatientForm(),
+    name: info.name || '',
+    hn: info.hn || '',
+    age: info.age ?? '',
+    morse_score: info.morse_score ?? '',
+    mobility_aids: Array.isArray(info.mobility_aids) ? info.mobility_aids : [],
+    precautions: Array.isArray(info.precautions) ? info.precautions : [],
+    admitted_at: info.admitted_at || '',
+    fast_escalation: !!info.fast_escalation,
+  };
+}
+
+// Returns a list of problems; empty when the form can be saved
+export function validatePatient(form) {
+  const problems = [];
+  if (!form.name.trim()) problems.push('Enter the patient name');
+  if (!form.hn.trim()) problems.push('Enter the hospital number (HN)');
+  const age = Number(form.age);
+  if (form.age !== '' && (!Number.isInteger(age) || age < 0 || age > 130)) problems.push('Age must be 0–130');
+  const morse = Number(form.morse_score);
+  if (form.morse_score !== '' && (!Number.isFinite(morse) || morse < 0 || morse > MORSE_MAX)) {
+    problems.push(`Morse score must be 0–${MORSE_MAX}`);
+  }
+  if (!form.admitted_at) problems.push('Enter the admission date');
+  return problems;
+}
+
+/** Form → stored record, keeping the patient id (a new one on admission) */
+export function toPatientRecord(form, { id, actor, now }) {
+  return {
+    id: id || `pt_${now.toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: form.name.trim(),
+    hn: form.hn.trim(),
+    age: form.age === '' ? null : Number(form.age),
+    morse_score: form.morse_score === '' ? null : Number(form.morse_score),
+    mobility_aids: form.mobility_aids,
+    precautions: form.precautions,
+    admitted_at: form.admitted_at,
+    fast_escalation: !!form.fast_escalation,
+    updated_at: now,
+    updated_by: actor.name,
+  };
+}
+
+const infoPath = (wardKey, roomKey) => `hospital_system/wards/${wardKey}/${roomKey}/patient_info`;
+
+export function savePatient(wardKey, roomKey, record) {
+  return queueUpdate({ [infoPath(wardKey, roomKey)]: record }, `Patient ${record.name} in ${wardKey} / ${roomKey}`);
+}
+
+// Both rooms change in one update, so the patient is never in two beds or none
+export function transferPatient(from, to, record) {
+  return queueUpdate({
+    [infoPath(from.wardKey, from.roomKey)]: null,
+    [infoPath(to.wardKey, to.roomKey)]: record,
+  }, `Transfer ${record.name} to ${to.wardKey} / ${to.roomKey}`);
+}
+
+export function dischargePatient(wardKey, roomKey, name) {
+  return queueUpdate({ [infoPath(wardKey, roomKey)]: null }, `Discharge ${name} from ${wardKey} / ${roomKey}`);
+}
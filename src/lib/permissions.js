@@ -0,0 +1,59 @@
+// --- Role-Based Permissions ---
+// Roles live in the Firebase Auth custom claim `role` (set with set-staff-role.cjs)
+// so the same value is enforced by database.rules.json and firestore.rules.
+// Keep this table in sync with those rule files.
+
+export const ROLES = {
+  NURSE: 'nurse',
+  CHARGE_NURSE: 'charge_nurse',
+  TECHNICIAN: 'technician',
+  ADMIN: 'admin',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.NURSE]: 'Nurse',
+  [ROLES.CHARGE_NURSE]: 'Charge Nurse',
+  [ROLES.TECHNICIAN]: 'Technician',
+  [ROLES.ADMIN]: 'Admin',
+};
+
+export const PERMISSIONS = {
+  ACKNOWLEDGE: 'acknowledge',
+  RESOLVE: 'resolve',
+  MUTE: 'mute',
+  CONFIGURE_DEVICES: 'configure_devices',
+  CONFIGURE_SETTINGS: 'configure_settings',
+  VIEW_ALL_WARDS: 'view_all_wards',
+  MANAGE_PATIENTS: 'manage_patients',
+};
+
+const { NURSE, CHARGE_NURSE, TECHNICIAN, ADMIN } = ROLES;
+
+const GRANTS = {
+  [PERMISSIONS.ACKNOWLEDGE]: [NURSE, CHARGE_NURSE, ADMIN],
+  [PERMISSIONS.RESOLVE]: [NURSE, CHARGE_NURSE, ADMIN],
+  [PERMISSIONS.MUTE]: [CHARGE_NURSE, ADMIN],
+  [PERMISSIONS.CONFIGURE_DEVICES]: [TECHNICIAN, ADMIN],
+  [PERMISSIONS.CONFIGURE_SETTINGS]: [ADMIN],
+  [PERMISSIONS.VIEW_ALL_WARDS]: [CHARGE_NURSE, ADMIN],
+  [PERMISSIONS.MANAGE_PATIENTS]: [NURSE, CHARGE_NURSE, ADMIN],
+};
+
+// Who to ask when a permission is missing
+const REQUIRED_LABEL = {
+  [PERMISSIONS.ACKNOWLEDGE]: 'a nurse',
+  [PERMISSIONS.RESOLVE]: 'a nurse',
+  [PERMISSIONS.MUTE]: 'a charge nurse',
+  [PERMISSIONS.CONFIGURE_DEVICES]: 'a technician',
+  [PERMISSIONS.CONFIGURE_SETTINGS]: 'an admin',
+  [PERMISSIONS.VIEW_ALL_WARDS]: 'a charge nurse',
+  [PERMISSIONS.MANAGE_PATIENTS]: 'a nurse',
+};
+
+export function can(role, permission) {
+  return !!role && (GRANTS[permission] || []).includes(role);
+}
+
+export function permissionDeniedMessage(permission) {
+  return `This action requires ${REQUIRED_LABEL[permission] || 'additional permissions'}.`;
+}
@@ -0,0 +1,80 @@
+// --- Resolution Checklist & Outcome ---
+// What staff must confirm and record before a fall alarm is cleared.
+// Per-ward overrides live in RTDB hospital_system/settings/resolution:
+//   { default: { checklist, interventions }, ward_3: { checklist } }
+
+export const OUTCOMES = [
+  { key: 'real_fall', label: 'Real fall' },
+  { key: 'near_fall', label: 'Near-fall' },
+  { key: 'false_alarm', label: 'False alarm' },
+];
+
+export const INJURY_LEVELS = [
+  { key: 'none', label: 'None' },
+  { key: 'minor', label: 'Minor' },
+  { key: 'moderate', label: 'Moderate' },
+  { key: 'severe', label: 'Severe' },
+];
+
+export const DEFAULT_RESOLUTION_CONFIG = {
+  checklist: [
+    'Patient has been assessed by staff',
+    'Physical alarms have been silenced',
+    'All monitoring devices are operational',
+  ],
+  interventions: [
+    'Assisted back to bed',
+    'Vital signs checked',
+    'Physician notified',
+    'Wound care',
+    'Imaging ordered',
+    'Family notified',
+  ],
+};
+
+export function getResolutionConfig(settings, wardKey) {
+  const base = { ...DEFAULT_RESOLUTION_CONFIG, ...(settings?.default || {}) };
+  return { ...base, ...(settings?.[wardKey] || {}) };
+}
+
+export function emptyResolution(config) {
+  return {
+    checked: config.checklist.map(() => false),
+    outcome: '',
+    injury: '',
+    interventions: [],
+    note: '',
+  };
+}
+
+// Returns a list of problems; empty when the form can be submitted
+export function validateResolution(form, config) {
+  const problems = [];
+  if (form.checked.length !== config.checklist.length || form.checked.some(c => !c)) {
+    problems.push('Tick every checklist item');
+  }
+  if (!OUTCOMES.some(o => o.key === form.outcome)) problems.push('Select an outcome');
+  // A false alarm has no injury to grade
+  if (form.outcome !== 'false_alarm' && !INJURY_LEVELS.some(l => l.key === form.injury)) {
+    problems.push('Select an injury level');
+  }
+  return problems;
+}
+
+// Shape stored on the incident and the RESOLVED log entry
+export function toResolutionRecord(form, config) {
+  return {
+    checklist: config.checklist.map((item, i) => ({ item, confirmed: !!form.checked[i] })),
+    outcome: {
+      type: form.outcome,
+      injury: form.outcome === 'false_alarm' ? 'none' : form.injury,
+      interventions: form.interventions,
+      note: form.note.trim(),
+    },
+  };
+}
+
+export function falseAlarmRate(stats) {
+  if (!stats?.alarms) return null;
+  return (stats.false_alarms || 0) / stats.alarms;
+}
@@ -0,0 +1,163 @@
+// --- Response-Time Analytics ---
+// Pairs FALL_DETECTED → ACKNOWLEDGED → RESOLVED (or AUTO_CLEARED) log entries into incidents and
+// aggregates time-to-acknowledge / time-to-resolve. Pure: input is the raw log
+// documents from the Firestore `logs` collection.
+
+// Nursing shifts (local time): morning 08–16, evening 16–24, night 00–08
+export const SHIFTS = [
+  { key: 'morning', label: 'Morning (08–16)', from: 8, to: 16 },
+  { key: 'evening', label: 'Evening (16–24)', from: 16, to: 24 },
+  { key: 'night', label: 'Night (00–08)', from: 0, to: 8 },
+];
+
+export const DEFAULT_TARGETS = {
+  ackSeconds: 60,
+  resolveMinutes: 10,
+};
+
+export function shiftOf(ts) {
+  const h = new Date(ts).getHours();
+  return SHIFTS.find(s => h >= s.from && h < s.to)?.key || 'night';
+}
+
+export function dayOf(ts) {
+  const d = new Date(ts);
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+// Room keys an ACKNOWLEDGED entry applies to (single room or "Acknowledge All")
+function ackTargets(meta = {}) {
+  if (meta.wardKey && meta.roomKey) return [`${meta.wardKey}/${meta.roomKey}`];
+  if (Array.isArray(meta.rooms)) return meta.rooms;
+  return [];
+}
+
+/**
+ * Builds incidents from log entries (any order).
+ * An AUTO_CLEARED entry (the device cleared the fall itself) closes the incident
+ * like RESOLVED but leaves resolvedAt null, so it is neither timed nor a breach.
+ * @returns {Array<{ key, wardKey, roomKey, detectedAt, ackAt, resolvedAt, autoClearedAt, ackMs, resolveMs }>}
+ */
+export function buildIncidents(logs) {
+  const sorted = [...logs]
+    .filter(l => typeof l?.timestamp === 'number')
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const open = new Map(); // "ward/room" → incident
+  const incidents = [];
+
+  sorted.forEach(log => {
+    const meta = log.meta || {};
+    if (log.type === 'FALL_DETECTED' && meta.wardKey && meta.roomKey && !meta.selfTest) {
+      const key = `${meta.wardKey}/${meta.roomKey}`;
+      // A second detection while one is still open belongs to the same incident
+      if (open.has(key)) return;
+      const incident = { key, wardKey: meta.wardKey, roomKey: meta.roomKey, detectedAt: log.timestamp, ackAt: null, resolvedAt: null, autoClearedAt: null };
+      open.set(key, incident);
+      incidents.push(incident);
+    } else if (log.type === 'ACKNOWLEDGED' && !meta.renewed) {
+      ackTargets(meta).forEach(key => {
+        const incident = open.get(key);
+        if (incident && incident.ackAt === null) incident.ackAt = log.timestamp;
+      });
+    } else if (log.type === 'RESOLVED' && meta.wardKey && meta.roomKey) {
+      const key = `${meta.wardKey}/${meta.roomKey}`;
+      const incident = open.get(key);
+      if (!incident) return;
+      incident.resolvedAt = log.timestamp;
+      open.delete(key);
+    } else if (log.type === 'AUTO_CLEARED' && meta.wardKey && meta.roomKey) {
+      const key = `${meta.wardKey}/${meta.roomKey}`;
+      const incident = open.get(key);
+      if (!incident) return;
+      incident.autoClearedAt = log.timestamp;
+      open.delete(key);
+    }
+  });
+
+  return incidents.map(i => ({
+    ...i,
+    ackMs: i.ackAt !== null ? i.ackAt - i.detectedAt : null,
+    resolveMs: i.resolvedAt !== null ? i.resolvedAt - i.detectedAt : null,
+  }));
+}
+
+// Nearest-rank percentile; p in [0, 100]
+export function percentile(values, p) {
+  const nums = values.filter(v => typeof v === 'number').sort((a, b) => a - b);
+  if (nums.length === 0) return null;
+  const rank = Math.ceil((p / 100) * nums.length);
+  return nums[Math.min(nums.length - 1, Math.max(0, rank - 1))];
+}
+
+export const median = (values) => percentile(values, 50);
+
+export function summarize(incidents) {
+  const ack = incidents.map(i => i.ackMs);
+  const res = incidents.map(i => i.resolveMs);
+  return {
+    count: incidents.length,
+    unacked: incidents.filter(i => i.ackMs === null).length,
+    unresolved: incidents.filter(i => i.resolveMs === null && i.autoClearedAt === null).length,
+    autoCleared: incidents.filter(i => i.autoClearedAt !== null).length,
+    ackMedian: median(ack),
+    ackP90: percentile(ack, 90),
+    resolveMedian: median(res),
+    resolveP90: percentile(res, 90),
+  };
+}
+
+const GROUPERS = {
+  ward: i => i.wardKey,
+  room: i => i.key,
+  shift: i => shiftOf(i.detectedAt),
+  day: i => dayOf(i.detectedAt),
+};
+
+/**
+ * Groups incidents by 'ward' | 'room' | 'shift' | 'day' and summarises each group.
+ * @returns {Array<{ group: string } & ReturnType<typeof summarize>>} sorted by group
+ */
+export function summarizeBy(incidents, by) {
+  const keyOf = GROUPERS[by];
+  const groups = new Map();
+  incidents.forEach(i => {
+    const k = keyOf(i);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(i);
+  });
+  return [...groups.entries()]
+    .map(([group, list]) => ({ group, ...summarize(list) }))
+    .sort((a, b) => String(a.group).localeCompare(String(b.group)));
+}
+
+// Incidents that missed a target, or were never acknowledged/resolved
+// (open incidents only count once their target time has passed; an auto-cleared
+// incident stops the clock when it cleared and is never "not resolved")
+export function findBreaches(incidents, targets = DEFAULT_TARGETS, now = Date.now()) {
+  const ackLimit = targets.ackSeconds * 1000;
+  const resLimit = targets.resolveMinutes * 60000;
+  return incidents
+    .map(i => {
+      const age = (i.autoClearedAt ?? now) - i.detectedAt;
+      const reasons = [];
+      if (i.ackMs === null) { if (age > ackLimit) reasons.push('never acknowledged'); }
+      else if (i.ackMs > ackLimit) reasons.push('slow acknowledge');
+      if (i.resolveMs === null) { if (i.autoClearedAt === null && age > resLimit) reasons.push('not resolved'); }
+      else if (i.resolveMs > resLimit) reasons.push('slow resolution');
+      return reasons.length ? { ...i, reasons } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.detectedAt - a.detectedAt);
+}
+
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${s % 60}s`;
+  return `${Math.floor(m / 60)}h ${m % 60}m`;
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { buildIncidents, summarize, findBreaches, DEFAULT_TARGETS } from './responseAnalytics.js';
+
+const T0 = Date.parse('2026-10-19T02:00:00Z');
+const at = (s) => T0 + s * 1000;
+const room = { wardKey: 'ward_3', roomKey: 'room_301' };
+const log = (type, s, meta = {}) => ({ type, timestamp: at(s), meta: { ...room, ...meta } });
+
+describe('buildIncidents', () => {
+  it('pairs detection, acknowledge and resolution', () => {
+    const [i] = buildIncidents([log('RESOLVED', 300), log('FALL_DETECTED', 0), log('ACKNOWLEDGED', 30)]);
+    expect(i).toMatchObject({ key: 'ward_3/room_301', ackMs: 30000, resolveMs: 300000, autoClearedAt: null });
+  });
+
+  it('closes an incident the device cleared so the next fall is a new one', () => {
+    const incidents = buildIncidents([
+      log('FALL_DETECTED', 0),
+      log('AUTO_CLEARED', 20),
+      log('FALL_DETECTED', 3600),
+      log('ACKNOWLEDGED', 3610),
+      log('RESOLVED', 3700),
+    ]);
+    expect(incidents).toHaveLength(2);
+    expect(incidents[0]).toMatchObject({ autoClearedAt: at(20), resolvedAt: null, resolveMs: null });
+    expect(incidents[1]).toMatchObject({ detectedAt: at(3600), ackMs: 10000, resolveMs: 100000 });
+  });
+});
+
+describe('auto-cleared incidents', () => {
+  const incidents = buildIncidents([log('FALL_DETECTED', 0), log('AUTO_CLEARED', 20)]);
+
+  it('are counted apart from unresolved ones', () => {
+    expect(summarize(incidents)).toMatchObject({ count: 1, unresolved: 0, autoCleared: 1 });
+  });
+
+  it('are not reported as breaches when they cleared within the targets', () => {
+    expect(findBreaches(incidents, DEFAULT_TARGETS, at(7200))).toEqual([]);
+  });
+
+  it('still count as never acknowledged when the alarm outlasted the target', () => {
+    const late = buildIncidents([log('FALL_DETECTED', 0), log('AUTO_CLEARED', 120)]);
+    expect(findBreaches(late, DEFAULT_TARGETS, at(7200))[0].reasons).toEqual(['never acknowledged']);
+  });
+});
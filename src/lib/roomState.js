@@ -0,0 +1,229 @@
+// --- Room State Engine ---
+// Pure functions that turn a raw `hospital_system/wards/{ward}/{room}` node into
+// an explicit room state. No Firebase, no React — safe to share with the backend.
+
+export const ROOM_STATES = {
+  NORMAL: 'NORMAL',
+  FALL_UNACKED: 'FALL_UNACKED',
+  FALL_ACKED: 'FALL_ACKED',
+  OFFLINE: 'OFFLINE',
+  UNKNOWN: 'UNKNOWN',
+};
+
+// Per-device classification results
+export const DEVICE_STATUS = {
+  ONLINE: 'online',     // reports a known non-alarm status
+  ALARM: 'alarm',       // reports a known alarm status
+  UNKNOWN: 'unknown',   // reports a status string no rule recognises
+  SILENT: 'silent',     // no Status field at all
+  OFFLINE: 'offline',   // heartbeat older than the rule's offline threshold
+};
+
+// Heartbeat age classification (only for devices that send `heartbeat`)
+export const LIVENESS = {
+  ONLINE: 'online',
+  STALE: 'stale',
+  OFFLINE: 'offline',
+};
+
+const includesCI = (value, needle) => String(value || '').toLowerCase().includes(needle);
+
+// Device-type rules, checked in order; the first `match` wins.
+//   significant     → counts towards the room's online/offline decision
+//                     (boolean, or a function of the device data)
+//   onlineStatuses  → lower-case Status values meaning "alive, no alarm"
+//   alarmStatuses   → lower-case Status values meaning "fall alarm"
+//   heartbeat       → seconds since the last `heartbeat` before the device is
+//                     stale / offline, and whether a heartbeat is `required`
+//                     (overridable via withHeartbeatThresholds)
+// Devices that never send a heartbeat are trusted on presence alone (legacy
+// firmware) unless their type sets `heartbeat.required`, in which case a
+// missing heartbeat makes them OFFLINE like an expired one.
+// Any other Status string is reported as UNKNOWN instead of silently alarming.
+export const DEFAULT_DEVICE_RULES = [
+  {
+    type: 'pir',
+    match: (name) => includesCI(name, 'pir') || includesCI(name, 'motion') || includesCI(name, 'radar'),
+    significant: false,
+    onlineStatuses: ['normal', 'online'],
+    alarmStatuses: [],
+    heartbeat: { staleAfterSeconds: 120, offlineAfterSeconds: 600, required: false },
+  },
+  {
+    type: 'camera',
+    match: (name, dev) => includesCI(name, 'cam') || includesCI(dev.model, 'cam'),
+    significant: true,
+    onlineStatuses: ['normal', 'online'],
+    alarmStatuses: ['fall down', 'fall', 'emergency'],
+    heartbeat: { staleAfterSeconds: 30, offlineAfterSeconds: 120, required: false },
+  },
+  {
+    type: 'monitor',
+    match: (name, dev) => includesCI(name, 'monitor') || includesCI(dev.model, 'monitor'),
+    significant: true,
+    onlineStatuses: ['normal', 'online'],
+    alarmStatuses: ['fall down', 'fall', 'emergency'],
+    heartbeat: { staleAfterSeconds: 60, offlineAfterSeconds: 300, required: false },
+  },
+  {
+    // Anything else: only networked devices (with an IP) are significant
+    type: 'generic',
+    match: () => true,
+    significant: (dev) => !!dev.ip,
+    onlineStatuses: ['normal', 'online'],
+    alarmStatuses: ['fall down', 'fall', 'emergency'],
+    heartbeat: { staleAfterSeconds: 60, offlineAfterSeconds: 300, required: false },
+  },
+];
+
+/**
+ * Applies per-type heartbeat thresholds, e.g. from RTDB
+ * hospital_system/settings/device_heartbeat: { camera: { staleAfterSeconds: 20, required: true } }
+ */
+export function withHeartbeatThresholds(rules, overrides) {
+  if (!overrides) return rules;
+  return rules.map(rule => (overrides[rule.type]
+    ? { ...rule, heartbeat: { ...rule.heartbeat, ...overrides[rule.type] } }
+    : rule));
+}
+
+// Legacy flags arrive as booleans, "true"/"false" strings or 0/1 from older firmware.
+// Only an explicit "false" string is falsy among strings; everything else is truthiness.
+export function coerceFlag(value) {
+  const s = String(value).toLowerCase();
+  if (s === 'true') return true;
+  if (s === 'false') return false;
+  return !!value;
+}
+
+// Acknowledgement is stricter: only true / "true" counts.
+export function coerceAck(value) {
+  return String(value).toLowerCase() === 'true';
+}
+
+export function readDeviceStatus(dev) {
+  return String(dev?.Status || dev?.status || '').trim();
+}
+
+// Heartbeat as epoch ms. Firmware may send ms, seconds or an ISO string.
+export function readHeartbeat(dev) {
+  const raw = dev?.heartbeat;
+  if (raw === undefined || raw === null || raw === '') return null;
+  if (typeof raw === 'number') return raw < 1e12 ? raw * 1000 : raw;
+  const parsed = Date.parse(raw);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+export function getLiveness(heartbeat, thresholds, now = Date.now()) {
+  if (!thresholds) return null;
+  if (heartbeat === null) return thresholds.required ? LIVENESS.OFFLINE : null;
+  const ageSeconds = (now - heartbeat) / 1000;
+  if (ageSeconds >= thresholds.offlineAfterSeconds) return LIVENESS.OFFLINE;
+  if (ageSeconds >= thresholds.staleAfterSeconds) return LIVENESS.STALE;
+  return LIVENESS.ONLINE;
+}
+
+export function findDeviceRule(name, dev, rules = DEFAULT_DEVICE_RULES) {
+  return rules.find(r => r.match(name, dev || {})) || null;
+}
+
+/**
+ * Classifies a single device against the rule table.
+ * A device whose heartbeat is past the offline threshold (or missing, where the
+ * rule requires one) is OFFLINE whatever its last Status said — except an alarm,
+ * which is never suppressed.
+ * @returns {{ type: string, status: string, significant: boolean, rawStatus: string,
+ *             liveness: string|null, heartbeat: number|null }}
+ */
+export function classifyDevice(name, dev, rules = DEFAULT_DEVICE_RULES, now = Date.now()) {
+  const data = dev || {};
+  const rule = findDeviceRule(name, data, rules);
+  const rawStatus = readDeviceStatus(data);
+  const s = rawStatus.toLowerCase();
+  const heartbeat = readHeartbeat(data);
+
+  if (!rule) {
+    return { type: 'unmatched', status: rawStatus ? DEVICE_STATUS.UNKNOWN : DEVICE_STATUS.SILENT, significant: false, rawStatus, liveness: null, heartbeat };
+  }
+
+  const significant = typeof rule.significant === 'function' ? !!rule.significant(data) : !!rule.significant;
+
+  let status;
+  if (!s) status = DEVICE_STATUS.SILENT;
+  else if (rule.onlineStatuses.includes(s)) status = DEVICE_STATUS.ONLINE;
+  else if (rule.alarmStatuses.includes(s)) status = DEVICE_STATUS.ALARM;
+  else status = DEVICE_STATUS.UNKNOWN;
+
+  const liveness = getLiveness(heartbeat, rule.heartbeat, now);
+  if (liveness === LIVENESS.OFFLINE && status !== DEVICE_STATUS.ALARM) status = DEVICE_STATUS.OFFLINE;
+
+  return { type: rule.type, status, significant, rawStatus, liveness, heartbeat };
+}
+
+/**
+ * Computes the state of one room.
+ * Keeps the legacy boolean fields (isFall / isAck / isOffline / hasDevices)
+ * so existing callers can destructure them unchanged.
+ *
+ * @param {object} room raw room node from RTDB
+ * @param {Array} [rules] device-type rule table (defaults to DEFAULT_DEVICE_RULES)
+ * @param {number} [now] reference time for heartbeat ages
+ * @returns {{ state: string, reasons: string[], isFall: boolean, isAck: boolean,
+ *             isOffline: boolean, hasDevices: boolean, devices: object }}
+ */
+export function getRoomState(room, rules = DEFAULT_DEVICE_RULES, now = Date.now()) {
+  const devEntries = Object.entries(room?.devices || {});
+  const hasDevices = devEntries.length > 0;
+  const reasons = [];
+
+  const legacyFall = coerceFlag(room?.live_status?.fall_detected);
+  const isAck = coerceAck(room?.live_status?.acknowledged);
+  if (legacyFall) reasons.push('live_status.fall_detected is set');
+
+  const devices = {};
+  devEntries.forEach(([name, dev]) => {
+    devices[name] = classifyDevice(name, dev, rules, now);
+  });
+  const classified = Object.entries(devices);
+
+  // --- Online Check ---
+  // A significant device that reports no Status is treated as alive (presence in DB)
+  // unless it sends heartbeats or its rule requires them, in which case an expired
+  // or missing heartbeat makes it OFFLINE.
+  let isOffline = true;
+  if (!hasDevices) {
+    reasons.push('no devices registered');
+  } else {
+    const significant = classified.filter(([, c]) => c.significant);
+    if (significant.length === 0) {
+      // Only sensors → assume online
+      isOffline = false;
+    } else {
+      isOffline = !significant.some(([, c]) => c.status === DEVICE_STATUS.ONLINE || c.status === DEVICE_STATUS.SILENT);
+      if (isOffline) reasons.push('no significant device reports an online status');
+    }
+  }
+
+  // --- Fall Check ---
+  // `Detection: "Yes"` is presence, not a fall; only Status values listed as alarms count.
+  const alarmDevices = classified.filter(([, c]) => c.status === DEVICE_STATUS.ALARM);
+  alarmDevices.forEach(([name, c]) => reasons.push(`${name} reports "${c.rawStatus}"`));
+
+  classified
+    .filter(([, c]) => c.liveness === LIVENESS.STALE || c.liveness === LIVENESS.OFFLINE)
+    .forEach(([name, c]) => reasons.push(c.heartbeat === null ? `${name} sends no heartbeat` : `${name} heartbeat is ${c.liveness}`));
+
+  const unknownDevices = classified.filter(([, c]) => c.status === DEVICE_STATUS.UNKNOWN);
+  unknownDevices.forEach(([name, c]) => reasons.push(`${name} reports unrecognised status "${c.rawStatus}"`));
+
+  const isFall = legacyFall || alarmDevices.length > 0;
+
+  let state;
+  if (isFall) state = isAck ? ROOM_STATES.FALL_ACKED : ROOM_STATES.FALL_UNACKED;
+  // A device reporting an unrecognised string is alive but untrustworthy; flag it before OFFLINE
+  else if (unknownDevices.length > 0) state = ROOM_STATES.UNKNOWN;
+  else if (isOffline) state = ROOM_STATES.OFFLINE;
+  else state = ROOM_STATES.NORMAL;
+
+  return { state, reasons, isFall, isAck, isOffline, hasDevices, devices };
+}
@@ -0,0 +1,216 @@
+import { describe, it, expect } from 'vitest';
+import {
+  coerceFlag,
+  coerceAck,
+  readHeartbeat,
+  classifyDevice,
+  getRoomState,
+  withHeartbeatThresholds,
+  DEFAULT_DEVICE_RULES,
+  DEVICE_STATUS,
+  LIVENESS,
+  ROOM_STATES,
+} from './roomState.js';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const secondsAgo = (s) => NOW - s * 1000;
+
+describe('coerceFlag', () => {
+  it.each([
+    [true, true],
+    [false, false],
+    ['true', true],
+    ['TRUE', true],
+    ['false', false],
+    ['False', false],
+    [1, true],
+    [0, false],
+    ['1', true],
+    ['0', true], // any non-"false" string is truthy, as legacy firmware expects
+    ['', false],
+    [null, false],
+    [undefined, false],
+  ])('coerceFlag(%j) → %j', (value, expected) => {
+    expect(coerceFlag(value)).toBe(expected);
+  });
+});
+
+describe('coerceAck', () => {
+  it.each([
+    [true, true],
+    ['true', true],
+    ['True', true],
+    [false, false],
+    ['false', false],
+    [1, false],
+    ['1', false],
+    [0, false],
+    [null, false],
+    [undefined, false],
+  ])('coerceAck(%j) → %j', (value, expected) => {
+    expect(coerceAck(value)).toBe(expected);
+  });
+});
+
+describe('readHeartbeat', () => {
+  it('keeps epoch milliseconds', () => {
+    expect(readHeartbeat({ heartbeat: NOW })).toBe(NOW);
+  });
+
+  it('converts epoch seconds', () => {
+    expect(readHeartbeat({ heartbeat: NOW / 1000 })).toBe(NOW);
+  });
+
+  it('parses ISO strings', () => {
+    expect(readHeartbeat({ heartbeat: '2026-10-19T12:00:00Z' })).toBe(NOW);
+  });
+
+  it.each([undefined, null, '', 'not a date'])('returns null for %j', (heartbeat) => {
+    expect(readHeartbeat({ heartbeat })).toBeNull();
+  });
+});
+
+describe('classifyDevice', () => {
+  it('matches camera statuses case-insensitively', () => {
+    expect(classifyDevice('ESP32_S3_CAM', { Status: 'Normal' }, DEFAULT_DEVICE_RULES, NOW).status).toBe(DEVICE_STATUS.ONLINE);
+    expect(classifyDevice('ESP32_S3_CAM', { Status: 'FALL DOWN' }, DEFAULT_DEVICE_RULES, NOW).status).toBe(DEVICE_STATUS.ALARM);
+    expect(classifyDevice('ESP32_S3_CAM', { status: 'online' }, DEFAULT_DEVICE_RULES, NOW).status).toBe(DEVICE_STATUS.ONLINE);
+  });
+
+  it('reports unrecognised Status strings as UNKNOWN, not as an alarm', () => {
+    const c = classifyDevice('ESP32_S3_CAM', { Status: 'Reconnecting' }, DEFAULT_DEVICE_RULES, NOW);
+    expect(c.status).toBe(DEVICE_STATUS.UNKNOWN);
+    expect(c.rawStatus).toBe('Reconnecting');
+  });
+
+  it('reports a device without Status as SILENT', () => {
+    expect(classifyDevice('ESP32_S3_CAM', { ip: '10.0.0.2' }, DEFAULT_DEVICE_RULES, NOW).status).toBe(DEVICE_STATUS.SILENT);
+    expect(classifyDevice('ESP32_S3_CAM', { Status: '   ' }, DEFAULT_DEVICE_RULES, NOW).status).toBe(DEVICE_STATUS.SILENT);
+  });
+
+  it('treats PIR sensors as non-significant', () => {
+    const c = classifyDevice('Pir_Motion_Sensor', { val: 1 }, DEFAULT_DEVICE_RULES, NOW);
+    expect(c.type).toBe('pir');
+    expect(c.significant).toBe(false);
+  });
+
+  it('makes generic devices significant only when they have an IP', () => {
+    expect(classifyDevice('Bed_Scale', { Status: 'Normal' }, DEFAULT_DEVICE_RULES, NOW).significant).toBe(false);
+    expect(classifyDevice('Bed_Scale', { Status: 'Normal', ip: '10.0.0.9' }, DEFAULT_DEVICE_RULES, NOW).significant).toBe(true);
+  });
+
+  it('ages heartbeats through online, stale and offline', () => {
+    const cam = (age) => classifyDevice('ESP32_S3_CAM', { Status: 'Normal', heartbeat: secondsAgo(age) }, DEFAULT_DEVICE_RULES, NOW);
+    expect(cam(5).liveness).toBe(LIVENESS.ONLINE);
+    expect(cam(5).status).toBe(DEVICE_STATUS.ONLINE);
+    expect(cam(30).liveness).toBe(LIVENESS.STALE);
+    expect(cam(30).status).toBe(DEVICE_STATUS.ONLINE);
+    expect(cam(120).liveness).toBe(LIVENESS.OFFLINE);
+    expect(cam(120).status).toBe(DEVICE_STATUS.OFFLINE);
+  });
+
+  it('never hides an alarm behind an expired heartbeat', () => {
+    const c = classifyDevice('ESP32_S3_CAM', { Status: 'Fall', heartbeat: secondsAgo(3600) }, DEFAULT_DEVICE_RULES, NOW);
+    expect(c.liveness).toBe(LIVENESS.OFFLINE);
+    expect(c.status).toBe(DEVICE_STATUS.ALARM);
+  });
+
+  it('applies heartbeat threshold overrides per device type', () => {
+    const rules = withHeartbeatThresholds(DEFAULT_DEVICE_RULES, { camera: { offlineAfterSeconds: 600 } });
+    const c = classifyDevice('ESP32_S3_CAM', { Status: 'Normal', heartbeat: secondsAgo(300) }, rules, NOW);
+    expect(c.liveness).toBe(LIVENESS.STALE);
+  });
+
+  it('leaves devices without a heartbeat alone unless their type requires one', () => {
+    expect(classifyDevice('ESP32_S3_CAM', { Status: 'Normal' }, DEFAULT_DEVICE_RULES, NOW).liveness).toBeNull();
+
+    const rules = withHeartbeatThresholds(DEFAULT_DEVICE_RULES, { camera: { required: true } });
+    const silent = classifyDevice('ESP32_S3_CAM', { ip: '10.0.0.2' }, rules, NOW);
+    expect(silent.liveness).toBe(LIVENESS.OFFLINE);
+    expect(silent.status).toBe(DEVICE_STATUS.OFFLINE);
+    expect(classifyDevice('ESP32_S3_CAM', { Status: 'Fall' }, rules, NOW).status).toBe(DEVICE_STATUS.ALARM);
+    expect(classifyDevice('Pir_Motion_Sensor', { val: 1 }, rules, NOW).liveness).toBeNull();
+  });
+});
+
+describe('getRoomState', () => {
+  const room = (devices, liveStatus) => ({ devices, live_status: liveStatus });
+  const camera = (extra) => ({ ESP32_S3_CAM: { ip: '10.0.0.2', ...extra } });
+
+  it('is NORMAL with an online camera', () => {
+    const s = getRoomState(room(camera({ Status: 'Normal' })), DEFAULT_DEVICE_RULES, NOW);
+    expect(s.state).toBe(ROOM_STATES.NORMAL);
+    expect(s.isFall).toBe(false);
+    expect(s.isOffline).toBe(false);
+  });
+
+  it('is OFFLINE without devices', () => {
+    const s = getRoomState(room(undefined), DEFAULT_DEVICE_RULES, NOW);
+    expect(s.state).toBe(ROOM_STATES.OFFLINE);
+    expect(s.hasDevices).toBe(false);
+    expect(s.reasons).toContain('no devices registered');
+  });
+
+  it('counts a SILENT significant device as alive (legacy mode)', () => {
+    const s = getRoomState(room(camera({})), DEFAULT_DEVICE_RULES, NOW);
+    expect(s.state).toBe(ROOM_STATES.NORMAL);
+  });
+
+  it('goes OFFLINE when a silent device is required to send heartbeats', () => {
+    const rules = withHeartbeatThresholds(DEFAULT_DEVICE_RULES, { camera: { required: true } });
+    const s = getRoomState(room(camera({})), rules, NOW);
+    expect(s.state).toBe(ROOM_STATES.OFFLINE);
+    expect(s.reasons).toContain('ESP32_S3_CAM sends no heartbeat');
+  });
+
+  it('treats a room with only sensors as online', () => {
+    const s = getRoomState(room({ Pir_Motion_Sensor: { val: 0 } }), DEFAULT_DEVICE_RULES, NOW);
+    expect(s.isOffline).toBe(false);
+    expect(s.state).toBe(ROOM_STATES.NORMAL);
+  });
+
+  it('goes OFFLINE when the only camera heartbeat expires', () => {
+    const s = getRoomState(room(camera({ Status: 'Normal', heartbeat: secondsAgo(600) })), DEFAULT_DEVICE_RULES, NOW);
+    expect(s.state).toBe(ROOM_STATES.OFFLINE);
+    expect(s.reasons).toContain('ESP32_S3_CAM heartbeat is offline');
+  });
+
+  it('flags unrecognised Status strings as UNKNOWN ahead of OFFLINE', () => {
+    const s = getRoomState(room(camera({ Status: 'Reconnecting' })), DEFAULT_DEVICE_RULES, NOW);
+    expect(s.state).toBe(ROOM_STATES.UNKNOWN);
+    expect(s.isFall).toBe(false);
+  });
+
+  it('does not treat Detection "Yes" as a fall', () => {
+    const s = getRoomState(room(camera({ Status: 'Normal', Detection: 'Yes' })), DEFAULT_DEVICE_RULES, NOW);
+    expect(s.isFall).toBe(false);
+  });
+
+  it('raises a fall from an alarm Status, acknowledged or not', () => {
+    const unacked = getRoomState(room(camera({ Status: 'Fall Down' })), DEFAULT_DEVICE_RULES, NOW);
+    expect(unacked.state).toBe(ROOM_STATES.FALL_UNACKED);
+    const acked = getRoomState(room(camera({ Status: 'Fall Down' }), { acknowledged: 'true' }), DEFAULT_DEVICE_RULES, NOW);
+    expect(acked.state).toBe(ROOM_STATES.FALL_ACKED);
+  });
+
+  it.each([
+    [true, true],
+    ['true', true],
+    [1, true],
+    [false, false],
+    ['false', false],
+    [0, false],
+  ])('reads legacy live_status.fall_detected %j as fall=%j', (flag, fall) => {
+    const s = getRoomState(room(camera({ Status: 'Normal' }), { fall_detected: flag }), DEFAULT_DEVICE_RULES, NOW);
+    expect(s.isFall).toBe(fall);
+  });
+
+  it.each([
+    [1, false],
+    ['1', false],
+    [true, true],
+  ])('only accepts true / "true" as acknowledged (%j → %j)', (ack, isAck) => {
+    const s = getRoomState(room(camera({ Status: 'Fall' }), { acknowledged: ack }), DEFAULT_DEVICE_RULES, NOW);
+    expect(s.isAck).toBe(isAck);
+  });
+});
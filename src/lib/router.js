@@ -0,0 +1,97 @@
+// --- Client-Side Routing ---
+// Small History API router; vercel.json rewrites every path to index.html.
+//   /                              monitoring, this station's wards
+//   /ward/3  or  /ward/3,5         monitoring, assigns the station to those wards
+//   /ward/3/room/301               room details
+//   /ward/3/room/301/resolve       resolution checklist for that room
+//   /devices  /devices/{id}        device manager, optionally with a device's editor open
+//   /history  /history/incidents/{id}  /history/events  /history/events/{logId}
+//   /reports  /sounds
+// Modals are routes too, so the browser back button closes them.
+
+const NAVIGATE_EVENT = 'app:navigate';
+
+const TAB_PATHS = {
+  devices: '/devices',
+  logs: '/history',
+  reports: '/reports',
+  sounds: '/sounds',
+};
+
+const wardKeyOf = (slug) => (slug.startsWith('ward_') ? slug : `ward_${slug}`);
+const roomKeyOf = (slug) => (slug.startsWith('room_') ? slug : `room_${slug}`);
+const wardSlug = (wardKey) => wardKey.replace(/^ward_/, '');
+const roomSlug = (roomKey) => roomKey.replace(/^room_/, '');
+
+function safeDecode(part) {
+  try { return decodeURIComponent(part); } catch { return part; }
+}
+
+/**
+ * @returns {{ view: 'monitor'|'devices'|'logs'|'reports'|'sounds',
+ *             wards?: string[], room?: { wardKey: string, roomKey: string }, resolve?: boolean,
+ *             historyView?: 'incidents'|'events', incidentId?: string, logId?: string, deviceId?: string }}
+ */
+export function parseRoute(pathname) {
+  const parts = String(pathname || '/').split('/').filter(Boolean).map(safeDecode);
+  const [head, a, b, c, d] = parts;
+
+  if (head === 'ward' && a) {
+    if (b === 'room' && c) {
+      return { view: 'monitor', room: { wardKey: wardKeyOf(a), roomKey: roomKeyOf(c) }, resolve: d === 'resolve' };
+    }
+    const wards = a.split(',').filter(Boolean).map(wardKeyOf);
+    return wards.length > 0 ? { view: 'monitor', wards } : { view: 'monitor' };
+  }
+  if (head === 'devices' && a) return { view: 'devices', deviceId: a };
+  if (head === 'history') {
+    if (a === 'events') return { view: 'logs', historyView: 'events', logId: b || null };
+    return { view: 'logs', historyView: 'incidents', incidentId: a === 'incidents' ? (b || null) : null };
+  }
+  const tab = Object.keys(TAB_PATHS).find(t => TAB_PATHS[t] === `/${head}`);
+  return { view: tab || 'monitor' };
+}
+
+export function pathForWards(wardKeys) {
+  return wardKeys && wardKeys.length > 0 ? `/ward/${wardKeys.map(wardSlug).join(',')}` : '/';
+}
+
+export const pathForTab = (tab) => TAB_PATHS[tab] || '/';
+export const roomPath = (wardKey, roomKey) => `/ward/${wardSlug(wardKey)}/room/${roomSlug(roomKey)}`;
+export const resolvePath = (wardKey, roomKey) => `${roomPath(wardKey, roomKey)}/resolve`;
+export const incidentPath = (incidentId) => `/history/incidents/${encodeURIComponent(incidentId)}`;
+export const historyPath = (historyView) => (historyView === 'events' ? '/history/events' : '/history');
+export const logPath = (logId) => `/history/events/${encodeURIComponent(logId)}`;
+export const devicePath = (deviceId) => `/devices/${encodeURIComponent(deviceId)}`;
+
+/** Full URL for sharing, e.g. in notifications or copied links */
+export const absoluteUrl = (path) => `${window.location.origin}${path}`;
+
+/**
+ * Pushes (or replaces) a history entry and notifies subscribers.
+ * `depth` counts entries pushed by this app, so goBack() never leaves the app.
+ */
+export function navigate(path, { replace = false } = {}) {
+  if (window.location.pathname === path) return;
+  const depth = window.history.state?.depth || 0;
+  if (replace) window.history.replaceState({ depth }, '', path);
+  else window.history.pushState({ depth: depth + 1 }, '', path);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/** Back to the previous in-app entry (closing a modal), or to `fallbackPath` on a deep link */
+export function goBack(fallbackPath) {
+  if ((window.history.state?.depth || 0) > 0) window.history.back();
+  else navigate(fallbackPath, { replace: true });
+}
+
+/** @param {(route: object) => void} onChange  @returns {Function} unsubscribe */
+export function subscribeRoute(onChange) {
+  const handler = () => onChange(parseRoute(window.location.pathname));
+  window.addEventListener('popstate', handler);
+  window.addEventListener(NAVIGATE_EVENT, handler);
+  return () => {
+    window.removeEventListener('popstate', handler);
+    window.removeEventListener(NAVIGATE_EVENT, handler);
+  };
+}
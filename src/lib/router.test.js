@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { parseRoute, devicePath, logPath, roomPath, resolvePath } from './router.js';
+
+describe('parseRoute', () => {
+  it('opens a device editor from /devices/{id}', () => {
+    expect(parseRoute('/devices')).toEqual({ view: 'devices' });
+    expect(parseRoute('/devices/esp32-cam-01')).toEqual({ view: 'devices', deviceId: 'esp32-cam-01' });
+  });
+
+  it('round-trips device ids that need escaping', () => {
+    expect(parseRoute(devicePath('cam/01 a')).deviceId).toBe('cam/01 a');
+  });
+
+  it('links to a single log entry, including backend ones', () => {
+    expect(parseRoute(logPath('1760832000000_k3x9qa'))).toEqual({ view: 'logs', historyView: 'events', logId: '1760832000000_k3x9qa' });
+  });
+
+  it('parses rooms and their resolution checklist', () => {
+    expect(parseRoute(roomPath('ward_3', 'room_301'))).toEqual({ view: 'monitor', room: { wardKey: 'ward_3', roomKey: 'room_301' }, resolve: false });
+    expect(parseRoute(resolvePath('ward_3', 'room_301')).resolve).toBe(true);
+  });
+});
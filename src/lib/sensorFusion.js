@@ -0,0 +1,183 @@
+import { classifyDevice, DEVICE_STATUS, LIVENESS, DEFAULT_DEVICE_RULES } from './roomState.js';
+
+// --- Sensor Fusion ---
+// Combines PIR motion, camera `Detection` (patient in view) and camera `Status`
+// over a time window to say what a room's raw signals most likely mean.
+// Pure like roomState.js: the caller keeps one `track` per room (timestamps of
+// the last motion / presence) and feeds it back on every update, so the
+// classification depends on what this station has seen since it opened.
+//
+// Defaults can be overridden from RTDB hospital_system/settings/sensor_fusion:
+//   { windowSeconds: 45, possibleFall: { holdSeconds: 20 }, noMotionAfterFall: { afterMinutes: 3 } }
+
+export const FUSION_EVENTS = {
+  CONFIRMED_FALL: 'confirmed_fall',        // camera alarm corroborated by another signal
+  POSSIBLE_FALL: 'possible_fall',          // camera alarm nothing else backs up
+  NO_MOTION_AFTER_FALL: 'no_motion_after_fall',
+  LEFT_BED: 'left_bed',                    // camera lost the patient, PIR still sees movement
+  ROOM_EMPTY: 'room_empty',                // no motion and no presence for a while
+};
+
+export const FUSION_EVENT_LABELS = {
+  [FUSION_EVENTS.CONFIRMED_FALL]: 'Confirmed fall',
+  [FUSION_EVENTS.POSSIBLE_FALL]: 'Possible fall',
+  [FUSION_EVENTS.NO_MOTION_AFTER_FALL]: 'No movement after fall',
+  [FUSION_EVENTS.LEFT_BED]: 'Left bed',
+  [FUSION_EVENTS.ROOM_EMPTY]: 'Room empty',
+};
+
+// Sources that can corroborate a camera fall
+export const FUSION_SOURCES = {
+  PIR: 'pir',
+  DETECTION: 'detection',
+};
+
+const SOURCE_LABELS = {
+  [FUSION_SOURCES.PIR]: 'PIR motion',
+  [FUSION_SOURCES.DETECTION]: 'camera presence',
+};
+
+export const DEFAULT_FUSION_CONFIG = {
+  // Corroborating signals must be seen within this many seconds of the fall starting
+  windowSeconds: 30,
+  confirmedFall: {
+    corroborateWith: [FUSION_SOURCES.PIR, FUSION_SOURCES.DETECTION],
+  },
+  possibleFall: {
+    // Keep an uncorroborated fall quiet this long while waiting for another signal (0 = sound at once)
+    holdSeconds: 0,
+  },
+  noMotionAfterFall: {
+    enabled: true,
+    afterMinutes: 2,
+  },
+  leftBed: {
+    enabled: true,
+  },
+  roomEmpty: {
+    enabled: true,
+    afterMinutes: 10,
+  },
+};
+
+export function mergeFusionConfig(override) {
+  if (!override) return DEFAULT_FUSION_CONFIG;
+  const section = (name) => ({ ...DEFAULT_FUSION_CONFIG[name], ...(override[name] || {}) });
+  return {
+    windowSeconds: Number(override.windowSeconds) || DEFAULT_FUSION_CONFIG.windowSeconds,
+    confirmedFall: section('confirmedFall'),
+    possibleFall: section('possibleFall'),
+    noMotionAfterFall: section('noMotionAfterFall'),
+    leftBed: section('leftBed'),
+    roomEmpty: section('roomEmpty'),
+  };
+}
+
+const isYes = (value) => ['yes', 'true', '1'].includes(String(value).trim().toLowerCase());
+
+/**
+ * Current raw signals of one room. `null` means the room has no working source for it.
+ * @returns {{ motion: boolean|null, presence: boolean|null, cameraAlarm: boolean, fall: boolean }}
+ */
+export function readSignals(room, roomState, rules = DEFAULT_DEVICE_RULES, now = Date.now()) {
+  let motion = null;
+  let presence = null;
+  let cameraAlarm = false;
+
+  Object.entries(room?.devices || {}).forEach(([name, dev]) => {
+    const c = classifyDevice(name, dev, rules, now);
+    if (c.liveness === LIVENESS.OFFLINE) return; // last reading is too old to mean anything
+    if (c.type === 'pir') {
+      const moving = Number(dev.val) > 0 || isYes(dev.object_present);
+      motion = !!motion || moving;
+    } else if (dev.Detection !== undefined) {
+      presence = !!presence || isYes(dev.Detection);
+    }
+    if (c.type !== 'pir' && c.status === DEVICE_STATUS.ALARM) cameraAlarm = true;
+  });
+
+  return { motion, presence, cameraAlarm, fall: !!roomState?.isFall };
+}
+
+/**
+ * Folds the latest signals into a room's track.
+ * @returns {{ startedAt: number, lastMotionAt: number|null, lastPresenceAt: number|null, fallSince: number|null }}
+ */
+export function updateFusionTrack(track, signals, now = Date.now()) {
+  const next = track
+    ? { ...track }
+    : { startedAt: now, lastMotionAt: null, lastPresenceAt: null, fallSince: null };
+  if (signals.motion) next.lastMotionAt = now;
+  if (signals.presence) next.lastPresenceAt = now;
+  if (signals.fall) next.fallSince = next.fallSince ?? now;
+  else next.fallSince = null;
+  return next;
+}
+
+const minutes = (ms) => Math.floor(ms / 60000);
+
+/** How long the room has shown neither motion nor presence, or null when that cannot be told. */
+export function quietForMs(track, signals, now = Date.now()) {
+  if (!track || (signals.motion === null && signals.presence === null)) return null;
+  if (signals.motion || signals.presence) return 0;
+  return now - Math.max(track.lastMotionAt ?? track.startedAt, track.lastPresenceAt ?? track.startedAt);
+}
+
+/**
+ * Classifies one room from its track and current signals.
+ * `held` is true while an uncorroborated fall is inside possibleFall.holdSeconds (until `holdUntil`).
+ * @returns {{ event: string|null, reasons: string[], held: boolean, holdUntil: number|null, sources: string[] }}
+ */
+export function classifyFusion(track, signals, config = DEFAULT_FUSION_CONFIG, now = Date.now()) {
+  const reasons = [];
+  const windowMs = config.windowSeconds * 1000;
+  const result = (event, extra = {}) => ({ event, reasons, held: false, holdUntil: null, sources: [], ...extra });
+  if (!track) return result(null);
+
+  if (signals.fall && track.fallSince !== null) {
+    const since = track.fallSince - windowMs;
+    const available = config.confirmedFall.corroborateWith.filter(s => (s === FUSION_SOURCES.PIR ? signals.motion !== null : signals.presence !== null));
+    if (available.length === 0) {
+      reasons.push('no PIR or camera presence signal to corroborate the fall');
+      return result(null);
+    }
+
+    const sources = available.filter(s => {
+      const at = s === FUSION_SOURCES.PIR ? track.lastMotionAt : track.lastPresenceAt;
+      return at !== null && at >= since;
+    });
+    if (sources.length === 0) {
+      reasons.push(`no ${available.map(src => SOURCE_LABELS[src]).join(' or ')} within ${config.windowSeconds}s of the fall`);
+      const holdUntil = track.fallSince + (Number(config.possibleFall.holdSeconds) || 0) * 1000;
+      const held = now < holdUntil;
+      if (held) reasons.push('alarm held while waiting for corroboration');
+      return result(FUSION_EVENTS.POSSIBLE_FALL, { held, holdUntil: held ? holdUntil : null });
+    }
+    sources.forEach(src => reasons.push(`${SOURCE_LABELS[src]} around the fall`));
+
+    // Motionless after a confirmed fall; needs a PIR to know
+    const noMotion = config.noMotionAfterFall;
+    if (noMotion.enabled && signals.motion === false) {
+      const stillFor = now - Math.max(track.fallSince, track.lastMotionAt ?? track.fallSince);
+      if (stillFor >= noMotion.afterMinutes * 60000) {
+        reasons.push(`no movement for ${minutes(stillFor)} min`);
+        return result(FUSION_EVENTS.NO_MOTION_AFTER_FALL, { sources });
+      }
+    }
+    return result(FUSION_EVENTS.CONFIRMED_FALL, { sources });
+  }
+
+  if (config.leftBed.enabled && signals.presence === false && track.lastPresenceAt !== null
+    && track.lastMotionAt !== null && now - track.lastMotionAt <= windowMs) {
+    reasons.push('camera no longer detects the patient', 'PIR still sees movement');
+    return result(FUSION_EVENTS.LEFT_BED);
+  }
+
+  const roomEmpty = config.roomEmpty;
+  const quietFor = quietForMs(track, signals, now);
+  if (roomEmpty.enabled && quietFor !== null && quietFor >= roomEmpty.afterMinutes * 60000) {
+    reasons.push(`no motion or presence for ${minutes(quietFor)} min`);
+    return result(FUSION_EVENTS.ROOM_EMPTY);
+  }
+  return result(null);
+}
@@ -0,0 +1,111 @@
+import { ref, runTransaction } from "firebase/database";
+import { db } from './firebase.js';
+import { queueUpdate } from './outbox.js';
+
+// --- Timed Alarm Silencing ---
+// Silences are shared by every station through RTDB hospital_system/silences:
+//   {ward}/all          → ward-wide silence
+//   {ward}/rooms/{room} → single-room silence
+// Each entry: { until, at, minutes, by: actor, covers: { [roomKey]: { [alarmId]: true } } }
+//
+// A silence only covers the alarms that were sounding when it was set
+// (`covers`, by the alarmId from alarmProfiles.js collectAlarmCandidates); a fall
+// in any other room — or a new incident, bed alert or offline device in a
+// covered room — always sounds. Entries auto-expire at `until` (server time).
+
+export const SILENCE_MINUTES = [2, 5, 10];
+
+const silencePath = (wardKey, roomKey) => (roomKey
+  ? `hospital_system/silences/${wardKey}/rooms/${roomKey}`
+  : `hospital_system/silences/${wardKey}/all`);
+
+/**
+ * @param {Array<{ wardKey: string, roomKey?: string, covers: object }>} targets
+ * @param {number} minutes
+ * @param {object} actor
+ * @param {number} now server-corrected time
+ */
+export function setSilences(targets, minutes, actor, now) {
+  const updates = {};
+  targets.forEach(({ wardKey, roomKey, covers }) => {
+    updates[silencePath(wardKey, roomKey)] = { until: now + minutes * 60000, at: now, minutes, by: actor, covers: covers || {} };
+  });
+  return queueUpdate(updates, `Silence ${targets.length === 1 ? (targets[0].roomKey || targets[0].wardKey) : `${targets.length} wards`} for ${minutes} min`);
+}
+
+/** `covers` for the alarms sounding now: { [roomKey]: { [alarmId]: true } } */
+export function coversFor(candidates) {
+  const covers = {};
+  candidates.forEach(({ roomKey, alarmId }) => {
+    covers[roomKey] = { ...covers[roomKey], [alarmId]: true };
+  });
+  return covers;
+}
+
+export function clearSilences(targets) {
+  const updates = {};
+  targets.forEach(({ wardKey, roomKey }) => { updates[silencePath(wardKey, roomKey)] = null; });
+  return queueUpdate(updates, 'Cancel silence');
+}
+
+/**
+ * Removes an expired silence. Only one station wins, so only it logs the expiry.
+ * @returns {Promise<boolean>} true when this station removed it
+ */
+export async function expireSilence(wardKey, roomKey, now) {
+  const result = await runTransaction(ref(db, silencePath(wardKey, roomKey)), (current) => {
+    if (!current || current.until > now) return undefined;
+    return null;
+  });
+  return result.committed;
+}
+
+function covers(entry, roomKey, alarmId) {
+  const covered = entry?.covers?.[roomKey];
+  if (!covered || typeof covered !== 'object') return false;
+  return !alarmId || covered[alarmId] === true;
+}
+
+/**
+ * Whether an alarm in this room is silenced right now.
+ * @param {string|null} alarmId the candidate's alarmId; null asks whether anything in the room is
+ * @returns {{ until: number, scope: 'ward'|'room', by: object } | null}
+ */
+export function getRoomSilence(silences, wardKey, roomKey, alarmId, now) {
+  const ward = silences?.[wardKey];
+  if (!ward) return null;
+  const room = ward.rooms?.[roomKey];
+  if (room && room.until > now && covers(room, roomKey, alarmId)) return { until: room.until, scope: 'room', by: room.by };
+  const all = ward.all;
+  if (all && all.until > now && covers(all, roomKey, alarmId)) return { until: all.until, scope: 'ward', by: all.by };
+  return null;
+}
+
+/** Flat list of silences that have not expired, soonest first. */
+export function listActiveSilences(silences, now) {
+  const list = [];
+  Object.entries(silences || {}).forEach(([wardKey, ward]) => {
+    if (ward.all && ward.all.until > now) list.push({ wardKey, roomKey: null, ...ward.all });
+    Object.entries(ward.rooms || {}).forEach(([roomKey, entry]) => {
+      if (entry.until > now) list.push({ wardKey, roomKey, ...entry });
+    });
+  });
+  return list.sort((a, b) => a.until - b.until);
+}
+
+/** Silences whose time is up but whose node still exists. */
+export function listExpiredSilences(silences, now) {
+  const list = [];
+  Object.entries(silences || {}).forEach(([wardKey, ward]) => {
+    if (ward.all && ward.all.until <= now) list.push({ wardKey, roomKey: null, ...ward.all });
+    Object.entries(ward.rooms || {}).forEach(([roomKey, entry]) => {
+      if (entry.until <= now) list.push({ wardKey, roomKey, ...entry });
+    });
+  });
+  return list;
+}
+
+export function formatCountdown(ms) {
+  const s = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest';
+import { coversFor, getRoomSilence } from './silencing.js';
+import { collectAlarmCandidates, ALARM_EVENTS } from './alarmProfiles.js';
+
+// silencing.js and bedAlerts.js write through Firebase; these tests only read
+vi.mock('./firebase.js', () => ({ db: {}, auth: {} }));
+vi.mock('./outbox.js', () => ({ queueUpdate: vi.fn() }));
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+const candidates = (room) => collectAlarmCandidates({
+  wardsData: { ward_3: { room_301: room } }, escalations: {}, now: NOW, connectionOnline: true,
+});
+const silence = (covers) => ({ ward_3: { all: { until: NOW + 5 * 60000, at: NOW, minutes: 5, covers } } });
+
+const offlineCamera = { devices: { ESP32_S3_CAM: { Status: 'Normal', ip: '10.0.0.2', heartbeat: NOW - 3600 * 1000 } } };
+const fallingCamera = (incidentId) => ({
+  devices: { ESP32_S3_CAM: { Status: 'Fall Down', ip: '10.0.0.2', heartbeat: NOW } },
+  live_status: { incident_id: incidentId },
+});
+
+describe('silencing', () => {
+  it('records each sounding alarm by its identity', () => {
+    const offline = candidates(offlineCamera);
+    expect(offline).toMatchObject([{ event: ALARM_EVENTS.DEVICE_OFFLINE, alarmId: 'offline:ESP32_S3_CAM' }]);
+    expect(coversFor(offline)).toEqual({ room_301: { 'offline:ESP32_S3_CAM': true } });
+  });
+
+  it('silences the device outage it was set for', () => {
+    const silences = silence(coversFor(candidates(offlineCamera)));
+    expect(getRoomSilence(silences, 'ward_3', 'room_301', 'offline:ESP32_S3_CAM', NOW)).toMatchObject({ scope: 'ward' });
+  });
+
+  it('lets a new fall break through a silence set during a device outage', () => {
+    const silences = silence(coversFor(candidates(offlineCamera)));
+    const [fall] = candidates(fallingCamera('inc1'));
+    expect(fall.alarmId).toBe('inc1');
+    expect(getRoomSilence(silences, 'ward_3', 'room_301', fall.alarmId, NOW)).toBeNull();
+  });
+
+  it('lets a new incident in the same room break through', () => {
+    const silences = silence(coversFor(candidates(fallingCamera('inc1'))));
+    expect(getRoomSilence(silences, 'ward_3', 'room_301', 'inc1', NOW)).not.toBeNull();
+    expect(getRoomSilence(silences, 'ward_3', 'room_301', 'inc2', NOW)).toBeNull();
+  });
+
+  it('never treats a legacy blanket entry as covering an alarm', () => {
+    expect(getRoomSilence(silence({ room_301: true }), 'ward_3', 'room_301', 'inc1', NOW)).toBeNull();
+  });
+
+  it('ends at `until`', () => {
+    const silences = silence(coversFor(candidates(fallingCamera('inc1'))));
+    expect(getRoomSilence(silences, 'ward_3', 'room_301', 'inc1', NOW + 5 * 60000)).toBeNull();
+  });
+});
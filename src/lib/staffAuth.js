@@ -0,0 +1,79 @@
+import { signInWithEmailAndPassword, signOut } from "firebase/auth";
+import { auth } from './firebase.js';
+
+// --- Staff Authentication ---
+// Two ways to sign in, both backed by Firebase Auth email/password accounts:
+//   1. Email + password
+//   2. Badge number + PIN → mapped to badge-{number}@{VITE_STAFF_BADGE_DOMAIN}
+// Badge accounts are created by an admin with the PIN as password (min. 6 digits).
+
+export const BADGE_DOMAIN = import.meta.env.VITE_STAFF_BADGE_DOMAIN || 'staff.nurse-station.local';
+
+export function badgeToEmail(badge) {
+  return `badge-${String(badge).trim().toLowerCase()}@${BADGE_DOMAIN}`;
+}
+
+export function signInWithEmail(email, password) {
+  return signInWithEmailAndPassword(auth, email.trim(), password);
+}
+
+export function signInWithBadge(badge, pin) {
+  return signInWithEmailAndPassword(auth, badgeToEmail(badge), String(pin).trim());
+}
+
+export function signOutStaff() {
+  return signOut(auth);
+}
+
+// Display name for the signed-in user; badge accounts fall back to "Badge 1234"
+export function staffDisplayName(user) {
+  if (!user) return 'Unknown';
+  if (user.displayName) return user.displayName;
+  const email = user.email || '';
+  if (email.endsWith(`@${BADGE_DOMAIN}`)) return `Badge ${email.split('@')[0].replace('badge-', '')}`;
+  return email || user.uid;
+}
+
+// Role from the `role` custom claim, cached for getActor()
+let currentRole = null;
+
+export async function loadStaffRole(user) {
+  if (!user) {
+    currentRole = null;
+    return null;
+  }
+  const { claims } = await user.getIdTokenResult();
+  currentRole = typeof claims.role === 'string' ? claims.role : null;
+  return currentRole;
+}
+
+// Who performed an action; attached to every log entry and incident update
+export function getActor() {
+  const user = auth.currentUser;
+  return {
+    uid: user?.uid || null,
+    name: user ? staffDisplayName(user) : 'Unauthenticated station',
+    role: user ? currentRole : null,
+  };
+}
+
+// Human-readable sign-in errors
+export function authErrorMessage(err) {
+  switch (err?.code) {
+    case 'auth/invalid-credential':
+    case 'auth/wrong-password':
+    case 'auth/user-not-found':
+      return 'Incorrect credentials. Check your email/badge and password/PIN.';
+    case 'auth/too-many-requests':
+      return 'Too many attempts. Please wait a moment and try again.';
+    case 'auth/api-key-not-valid':
+      return 'Invalid API Key: Please update .env with the Web API Key from Firebase Console.';
+    case 'auth/configuration-not-found':
+    case 'auth/operation-not-allowed':
+      return "Setup Required: Enable the 'Email/Password' sign-in provider in Firebase Console > Authentication > Sign-in method.";
+    case 'auth/network-request-failed':
+      return 'Network error. Check the station connection.';
+    default:
+      return `Sign-in failed: ${err?.message || err}`;
+  }
+}
@@ -0,0 +1,133 @@
+import { ref, set, update, onValue, onDisconnect, serverTimestamp } from "firebase/database";
+import { db } from './firebase.js';
+
+// --- Station Identity & Presence ---
+// Every open nurse station (desk PC, corridor tablet, ...) has a stable id kept
+// in localStorage and announces itself per ward in RTDB:
+//   hospital_system/presence/{ward}/{stationId} → { name, user, connected_at, last_seen }
+// onDisconnect() removes the entry when the socket drops; `last_seen` is
+// refreshed periodically so entries left behind by a crashed tab can be aged out.
+//
+// A station is assigned to one or more wards (none = all wards). Alarms, sound
+// and notifications only cover those wards; /ward/3 or /ward/3,5 selects them
+// (see router.js).
+
+const ID_KEY = 'nurse-station:id';
+const NAME_KEY = 'nurse-station:name';
+const WARDS_KEY = 'nurse-station:wards';
+
+export const PRESENCE_REFRESH_SECONDS = 60;
+export const PRESENCE_STALE_SECONDS = 180;
+
+function readStorage(key) {
+  try { return localStorage.getItem(key); } catch { return null; }
+}
+
+function writeStorage(key, value) {
+  try { localStorage.setItem(key, value); } catch { /* private mode */ }
+}
+
+function defaultName(id) {
+  const kind = /Mobi|Tablet|iPad|Android/i.test(navigator.userAgent) ? 'Tablet' : 'Desk';
+  return `${kind} ${id.slice(-4).toUpperCase()}`;
+}
+
+function readWards() {
+  try {
+    const wards = JSON.parse(readStorage(WARDS_KEY) || '[]');
+    return Array.isArray(wards) ? wards.filter(w => typeof w === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+/** @returns {{ id: string, name: string, wards: string[] }} this browser's station; `wards` empty = all */
+export function getStation() {
+  let id = readStorage(ID_KEY);
+  if (!id) {
+    id = `st_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    writeStorage(ID_KEY, id);
+  }
+  return { id, name: readStorage(NAME_KEY) || defaultName(id), wards: readWards() };
+}
+
+export function setStationName(name) {
+  const trimmed = String(name || '').trim().slice(0, 40);
+  if (trimmed) writeStorage(NAME_KEY, trimmed);
+  return getStation();
+}
+
+export function setStationWards(wardKeys) {
+  writeStorage(WARDS_KEY, JSON.stringify([...new Set(wardKeys)].sort()));
+  return getStation();
+}
+
+/** The subset of `wardsData` a station assigned to `wardKeys` watches */
+export function scopeWards(wardsData, wardKeys) {
+  if (!wardKeys || wardKeys.length === 0) return wardsData;
+  const scoped = {};
+  wardKeys.forEach(w => { if (wardsData[w]) scoped[w] = wardsData[w]; });
+  return scoped;
+}
+
+/**
+ * Announces this station in every ward it shows until the returned function is called.
+ * Re-announces after each reconnect, since the server ran onDisconnect() meanwhile.
+ * @param {string[]} wardKeys
+ * @param {{ uid: string|null, name: string, role: string|null }} actor
+ * @returns {Function} stop
+ */
+export function announcePresence(wardKeys, actor) {
+  const station = getStation();
+  const paths = wardKeys.map(w => `hospital_system/presence/${w}/${station.id}`);
+
+  const announce = () => {
+    paths.forEach(path => {
+      const entryRef = ref(db, path);
+      onDisconnect(entryRef).remove()
+        .then(() => set(entryRef, {
+          name: station.name,
+          user: actor,
+          connected_at: serverTimestamp(),
+          last_seen: serverTimestamp(),
+        }))
+        .catch((err) => console.warn('presence announce failed:', err));
+    });
+  };
+
+  const unsubConnected = onValue(ref(db, '.info/connected'), (snap) => {
+    if (snap.val() === true) announce();
+  });
+  const refresh = setInterval(() => {
+    const updates = {};
+    paths.forEach(path => { updates[`${path}/last_seen`] = serverTimestamp(); });
+    update(ref(db), updates).catch(() => { /* offline, re-announced on reconnect */ });
+  }, PRESENCE_REFRESH_SECONDS * 1000);
+
+  return () => {
+    unsubConnected();
+    clearInterval(refresh);
+    paths.forEach(path => {
+      const entryRef = ref(db, path);
+      onDisconnect(entryRef).cancel().catch(() => { });
+      set(entryRef, null).catch(() => { });
+    });
+  };
+}
+
+/**
+ * Online stations grouped by ward, ignoring entries not refreshed recently.
+ * @returns {Array<{ wardKey: string, stations: Array<{ id: string, name: string, user: object, connected_at: number, last_seen: number, isSelf: boolean }> }>}
+ */
+export function listOnlineStations(presence, now, selfId) {
+  return Object.entries(presence || {})
+    .map(([wardKey, entries]) => ({
+      wardKey,
+      stations: Object.entries(entries || {})
+        .filter(([, s]) => Number(s.last_seen) && now - Number(s.last_seen) < PRESENCE_STALE_SECONDS * 1000)
+        .map(([id, s]) => ({ id, ...s, isSelf: id === selfId }))
+        .sort((a, b) => (b.isSelf - a.isSelf) || String(a.name).localeCompare(String(b.name))),
+    }))
+    .filter(w => w.stations.length > 0)
+    .sort((a, b) => a.wardKey.localeCompare(b.wardKey));
+}
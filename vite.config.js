@@ -1,7 +1,12 @@
 import { defineConfig } from 'vite'
+import { configDefaults } from 'vitest/config'
 import react from '@vitejs/plugin-react'
 
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    // Security rules tests need the emulators: `npm run test:rules` (vitest.rules.config.js)
+    exclude: [...configDefaults.exclude, '*.rules.test.js'],
+  },
 })
@@ -0,0 +1,8 @@
+import { defineConfig } from 'vitest/config'
+
+// Security rules tests, run by `npm run test:rules` inside `firebase emulators:exec`
+export default defineConfig({
+  test: {
+    include: ['*.rules.test.js'],
+  },
+})